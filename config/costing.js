@@ -0,0 +1,14 @@
+/**
+ * Costing Configuration
+ * Inventory costing method for the company, overridable via environment variables
+ */
+const COSTING_METHODS = ['avco', 'fifo'];
+
+const method = String(process.env.COSTING_METHOD || '').trim().toLowerCase();
+
+module.exports = {
+    COSTING_METHODS,
+
+    // avco: custo médio ponderado (PMP); fifo: camadas de custo por entrada, as mais antigas saem primeiro
+    COSTING_METHOD: COSTING_METHODS.includes(method) ? method : 'avco'
+};
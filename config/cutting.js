@@ -0,0 +1,25 @@
+/**
+ * Cutting Configuration
+ * Defaults for bar cutting operations, overridable via environment variables
+ */
+const toNumber = (value, fallback) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? fallback : num;
+};
+
+module.exports = {
+    // Comprimento da barra padrão (mm)
+    STANDARD_BAR_LENGTH_MM: toNumber(process.env.STANDARD_BAR_LENGTH_MM, 6000),
+
+    // Abaixo deste comprimento o sobrante é sucata (mm)
+    MIN_OFFCUT_LENGTH_MM: toNumber(process.env.MIN_OFFCUT_LENGTH_MM, 200),
+
+    // Espessura de corte da serra (mm)
+    SAW_KERF_MM: toNumber(process.env.SAW_KERF_MM, 3),
+
+    // Chapas: largura de corte (plasma/laser/guilhotina) em mm
+    PLATE_KERF_MM: toNumber(process.env.PLATE_KERF_MM, 2),
+
+    // Chapas: sobrantes com o lado menor abaixo deste valor são sucata (mm)
+    PLATE_MIN_OFFCUT_SIDE_MM: toNumber(process.env.PLATE_MIN_OFFCUT_SIDE_MM, 100)
+};
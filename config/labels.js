@@ -0,0 +1,29 @@
+/**
+ * Label Configuration
+ * Zebra (ZPL) label size and A4 label sheet layout, overridable via environment variables
+ */
+const toNumber = (value, fallback) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? fallback : num;
+};
+
+module.exports = {
+    // Etiqueta Zebra (mm) e resolução da impressora (dpi: 203 ou 300)
+    ZPL_LABEL_WIDTH_MM: toNumber(process.env.ZPL_LABEL_WIDTH_MM, 100),
+    ZPL_LABEL_HEIGHT_MM: toNumber(process.env.ZPL_LABEL_HEIGHT_MM, 50),
+    ZPL_DPI: toNumber(process.env.ZPL_DPI, 203),
+
+    // Impressora Zebra em rede (porta RAW 9100); vazio = não imprimir automaticamente
+    ZEBRA_PRINTER_HOST: process.env.ZEBRA_PRINTER_HOST || '',
+    ZEBRA_PRINTER_PORT: toNumber(process.env.ZEBRA_PRINTER_PORT, 9100),
+
+    // Folha A4 de etiquetas: colunas × linhas (por defeito 2 × 7, 99,1 × 38,1 mm)
+    SHEET_COLUMNS: toNumber(process.env.LABEL_SHEET_COLUMNS, 2),
+    SHEET_ROWS: toNumber(process.env.LABEL_SHEET_ROWS, 7),
+    SHEET_MARGIN_TOP_MM: toNumber(process.env.LABEL_SHEET_MARGIN_TOP_MM, 15.1),
+    SHEET_MARGIN_LEFT_MM: toNumber(process.env.LABEL_SHEET_MARGIN_LEFT_MM, 4.7),
+    SHEET_LABEL_WIDTH_MM: toNumber(process.env.LABEL_SHEET_LABEL_WIDTH_MM, 99.1),
+    SHEET_LABEL_HEIGHT_MM: toNumber(process.env.LABEL_SHEET_LABEL_HEIGHT_MM, 38.1),
+    SHEET_GAP_X_MM: toNumber(process.env.LABEL_SHEET_GAP_X_MM, 2.5),
+    SHEET_GAP_Y_MM: toNumber(process.env.LABEL_SHEET_GAP_Y_MM, 0)
+};
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const StockItem = require('../models/StockItem');
+const ProjectMaterial = require('../models/ProjectMaterial');
+const {
+    CERTIFICATES_DIR,
+    getCertificatePath,
+    removeCertificateFile
+} = require('../services/batchService');
+
+// Campos que podem ser definidos/alterados via API
+const EDITABLE_FIELDS = ['heatNumber', 'batchNumber', 'supplier', 'manufacturer', 'grade', 'products', 'purchaseOrder', 'notes'];
+const CERTIFICATE_FIELDS = ['type', 'number', 'issuedAt'];
+
+// Certificates are kept on disk (CERTIFICATES_DIR), one PDF per batch
+const certificateUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(CERTIFICATES_DIR, { recursive: true }, (error) => cb(error, CERTIFICATES_DIR));
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${req.params.id}-${Date.now()}.pdf`);
+        }
+    }),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            cb(new Error('Lote inválido'));
+        } else if (file.mimetype === 'application/pdf' || ext === '.pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('O certificado tem de ser um ficheiro PDF'));
+        }
+    }
+});
+
+/**
+ * Helper: Copy editable fields from the request body
+ */
+function applyFields(batch, body) {
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) batch[field] = body[field];
+    });
+
+    if (body.certificate) {
+        CERTIFICATE_FIELDS.forEach(field => {
+            if (body.certificate[field] !== undefined) batch.certificate[field] = body.certificate[field];
+        });
+    }
+}
+
+/**
+ * Helper: Error response for validation/duplicate failures
+ */
+function handleBatchError(res, error, fallbackMessage) {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'Já existe um lote com esta corrida para este fornecedor'
+        });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors ? Object.values(error.errors).map(e => e.message).join(', ') : 'Dados inválidos'
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * @desc    Get batches / heats
+ * @route   GET /api/batches
+ * @access  Private
+ */
+const getBatches = async (req, res) => {
+    try {
+        const { search, heatNumber, supplier, product, grade, hasCertificate } = req.query;
+
+        let query = {};
+        if (heatNumber) query.heatNumber = heatNumber;
+        if (mongoose.isValidObjectId(supplier)) query.supplier = supplier;
+        if (mongoose.isValidObjectId(product)) query.products = product;
+        if (mongoose.isValidObjectId(grade)) query.grade = grade;
+        if (hasCertificate === 'true') query['certificate.fileName'] = { $nin: ['', null] };
+        if (hasCertificate === 'false') query['certificate.fileName'] = { $in: ['', null] };
+
+        if (search) {
+            query.$or = [
+                { heatNumber: { $regex: search, $options: 'i' } },
+                { batchNumber: { $regex: search, $options: 'i' } },
+                { manufacturer: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const batches = await Batch.find(query)
+            .sort('-createdAt')
+            .limit(200)
+            .populate('supplier', 'name')
+            .populate('grade', 'code');
+
+        res.json({
+            success: true,
+            count: batches.length,
+            data: batches
+        });
+    } catch (error) {
+        console.error('GetBatches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter lotes'
+        });
+    }
+};
+
+/**
+ * @desc    Get single batch with the stock items still in stock
+ * @route   GET /api/batches/:id
+ * @access  Private
+ */
+const getBatch = async (req, res) => {
+    try {
+        const batch = mongoose.isValidObjectId(req.params.id)
+            ? await Batch.findById(req.params.id)
+                .populate('supplier', 'name')
+                .populate('grade', 'code name standard')
+                .populate('products', 'code description')
+                .populate('purchaseOrder', 'reference')
+                .populate('certificate.uploadedBy', 'name')
+            : null;
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote não encontrado'
+            });
+        }
+
+        const stockItems = await StockItem.find({ batch: batch._id, status: { $ne: 'consumed' } })
+            .populate('product', 'code description')
+            .populate('warehouse', 'code name')
+            .sort({ product: 1, type: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                ...batch.toObject(),
+                stockItems
+            }
+        });
+    } catch (error) {
+        console.error('GetBatch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter lote'
+        });
+    }
+};
+
+/**
+ * @desc    Create batch (heat) record
+ * @route   POST /api/batches
+ * @access  Private
+ */
+const createBatch = async (req, res) => {
+    try {
+        const batch = new Batch();
+        applyFields(batch, req.body);
+        await batch.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Corrida ${batch.heatNumber} registada`,
+            data: batch
+        });
+    } catch (error) {
+        console.error('CreateBatch error:', error);
+        handleBatchError(res, error, 'Erro ao criar lote');
+    }
+};
+
+/**
+ * @desc    Update batch (a new heat number is applied to its items and project materials)
+ * @route   PUT /api/batches/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateBatch = async (req, res) => {
+    try {
+        const batch = mongoose.isValidObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote não encontrado'
+            });
+        }
+
+        applyFields(batch, req.body);
+        const heatChanged = batch.isModified('heatNumber');
+        await batch.save();
+
+        // Itens e consumos guardam o número de corrida para filtros e relatórios
+        if (heatChanged) {
+            await StockItem.updateMany({ batch: batch._id }, { $set: { heatNumber: batch.heatNumber } });
+            await ProjectMaterial.updateMany(
+                { 'consumedItems.batch': batch._id },
+                { $set: { 'consumedItems.$[entry].heatNumber': batch.heatNumber } },
+                { arrayFilters: [{ 'entry.batch': batch._id }] }
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Lote atualizado com sucesso',
+            data: batch
+        });
+    } catch (error) {
+        console.error('UpdateBatch error:', error);
+        handleBatchError(res, error, 'Erro ao atualizar lote');
+    }
+};
+
+/**
+ * @desc    Delete batch not used by any stock item or project material
+ * @route   DELETE /api/batches/:id
+ * @access  Private (Admin/Manager)
+ */
+const deleteBatch = async (req, res) => {
+    try {
+        const batch = mongoose.isValidObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote não encontrado'
+            });
+        }
+
+        const [items, materials] = await Promise.all([
+            StockItem.exists({ batch: batch._id }),
+            ProjectMaterial.exists({ 'consumedItems.batch': batch._id })
+        ]);
+
+        if (items || materials) {
+            return res.status(400).json({
+                success: false,
+                message: 'O lote tem itens de stock ou consumos em obra e não pode ser eliminado'
+            });
+        }
+
+        await batch.deleteOne();
+        await removeCertificateFile(batch.certificate?.fileName);
+
+        res.json({
+            success: true,
+            message: 'Lote eliminado'
+        });
+    } catch (error) {
+        console.error('DeleteBatch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao eliminar lote'
+        });
+    }
+};
+
+/**
+ * @desc    Upload mill certificate PDF (replaces the previous one)
+ * @route   POST /api/batches/:id/certificate
+ * @access  Private (Admin/Manager)
+ */
+const uploadCertificate = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum ficheiro enviado'
+            });
+        }
+
+        const batch = mongoose.isValidObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+
+        if (!batch) {
+            await removeCertificateFile(req.file.filename);
+            return res.status(404).json({
+                success: false,
+                message: 'Lote não encontrado'
+            });
+        }
+
+        const previousFile = batch.certificate.fileName;
+
+        applyFields(batch, { certificate: req.body });
+        batch.certificate.fileName = req.file.filename;
+        batch.certificate.originalName = req.file.originalname;
+        batch.certificate.mimeType = req.file.mimetype;
+        batch.certificate.size = req.file.size;
+        batch.certificate.uploadedAt = new Date();
+        batch.certificate.uploadedBy = req.user._id;
+        await batch.save();
+
+        if (previousFile && previousFile !== req.file.filename) {
+            await removeCertificateFile(previousFile);
+        }
+
+        res.json({
+            success: true,
+            message: `Certificado da corrida ${batch.heatNumber} guardado`,
+            data: batch
+        });
+    } catch (error) {
+        console.error('UploadCertificate error:', error);
+        if (req.file) await removeCertificateFile(req.file.filename).catch(() => {});
+        handleBatchError(res, error, 'Erro ao guardar certificado');
+    }
+};
+
+/**
+ * @desc    Download mill certificate PDF
+ * @route   GET /api/batches/:id/certificate
+ * @access  Private
+ */
+const downloadCertificate = async (req, res) => {
+    try {
+        const batch = mongoose.isValidObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+        const filePath = batch ? getCertificatePath(batch) : null;
+
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificado não encontrado'
+            });
+        }
+
+        res.download(filePath, batch.certificate.originalName || `certificado-${batch.heatNumber}.pdf`);
+    } catch (error) {
+        console.error('DownloadCertificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter certificado'
+        });
+    }
+};
+
+module.exports = {
+    certificateUpload,
+    getBatches,
+    getBatch,
+    createBatch,
+    updateBatch,
+    deleteBatch,
+    uploadCertificate,
+    downloadCertificate
+};
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const CuttingPlan = require('../models/CuttingPlan');
+const Product = require('../models/Product');
+const { findOpenProject, assertPlanInWarehouse, buildCuttingPlan, commitCuttingPlan } = require('../services/cuttingPlanService');
+const { runInTransaction } = require('../services/transactionService');
+const { labelsForResponse } = require('../services/labelService');
+
+/**
+ * @desc    Calculate and save a cutting plan
+ * @route   POST /api/cutting-plans
+ * @access  Private
+ */
+const createCuttingPlan = async (req, res) => {
+    try {
+        const { productId, projectId, pieces, kerfMM, minOffcutLengthMM, notes } = req.body;
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const project = await findOpenProject(projectId);
+
+        const planData = await buildCuttingPlan({
+            product,
+            pieces,
+            warehouse: project ? project.warehouse : undefined,
+            kerfMM: kerfMM !== undefined ? Number(kerfMM) : undefined,
+            minOffcutLengthMM: minOffcutLengthMM !== undefined ? Number(minOffcutLengthMM) : undefined
+        });
+
+        const plan = await CuttingPlan.create({
+            ...planData,
+            product: product._id,
+            project: project ? project._id : undefined,
+            createdBy: req.user._id,
+            notes: notes || ''
+        });
+
+        res.status(201).json({
+            success: true,
+            message: planData.unplaced.length > 0
+                ? `Plano calculado. ${planData.unplaced.length} peça(s) não cabem em nenhuma barra`
+                : 'Plano de corte calculado com sucesso',
+            data: plan
+        });
+    } catch (error) {
+        console.error('CreateCuttingPlan error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao calcular plano de corte'
+        });
+    }
+};
+
+/**
+ * @desc    Get cutting plans
+ * @route   GET /api/cutting-plans
+ * @access  Private
+ */
+const getCuttingPlans = async (req, res) => {
+    try {
+        const { project, product, status } = req.query;
+
+        let query = {};
+        if (project) query.project = project;
+        if (product) query.product = product;
+        if (status) query.status = status;
+
+        const plans = await CuttingPlan.find(query)
+            .select('-bars')
+            .sort('-createdAt')
+            .limit(100)
+            .populate('product', 'code description')
+            .populate('project', 'reference name')
+            .populate('createdBy', 'name');
+
+        res.json({
+            success: true,
+            count: plans.length,
+            data: plans
+        });
+    } catch (error) {
+        console.error('GetCuttingPlans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter planos de corte'
+        });
+    }
+};
+
+/**
+ * @desc    Get single cutting plan
+ * @route   GET /api/cutting-plans/:id
+ * @access  Private
+ */
+const getCuttingPlan = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id)
+            ? await CuttingPlan.findById(req.params.id)
+                .populate('product', 'code description shape dimensions')
+                .populate('project', 'reference name')
+                .populate('bars.stockItem', 'type lengthMM location batchId')
+                .populate('createdBy', 'name')
+                .populate('committedBy', 'name')
+            : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de corte não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        console.error('GetCuttingPlan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter plano de corte'
+        });
+    }
+};
+
+/**
+ * @desc    Execute the cuts of a plan and attach material to the project
+ * @route   POST /api/cutting-plans/:id/commit
+ * @access  Private
+ */
+const commitPlan = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id) ? await CuttingPlan.findById(req.params.id) : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de corte não encontrado'
+            });
+        }
+
+        if (plan.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas planos em rascunho podem ser executados'
+            });
+        }
+
+        const product = await Product.findById(plan.product);
+        // Um plano com obra não muda de obra; um plano sem obra só pode ser atribuído
+        // a uma obra cujo armazém tenha as barras escolhidas
+        const { projectId } = req.body;
+        if (plan.project && projectId && String(projectId) !== String(plan.project)) {
+            return res.status(400).json({
+                success: false,
+                message: 'O plano foi calculado para outra obra; calcule um novo plano para esta obra'
+            });
+        }
+
+        const project = await findOpenProject(plan.project || projectId);
+        if (project && !plan.project) {
+            await assertPlanInWarehouse(plan.bars, project.warehouse);
+            plan.project = project._id;
+        }
+
+        // Cortes, movimentos e estado do plano numa só transação
+        const result = await runInTransaction(async () => {
+            const committed = await commitCuttingPlan({
+                plan,
+                product,
+                project,
+                user: req.user._id
+            });
+
+            plan.status = 'committed';
+            plan.movements = committed.movements.map(m => m._id);
+            plan.committedAt = new Date();
+            plan.committedBy = req.user._id;
+            await plan.save();
+
+            return committed;
+        });
+
+        const labels = await labelsForResponse(result.offcuts);
+
+        res.json({
+            success: true,
+            message: project
+                ? `Plano executado e material associado à obra ${project.reference}`
+                : 'Plano executado com sucesso',
+            data: {
+                plan,
+                offcuts: result.offcuts,
+                consumedWeight: result.consumedWeight,
+                projectMaterial: result.projectMaterial,
+                ...labels
+            }
+        });
+    } catch (error) {
+        console.error('CommitCuttingPlan error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao executar plano de corte'
+        });
+    }
+};
+
+/**
+ * @desc    Cancel a draft cutting plan
+ * @route   DELETE /api/cutting-plans/:id
+ * @access  Private
+ */
+const cancelCuttingPlan = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id) ? await CuttingPlan.findById(req.params.id) : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de corte não encontrado'
+            });
+        }
+
+        if (plan.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas planos em rascunho podem ser cancelados'
+            });
+        }
+
+        plan.status = 'cancelled';
+        await plan.save();
+
+        res.json({
+            success: true,
+            message: 'Plano de corte cancelado'
+        });
+    } catch (error) {
+        console.error('CancelCuttingPlan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao cancelar plano de corte'
+        });
+    }
+};
+
+module.exports = {
+    createCuttingPlan,
+    getCuttingPlans,
+    getCuttingPlan,
+    commitPlan,
+    cancelCuttingPlan
+};
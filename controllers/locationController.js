@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const {
+    getWarehouseId,
+    getDescendantIds,
+    getLocationLoads,
+    estimateWeight,
+    suggestPutAway,
+    buildLocationTree
+} = require('../services/locationService');
+
+const FIELDS = ['code', 'name', 'type', 'parent', 'capacity', 'allowedShapes', 'active', 'notes'];
+
+/**
+ * Helper: Localização com a ocupação atual
+ */
+function withLoad(location, loads) {
+    const load = loads.get(location._id.toString());
+    return {
+        ...location.toObject(),
+        load: {
+            weightKg: load?.weightKg || 0,
+            items: load?.items || 0
+        }
+    };
+}
+
+/**
+ * @desc    Get locations (flat list or tree)
+ * @route   GET /api/locations
+ * @access  Private
+ */
+const getLocations = async (req, res) => {
+    try {
+        const { type, parent, active, tree } = req.query;
+
+        let query = {};
+        if (type) query.type = type;
+        if (parent) query.parent = parent;
+        if (active !== undefined) query.active = active === 'true';
+
+        const locations = await Location.find(query).sort({ code: 1 });
+        const loads = await getLocationLoads(locations.map(l => l._id));
+        const data = locations.map(l => withLoad(l, loads));
+
+        res.json({
+            success: true,
+            count: data.length,
+            data: tree === 'true' ? buildLocationTree(data) : data
+        });
+    } catch (error) {
+        console.error('GetLocations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter localizações'
+        });
+    }
+};
+
+/**
+ * @desc    Get put-away suggestions for material being received
+ * @route   GET /api/locations/put-away
+ * @access  Private
+ */
+const getPutAwaySuggestions = async (req, res) => {
+    try {
+        const { productId, lengthMM, widthMM, quantity, warehouse } = req.query;
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const dims = {
+            lengthMM: Number(lengthMM) || 0,
+            widthMM: Number(widthMM) || 0,
+            quantity: Number(quantity) || 1
+        };
+        const weightKg = await estimateWeight(product, dims);
+
+        const suggestions = await suggestPutAway({
+            product,
+            lengthMM: dims.lengthMM,
+            weightKg,
+            warehouse: mongoose.isValidObjectId(warehouse) ? warehouse : undefined
+        });
+
+        res.json({
+            success: true,
+            count: suggestions.length,
+            weightKg,
+            data: suggestions
+        });
+    } catch (error) {
+        console.error('GetPutAwaySuggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter sugestões de arrumação'
+        });
+    }
+};
+
+/**
+ * @desc    Get single location with sub-locations and stock
+ * @route   GET /api/locations/:id
+ * @access  Private
+ */
+const getLocation = async (req, res) => {
+    try {
+        const location = mongoose.isValidObjectId(req.params.id)
+            ? await Location.findById(req.params.id).populate('parent', 'code name type')
+            : null;
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Localização não encontrada'
+            });
+        }
+
+        const [children, items] = await Promise.all([
+            Location.find({ parent: location._id }).sort({ code: 1 }),
+            StockItem.find({ locationRef: { $in: await getDescendantIds(location._id) }, status: { $ne: 'consumed' } })
+                .populate('product', 'code description shape stockConfig.unit')
+                .sort({ location: 1, product: 1 })
+        ]);
+
+        const loads = await getLocationLoads([location._id, ...children.map(c => c._id)]);
+
+        res.json({
+            success: true,
+            data: {
+                ...withLoad(location, loads),
+                children: children.map(c => withLoad(c, loads)),
+                items
+            }
+        });
+    } catch (error) {
+        console.error('GetLocation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter localização'
+        });
+    }
+};
+
+/**
+ * @desc    Create location
+ * @route   POST /api/locations
+ * @access  Private (Admin/Manager)
+ */
+const createLocation = async (req, res) => {
+    try {
+        const data = {};
+        FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const location = await Location.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Localização criada com sucesso',
+            data: location
+        });
+    } catch (error) {
+        console.error('CreateLocation error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Já existe uma localização com este código'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao criar localização'
+        });
+    }
+};
+
+/**
+ * @desc    Update location (a new code is applied to its stock items)
+ * @route   PUT /api/locations/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateLocation = async (req, res) => {
+    try {
+        const location = mongoose.isValidObjectId(req.params.id) ? await Location.findById(req.params.id) : null;
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Localização não encontrada'
+            });
+        }
+
+        FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) location[field] = req.body[field];
+        });
+
+        if (location.parent && location.parent.toString() === location._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Uma localização não pode ser pai de si própria'
+            });
+        }
+
+        // Mudar de armazém com stock deixaria os itens no armazém errado
+        if (location.isModified('parent')) {
+            const warehouse = await getWarehouseId(location);
+            const stocked = await StockItem.exists({
+                locationRef: { $in: await getDescendantIds(location._id) },
+                status: { $ne: 'consumed' },
+                warehouse: { $ne: warehouse }
+            });
+            if (stocked) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A localização tem stock de outro armazém. Use uma transferência entre armazéns.'
+                });
+            }
+        }
+
+        const codeChanged = location.isModified('code');
+        await location.save();
+
+        // Os itens guardam o código para filtros e folhas de contagem
+        if (codeChanged) {
+            await StockItem.updateMany({ locationRef: location._id }, { $set: { location: location.code } });
+        }
+
+        res.json({
+            success: true,
+            message: 'Localização atualizada com sucesso',
+            data: location
+        });
+    } catch (error) {
+        console.error('UpdateLocation error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Já existe uma localização com este código'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao atualizar localização'
+        });
+    }
+};
+
+/**
+ * @desc    Delete empty location without sub-locations
+ * @route   DELETE /api/locations/:id
+ * @access  Private (Admin/Manager)
+ */
+const deleteLocation = async (req, res) => {
+    try {
+        const location = mongoose.isValidObjectId(req.params.id) ? await Location.findById(req.params.id) : null;
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Localização não encontrada'
+            });
+        }
+
+        const [children, items] = await Promise.all([
+            Location.countDocuments({ parent: location._id }),
+            StockItem.countDocuments({ locationRef: location._id, status: { $ne: 'consumed' } })
+        ]);
+
+        if (children > 0 || items > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas localizações vazias e sem sublocalizações podem ser eliminadas. Desative-a em alternativa.'
+            });
+        }
+
+        await location.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Localização eliminada'
+        });
+    } catch (error) {
+        console.error('DeleteLocation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao eliminar localização'
+        });
+    }
+};
+
+module.exports = {
+    getLocations,
+    getPutAwaySuggestions,
+    getLocation,
+    createLocation,
+    updateLocation,
+    deleteLocation
+};
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const MaterialGrade = require('../models/MaterialGrade');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const { runInTransaction } = require('../services/transactionService');
+
+// Campos que podem ser definidos/alterados via API
+const EDITABLE_FIELDS = [
+    'code',
+    'name',
+    'family',
+    'density',
+    'standard',
+    'materialNumber',
+    'equivalents',
+    'aliases',
+    'notes'
+];
+
+/**
+ * Helper: Resposta de erro para falhas de validação/duplicados
+ */
+function handleGradeError(res, error, fallbackMessage) {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'Já existe uma qualidade com este código'
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * @desc    Get material grades
+ * @route   GET /api/material-grades
+ * @access  Private
+ */
+const getMaterialGrades = async (req, res) => {
+    try {
+        const { search, family, active } = req.query;
+
+        let query = {};
+
+        if (family) query.family = family;
+
+        // Por defeito só qualidades ativas ('all' devolve todas)
+        if (active === undefined || active === 'true') {
+            query.active = true;
+        } else if (active === 'false') {
+            query.active = false;
+        }
+
+        if (search) {
+            const regex = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+            query.$or = [
+                { code: regex },
+                { name: regex },
+                { materialNumber: regex },
+                { 'equivalents.en': regex },
+                { 'equivalents.aisi': regex },
+                { 'equivalents.din': regex },
+                { aliases: regex }
+            ];
+        }
+
+        const grades = await MaterialGrade.find(query).sort({ family: 1, code: 1 });
+
+        res.json({
+            success: true,
+            count: grades.length,
+            data: grades
+        });
+    } catch (error) {
+        console.error('GetMaterialGrades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter qualidades de material'
+        });
+    }
+};
+
+/**
+ * @desc    Detect the material grade mentioned in a code/description
+ * @route   GET /api/material-grades/detect
+ * @access  Private
+ */
+const detectMaterialGrade = async (req, res) => {
+    try {
+        const { text } = req.query;
+
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                message: "Parâmetro 'text' é obrigatório"
+            });
+        }
+
+        const match = await MaterialGrade.detect(text);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nenhuma qualidade reconhecida no texto'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await MaterialGrade.findById(match._id)
+        });
+    } catch (error) {
+        console.error('DetectMaterialGrade error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao detetar qualidade de material'
+        });
+    }
+};
+
+/**
+ * @desc    Get single material grade with product count
+ * @route   GET /api/material-grades/:id
+ * @access  Private
+ */
+const getMaterialGrade = async (req, res) => {
+    try {
+        const grade = mongoose.isValidObjectId(req.params.id) ? await MaterialGrade.findById(req.params.id) : null;
+
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: 'Qualidade de material não encontrada'
+            });
+        }
+
+        const productCount = await Product.countDocuments({ grade: grade._id });
+
+        res.json({
+            success: true,
+            data: {
+                ...grade.toObject(),
+                productCount
+            }
+        });
+    } catch (error) {
+        console.error('GetMaterialGrade error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter qualidade de material'
+        });
+    }
+};
+
+/**
+ * @desc    Create material grade
+ * @route   POST /api/material-grades
+ * @access  Private (Admin/Manager)
+ */
+const createMaterialGrade = async (req, res) => {
+    try {
+        const data = {};
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const grade = await MaterialGrade.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Qualidade de material criada com sucesso',
+            data: grade
+        });
+    } catch (error) {
+        console.error('CreateMaterialGrade error:', error);
+        handleGradeError(res, error, 'Erro ao criar qualidade de material');
+    }
+};
+
+/**
+ * @desc    Update material grade (density/family changes are applied to its products)
+ * @route   PUT /api/material-grades/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateMaterialGrade = async (req, res) => {
+    try {
+        const grade = mongoose.isValidObjectId(req.params.id) ? await MaterialGrade.findById(req.params.id) : null;
+
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: 'Qualidade de material não encontrada'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) grade[field] = req.body[field];
+        });
+        if (req.body.active !== undefined) grade.active = req.body.active;
+
+        const propagate = grade.isModified('density') || grade.isModified('family');
+
+        // Qualidade, produtos e pesos do stock mudam juntos
+        const { productsUpdated, stockItemsUpdated } = await runInTransaction(async () => {
+            await grade.save();
+            if (!propagate) return { productsUpdated: 0, stockItemsUpdated: 0 };
+
+            // Produtos desta qualidade: nova densidade recalcula o peso por metro dos perfis
+            const products = await Product.find({ grade: grade._id });
+            for (const product of products) {
+                product.density = grade.density;
+                product.materialType = grade.family;
+                await product.save();
+            }
+
+            // Itens ainda em stock: o peso guardado passa a usar a nova densidade
+            const items = await StockItem.find({
+                product: { $in: products.map(p => p._id) },
+                status: { $ne: 'consumed' }
+            });
+            for (const item of items) {
+                await item.calculateWeight();
+                await item.save();
+            }
+
+            return { productsUpdated: products.length, stockItemsUpdated: items.length };
+        });
+
+        res.json({
+            success: true,
+            message: 'Qualidade de material atualizada com sucesso',
+            data: grade,
+            productsUpdated,
+            stockItemsUpdated
+        });
+    } catch (error) {
+        console.error('UpdateMaterialGrade error:', error);
+        handleGradeError(res, error, 'Erro ao atualizar qualidade de material');
+    }
+};
+
+module.exports = {
+    getMaterialGrades,
+    detectMaterialGrade,
+    getMaterialGrade,
+    createMaterialGrade,
+    updateMaterialGrade
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Movement = require('../models/Movement');
+const { httpError } = require('../utils/httpError');
+
+const TYPES = ['IN', 'OUT', 'CUT', 'ADJUST', 'TRANSFER'];
+
+/**
+ * Helper: Codificar/descodificar cursor de paginação (date + _id)
+ */
+function encodeCursor(movement) {
+    return Buffer.from(`${movement.date.toISOString()}_${movement._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [date, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+    const parsedDate = new Date(date);
+
+    if (isNaN(parsedDate.getTime()) || !mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Helper: Construir query a partir dos filtros
+ * Lança erro com status 400 para filtros inválidos
+ */
+function buildMovementQuery({ type, product, user, warehouse, projectRef, from, to }) {
+    const query = {};
+
+    if (type) {
+        const types = String(type).toUpperCase().split(',');
+        if (types.some(t => !TYPES.includes(t))) {
+            throw httpError(`Tipo inválido. Use: ${TYPES.join(', ')}`);
+        }
+        query.type = types.length === 1 ? types[0] : { $in: types };
+    }
+
+    for (const [key, value] of Object.entries({ product, user, warehouse })) {
+        if (!value) continue;
+        if (!mongoose.isValidObjectId(value)) {
+            throw httpError(`Filtro '${key}' inválido`);
+        }
+        query[key] = value;
+    }
+
+    if (projectRef) {
+        query.projectRef = String(projectRef).toUpperCase();
+    }
+
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = new Date(from);
+        if (to) {
+            // 'to' só com data inclui o dia inteiro
+            const end = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+            query.date.$lte = end;
+        }
+        if (Object.values(query.date).some(d => isNaN(d.getTime()))) {
+            throw httpError('Datas inválidas. Use o formato YYYY-MM-DD');
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Helper: Escapar valor para CSV
+ * Texto começado por =, +, - ou @ (ou tab/CR) é prefixado com ' para o Excel não o tratar como fórmula
+ */
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[";\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Helper: Esperar que o stream escoe; resolve false se o cliente desligar entretanto
+ */
+function waitForDrain(res) {
+    if (res.destroyed) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+        const onDrain = () => {
+            res.off('close', onClose);
+            resolve(true);
+        };
+        const onClose = () => {
+            res.off('drain', onDrain);
+            resolve(false);
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+/**
+ * @desc    Get movements ledger (cursor pagination)
+ * @route   GET /api/movements
+ * @access  Private (Admin/Manager)
+ */
+const getMovements = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const query = buildMovementQuery(req.query);
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor inválido'
+                });
+            }
+            query.$or = [
+                { date: { $lt: cursor.date } },
+                { date: cursor.date, _id: { $lt: cursor.id } }
+            ];
+        }
+
+        // Pedir mais um para saber se existe página seguinte
+        const movements = await Movement.find(query)
+            .sort({ date: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate('product', 'code description')
+            .populate('user', 'name');
+
+        const hasMore = movements.length > limit;
+        if (hasMore) movements.pop();
+
+        res.json({
+            success: true,
+            count: movements.length,
+            nextCursor: hasMore ? encodeCursor(movements[movements.length - 1]) : null,
+            data: movements
+        });
+    } catch (error) {
+        console.error('GetMovements error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao obter movimentos'
+        });
+    }
+};
+
+/**
+ * @desc    Get single movement
+ * @route   GET /api/movements/:id
+ * @access  Private (Admin/Manager)
+ */
+const getMovement = async (req, res) => {
+    try {
+        const movement = mongoose.isValidObjectId(req.params.id)
+            ? await Movement.findById(req.params.id)
+                .populate('product', 'code description stockConfig.unit')
+                .populate('stockItem')
+                .populate('user', 'name')
+            : null;
+
+        if (!movement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Movimento não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: movement
+        });
+    } catch (error) {
+        console.error('GetMovement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter movimento'
+        });
+    }
+};
+
+/**
+ * @desc    Export movements as CSV (same filters as the ledger)
+ * @route   GET /api/movements/export
+ * @access  Private (Admin/Manager)
+ */
+const exportMovements = async (req, res) => {
+    let query;
+    try {
+        query = buildMovementQuery(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    const fileName = `movimentos_${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // BOM para o Excel reconhecer UTF-8; separador ';' (Excel PT)
+    res.write('\uFEFF');
+    res.write([
+        'Data', 'Tipo', 'Código', 'Descrição', 'Quantidade', 'Unidade',
+        'Custo Unitário', 'Custo Total', 'Obra', 'Armazém', 'Utilizador', 'Item Stock', 'Notas'
+    ].join(';') + '\n');
+
+    const cursor = Movement.find(query)
+        .sort({ date: -1, _id: -1 })
+        .populate('product', 'code description')
+        .populate('warehouse', 'code')
+        .populate('user', 'name')
+        .cursor();
+
+    try {
+        for await (const m of cursor) {
+            // Cliente desligou a meio da exportação
+            if (res.destroyed) break;
+
+            const line = [
+                m.date,
+                m.type,
+                m.product?.code,
+                m.product?.description,
+                m.quantityDelta,
+                m.unit,
+                m.costSnapshot,
+                m.totalCost,
+                m.projectRef,
+                m.warehouse?.code,
+                m.user?.name,
+                m.stockItem,
+                m.notes
+            ].map(csvValue).join(';') + '\n';
+
+            // Respeitar backpressure do stream
+            if (!res.write(line) && !(await waitForDrain(res))) break;
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('ExportMovements error:', error);
+        // Headers já enviados: interromper a ligação para o download falhar em vez de ficar truncado
+        res.destroy(error);
+    } finally {
+        await cursor.close().catch(() => {});
+    }
+};
+
+module.exports = {
+    getMovements,
+    getMovement,
+    exportMovements
+};
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const NestingPlan = require('../models/NestingPlan');
+const Product = require('../models/Product');
+const { findOpenProject, assertPlanInWarehouse } = require('../services/cuttingPlanService');
+const { buildNestingPlan, commitNestingPlan } = require('../services/nestingService');
+const { runInTransaction } = require('../services/transactionService');
+const { labelsForResponse } = require('../services/labelService');
+
+/**
+ * @desc    Calculate and save a plate nesting plan
+ * @route   POST /api/nesting-plans
+ * @access  Private
+ */
+const createNestingPlan = async (req, res) => {
+    try {
+        const { productId, projectId, parts, kerfMM, minOffcutSideMM, notes } = req.body;
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const project = await findOpenProject(projectId);
+
+        const planData = await buildNestingPlan({
+            product,
+            parts,
+            warehouse: project ? project.warehouse : undefined,
+            kerfMM: kerfMM !== undefined ? Number(kerfMM) : undefined,
+            minOffcutSideMM: minOffcutSideMM !== undefined ? Number(minOffcutSideMM) : undefined
+        });
+
+        const plan = await NestingPlan.create({
+            ...planData,
+            product: product._id,
+            project: project ? project._id : undefined,
+            createdBy: req.user._id,
+            notes: notes || ''
+        });
+
+        res.status(201).json({
+            success: true,
+            message: planData.unplaced.length > 0
+                ? `Plano calculado. ${planData.unplaced.length} peça(s) não cabem em nenhuma chapa`
+                : 'Plano de nesting calculado com sucesso',
+            data: plan
+        });
+    } catch (error) {
+        console.error('CreateNestingPlan error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao calcular plano de nesting'
+        });
+    }
+};
+
+/**
+ * @desc    Get plate nesting plans
+ * @route   GET /api/nesting-plans
+ * @access  Private
+ */
+const getNestingPlans = async (req, res) => {
+    try {
+        const { project, product, status } = req.query;
+
+        let query = {};
+        if (project) query.project = project;
+        if (product) query.product = product;
+        if (status) query.status = status;
+
+        const plans = await NestingPlan.find(query)
+            .select('-plates')
+            .sort('-createdAt')
+            .limit(100)
+            .populate('product', 'code description')
+            .populate('project', 'reference name')
+            .populate('createdBy', 'name');
+
+        res.json({
+            success: true,
+            count: plans.length,
+            data: plans
+        });
+    } catch (error) {
+        console.error('GetNestingPlans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter planos de nesting'
+        });
+    }
+};
+
+/**
+ * @desc    Get single plate nesting plan
+ * @route   GET /api/nesting-plans/:id
+ * @access  Private
+ */
+const getNestingPlan = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id)
+            ? await NestingPlan.findById(req.params.id)
+                .populate('product', 'code description shape dimensions')
+                .populate('project', 'reference name')
+                .populate('plates.stockItem', 'type widthMM lengthMM location batchId')
+                .populate('createdBy', 'name')
+                .populate('committedBy', 'name')
+            : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de nesting não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        console.error('GetNestingPlan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter plano de nesting'
+        });
+    }
+};
+
+/**
+ * @desc    Cut the plates of a plan, save leftovers as offcuts and attach material to the project
+ * @route   POST /api/nesting-plans/:id/commit
+ * @access  Private
+ */
+const commitNesting = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id) ? await NestingPlan.findById(req.params.id) : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de nesting não encontrado'
+            });
+        }
+
+        if (plan.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas planos em rascunho podem ser executados'
+            });
+        }
+
+        const product = await Product.findById(plan.product);
+        // As chapas foram escolhidas no armazém da obra do plano. Sem obra no plano,
+        // aceita-se a obra indicada desde que as chapas estejam no armazém dela
+        const { projectId } = req.body;
+        if (plan.project && projectId && String(projectId) !== String(plan.project)) {
+            return res.status(400).json({
+                success: false,
+                message: 'O plano foi calculado para outra obra; calcule um novo plano para esta obra'
+            });
+        }
+
+        const project = await findOpenProject(plan.project || projectId);
+        if (project && !plan.project) {
+            await assertPlanInWarehouse(plan.plates, project.warehouse);
+            plan.project = project._id;
+        }
+
+        // Cortes, movimentos e estado do plano numa só transação
+        const result = await runInTransaction(async () => {
+            const committed = await commitNestingPlan({
+                plan,
+                product,
+                project,
+                user: req.user._id
+            });
+
+            plan.status = 'committed';
+            plan.movements = committed.movements.map(m => m._id);
+            plan.createdOffcuts = committed.offcuts.map(o => o._id);
+            plan.committedAt = new Date();
+            plan.committedBy = req.user._id;
+            await plan.save();
+
+            return committed;
+        });
+
+        const labels = await labelsForResponse(result.offcuts);
+
+        res.json({
+            success: true,
+            message: project
+                ? `Plano executado e material associado à obra ${project.reference}`
+                : 'Plano executado com sucesso',
+            data: {
+                plan,
+                offcuts: result.offcuts,
+                consumedWeight: result.consumedWeight,
+                projectMaterial: result.projectMaterial,
+                ...labels
+            }
+        });
+    } catch (error) {
+        console.error('CommitNestingPlan error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao executar plano de nesting'
+        });
+    }
+};
+
+/**
+ * @desc    Cancel a draft plate nesting plan
+ * @route   DELETE /api/nesting-plans/:id
+ * @access  Private
+ */
+const cancelNestingPlan = async (req, res) => {
+    try {
+        const plan = mongoose.isValidObjectId(req.params.id) ? await NestingPlan.findById(req.params.id) : null;
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Plano de nesting não encontrado'
+            });
+        }
+
+        if (plan.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas planos em rascunho podem ser cancelados'
+            });
+        }
+
+        plan.status = 'cancelled';
+        await plan.save();
+
+        res.json({
+            success: true,
+            message: 'Plano de nesting cancelado'
+        });
+    } catch (error) {
+        console.error('CancelNestingPlan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao cancelar plano de nesting'
+        });
+    }
+};
+
+module.exports = {
+    createNestingPlan,
+    getNestingPlans,
+    getNestingPlan,
+    commitNesting,
+    cancelNestingPlan
+};
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const MaterialGrade = require('../models/MaterialGrade');
+const { lookupProfile } = require('../utils/profileCatalog');
+const { httpError } = require('../utils/httpError');
+
+// Campos que podem ser definidos/alterados via API
+const EDITABLE_FIELDS = [
+    'code',
+    'description',
+    'category',
+    'materialType',
+    'grade',
+    'shape',
+    'dimensions',
+    'density',
+    'weightPerMeter',
+    'stockConfig',
+    'financial',
+    'notes'
+];
+
+/**
+ * Helper: Copiar campos editáveis do body para o produto
+ * Objetos aninhados (dimensions, stockConfig) são fundidos. De financial só o último preço é editável:
+ * o Preço Médio Ponderado é mantido pelas entradas de stock (applyPurchaseCost).
+ * Uma 'designation' do catálogo preenche forma, dimensões, peso por metro e densidade;
+ * alterar a geometria à mão desliga o produto do catálogo.
+ */
+function applyProductFields(product, body) {
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] === undefined) return;
+
+        if (field === 'financial') {
+            if (body.financial?.lastPrice !== undefined) product.financial.lastPrice = body.financial.lastPrice;
+        } else if (['dimensions', 'stockConfig'].includes(field)) {
+            const current = product[field] && product[field].toObject ? product[field].toObject() : (product[field] || {});
+            product[field] = { ...current, ...body[field] };
+        } else if (field === 'grade') {
+            product.grade = body.grade || undefined;
+        } else {
+            product[field] = body[field];
+        }
+    });
+
+    if (body.designation) {
+        const profile = lookupProfile(body.designation);
+        if (!profile) {
+            throw httpError(`Perfil não encontrado no catálogo: ${body.designation}`);
+        }
+        product.applyStandardProfile(profile);
+    } else if (body.designation !== undefined || ['shape', 'dimensions', 'density'].some(field => body[field] !== undefined)) {
+        product.designation = '';
+    }
+}
+
+/**
+ * Helper: Validar a qualidade de material indicada (null/'' remove a qualidade)
+ */
+async function assertGrade(gradeId) {
+    if (!gradeId) return;
+
+    const exists = mongoose.isValidObjectId(gradeId) && await MaterialGrade.exists({ _id: gradeId });
+    if (!exists) {
+        throw httpError('Qualidade de material não encontrada');
+    }
+}
+
+/**
+ * Helper: Resposta de erro para falhas de validação/duplicados
+ */
+function handleProductError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'Já existe um produto com este código'
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * @desc    Get all products
+ * @route   GET /api/products
+ * @access  Private
+ */
+const getProducts = async (req, res) => {
+    try {
+        const { category, materialType, grade, shape, active, search } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        let query = {};
+
+        if (category) query.category = category;
+        if (materialType) query.materialType = materialType;
+        if (grade) query.grade = grade;
+        if (shape) query.shape = shape;
+
+        // Por defeito só produtos ativos ('all' devolve todos)
+        if (active === undefined || active === 'true') {
+            query.active = true;
+        } else if (active === 'false') {
+            query.active = false;
+        }
+
+        let projection = {};
+        let sort = { code: 1 };
+
+        if (search) {
+            // Pesquisa pelo índice de texto da descrição
+            query.$text = { $search: search };
+            projection = { score: { $meta: 'textScore' } };
+            sort = { score: { $meta: 'textScore' }, code: 1 };
+        }
+
+        const [products, total] = await Promise.all([
+            Product.find(query, projection)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Product.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            count: products.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: products
+        });
+    } catch (error) {
+        console.error('GetProducts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter produtos'
+        });
+    }
+};
+
+/**
+ * @desc    Get single product with stock summary
+ * @route   GET /api/products/:id
+ * @access  Private
+ */
+const getProduct = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.id)
+            ? await Product.findById(req.params.id)
+                .populate('suppliers.supplier', 'name leadTimeDays paymentTerms')
+                .populate('grade', 'code name family density standard equivalents')
+            : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const stock = await StockItem.getTotalStock(product._id);
+
+        res.json({
+            success: true,
+            data: {
+                ...product.toObject(),
+                stock
+            }
+        });
+    } catch (error) {
+        console.error('GetProduct error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter produto'
+        });
+    }
+};
+
+/**
+ * @desc    Create new product
+ * @route   POST /api/products
+ * @access  Private (Admin/Manager)
+ */
+const createProduct = async (req, res) => {
+    try {
+        await assertGrade(req.body.grade);
+
+        const product = new Product();
+        applyProductFields(product, req.body);
+
+        const errors = Product.validateDimensions(product);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        await product.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Produto criado com sucesso',
+            data: product
+        });
+    } catch (error) {
+        console.error('CreateProduct error:', error);
+        handleProductError(res, error, 'Erro ao criar produto');
+    }
+};
+
+/**
+ * @desc    Update product
+ * @route   PUT /api/products/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateProduct = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        await assertGrade(req.body.grade);
+        applyProductFields(product, req.body);
+
+        const errors = Product.validateDimensions(product);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Produto atualizado com sucesso',
+            data: product
+        });
+    } catch (error) {
+        console.error('UpdateProduct error:', error);
+        handleProductError(res, error, 'Erro ao atualizar produto');
+    }
+};
+
+/**
+ * @desc    Deactivate product (soft-delete)
+ * @route   DELETE /api/products/:id
+ * @access  Private (Admin/Manager)
+ */
+const deactivateProduct = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        product.active = false;
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Produto desativado com sucesso',
+            data: product
+        });
+    } catch (error) {
+        console.error('DeactivateProduct error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao desativar produto'
+        });
+    }
+};
+
+/**
+ * @desc    Reactivate product
+ * @route   PUT /api/products/:id/reactivate
+ * @access  Private (Admin/Manager)
+ */
+const reactivateProduct = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        product.active = true;
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Produto reativado com sucesso',
+            data: product
+        });
+    } catch (error) {
+        console.error('ReactivateProduct error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao reativar produto'
+        });
+    }
+};
+
+module.exports = {
+    getProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    deactivateProduct,
+    reactivateProduct
+};
@@ -0,0 +1,61 @@
+const { SERIES, lookupProfile, searchProfiles } = require('../utils/profileCatalog');
+
+/**
+ * @desc    Search standard profile catalogue (autocomplete)
+ * @route   GET /api/profiles
+ * @access  Private
+ */
+const getProfiles = (req, res) => {
+    const { search, series } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+
+    if (series && !SERIES.includes(series.toUpperCase())) {
+        return res.status(400).json({
+            success: false,
+            message: `Série inválida. Use: ${SERIES.join(', ')}`
+        });
+    }
+
+    const profiles = searchProfiles({ search, series, limit });
+
+    res.json({
+        success: true,
+        count: profiles.length,
+        data: profiles
+    });
+};
+
+/**
+ * @desc    Resolve a designation ("IPE 200", "Tubo 48,3x3,2") to a catalogue profile
+ * @route   GET /api/profiles/lookup
+ * @access  Private
+ */
+const lookupDesignation = (req, res) => {
+    const { designation } = req.query;
+
+    if (!designation) {
+        return res.status(400).json({
+            success: false,
+            message: "Parâmetro 'designation' é obrigatório"
+        });
+    }
+
+    const profile = lookupProfile(designation);
+
+    if (!profile) {
+        return res.status(404).json({
+            success: false,
+            message: `Perfil não encontrado no catálogo: ${designation}`
+        });
+    }
+
+    res.json({
+        success: true,
+        data: profile
+    });
+};
+
+module.exports = {
+    getProfiles,
+    lookupDesignation
+};
@@ -1,8 +1,9 @@
 const Project = require('../models/Project');
 const ProjectMaterial = require('../models/ProjectMaterial');
-const Product = require('../models/Product');
-const StockItem = require('../models/StockItem');
-const Movement = require('../models/Movement');
+const { addProjectMaterial, returnProjectMaterial } = require('../services/projectMaterialService');
+const { releaseProjectReservations } = require('../services/reservationService');
+const { runInTransaction } = require('../services/transactionService');
+const { resolveWarehouse } = require('../services/locationService');
 
 // ============================================
 // CRUD DE OBRAS
@@ -61,7 +62,8 @@ const getProjects = async (req, res) => {
 const getProject = async (req, res) => {
     try {
         const project = await Project.findById(req.params.id)
-            .populate('createdBy', 'name');
+            .populate('createdBy', 'name')
+            .populate('warehouse', 'code name');
 
         if (!project) {
             return res.status(404).json({
@@ -124,7 +126,10 @@ const getNextReference = async (req, res) => {
  */
 const createProject = async (req, res) => {
     try {
-        const { name, client, description, startDate, endDate, budget, saleValue, notes } = req.body;
+        const { name, client, description, startDate, endDate, budget, saleValue, warehouse, notes } = req.body;
+
+        // Material is consumed from this warehouse
+        const projectWarehouse = warehouse ? await resolveWarehouse(warehouse) : null;
 
         // Generate automatic reference
         const reference = await Project.generateReference();
@@ -138,6 +143,7 @@ const createProject = async (req, res) => {
             endDate,
             budget: budget || { materials: 0, labor: 0, other: 0, total: 0 },
             saleValue: saleValue || 0,
+            warehouse: projectWarehouse ? projectWarehouse._id : undefined,
             notes,
             createdBy: req.user._id
         });
@@ -149,7 +155,7 @@ const createProject = async (req, res) => {
         });
     } catch (error) {
         console.error('CreateProject error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             message: error.message || 'Erro ao criar obra'
         });
@@ -163,7 +169,7 @@ const createProject = async (req, res) => {
  */
 const updateProject = async (req, res) => {
     try {
-        const { name, client, description, status, startDate, endDate, budget, saleValue, notes } = req.body;
+        const { name, client, description, status, startDate, endDate, budget, saleValue, warehouse, notes } = req.body;
 
         const project = await Project.findById(req.params.id);
 
@@ -189,10 +195,16 @@ const updateProject = async (req, res) => {
         if (endDate) project.endDate = endDate;
         if (budget) project.budget = { ...project.budget, ...budget };
         if (saleValue !== undefined) project.saleValue = saleValue;
+        if (warehouse !== undefined) project.warehouse = warehouse ? (await resolveWarehouse(warehouse))._id : undefined;
         if (notes !== undefined) project.notes = notes;
 
         await project.save();
 
+        // Reserved stock is no longer needed
+        if (['completed', 'cancelled'].includes(project.status)) {
+            await runInTransaction(() => releaseProjectReservations(project._id));
+        }
+
         res.json({
             success: true,
             message: 'Obra atualizada com sucesso',
@@ -200,9 +212,9 @@ const updateProject = async (req, res) => {
         });
     } catch (error) {
         console.error('UpdateProject error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Erro ao atualizar obra'
+            message: error.status ? error.message : 'Erro ao atualizar obra'
         });
     }
 };
@@ -233,7 +245,10 @@ const deleteProject = async (req, res) => {
             });
         }
 
-        await project.deleteOne();
+        await runInTransaction(async () => {
+            await releaseProjectReservations(project._id);
+            await project.deleteOne();
+        });
 
         res.json({
             success: true,
@@ -259,84 +274,19 @@ const deleteProject = async (req, res) => {
  */
 const addMaterial = async (req, res) => {
     try {
-        const { productId, quantity, unit, notes } = req.body;
-
-        const project = await Project.findById(req.params.id);
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                message: 'Obra não encontrada'
-            });
-        }
-
-        // Check if project allows adding materials
-        if (['completed', 'cancelled'].includes(project.status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Não é possível adicionar materiais a uma obra concluída ou cancelada'
-            });
-        }
+        const { productId, quantity, unit, notes, reservationId, stockItemId } = req.body;
 
-        // Get product
-        const product = await Product.findById(productId);
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                message: 'Produto não encontrado'
-            });
-        }
-
-        // Get current stock
-        const stockData = await StockItem.getTotalStock(product._id);
-        const availableStock = stockData.totalWeight || stockData.totalQuantity || 0;
-
-        // Convert quantity if needed
-        let quantityInUnit = quantity;
-
-        // Check stock availability (with 5% tolerance for rounding)
-        if (quantityInUnit > availableStock * 1.05) {
-            return res.status(400).json({
-                success: false,
-                message: `Stock insuficiente. Disponível: ${availableStock.toFixed(2)} ${product.stockConfig.unit}`,
-                availableStock
-            });
-        }
-
-        // Get unit cost (use last price or average price)
-        const unitCost = product.financial?.lastPrice || product.financial?.averagePrice || 0;
-
-        // Create movement (OUT)
-        const movement = await Movement.create({
-            type: 'OUT',
-            product: product._id,
-            user: req.user._id,
-            quantityDelta: -quantity,
-            unit: unit || product.stockConfig.unit,
-            projectRef: project.reference,
-            date: new Date(),
-            costSnapshot: unitCost,
-            notes: `Material para obra ${project.reference}`
-        });
-
-        // Decrement stock (find suitable stock item)
-        await decrementStock(product._id, quantity);
-
-        // Create ProjectMaterial record
-        const projectMaterial = await ProjectMaterial.create({
-            project: project._id,
-            product: product._id,
+        // Stock check and all writes in one transaction
+        const projectMaterial = await runInTransaction(() => addProjectMaterial({
+            projectId: req.params.id,
+            productId,
             quantity,
-            unit: unit || product.stockConfig.unit,
-            unitCost,
-            addedBy: req.user._id,
-            movement: movement._id,
-            notes
-        });
-
-        // Update project material costs
-        const materialTotals = await ProjectMaterial.getProjectTotals(project._id);
-        project.costs.materials = materialTotals.totalCost;
-        await project.save();
+            unit,
+            reservationId,
+            stockItemId,
+            notes,
+            user: req.user._id
+        }));
 
         // Populate for response
         await projectMaterial.populate('product', 'code description');
@@ -348,53 +298,15 @@ const addMaterial = async (req, res) => {
         });
     } catch (error) {
         console.error('AddMaterial error:', error);
-        res.status(500).json({
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
             success: false,
-            message: error.message || 'Erro ao adicionar material'
+            message: status < 500 ? error.message : 'Erro ao adicionar material',
+            availableStock: error.availableStock
         });
     }
 };
 
-/**
- * Helper: Decrement stock from available items
- */
-async function decrementStock(productId, quantity) {
-    // Get available stock items, prioritizing offcuts first
-    const stockItems = await StockItem.find({
-        product: productId,
-        status: 'available',
-        quantity: { $gt: 0 }
-    }).sort({ type: -1, calculatedWeight: 1 }); // OFFCUT first, then by weight
-
-    let remaining = quantity;
-
-    for (const item of stockItems) {
-        if (remaining <= 0) break;
-
-        const itemStock = item.calculatedWeight || item.quantity;
-        const toDeduct = Math.min(remaining, itemStock);
-
-        if (item.calculatedWeight) {
-            // Weight-based item
-            const ratio = toDeduct / item.calculatedWeight;
-            item.quantity = Math.max(0, item.quantity - (item.quantity * ratio));
-            item.calculatedWeight = Math.max(0, item.calculatedWeight - toDeduct);
-        } else {
-            // Unit-based item
-            item.quantity = Math.max(0, item.quantity - toDeduct);
-        }
-
-        if (item.quantity <= 0) {
-            item.status = 'consumed';
-        }
-
-        await item.save();
-        remaining -= toDeduct;
-    }
-
-    return remaining <= 0;
-}
-
 /**
  * @desc    Remove material from project
  * @route   DELETE /api/projects/:id/materials/:materialId
@@ -402,54 +314,12 @@ async function decrementStock(productId, quantity) {
  */
 const removeMaterial = async (req, res) => {
     try {
-        const { id, materialId } = req.params;
-
-        const project = await Project.findById(id);
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                message: 'Obra não encontrada'
-            });
-        }
-
-        // Check if project allows removing materials
-        if (project.status === 'completed') {
-            return res.status(400).json({
-                success: false,
-                message: 'Não é possível remover materiais de uma obra concluída'
-            });
-        }
-
-        const projectMaterial = await ProjectMaterial.findById(materialId);
-        if (!projectMaterial || projectMaterial.project.toString() !== id) {
-            return res.status(404).json({
-                success: false,
-                message: 'Material não encontrado nesta obra'
-            });
-        }
-
-        // Create reversal movement (IN)
-        await Movement.create({
-            type: 'IN',
-            product: projectMaterial.product,
-            user: req.user._id,
-            quantityDelta: projectMaterial.quantity,
-            unit: projectMaterial.unit,
-            date: new Date(),
-            costSnapshot: projectMaterial.unitCost,
-            notes: `Devolução de material da obra ${project.reference}`
-        });
-
-        // Restore stock
-        await restoreStock(projectMaterial.product, projectMaterial.quantity);
-
-        // Delete the project material
-        await projectMaterial.deleteOne();
-
-        // Update project costs
-        const materialTotals = await ProjectMaterial.getProjectTotals(project._id);
-        project.costs.materials = materialTotals.totalCost;
-        await project.save();
+        // Everything still on the project goes back to the stock items it came from
+        await runInTransaction(() => returnProjectMaterial({
+            projectId: req.params.id,
+            materialId: req.params.materialId,
+            user: req.user._id
+        }));
 
         res.json({
             success: true,
@@ -457,40 +327,45 @@ const removeMaterial = async (req, res) => {
         });
     } catch (error) {
         console.error('RemoveMaterial error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Erro ao remover material'
+            message: error.status ? error.message : 'Erro ao remover material'
         });
     }
 };
 
 /**
- * Helper: Restore stock
+ * @desc    Return part (or all) of a project material to stock
+ * @route   POST /api/projects/:id/materials/:materialId/return
+ * @access  Private
  */
-async function restoreStock(productId, quantity) {
-    // Create or update a stock item
-    let stockItem = await StockItem.findOne({
-        product: productId,
-        status: 'available',
-        type: 'FULL_BAR'  // Add back as full bar
-    });
-
-    if (stockItem) {
-        stockItem.quantity += 1;
-        await stockItem.calculateWeight();
-        await stockItem.save();
-    } else {
-        // Create new stock item
-        stockItem = await StockItem.create({
-            product: productId,
-            type: 'FULL_BAR',
-            quantity: 1,
-            status: 'available'
+const returnMaterial = async (req, res) => {
+    try {
+        const { quantity, unit } = req.body;
+
+        const result = await runInTransaction(() => returnProjectMaterial({
+            projectId: req.params.id,
+            materialId: req.params.materialId,
+            quantity,
+            unit,
+            user: req.user._id
+        }));
+
+        res.json({
+            success: true,
+            message: result.removed
+                ? 'Material devolvido na totalidade'
+                : `Devolvido ${result.returnedQuantity} ${result.projectMaterial.unit} ao stock`,
+            data: result
+        });
+    } catch (error) {
+        console.error('ReturnMaterial error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao devolver material'
         });
     }
-
-    return stockItem;
-}
+};
 
 // ============================================
 // MÃO DE OBRA
@@ -630,6 +505,7 @@ module.exports = {
     deleteProject,
     addMaterial,
     removeMaterial,
+    returnMaterial,
     addLabor,
     removeLabor,
     getProjectStats
@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const { getStockUnit } = require('../utils/unitConverter');
+const { createOrdersFromShoppingList, receivePurchaseOrder } = require('../services/purchaseOrderService');
+const { runInTransaction } = require('../services/transactionService');
+const { labelsForResponse } = require('../services/labelService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Helper: Validar e completar linhas enviadas pelo cliente
+ * Preço por defeito: último preço do produto, senão o preço do fornecedor
+ */
+async function buildLines(lines, supplierId) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw httpError('A encomenda deve ter pelo menos uma linha');
+    }
+
+    const built = [];
+    for (const line of lines) {
+        const product = mongoose.isValidObjectId(line.product) ? await Product.findById(line.product) : null;
+        if (!product) {
+            throw httpError(`Produto não encontrado: ${line.product}`);
+        }
+
+        const link = product.suppliers.find(s => s.supplier.toString() === supplierId.toString());
+
+        built.push({
+            product: product._id,
+            description: line.description || product.description,
+            supplierCode: line.supplierCode !== undefined ? line.supplierCode : (link ? link.supplierCode : ''),
+            quantity: line.quantity,
+            unit: line.unit || getStockUnit(product),
+            unitPrice: line.unitPrice !== undefined
+                ? line.unitPrice
+                : (product.financial.lastPrice || (link ? link.price : 0) || product.financial.averagePrice || 0)
+        });
+    }
+
+    return built;
+}
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/purchase-orders
+ * @access  Private (Admin/Manager)
+ */
+const getPurchaseOrders = async (req, res) => {
+    try {
+        const { status, supplier, year } = req.query;
+
+        let query = {};
+
+        if (status) query.status = status;
+        if (supplier) query.supplier = supplier;
+        if (year) query.reference = { $regex: `^ENC-${year}-` };
+
+        const orders = await PurchaseOrder.find(query)
+            .sort('-createdAt')
+            .populate('supplier', 'name')
+            .populate('createdBy', 'name');
+
+        res.json({
+            success: true,
+            count: orders.length,
+            data: orders
+        });
+    } catch (error) {
+        console.error('GetPurchaseOrders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter encomendas'
+        });
+    }
+};
+
+/**
+ * @desc    Get single purchase order
+ * @route   GET /api/purchase-orders/:id
+ * @access  Private (Admin/Manager)
+ */
+const getPurchaseOrder = async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.params.id)
+            ? await PurchaseOrder.findById(req.params.id)
+                .populate('supplier', 'name vatNumber email phone paymentTerms leadTimeDays')
+                .populate('lines.product', 'code description stockConfig.unit')
+                .populate('createdBy', 'name')
+            : null;
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('GetPurchaseOrder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter encomenda'
+        });
+    }
+};
+
+/**
+ * @desc    Create purchase order manually
+ * @route   POST /api/purchase-orders
+ * @access  Private (Admin/Manager)
+ */
+const createPurchaseOrder = async (req, res) => {
+    try {
+        const { supplierId, lines, expectedDate, notes } = req.body;
+
+        const supplier = mongoose.isValidObjectId(supplierId) ? await Supplier.findById(supplierId) : null;
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não encontrado'
+            });
+        }
+
+        const order = await PurchaseOrder.create({
+            reference: await PurchaseOrder.generateReference(),
+            supplier: supplier._id,
+            lines: await buildLines(lines, supplier._id),
+            expectedDate: expectedDate || (supplier.leadTimeDays > 0
+                ? new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000)
+                : undefined),
+            notes,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Encomenda criada com sucesso',
+            data: order
+        });
+    } catch (error) {
+        console.error('CreatePurchaseOrder error:', error);
+        res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+            success: false,
+            message: error.status || error.name === 'ValidationError' ? error.message : 'Erro ao criar encomenda'
+        });
+    }
+};
+
+/**
+ * @desc    Create draft purchase orders from the shopping list (one per supplier)
+ * @route   POST /api/purchase-orders/from-shopping-list
+ * @access  Private (Admin/Manager)
+ */
+const createFromShoppingList = async (req, res) => {
+    try {
+        const { supplierIds, productIds } = req.body;
+
+        const { orders, skipped } = await createOrdersFromShoppingList({
+            supplierIds,
+            productIds,
+            user: req.user._id
+        });
+
+        res.status(orders.length > 0 ? 201 : 200).json({
+            success: true,
+            message: orders.length > 0
+                ? `${orders.length} encomenda(s) criada(s) em rascunho`
+                : 'Nenhuma encomenda a criar',
+            data: {
+                orders,
+                skipped
+            }
+        });
+    } catch (error) {
+        console.error('CreateFromShoppingList error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao gerar encomendas a partir da lista de compras'
+        });
+    }
+};
+
+/**
+ * @desc    Update draft purchase order
+ * @route   PUT /api/purchase-orders/:id
+ * @access  Private (Admin/Manager)
+ */
+const updatePurchaseOrder = async (req, res) => {
+    try {
+        const { lines, expectedDate, notes } = req.body;
+
+        const order = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        if (order.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas encomendas em rascunho podem ser alteradas'
+            });
+        }
+
+        if (lines) order.lines = await buildLines(lines, order.supplier);
+        if (expectedDate !== undefined) order.expectedDate = expectedDate;
+        if (notes !== undefined) order.notes = notes;
+
+        await order.save();
+
+        res.json({
+            success: true,
+            message: 'Encomenda atualizada com sucesso',
+            data: order
+        });
+    } catch (error) {
+        console.error('UpdatePurchaseOrder error:', error);
+        res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+            success: false,
+            message: error.status || error.name === 'ValidationError' ? error.message : 'Erro ao atualizar encomenda'
+        });
+    }
+};
+
+/**
+ * @desc    Send or cancel purchase order
+ * @route   PUT /api/purchase-orders/:id/status
+ * @access  Private (Admin/Manager)
+ */
+const updatePurchaseOrderStatus = async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        // Estados de receção são definidos pelas receções de material
+        if (!['sent', 'cancelled'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "Estado inválido. Use: sent, cancelled"
+            });
+        }
+
+        const order = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        if (!order.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Não é possível passar de '${order.status}' para '${status}'`
+            });
+        }
+
+        order.status = status;
+        if (status === 'sent') {
+            order.sentAt = new Date();
+            order.orderDate = new Date();
+        }
+        if (status === 'cancelled') order.cancelledAt = new Date();
+
+        await order.save();
+
+        res.json({
+            success: true,
+            message: status === 'sent' ? 'Encomenda marcada como enviada' : 'Encomenda cancelada',
+            data: order
+        });
+    } catch (error) {
+        console.error('UpdatePurchaseOrderStatus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao atualizar estado da encomenda'
+        });
+    }
+};
+
+/**
+ * @desc    Receive material against purchase order lines (full or partial;
+ *          more than ordered only with allowOverReceipt)
+ * @route   POST /api/purchase-orders/:id/receive
+ * @access  Private (Admin/Manager)
+ */
+const receivePurchaseOrderLines = async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Encomenda não encontrada'
+            });
+        }
+
+        const result = await runInTransaction(() => receivePurchaseOrder({
+            order,
+            receipts: req.body.receipts,
+            allowOverReceipt: req.body.allowOverReceipt === true,
+            user: req.user._id
+        }));
+
+        const labels = await labelsForResponse(result.stockItems);
+
+        res.status(201).json({
+            success: true,
+            message: result.order.status === 'received'
+                ? 'Encomenda recebida na totalidade'
+                : 'Receção parcial registada',
+            data: {
+                ...result,
+                ...labels
+            }
+        });
+    } catch (error) {
+        console.error('ReceivePurchaseOrder error:', error);
+        res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+            success: false,
+            message: error.status || error.name === 'ValidationError' ? error.message : 'Erro ao receber encomenda'
+        });
+    }
+};
+
+module.exports = {
+    getPurchaseOrders,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    createFromShoppingList,
+    updatePurchaseOrder,
+    updatePurchaseOrderStatus,
+    receivePurchaseOrderLines
+};
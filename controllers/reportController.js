@@ -1,7 +1,33 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const StockItem = require('../models/StockItem');
 const User = require('../models/User');
 const Movement = require('../models/Movement');
+const Reservation = require('../models/Reservation');
+const Project = require('../models/Project');
+const { getShoppingListItems } = require('../services/shoppingListService');
+const { getHeatTraceability, getProjectTraceability } = require('../services/batchService');
+const { getScrapRates } = require('../services/scrapService');
+const { getAgedOffcuts } = require('../services/offcutService');
+const { getAvailableQuantity } = require('../services/stockService');
+const { resolveCostingMethod, getInventoryValue, getInventoryValueAt } = require('../services/costingService');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+
+/**
+ * Helper: Warehouse filter from ?warehouse= (null = all warehouses)
+ */
+function getWarehouseFilter(query) {
+    return mongoose.isValidObjectId(query.warehouse) ? new mongoose.Types.ObjectId(String(query.warehouse)) : null;
+}
+
+/**
+ * Helper: Aggregation condition for the stock items of a product ($$item)
+ */
+function stockItemCondition(status, warehouse) {
+    const conditions = [{ $eq: ['$$item.status', status] }];
+    if (warehouse) conditions.push({ $eq: ['$$item.warehouse', warehouse] });
+    return { $and: conditions };
+}
 
 /**
  * @desc    Get shopping list (Low stock items)
@@ -10,99 +36,8 @@ const Movement = require('../models/Movement');
  */
 exports.getShoppingList = async (req, res) => {
     try {
-        // 1. Aggregate to find products with their Calculated Total Stock
-        const productsWithStock = await Product.aggregate([
-            {
-                $lookup: {
-                    from: 'stockitems',
-                    localField: '_id',
-                    foreignField: 'product',
-                    as: 'stockItems'
-                }
-            },
-            {
-                $addFields: {
-                    // Filter only available items
-                    stockItems: {
-                        $filter: {
-                            input: '$stockItems',
-                            as: 'item',
-                            cond: {
-                                $and: [
-                                    { $ne: ['$$item.status', 'consumed'] },
-                                    { $ne: ['$$item.status', 'reserved'] }
-                                ]
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                $addFields: {
-                    // Calculate Total Weight (kg) or Quantity depending on unit using reduce
-                    // This is an approximation. Ideally we use the 'unit' to decide what to sum.
-                    currentStock: {
-                        $reduce: {
-                            input: '$stockItems',
-                            initialValue: 0,
-                            in: {
-                                $cond: [
-                                    // If unit is 'm', sum lengths (in meters? StockItem uses mm)
-                                    // If unit is 'kg', sum calculatedWeight
-                                    // If unit is 'un', sum quantity
-                                    { $eq: ['$stockConfig.unit', 'm'] },
-                                    { $add: ['$$value', { $divide: ['$$this.lengthMM', 1000] }] },
-                                    {
-                                        $cond: [
-                                            { $eq: ['$stockConfig.unit', 'kg'] },
-                                            { $add: ['$$value', '$$this.calculatedWeight'] },
-                                            { $add: ['$$value', '$$this.quantity'] } // 'un' or other
-                                        ]
-                                    }
-                                ]
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                $lookup: {
-                    from: 'suppliers', // Assuming 'suppliers' collection exists
-                    localField: 'suppliers',
-                    foreignField: '_id',
-                    as: 'supplierDetails'
-                }
-            },
-            {
-                // Filter for Critical or Warning Only
-                $match: {
-                    $expr: {
-                        $lte: ['$currentStock', '$stockConfig.safetyStock'] // Catch both Red and Yellow
-                    }
-                }
-            },
-            {
-                $project: {
-                    _id: 1,
-                    code: 1,
-                    description: 1,
-                    currentStock: 1,
-                    'stockConfig.minStock': 1,
-                    'stockConfig.safetyStock': 1,
-                    'stockConfig.unit': 1,
-                    'financial.lastPrice': 1,
-                    'financial.averagePrice': 1,
-                    supplier: { $arrayElemAt: ['$supplierDetails', 0] }, // Primary Supplier
-                    status: {
-                        $cond: {
-                            if: { $lte: ['$currentStock', '$stockConfig.minStock'] },
-                            then: 'CRITICAL',
-                            else: 'WARNING'
-                        }
-                    }
-                }
-            }
-        ]);
+        // 1. Products at or below safety stock, with their primary supplier
+        const productsWithStock = await getShoppingListItems({ warehouse: getWarehouseFilter(req.query) });
 
         // 2. Group by Supplier in JS (easier than Mongo grouping for nested arrays sometimes)
         const groupedBySupplier = productsWithStock.reduce((acc, item) => {
@@ -129,81 +64,50 @@ exports.getShoppingList = async (req, res) => {
 
 /**
  * @desc    Get Inventory Valuation (Excel export data)
+ *          ?method=avco|fifo (default: company costing method)
+ *          ?date= recomputes the value at that date from the movement history
  * @route   GET /api/reports/valuation
  * @access  Private (Admin)
  */
 exports.getInventoryValuation = async (req, res) => {
     try {
-        const inventory = await Product.aggregate([
-            {
-                $lookup: {
-                    from: 'stockitems',
-                    localField: '_id',
-                    foreignField: 'product',
-                    as: 'stockItems'
-                }
-            },
-            {
-                $addFields: {
-                    // Only active/available items
-                    stockItems: {
-                        $filter: {
-                            input: '$stockItems',
-                            as: 'item',
-                            cond: { $eq: ['$$item.status', 'available'] }
-                        }
-                    }
-                }
-            },
-            {
-                $addFields: {
-                    totalWeight: { $sum: '$stockItems.calculatedWeight' },
-                    totalQuantity: { $sum: '$stockItems.quantity' },
-                    activeStockItemsCount: { $size: '$stockItems' }
-                }
-            },
-            {
-                $match: {
-                    activeStockItemsCount: { $gt: 0 } // Only list items with physical stock
-                }
-            },
-            {
-                $addFields: {
-                    valuation: {
-                        $multiply: ['$totalWeight', '$financial.averagePrice']
-                        // Assuming valuation by Weight * AvgPrice (common in metal). 
-                        // For tools (un), it should be Quantity * AvgPrice.
-                    }
-                }
-            },
-            {
-                $project: {
-                    code: 1,
-                    description: 1,
-                    totalWeight: 1,
-                    totalQuantity: 1,
-                    'financial.averagePrice': 1,
-                    valuation: {
-                        $cond: {
-                            if: { $eq: ['$stockConfig.unit', 'un'] },
-                            then: { $multiply: ['$totalQuantity', '$financial.averagePrice'] },
-                            else: { $multiply: ['$totalWeight', '$financial.averagePrice'] }
-                        }
-                    }
-                }
+        const warehouse = getWarehouseFilter(req.query);
+        const method = resolveCostingMethod(req.query.method);
+
+        // Historical valuation: replay movements up to the end of the given day
+        if (req.query.date) {
+            const date = new Date(req.query.date);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ success: false, message: 'Data inválida' });
             }
-        ]);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) date.setUTCHours(23, 59, 59, 999);
 
-        const totalValue = inventory.reduce((sum, item) => sum + item.valuation, 0);
+            const valuation = await getInventoryValueAt({ date, method, warehouse });
+
+            return res.status(200).json({
+                success: true,
+                date: valuation.date,
+                method: valuation.method,
+                totalValue: valuation.totalValue,
+                data: valuation.items
+            });
+        }
+
+        // Current valuation: every item still in stock (available, reserved or in transit)
+        const valuation = await getInventoryValue({ method, warehouse });
 
         res.status(200).json({
             success: true,
-            totalValue,
-            data: inventory
+            method: valuation.method,
+            totalValue: valuation.totalValue,
+            data: valuation.items
         });
 
     } catch (error) {
         console.error('Valuation Error:', error);
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         res.status(500).json({ success: false, error: 'Erro ao gerar valorização de stock' });
     }
 };
@@ -216,13 +120,15 @@ exports.getInventoryValuation = async (req, res) => {
 exports.getProjectCost = async (req, res) => {
     try {
         const { projectRef } = req.params;
+        const warehouse = getWarehouseFilter(req.query);
 
         // 1. Find all movements for this project
         const movements = await Movement.aggregate([
             {
                 $match: {
                     projectRef: { $regex: new RegExp(projectRef, 'i') }, // Case insensitive search
-                    type: { $in: ['OUT', 'CUT'] } // Only Outgoing items count as cost
+                    type: { $in: ['OUT', 'CUT'] }, // Only Outgoing items count as cost
+                    ...(warehouse ? { warehouse } : {})
                 }
             },
             {
@@ -313,8 +219,29 @@ exports.checkStockAlerts = async (req, res) => {
 exports.getProductsWithStock = async (req, res) => {
     try {
         const { search } = req.query;
+        const warehouse = getWarehouseFilter(req.query);
+
+        // Quantity reservations are not tied to items: products whose available stock
+        // is all reserved are left out before the limit
+        const reserved = await Reservation.getReservedQuantities(undefined, warehouse);
+        const reservedProducts = await Product.find({ _id: { $in: [...reserved.keys()] } });
+        const fullyReserved = [];
+        for (const product of reservedProducts) {
+            if (await getAvailableQuantity(product, undefined, warehouse) <= 0) fullyReserved.push(product._id);
+        }
 
-        const productsWithStock = await Product.aggregate([
+        const products = await Product.aggregate([
+            {
+                $match: {
+                    active: true,
+                    ...(search ? {
+                        $or: [
+                            { code: { $regex: search, $options: 'i' } },
+                            { description: { $regex: search, $options: 'i' } }
+                        ]
+                    } : {})
+                }
+            },
             {
                 $lookup: {
                     from: 'stockitems',
@@ -329,57 +256,42 @@ exports.getProductsWithStock = async (req, res) => {
                         $filter: {
                             input: '$stockItems',
                             as: 'item',
-                            cond: { $eq: ['$$item.status', 'available'] }
+                            cond: stockItemCondition('available', warehouse)
                         }
                     }
                 }
             },
-            {
-                $addFields: {
-                    currentStock: {
-                        $reduce: {
-                            input: '$stockItems',
-                            initialValue: 0,
-                            in: {
-                                $cond: [
-                                    { $eq: ['$stockConfig.unit', 'kg'] },
-                                    { $add: ['$$value', '$$this.calculatedWeight'] },
-                                    { $add: ['$$value', '$$this.quantity'] }
-                                ]
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                $match: search ? {
-                    $or: [
-                        { code: { $regex: search, $options: 'i' } },
-                        { description: { $regex: search, $options: 'i' } }
-                    ]
-                } : {}
-            },
-            {
-                $match: {
-                    currentStock: { $gt: 0 },
-                    active: true
-                }
-            },
+            { $match: { 'stockItems.0': { $exists: true }, _id: { $nin: fullyReserved } } },
             {
                 $project: {
                     _id: 1,
                     code: 1,
                     description: 1,
+                    category: 1,
+                    shape: 1,
+                    dimensions: 1,
+                    density: 1,
                     materialType: 1,
-                    currentStock: 1,
+                    weightPerMeter: 1,
                     stockConfig: 1,
-                    financial: 1
+                    financial: 1,
+                    'stockItems.quantity': 1,
+                    'stockItems.lengthMM': 1,
+                    'stockItems.calculatedWeight': 1
                 }
             },
             { $sort: { code: 1 } },
             { $limit: 50 }
         ]);
 
+        // Current stock in each product's stock unit, net of quantity reservations
+        const productsWithStock = products.map(({ stockItems, ...product }) => {
+            const unit = getStockUnit(product);
+            const itemStock = stockItems.reduce((sum, item) => sum + getItemQuantityIn(item, unit, product), 0);
+            const currentStock = itemStock - (reserved.get(product._id.toString()) || 0);
+            return { ...product, currentStock: Math.round(currentStock * 100) / 100 };
+        });
+
         res.status(200).json({
             success: true,
             count: productsWithStock.length,
@@ -390,3 +302,102 @@ exports.getProductsWithStock = async (req, res) => {
         res.status(500).json({ success: false, error: 'Erro ao obter produtos' });
     }
 };
+
+/**
+ * @desc    Traceability by heat: projects that used material from the heat
+ * @route   GET /api/reports/traceability/heat/:heatNumber
+ * @access  Private
+ */
+exports.getHeatTraceability = async (req, res) => {
+    try {
+        const report = await getHeatTraceability(req.params.heatNumber, getWarehouseFilter(req.query));
+
+        if (report.batches.length === 0 && report.projects.length === 0 && report.stock.length === 0) {
+            return res.status(404).json({ success: false, message: 'Corrida não encontrada.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            heatNumber: report.heatNumber,
+            projectsCount: report.projects.length,
+            data: report
+        });
+    } catch (error) {
+        console.error('Heat Traceability Error:', error);
+        res.status(500).json({ success: false, message: 'Erro ao gerar rastreabilidade da corrida' });
+    }
+};
+
+/**
+ * @desc    Traceability by project: heats that went into the project
+ * @route   GET /api/reports/traceability/project/:projectRef
+ * @access  Private
+ */
+exports.getProjectTraceability = async (req, res) => {
+    try {
+        const project = await Project.findOne({ reference: String(req.params.projectRef).toUpperCase() })
+            .select('reference name client status');
+
+        if (!project) {
+            return res.status(404).json({ success: false, message: 'Obra não encontrada.' });
+        }
+
+        const report = await getProjectTraceability(project, getWarehouseFilter(req.query));
+
+        res.status(200).json({
+            success: true,
+            project,
+            heatsCount: report.heats.length,
+            data: report
+        });
+    } catch (error) {
+        console.error('Project Traceability Error:', error);
+        res.status(500).json({ success: false, message: 'Erro ao gerar rastreabilidade da obra' });
+    }
+};
+
+/**
+ * @desc    Scrap rate (scrap kg / cut kg) per product and per project
+ * @route   GET /api/reports/scrap-rate
+ * @access  Private (Admin/Manager)
+ */
+exports.getScrapRate = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const report = await getScrapRates({ from, to, warehouse: getWarehouseFilter(req.query) });
+
+        res.status(200).json({
+            success: true,
+            period: { from: from || null, to: to || null },
+            data: report,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Scrap Rate Report Error:', error);
+        res.status(500).json({ success: false, message: 'Erro ao gerar relatório de sucata' });
+    }
+};
+
+/**
+ * @desc    Offcuts unused for more than N months (candidates to scrap or sell)
+ * @route   GET /api/reports/aged-offcuts
+ * @access  Private (Admin/Manager)
+ */
+exports.getAgedOffcuts = async (req, res) => {
+    try {
+        const months = Math.max(parseInt(req.query.months, 10) || 6, 1);
+        const report = await getAgedOffcuts({ months, warehouse: getWarehouseFilter(req.query) });
+
+        res.status(200).json({
+            success: true,
+            months,
+            cutoff: report.cutoff,
+            count: report.items.length,
+            totals: report.byMaterial,
+            data: report.items
+        });
+    } catch (error) {
+        console.error('Aged Offcuts Report Error:', error);
+        res.status(500).json({ success: false, message: 'Erro ao gerar relatório de retalhos parados' });
+    }
+};
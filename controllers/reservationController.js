@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+const { createReservation, closeReservation, releaseExpiredReservations } = require('../services/reservationService');
+const { runInTransaction } = require('../services/transactionService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * @desc    Get project reservations
+ * @route   GET /api/projects/:id/reservations
+ * @access  Private
+ */
+const getProjectReservations = async (req, res) => {
+    try {
+        const query = { project: req.params.id };
+        if (req.query.status !== 'all') {
+            query.status = req.query.status || 'active';
+        }
+
+        const reservations = await Reservation.find(query)
+            .sort({ createdAt: -1 })
+            .populate('product', 'code description stockConfig.unit')
+            .populate('stockItems', 'type lengthMM widthMM quantity location batchId heatNumber status')
+            .populate('createdBy', 'name');
+
+        res.json({
+            success: true,
+            count: reservations.length,
+            data: reservations
+        });
+    } catch (error) {
+        console.error('GetProjectReservations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter reservas'
+        });
+    }
+};
+
+/**
+ * @desc    Reserve stock items or a product quantity for a project
+ * @route   POST /api/projects/:id/reservations
+ * @access  Private
+ */
+const createProjectReservation = async (req, res) => {
+    try {
+        const { productId, stockItemIds, quantity, unit, expiresAt, notes } = req.body;
+
+        const project = mongoose.isValidObjectId(req.params.id) ? await Project.findById(req.params.id) : null;
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Obra não encontrada'
+            });
+        }
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const reservation = await runInTransaction(() => createReservation({
+            project,
+            product,
+            stockItemIds,
+            quantity,
+            unit,
+            expiresAt,
+            user: req.user._id,
+            notes
+        }));
+
+        await reservation.populate('product', 'code description stockConfig.unit');
+
+        res.status(201).json({
+            success: true,
+            message: 'Reserva criada com sucesso',
+            data: reservation
+        });
+    } catch (error) {
+        console.error('CreateProjectReservation error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao criar reserva'
+        });
+    }
+};
+
+/**
+ * @desc    Release a project reservation
+ * @route   DELETE /api/projects/:id/reservations/:reservationId
+ * @access  Private
+ */
+const releaseProjectReservation = async (req, res) => {
+    try {
+        const { id, reservationId } = req.params;
+
+        const reservation = await runInTransaction(async () => {
+            const found = mongoose.isValidObjectId(reservationId) ? await Reservation.findById(reservationId) : null;
+            if (!found || found.project.toString() !== id) {
+                throw httpError('Reserva não encontrada nesta obra', 404);
+            }
+            return closeReservation(found, 'released');
+        });
+
+        res.json({
+            success: true,
+            message: 'Reserva libertada com sucesso',
+            data: reservation
+        });
+    } catch (error) {
+        console.error('ReleaseProjectReservation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao libertar reserva'
+        });
+    }
+};
+
+/**
+ * @desc    Release all expired reservations (for a scheduled job)
+ * @route   POST /api/projects/reservations/release-expired
+ * @route   GET /api/cron/release-expired-reservations
+ * @access  Private (Admin/Manager) / Cron (CRON_SECRET)
+ */
+const releaseExpired = async (req, res) => {
+    try {
+        const released = await releaseExpiredReservations();
+
+        res.json({
+            success: true,
+            message: `${released} reserva(s) expirada(s) libertada(s)`,
+            released
+        });
+    } catch (error) {
+        console.error('ReleaseExpired error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao libertar reservas expiradas'
+        });
+    }
+};
+
+module.exports = {
+    getProjectReservations,
+    createProjectReservation,
+    releaseProjectReservation,
+    releaseExpired
+};
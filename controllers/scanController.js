@@ -0,0 +1,72 @@
+const { resolveScan, resolveConsumption } = require('../services/scanService');
+const { addProjectMaterial } = require('../services/projectMaterialService');
+const { runInTransaction } = require('../services/transactionService');
+
+/**
+ * @desc    Resolve a scanned code (stock item QR, product code, project reference or location code)
+ *          and return the entity plus the actions allowed for the user's role
+ * @route   GET /api/scan?code=  |  POST /api/scan { code }
+ * @access  Private
+ */
+const scan = async (req, res) => {
+    try {
+        const result = await resolveScan(req.body?.code ?? req.query.code, req.user);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Scan error:', error);
+        const status = error.status || 500;
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao ler código'
+        });
+    }
+};
+
+/**
+ * @desc    Book consumption of a scanned stock item on a scanned project
+ *          (whole item unless quantity is given; uses the project's reservation of the item)
+ * @route   POST /api/scan/consume { item, project, quantity?, unit?, notes? }
+ * @access  Private
+ */
+const consume = async (req, res) => {
+    try {
+        const { item, project, quantity, unit, notes } = req.body;
+
+        const scanned = await resolveConsumption(item, project, req.user);
+
+        const projectMaterial = await runInTransaction(() => addProjectMaterial({
+            projectId: scanned.project._id,
+            stockItemId: scanned.stockItem._id,
+            reservationId: scanned.reservation?._id,
+            quantity: quantity === undefined ? scanned.stockQuantity : quantity,
+            unit: quantity === undefined ? scanned.stockUnit : unit,
+            notes,
+            user: req.user._id
+        }));
+
+        await projectMaterial.populate('product', 'code description');
+
+        res.status(201).json({
+            success: true,
+            message: `${projectMaterial.quantity} ${projectMaterial.unit} de ${projectMaterial.product.code} consumidos na obra ${scanned.project.reference}`,
+            data: projectMaterial
+        });
+    } catch (error) {
+        console.error('ScanConsume error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao registar consumo',
+            availableStock: error.availableStock
+        });
+    }
+};
+
+module.exports = {
+    scan,
+    consume
+};
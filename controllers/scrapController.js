@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const ScrapEntry = require('../models/ScrapEntry');
+const StockItem = require('../models/StockItem');
+const {
+    scrapStockItem,
+    adjustScrapWeight,
+    recordScrapSale,
+    getScrapBalances
+} = require('../services/scrapService');
+const { runInTransaction } = require('../services/transactionService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * @desc    Get scrap balance per material family
+ * @route   GET /api/scrap
+ * @access  Private
+ */
+const getBalances = async (req, res) => {
+    try {
+        const balances = await getScrapBalances();
+
+        res.json({
+            success: true,
+            count: balances.length,
+            data: balances
+        });
+    } catch (error) {
+        console.error('GetScrapBalances error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter saldo de sucata'
+        });
+    }
+};
+
+/**
+ * @desc    Get scrap ledger entries
+ * @route   GET /api/scrap/entries
+ * @access  Private
+ */
+const getEntries = async (req, res) => {
+    try {
+        const { type, materialType, product, project, projectRef, from, to } = req.query;
+
+        let query = {};
+        if (type) query.type = type;
+        if (materialType) query.materialType = materialType;
+        if (mongoose.isValidObjectId(product)) query.product = product;
+        if (mongoose.isValidObjectId(project)) query.project = project;
+        if (projectRef) query.projectRef = String(projectRef).toUpperCase();
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = new Date(from);
+            if (to) query.date.$lte = new Date(to);
+        }
+
+        const entries = await ScrapEntry.find(query)
+            .sort('-date')
+            .limit(200)
+            .populate('product', 'code description')
+            .populate('user', 'name');
+
+        res.json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        console.error('GetScrapEntries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter movimentos de sucata'
+        });
+    }
+};
+
+/**
+ * @desc    Scrap a stock item (stockItemId, quantity) or adjust the weighed scrap of a family
+ * @route   POST /api/scrap/adjustments
+ * @access  Private
+ */
+const createAdjustment = async (req, res) => {
+    try {
+        const { stockItemId, quantity, materialType, weightKg, notes } = req.body;
+
+        if (!stockItemId && !materialType) {
+            return res.status(400).json({
+                success: false,
+                message: 'Indique o item de stock a abater ou a família de material a acertar'
+            });
+        }
+
+        const result = await runInTransaction(async () => {
+            if (!stockItemId) {
+                return { entry: await adjustScrapWeight({ materialType, weightKg, user: req.user._id, notes }) };
+            }
+
+            const item = mongoose.isValidObjectId(stockItemId)
+                ? await StockItem.findById(stockItemId).populate('product')
+                : null;
+            if (!item) {
+                throw httpError('Item de stock não encontrado', 404);
+            }
+
+            return scrapStockItem({ item, quantity, user: req.user._id, notes });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${Math.abs(result.entry.weightKg)} kg de sucata registados`,
+            data: result
+        });
+    } catch (error) {
+        console.error('CreateScrapAdjustment error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao registar sucata'
+        });
+    }
+};
+
+/**
+ * @desc    Record a scrap sale to a recycler (credited to the originating projects)
+ * @route   POST /api/scrap/sales
+ * @access  Private (Admin/Manager)
+ */
+const createSale = async (req, res) => {
+    try {
+        const { materialType, weightKg, pricePerKg, recycler, documentRef, date, notes } = req.body;
+
+        const sale = await runInTransaction(() => recordScrapSale({
+            materialType,
+            weightKg,
+            pricePerKg,
+            recycler,
+            documentRef,
+            date,
+            user: req.user._id,
+            notes
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: `Venda de ${Math.abs(sale.weightKg)} kg registada (${sale.sale.amount.toFixed(2)} €)`,
+            data: sale
+        });
+    } catch (error) {
+        console.error('CreateScrapSale error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao registar venda de sucata'
+        });
+    }
+};
+
+module.exports = {
+    getBalances,
+    getEntries,
+    createAdjustment,
+    createSale
+};
@@ -0,0 +1,671 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const Reservation = require('../models/Reservation');
+const { getItemQuantity, recordStockMovement, applyPurchaseCost } = require('../services/stockService');
+const { performCut } = require('../services/cuttingService');
+const { runInTransaction } = require('../services/transactionService');
+const { linkBatch, findOrCreateBatch } = require('../services/batchService');
+const { findCompatibleProducts, searchOffcuts: findOffcutsFor } = require('../services/offcutService');
+const { loadLabelItems, renderZpl, renderPdf, labelsForResponse } = require('../services/labelService');
+const {
+    resolveLocation,
+    resolveWarehouse,
+    getWarehouseId,
+    getDescendantIds,
+    checkCapacity,
+    suggestPutAway,
+    transferStockItem
+} = require('../services/locationService');
+const { STANDARD_BAR_LENGTH_MM } = require('../config/cutting');
+const { httpError } = require('../utils/httpError');
+
+const STATUSES = ['available', 'reserved', 'consumed'];
+
+/**
+ * @desc    Get stock items across the warehouse
+ * @route   GET /api/stock
+ * @access  Private
+ */
+const getStockItems = async (req, res) => {
+    try {
+        const { product, type, status, warehouse, location, locationId, batch, batchId, heatNumber } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        let query = {};
+
+        if (product) query.product = product;
+        if (type) query.type = type;
+        if (mongoose.isValidObjectId(warehouse)) query.warehouse = warehouse;
+        if (location) query.location = { $regex: location, $options: 'i' };
+        // Localização e todos os níveis abaixo (ex: uma zona inteira)
+        if (mongoose.isValidObjectId(locationId)) query.locationRef = { $in: await getDescendantIds(locationId) };
+        if (mongoose.isValidObjectId(batch)) query.batch = batch;
+        if (batchId) query.batchId = batchId;
+        if (heatNumber) query.heatNumber = heatNumber;
+
+        // Por defeito esconde itens consumidos ('all' devolve todos)
+        if (!status) {
+            query.status = { $ne: 'consumed' };
+        } else if (status !== 'all') {
+            query.status = status;
+        }
+
+        const [items, total] = await Promise.all([
+            StockItem.find(query)
+                .populate('product', 'code description shape dimensions stockConfig.unit')
+                .sort({ location: 1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            StockItem.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            count: items.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: items
+        });
+    } catch (error) {
+        console.error('GetStockItems error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter stock'
+        });
+    }
+};
+
+/**
+ * @desc    Search offcuts of a product (or compatible products) at least minLengthMM long, least waste first
+ * @route   GET /api/stock/offcuts
+ * @access  Private
+ */
+const searchOffcuts = async (req, res) => {
+    try {
+        const { productId, compatible, grade, shape, minDiameterMM, minLengthMM, minWidthMM, warehouse, limit } = req.query;
+
+        const { products, requiredDiameterMM } = await findCompatibleProducts({
+            productId,
+            compatible: compatible === 'true',
+            grade,
+            shape,
+            minDiameterMM
+        });
+
+        const offcuts = await findOffcutsFor({
+            products,
+            minLengthMM: Number(minLengthMM),
+            minWidthMM: Number(minWidthMM) || 0,
+            requiredDiameterMM,
+            warehouse: mongoose.isValidObjectId(warehouse) ? warehouse : undefined,
+            limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)
+        });
+
+        res.json({
+            success: true,
+            count: offcuts.length,
+            productsSearched: products.length,
+            data: offcuts
+        });
+    } catch (error) {
+        console.error('SearchOffcuts error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao pesquisar retalhos'
+        });
+    }
+};
+
+/**
+ * @desc    Get stock items of a product with totals
+ * @route   GET /api/stock/product/:productId
+ * @access  Private
+ */
+const getProductStock = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.productId)
+            ? await Product.findById(req.params.productId)
+            : null;
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const warehouse = mongoose.isValidObjectId(req.query.warehouse) ? req.query.warehouse : undefined;
+
+        const query = { product: product._id };
+        if (warehouse) query.warehouse = warehouse;
+        if (req.query.status !== 'all') {
+            query.status = req.query.status || { $ne: 'consumed' };
+        }
+
+        const items = await StockItem.find(query).sort({ type: 1, lengthMM: -1 });
+        const totals = await StockItem.getTotalStock(product._id, warehouse);
+
+        res.json({
+            success: true,
+            count: items.length,
+            data: {
+                product: {
+                    _id: product._id,
+                    code: product.code,
+                    description: product.description,
+                    unit: product.stockConfig.unit
+                },
+                totals,
+                items
+            }
+        });
+    } catch (error) {
+        console.error('GetProductStock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter stock do produto'
+        });
+    }
+};
+
+/**
+ * @desc    Get single stock item
+ * @route   GET /api/stock/:id
+ * @access  Private
+ */
+const getStockItem = async (req, res) => {
+    try {
+        const item = mongoose.isValidObjectId(req.params.id)
+            ? await StockItem.findById(req.params.id)
+                .populate('product', 'code description shape dimensions stockConfig')
+            : null;
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item de stock não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: item
+        });
+    } catch (error) {
+        console.error('GetStockItem error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter item de stock'
+        });
+    }
+};
+
+/**
+ * @desc    Receive new stock (bars, boxes or offcuts)
+ * @route   POST /api/stock/receive
+ * @access  Private
+ */
+const receiveStock = async (req, res) => {
+    try {
+        const { productId, type, quantity, lengthMM, widthMM, warehouse, location, batch, batchId, heatNumber, unitCost, notes } = req.body;
+
+        if (!mongoose.isValidObjectId(productId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Produto inválido'
+            });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        if (!product.active) {
+            return res.status(400).json({
+                success: false,
+                message: 'Não é possível receber stock de um produto inativo'
+            });
+        }
+
+        if (!(Number(quantity) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Quantidade deve ser positiva'
+            });
+        }
+
+        // Chapas são retângulos: largura × comprimento obrigatórios
+        if (product.shape === 'plate' && type !== 'BOX' && (!(Number(widthMM) > 0) || !(Number(lengthMM) > 0))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Chapas exigem largura e comprimento (widthMM × lengthMM)'
+            });
+        }
+
+        // Armazém: o da localização ou o indicado
+        const targetLocation = location ? await resolveLocation(location) : null;
+        const requestedWarehouse = warehouse ? await resolveWarehouse(warehouse) : null;
+        const warehouseId = targetLocation ? await getWarehouseId(targetLocation) : requestedWarehouse?._id;
+
+        if (targetLocation && requestedWarehouse && String(warehouseId) !== String(requestedWarehouse._id)) {
+            return res.status(400).json({
+                success: false,
+                message: `A localização ${targetLocation.code} não pertence ao armazém indicado`
+            });
+        }
+
+        const { stockItem, movement } = await runInTransaction(async () => {
+            // Corrida indicada por id de lote ou por número (criada se ainda não existir)
+            const linkedBatch = await linkBatch({ batch, heatNumber, batchId, product });
+
+            const created = await StockItem.create({
+                product: product._id,
+                type: type || 'FULL_BAR',
+                quantity,
+                widthMM: product.shape === 'plate' ? widthMM : 0,
+                lengthMM: lengthMM !== undefined ? lengthMM : (type === 'BOX' ? 0 : STANDARD_BAR_LENGTH_MM),
+                location: targetLocation ? targetLocation.code : '',
+                locationRef: targetLocation ? targetLocation._id : undefined,
+                warehouse: warehouseId,
+                batch: linkedBatch ? linkedBatch._id : undefined,
+                batchId: batchId || linkedBatch?.batchNumber || '',
+                heatNumber: linkedBatch ? linkedBatch.heatNumber : '',
+                notes: notes || '',
+                status: 'available'
+            });
+
+            if (targetLocation) {
+                await checkCapacity(targetLocation, {
+                    product,
+                    lengthMM: created.lengthMM,
+                    weightKg: created.calculatedWeight,
+                    excludeItemId: created._id
+                });
+            }
+
+            const { quantity: delta, unit } = getItemQuantity(created, product);
+
+            // Entrada com custo conhecido atualiza o Preço Médio Ponderado
+            if (unitCost !== undefined && Number(unitCost) >= 0) {
+                await applyPurchaseCost(product, delta, Number(unitCost));
+            }
+
+            const inMovement = await recordStockMovement({
+                type: 'IN',
+                stockItem: created,
+                product,
+                user: req.user._id,
+                quantityDelta: delta,
+                unit,
+                unitCost,
+                notes: `Entrada de stock${created.batchId ? ` (lote ${created.batchId})` : ''}${created.heatNumber ? ` (corrida ${created.heatNumber})` : ''}`
+            });
+
+            return { stockItem: created, movement: inMovement };
+        });
+
+        // Sem localização indicada: sugerir onde arrumar
+        const putAway = targetLocation ? [] : await suggestPutAway({
+            product,
+            lengthMM: stockItem.lengthMM,
+            weightKg: stockItem.calculatedWeight,
+            warehouse: warehouseId
+        });
+
+        const labels = await labelsForResponse([stockItem]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock recebido com sucesso',
+            data: {
+                stockItem,
+                movement,
+                putAway,
+                ...labels
+            }
+        });
+    } catch (error) {
+        console.error('ReceiveStock error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao receber stock'
+        });
+    }
+};
+
+/**
+ * @desc    Update stock item location (as a transfer), batch, heat number or notes
+ * @route   PUT /api/stock/:id
+ * @access  Private
+ */
+const updateStockItem = async (req, res) => {
+    try {
+        const { location, batchId, heatNumber, notes } = req.body;
+
+        const item = mongoose.isValidObjectId(req.params.id)
+            ? await StockItem.findById(req.params.id).populate('product')
+            : null;
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item de stock não encontrado'
+            });
+        }
+
+        // Mudança de localização é uma transferência (capacidade validada, movimento TRANSFER)
+        const targetLocation = location && location !== item.location && String(location) !== String(item.locationRef)
+            ? await resolveLocation(location)
+            : null;
+
+        // Registar apenas o que realmente mudou
+        const changes = [];
+        if (batchId !== undefined && batchId !== item.batchId) {
+            changes.push(`lote '${item.batchId || '-'}' → '${batchId || '-'}'`);
+            item.batchId = batchId;
+        }
+        if (heatNumber !== undefined && heatNumber !== item.heatNumber) {
+            changes.push(`corrida '${item.heatNumber || '-'}' → '${heatNumber || '-'}'`);
+            item.heatNumber = heatNumber;
+        }
+        if (notes !== undefined && notes !== item.notes) {
+            changes.push('notas atualizadas');
+            item.notes = notes;
+        }
+
+        if (changes.length === 0 && !targetLocation) {
+            return res.json({
+                success: true,
+                message: 'Sem alterações',
+                data: item
+            });
+        }
+
+        await runInTransaction(async () => {
+            if (targetLocation) {
+                await transferStockItem({ item, location: targetLocation, user: req.user._id });
+            }
+            if (changes.length === 0) return;
+
+            // Nova corrida: associar ao lote respetivo
+            if (item.isModified('heatNumber')) {
+                const linkedBatch = await findOrCreateBatch({ heatNumber: item.heatNumber, batchNumber: item.batchId, product: item.product });
+                item.batch = linkedBatch ? linkedBatch._id : undefined;
+            }
+
+            await item.save();
+
+            await recordStockMovement({
+                type: 'ADJUST',
+                stockItem: item,
+                product: item.product,
+                user: req.user._id,
+                quantityDelta: 0,
+                notes: `Alteração de item: ${changes.join('; ')}`
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Item de stock atualizado com sucesso',
+            data: item
+        });
+    } catch (error) {
+        console.error('UpdateStockItem error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao atualizar item de stock'
+        });
+    }
+};
+
+/**
+ * @desc    Move a stock item (or some of its pieces) to another location
+ * @route   POST /api/stock/:id/transfer
+ * @access  Private
+ */
+const transferStock = async (req, res) => {
+    try {
+        const { location, quantity, notes } = req.body;
+
+        if (!location) {
+            return res.status(400).json({
+                success: false,
+                message: 'Indique a localização de destino'
+            });
+        }
+
+        const target = await resolveLocation(location);
+
+        const result = await runInTransaction(async () => {
+            const item = mongoose.isValidObjectId(req.params.id)
+                ? await StockItem.findById(req.params.id).populate('product')
+                : null;
+            if (!item) {
+                throw httpError('Item de stock não encontrado', 404);
+            }
+
+            return transferStockItem({ item, location: target, quantity, user: req.user._id, notes });
+        });
+
+        res.json({
+            success: true,
+            message: `Item transferido para ${target.code}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('TransferStock error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao transferir item'
+        });
+    }
+};
+
+/**
+ * @desc    Change stock item status
+ * @route   PUT /api/stock/:id/status
+ * @access  Private (Admin/Manager)
+ */
+const updateStockStatus = async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido. Use: ${STATUSES.join(', ')}`
+            });
+        }
+
+        const item = mongoose.isValidObjectId(req.params.id)
+            ? await StockItem.findById(req.params.id).populate('product')
+            : null;
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item de stock não encontrado'
+            });
+        }
+
+        if (item.status === status) {
+            return res.json({
+                success: true,
+                message: 'Sem alterações',
+                data: item
+            });
+        }
+
+        if (item.status === 'in_transit') {
+            return res.status(409).json({
+                success: false,
+                message: 'Item em trânsito entre armazéns. Receba a transferência primeiro.'
+            });
+        }
+
+        // Itens de uma reserva ativa só mudam através da reserva
+        const reservation = await Reservation.findOne({ stockItems: item._id, status: 'active' })
+            .populate('project', 'reference');
+        if (reservation) {
+            return res.status(409).json({
+                success: false,
+                message: `Item reservado para a obra ${reservation.project?.reference || ''}. Liberte a reserva primeiro.`
+            });
+        }
+
+        const previousStatus = item.status;
+        const { quantity, unit } = getItemQuantity(item, item.product);
+
+        // Consumir retira do stock físico; recuperar um item consumido devolve-o
+        let quantityDelta = 0;
+        if (status === 'consumed') quantityDelta = -quantity;
+        if (previousStatus === 'consumed') quantityDelta = quantity;
+
+        item.status = status;
+
+        await runInTransaction(async () => {
+            await item.save();
+
+            await recordStockMovement({
+                type: 'ADJUST',
+                stockItem: item,
+                product: item.product,
+                user: req.user._id,
+                quantityDelta,
+                unit,
+                notes: `Estado '${previousStatus}' → '${status}'${notes ? `: ${notes}` : ''}`
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Estado atualizado com sucesso',
+            data: item
+        });
+    } catch (error) {
+        console.error('UpdateStockStatus error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao atualizar estado'
+        });
+    }
+};
+
+/**
+ * @desc    Cut a bar (best-fitting offcut or full bar) and record CUT movement
+ * @route   POST /api/stock/cut
+ * @access  Private
+ */
+const cutStock = async (req, res) => {
+    try {
+        const { productId, lengthMM, stockItemId, warehouse, projectRef, kerfMM, minOffcutLengthMM, notes } = req.body;
+
+        if (!mongoose.isValidObjectId(productId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Produto inválido'
+            });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const result = await runInTransaction(() => performCut({
+            product,
+            lengthMM,
+            stockItemId,
+            warehouse: mongoose.isValidObjectId(warehouse) ? warehouse : undefined,
+            user: req.user._id,
+            projectRef: projectRef ? String(projectRef).toUpperCase() : '',
+            kerfMM: kerfMM !== undefined ? Number(kerfMM) : undefined,
+            minOffcutLengthMM: minOffcutLengthMM !== undefined ? Number(minOffcutLengthMM) : undefined,
+            notes
+        }));
+
+        const labels = await labelsForResponse([result.offcut]);
+
+        res.status(201).json({
+            success: true,
+            message: result.offcut
+                ? `Corte efetuado. Retalho de ${result.offcut.lengthMM} mm guardado`
+                : 'Corte efetuado. Sobrante registado como sucata',
+            data: {
+                ...result,
+                ...labels
+            }
+        });
+    } catch (error) {
+        console.error('CutStock error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao efetuar corte'
+        });
+    }
+};
+
+/**
+ * @desc    Render labels (ZPL or A4 PDF sheet) for one or many stock items
+ * @route   GET /api/stock/labels?ids=a,b&format=zpl|pdf
+ * @route   POST /api/stock/labels { stockItemIds, format }
+ * @route   GET /api/stock/:id/label?format=zpl|pdf
+ * @access  Private
+ */
+const getLabels = async (req, res) => {
+    try {
+        const ids = req.params.id || req.body?.stockItemIds || req.query.ids;
+        const format = String(req.body?.format || req.query.format || 'pdf').toLowerCase();
+
+        if (!['zpl', 'pdf'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: "Formato inválido. Use 'zpl' ou 'pdf'"
+            });
+        }
+
+        const items = await loadLabelItems(ids);
+
+        if (format === 'zpl') {
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="etiquetas.zpl"');
+            return res.send(renderZpl(items));
+        }
+
+        const pdf = await renderPdf(items);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'inline; filename="etiquetas.pdf"');
+        res.send(pdf);
+    } catch (error) {
+        console.error('GetLabels error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao gerar etiquetas'
+        });
+    }
+};
+
+module.exports = {
+    getStockItems,
+    searchOffcuts,
+    getProductStock,
+    getStockItem,
+    receiveStock,
+    updateStockItem,
+    updateStockStatus,
+    transferStock,
+    cutStock,
+    getLabels
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const {
+    createTransfer: requestTransfer,
+    shipTransfer: dispatchTransfer,
+    receiveTransfer: acceptTransfer
+} = require('../services/stockTransferService');
+const { resolveLocation, resolveWarehouse } = require('../services/locationService');
+const { runInTransaction } = require('../services/transactionService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Find transfer by id inside a transaction (404 error when missing)
+ */
+const findTransfer = async (id) => {
+    const transfer = mongoose.isValidObjectId(id) ? await StockTransfer.findById(id) : null;
+    if (!transfer) {
+        throw httpError('Transferência não encontrada', 404);
+    }
+    return transfer;
+};
+
+/**
+ * @desc    Get transfers between warehouses
+ * @route   GET /api/stock-transfers
+ * @access  Private
+ */
+const getTransfers = async (req, res) => {
+    try {
+        const { status, warehouse } = req.query;
+
+        let query = {};
+        if (status) query.status = status;
+        if (mongoose.isValidObjectId(warehouse)) {
+            query.$or = [{ fromWarehouse: warehouse }, { toWarehouse: warehouse }];
+        }
+
+        const transfers = await StockTransfer.find(query)
+            .sort('-createdAt')
+            .limit(100)
+            .populate('fromWarehouse', 'code name')
+            .populate('toWarehouse', 'code name')
+            .populate('requestedBy', 'name');
+
+        res.json({
+            success: true,
+            count: transfers.length,
+            data: transfers
+        });
+    } catch (error) {
+        console.error('GetTransfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter transferências'
+        });
+    }
+};
+
+/**
+ * @desc    Get single transfer
+ * @route   GET /api/stock-transfers/:id
+ * @access  Private
+ */
+const getTransfer = async (req, res) => {
+    try {
+        const transfer = mongoose.isValidObjectId(req.params.id)
+            ? await StockTransfer.findById(req.params.id)
+                .populate('fromWarehouse', 'code name')
+                .populate('toWarehouse', 'code name')
+                .populate('toLocation', 'code name')
+                .populate('lines.product', 'code description stockConfig.unit')
+                .populate('lines.stockItem', 'type lengthMM widthMM quantity calculatedWeight location batchId heatNumber status')
+                .populate('requestedBy', 'name')
+                .populate('shippedBy', 'name')
+                .populate('receivedBy', 'name')
+            : null;
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transferência não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('GetTransfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter transferência'
+        });
+    }
+};
+
+/**
+ * @desc    Request a transfer of stock items to another warehouse
+ * @route   POST /api/stock-transfers
+ * @access  Private
+ */
+const createTransfer = async (req, res) => {
+    try {
+        const { fromWarehouse, toWarehouse, lines, notes } = req.body;
+
+        if (!fromWarehouse || !toWarehouse) {
+            return res.status(400).json({
+                success: false,
+                message: 'Indique o armazém de origem e de destino'
+            });
+        }
+
+        const transfer = await requestTransfer({
+            fromWarehouse: await resolveWarehouse(fromWarehouse),
+            toWarehouse: await resolveWarehouse(toWarehouse),
+            lines,
+            user: req.user._id,
+            notes
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Transferência ${transfer.reference} pedida`,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('CreateTransfer error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao criar transferência'
+        });
+    }
+};
+
+/**
+ * @desc    Ship transfer: items leave the origin warehouse
+ * @route   POST /api/stock-transfers/:id/ship
+ * @access  Private
+ */
+const shipTransfer = async (req, res) => {
+    try {
+        const transfer = await runInTransaction(async () => dispatchTransfer({
+            transfer: await findTransfer(req.params.id),
+            user: req.user._id
+        }));
+
+        res.json({
+            success: true,
+            message: `Transferência ${transfer.reference} em trânsito`,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('ShipTransfer error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao enviar transferência'
+        });
+    }
+};
+
+/**
+ * @desc    Receive transfer in the destination warehouse
+ * @route   POST /api/stock-transfers/:id/receive
+ * @access  Private
+ */
+const receiveTransfer = async (req, res) => {
+    try {
+        const location = req.body.location ? await resolveLocation(req.body.location) : null;
+
+        const transfer = await runInTransaction(async () => acceptTransfer({
+            transfer: await findTransfer(req.params.id),
+            location,
+            user: req.user._id
+        }));
+
+        res.json({
+            success: true,
+            message: `Transferência ${transfer.reference} recebida`,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('ReceiveTransfer error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Erro ao receber transferência'
+        });
+    }
+};
+
+/**
+ * @desc    Cancel a requested transfer (no stock changes)
+ * @route   DELETE /api/stock-transfers/:id
+ * @access  Private (Admin/Manager)
+ */
+const cancelTransfer = async (req, res) => {
+    try {
+        const transfer = mongoose.isValidObjectId(req.params.id) ? await StockTransfer.findById(req.params.id) : null;
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transferência não encontrada'
+            });
+        }
+
+        if (transfer.status !== 'requested') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas transferências pedidas (ainda não enviadas) podem ser canceladas'
+            });
+        }
+
+        transfer.status = 'cancelled';
+        transfer.cancelledAt = new Date();
+        await transfer.save();
+
+        res.json({
+            success: true,
+            message: 'Transferência cancelada'
+        });
+    } catch (error) {
+        console.error('CancelTransfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao cancelar transferência'
+        });
+    }
+};
+
+module.exports = {
+    getTransfers,
+    getTransfer,
+    createTransfer,
+    shipTransfer,
+    receiveTransfer,
+    cancelTransfer
+};
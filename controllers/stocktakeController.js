@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const {
+    createStocktake: openStocktake,
+    buildVarianceReport,
+    recordCounts: saveCounts,
+    approveStocktake: applyStocktake,
+    exportStocktake: buildCountSheet,
+    parseCountSheet
+} = require('../services/stocktakeService');
+const { runInTransaction } = require('../services/transactionService');
+const { resolveWarehouse } = require('../services/locationService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Find stocktake by id (null when the id is invalid)
+ */
+const findStocktake = (id) => (mongoose.isValidObjectId(id) ? Stocktake.findById(id) : null);
+
+/**
+ * @desc    Get stocktakes
+ * @route   GET /api/stocktakes
+ * @access  Private
+ */
+const getStocktakes = async (req, res) => {
+    try {
+        const { status, warehouse } = req.query;
+
+        let query = {};
+        if (status) query.status = status;
+        if (mongoose.isValidObjectId(warehouse)) query['scope.warehouse'] = warehouse;
+
+        const stocktakes = await Stocktake.find(query)
+            .select('-lines')
+            .sort('-createdAt')
+            .limit(100)
+            .populate('createdBy', 'name')
+            .populate('approvedBy', 'name');
+
+        res.json({
+            success: true,
+            count: stocktakes.length,
+            data: stocktakes
+        });
+    } catch (error) {
+        console.error('GetStocktakes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter inventários'
+        });
+    }
+};
+
+/**
+ * @desc    Get single stocktake with variance report
+ * @route   GET /api/stocktakes/:id
+ * @access  Private
+ */
+const getStocktake = async (req, res) => {
+    try {
+        const stocktake = await findStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventário não encontrado'
+            });
+        }
+
+        await stocktake.populate([
+            { path: 'createdBy', select: 'name' },
+            { path: 'approvedBy', select: 'name' }
+        ]);
+
+        const { lines, summary } = buildVarianceReport(stocktake);
+
+        res.json({
+            success: true,
+            data: { ...stocktake.toObject(), lines },
+            summary
+        });
+    } catch (error) {
+        console.error('GetStocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter inventário'
+        });
+    }
+};
+
+/**
+ * @desc    Open a stocktake for a warehouse, locations and/or products (freezes expected quantities)
+ * @route   POST /api/stocktakes
+ * @access  Private (Admin/Manager)
+ */
+const createStocktake = async (req, res) => {
+    try {
+        const { name, warehouse, locations, productIds, notes } = req.body;
+
+        const stocktake = await openStocktake({
+            name,
+            warehouse: warehouse ? (await resolveWarehouse(warehouse))._id : undefined,
+            locations: Array.isArray(locations) ? locations : [],
+            productIds: Array.isArray(productIds) ? productIds.filter(id => mongoose.isValidObjectId(id)) : [],
+            notes,
+            user: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Inventário ${stocktake.reference} aberto com ${stocktake.lines.length} itens`,
+            data: stocktake
+        });
+    } catch (error) {
+        console.error('CreateStocktake error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao abrir inventário'
+        });
+    }
+};
+
+/**
+ * @desc    Record counted quantities
+ * @route   PUT /api/stocktakes/:id/counts
+ * @access  Private
+ */
+const recordCounts = async (req, res) => {
+    try {
+        const stocktake = await findStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventário não encontrado'
+            });
+        }
+
+        await saveCounts({ stocktake, counts: req.body.counts, user: req.user._id });
+
+        const { summary } = buildVarianceReport(stocktake);
+
+        res.json({
+            success: true,
+            message: 'Contagens registadas',
+            summary
+        });
+    } catch (error) {
+        console.error('RecordCounts error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao registar contagens'
+        });
+    }
+};
+
+/**
+ * @desc    Export count sheet to Excel
+ * @route   GET /api/stocktakes/:id/export
+ * @access  Private
+ */
+const exportStocktake = async (req, res) => {
+    try {
+        const stocktake = await findStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventário não encontrado'
+            });
+        }
+
+        const buffer = buildCountSheet(stocktake);
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${stocktake.reference}.xlsx"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('ExportStocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao exportar folha de contagem'
+        });
+    }
+};
+
+/**
+ * @desc    Import counted quantities from a filled-in count sheet
+ * @route   POST /api/stocktakes/:id/import
+ * @access  Private
+ */
+const importCounts = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum ficheiro enviado'
+            });
+        }
+
+        const stocktake = await findStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventário não encontrado'
+            });
+        }
+
+        const counts = await parseCountSheet(req.file.buffer);
+        await saveCounts({ stocktake, counts, user: req.user._id });
+
+        const { summary } = buildVarianceReport(stocktake);
+
+        res.json({
+            success: true,
+            message: `${counts.length} contagem(ns) importada(s)`,
+            summary
+        });
+    } catch (error) {
+        console.error('ImportCounts error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao importar contagens'
+        });
+    }
+};
+
+/**
+ * @desc    Approve stocktake and post ADJUST movements for the variances
+ * @route   POST /api/stocktakes/:id/approve
+ * @access  Private (Admin/Manager)
+ */
+const approveStocktake = async (req, res) => {
+    try {
+        const { stocktake, movements } = await runInTransaction(async () => {
+            const found = await findStocktake(req.params.id);
+            if (!found) {
+                throw httpError('Inventário não encontrado', 404);
+            }
+            return applyStocktake({ stocktake: found, user: req.user._id });
+        });
+
+        const { summary } = buildVarianceReport(stocktake);
+
+        res.json({
+            success: true,
+            message: `Inventário aprovado: ${movements.length} ajuste(s) registado(s)`,
+            data: stocktake,
+            summary
+        });
+    } catch (error) {
+        console.error('ApproveStocktake error:', error);
+        const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+        res.status(status).json({
+            success: false,
+            message: status < 500 ? error.message : 'Erro ao aprovar inventário'
+        });
+    }
+};
+
+/**
+ * @desc    Cancel stocktake (no stock changes)
+ * @route   DELETE /api/stocktakes/:id
+ * @access  Private (Admin/Manager)
+ */
+const cancelStocktake = async (req, res) => {
+    try {
+        const stocktake = await findStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inventário não encontrado'
+            });
+        }
+
+        if (stocktake.status !== 'counting') {
+            return res.status(400).json({
+                success: false,
+                message: 'Apenas inventários em contagem podem ser cancelados'
+            });
+        }
+
+        stocktake.status = 'cancelled';
+        stocktake.cancelledAt = new Date();
+        await stocktake.save();
+
+        res.json({
+            success: true,
+            message: 'Inventário cancelado'
+        });
+    } catch (error) {
+        console.error('CancelStocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao cancelar inventário'
+        });
+    }
+};
+
+module.exports = {
+    getStocktakes,
+    getStocktake,
+    createStocktake,
+    recordCounts,
+    exportStocktake,
+    importCounts,
+    approveStocktake,
+    cancelStocktake
+};
@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+
+// Campos que podem ser definidos/alterados via API
+const EDITABLE_FIELDS = [
+    'name',
+    'vatNumber',
+    'email',
+    'phone',
+    'address',
+    'contacts',
+    'leadTimeDays',
+    'paymentTerms',
+    'materialTypes',
+    'categories',
+    'notes'
+];
+
+/**
+ * Helper: Resposta de erro para falhas de validação/duplicados
+ */
+function handleSupplierError(res, error, fallbackMessage) {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'Já existe um fornecedor com este NIF'
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+/**
+ * @desc    Get all suppliers
+ * @route   GET /api/suppliers
+ * @access  Private
+ */
+const getSuppliers = async (req, res) => {
+    try {
+        const { search, materialType, category, active } = req.query;
+
+        let query = {};
+
+        if (materialType) query.materialTypes = materialType;
+        if (category) query.categories = category;
+
+        // Por defeito só fornecedores ativos ('all' devolve todos)
+        if (active === undefined || active === 'true') {
+            query.active = true;
+        } else if (active === 'false') {
+            query.active = false;
+        }
+
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { vatNumber: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const suppliers = await Supplier.find(query).sort('name');
+
+        res.json({
+            success: true,
+            count: suppliers.length,
+            data: suppliers
+        });
+    } catch (error) {
+        console.error('GetSuppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter fornecedores'
+        });
+    }
+};
+
+/**
+ * @desc    Get single supplier with linked products
+ * @route   GET /api/suppliers/:id
+ * @access  Private
+ */
+const getSupplier = async (req, res) => {
+    try {
+        const supplier = mongoose.isValidObjectId(req.params.id) ? await Supplier.findById(req.params.id) : null;
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não encontrado'
+            });
+        }
+
+        const products = await Product.find({ 'suppliers.supplier': supplier._id })
+            .select('code description stockConfig.unit financial suppliers active')
+            .sort('code');
+
+        // Apenas a ligação a este fornecedor
+        const linkedProducts = products.map((product) => {
+            const link = product.suppliers.find(s => s.supplier.toString() === supplier._id.toString());
+            return {
+                _id: product._id,
+                code: product.code,
+                description: product.description,
+                unit: product.stockConfig.unit,
+                active: product.active,
+                price: link.price,
+                supplierCode: link.supplierCode,
+                preferred: link.preferred
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...supplier.toObject(),
+                products: linkedProducts
+            }
+        });
+    } catch (error) {
+        console.error('GetSupplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao obter fornecedor'
+        });
+    }
+};
+
+/**
+ * @desc    Create new supplier
+ * @route   POST /api/suppliers
+ * @access  Private (Admin/Manager)
+ */
+const createSupplier = async (req, res) => {
+    try {
+        const data = {};
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const supplier = await Supplier.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Fornecedor criado com sucesso',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('CreateSupplier error:', error);
+        handleSupplierError(res, error, 'Erro ao criar fornecedor');
+    }
+};
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/suppliers/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateSupplier = async (req, res) => {
+    try {
+        const supplier = mongoose.isValidObjectId(req.params.id) ? await Supplier.findById(req.params.id) : null;
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não encontrado'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) supplier[field] = req.body[field];
+        });
+
+        await supplier.save();
+
+        res.json({
+            success: true,
+            message: 'Fornecedor atualizado com sucesso',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('UpdateSupplier error:', error);
+        handleSupplierError(res, error, 'Erro ao atualizar fornecedor');
+    }
+};
+
+/**
+ * @desc    Deactivate or reactivate supplier
+ * @route   PUT /api/suppliers/:id/active
+ * @access  Private (Admin/Manager)
+ */
+const setSupplierActive = async (req, res) => {
+    try {
+        const { active } = req.body;
+
+        if (typeof active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: "Campo 'active' deve ser true ou false"
+            });
+        }
+
+        const supplier = mongoose.isValidObjectId(req.params.id) ? await Supplier.findById(req.params.id) : null;
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não encontrado'
+            });
+        }
+
+        supplier.active = active;
+        await supplier.save();
+
+        res.json({
+            success: true,
+            message: active ? 'Fornecedor reativado com sucesso' : 'Fornecedor desativado com sucesso',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('SetSupplierActive error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao atualizar fornecedor'
+        });
+    }
+};
+
+/**
+ * @desc    Link supplier to product (or update price/code of an existing link)
+ * @route   PUT /api/suppliers/:id/products/:productId
+ * @access  Private (Admin/Manager)
+ */
+const linkProduct = async (req, res) => {
+    try {
+        const { id, productId } = req.params;
+        const { price, supplierCode, preferred } = req.body;
+
+        const supplier = mongoose.isValidObjectId(id) ? await Supplier.findById(id) : null;
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não encontrado'
+            });
+        }
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        let link = product.suppliers.find(s => s.supplier.toString() === supplier._id.toString());
+        if (!link) {
+            product.suppliers.push({ supplier: supplier._id });
+            link = product.suppliers[product.suppliers.length - 1];
+        }
+
+        if (price !== undefined) link.price = price;
+        if (supplierCode !== undefined) link.supplierCode = supplierCode;
+
+        // Só pode haver um fornecedor preferencial por produto
+        if (preferred === true || product.suppliers.length === 1) {
+            product.suppliers.forEach((s) => {
+                s.preferred = s._id.equals(link._id);
+            });
+        } else if (preferred === false) {
+            link.preferred = false;
+        }
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Fornecedor associado ao produto',
+            data: product.suppliers
+        });
+    } catch (error) {
+        console.error('LinkProduct error:', error);
+        handleSupplierError(res, error, 'Erro ao associar fornecedor ao produto');
+    }
+};
+
+/**
+ * @desc    Unlink supplier from product
+ * @route   DELETE /api/suppliers/:id/products/:productId
+ * @access  Private (Admin/Manager)
+ */
+const unlinkProduct = async (req, res) => {
+    try {
+        const { id, productId } = req.params;
+
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produto não encontrado'
+            });
+        }
+
+        const index = product.suppliers.findIndex(s => s.supplier.toString() === id);
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fornecedor não associado a este produto'
+            });
+        }
+
+        const wasPreferred = product.suppliers[index].preferred;
+        product.suppliers.splice(index, 1);
+
+        // Promover o seguinte a preferencial
+        if (wasPreferred && product.suppliers.length > 0) {
+            product.suppliers[0].preferred = true;
+        }
+
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Fornecedor removido do produto',
+            data: product.suppliers
+        });
+    } catch (error) {
+        console.error('UnlinkProduct error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao remover fornecedor do produto'
+        });
+    }
+};
+
+module.exports = {
+    getSuppliers,
+    getSupplier,
+    createSupplier,
+    updateSupplier,
+    setSupplierActive,
+    linkProduct,
+    unlinkProduct
+};
@@ -0,0 +1,231 @@
+/**
+ * Qualidades de material mais usadas (base para a coleção MaterialGrade)
+ *
+ * family: tipo de material do produto (Product.materialType)
+ * density: g/cm³
+ * equivalents: referências cruzadas EN ↔ AISI/ASTM ↔ DIN
+ * aliases: designações alternativas procuradas nas descrições
+ */
+module.exports = [
+    // === AÇOS ESTRUTURAIS (EN 10025-2) ===
+    {
+        code: 'S235JR',
+        name: 'Aço estrutural S235JR',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10025-2',
+        materialNumber: '1.0038',
+        equivalents: { en: 'S235JR', aisi: 'A283 C', din: 'St 37-2' },
+        aliases: ['S235', 'ST37', 'ST 37-2', '1.0038']
+    },
+    {
+        code: 'S275JR',
+        name: 'Aço estrutural S275JR',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10025-2',
+        materialNumber: '1.0044',
+        equivalents: { en: 'S275JR', aisi: 'A36', din: 'St 44-2' },
+        aliases: ['S275', 'ST44', 'ST 44-2', '1.0044']
+    },
+    {
+        code: 'S355J2',
+        name: 'Aço estrutural S355J2',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10025-2',
+        materialNumber: '1.0577',
+        equivalents: { en: 'S355J2', aisi: 'A572 Gr.50', din: 'St 52-3' },
+        aliases: ['S355', 'S355JR', 'S355J2G3', 'ST52', 'ST 52-3', '1.0577']
+    },
+
+    // === AÇOS DE CONSTRUÇÃO MECÂNICA ===
+    {
+        code: 'C45',
+        name: 'Aço carbono C45',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10083-2',
+        materialNumber: '1.0503',
+        equivalents: { en: 'C45', aisi: '1045', din: 'C45' },
+        aliases: ['C45E', 'CK45', '1045', '1.0503', '1.1191']
+    },
+    {
+        code: '42CrMo4',
+        name: 'Aço ligado 42CrMo4',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10083-3',
+        materialNumber: '1.7225',
+        equivalents: { en: '42CrMo4', aisi: '4140', din: '42CrMo4' },
+        aliases: ['42CRMO4', '4140', '1.7225']
+    },
+    {
+        code: '11SMnPb30',
+        name: 'Aço de corte fácil 11SMnPb30',
+        family: 'steel',
+        density: 7.85,
+        standard: 'EN 10087',
+        materialNumber: '1.0718',
+        equivalents: { en: '11SMnPb30', aisi: '12L14', din: '9SMnPb28' },
+        aliases: ['11SMNPB30', '12L14', '9SMNPB28', '1.0718']
+    },
+
+    // === AÇOS INOXIDÁVEIS (EN 10088) ===
+    {
+        code: '1.4301',
+        name: 'Inox X5CrNi18-10 (AISI 304)',
+        family: 'stainless',
+        density: 7.90,
+        standard: 'EN 10088-3',
+        materialNumber: '1.4301',
+        equivalents: { en: 'X5CrNi18-10', aisi: '304', din: 'X5CrNi18-10' },
+        aliases: ['304', 'AISI 304', 'X5CRNI18-10', 'V2A']
+    },
+    {
+        code: '1.4307',
+        name: 'Inox X2CrNi18-9 (AISI 304L)',
+        family: 'stainless',
+        density: 7.90,
+        standard: 'EN 10088-3',
+        materialNumber: '1.4307',
+        equivalents: { en: 'X2CrNi18-9', aisi: '304L', din: 'X2CrNi18-9' },
+        aliases: ['304L', 'AISI 304L', 'X2CRNI18-9']
+    },
+    {
+        code: '1.4305',
+        name: 'Inox X8CrNiS18-9 (AISI 303)',
+        family: 'stainless',
+        density: 7.90,
+        standard: 'EN 10088-3',
+        materialNumber: '1.4305',
+        equivalents: { en: 'X8CrNiS18-9', aisi: '303', din: 'X8CrNiS18-9' },
+        aliases: ['303', 'AISI 303', 'X8CRNIS18-9']
+    },
+    {
+        code: '1.4401',
+        name: 'Inox X5CrNiMo17-12-2 (AISI 316)',
+        family: 'stainless',
+        density: 8.00,
+        standard: 'EN 10088-3',
+        materialNumber: '1.4401',
+        equivalents: { en: 'X5CrNiMo17-12-2', aisi: '316', din: 'X5CrNiMo17-12-2' },
+        aliases: ['316', 'AISI 316', 'X5CRNIMO17-12-2']
+    },
+    {
+        code: '1.4404',
+        name: 'Inox X2CrNiMo17-12-2 (AISI 316L)',
+        family: 'stainless',
+        density: 8.00,
+        standard: 'EN 10088-3',
+        materialNumber: '1.4404',
+        equivalents: { en: 'X2CrNiMo17-12-2', aisi: '316L', din: 'X2CrNiMo17-12-2' },
+        aliases: ['316L', 'AISI 316L', 'X2CRNIMO17-12-2', 'V4A']
+    },
+
+    // === ALUMÍNIOS (EN 573-3) ===
+    {
+        code: '6082-T6',
+        name: 'Alumínio EN AW-6082 T6',
+        family: 'aluminum',
+        density: 2.70,
+        standard: 'EN 573-3',
+        materialNumber: 'EN AW-6082',
+        equivalents: { en: 'EN AW-6082', aisi: '6082', din: 'AlMgSi1' },
+        aliases: ['6082', 'AW-6082', 'ALMGSI1', '3.2315']
+    },
+    {
+        code: '6060-T6',
+        name: 'Alumínio EN AW-6060 T6',
+        family: 'aluminum',
+        density: 2.70,
+        standard: 'EN 573-3',
+        materialNumber: 'EN AW-6060',
+        equivalents: { en: 'EN AW-6060', aisi: '6060', din: 'AlMgSi0,5' },
+        aliases: ['6060', 'AW-6060', 'ALMGSI0.5', 'ALMGSI0,5', '3.3206']
+    },
+    {
+        code: '5083-H111',
+        name: 'Alumínio EN AW-5083 H111',
+        family: 'aluminum',
+        density: 2.66,
+        standard: 'EN 573-3',
+        materialNumber: 'EN AW-5083',
+        equivalents: { en: 'EN AW-5083', aisi: '5083', din: 'AlMg4,5Mn' },
+        aliases: ['5083', 'AW-5083', 'ALMG4.5MN', 'ALMG4,5MN', '3.3547']
+    },
+    {
+        code: '7075-T6',
+        name: 'Alumínio EN AW-7075 T6',
+        family: 'aluminum',
+        density: 2.81,
+        standard: 'EN 573-3',
+        materialNumber: 'EN AW-7075',
+        equivalents: { en: 'EN AW-7075', aisi: '7075', din: 'AlZnMgCu1,5' },
+        aliases: ['7075', 'AW-7075', 'ALZNMGCU1.5', 'ALZNMGCU1,5', '3.4365']
+    },
+
+    // === LIGAS DE COBRE (EN 12164 / EN 12163) ===
+    {
+        code: 'CW614N',
+        name: 'Latão CuZn39Pb3',
+        family: 'brass',
+        density: 8.47,
+        standard: 'EN 12164',
+        materialNumber: 'CW614N',
+        equivalents: { en: 'CuZn39Pb3', aisi: 'C38500', din: 'CuZn39Pb3' },
+        aliases: ['CUZN39PB3', 'MS58', '2.0401']
+    },
+    {
+        code: 'CW453K',
+        name: 'Bronze CuSn8',
+        family: 'bronze',
+        density: 8.80,
+        standard: 'EN 12163',
+        materialNumber: 'CW453K',
+        equivalents: { en: 'CuSn8', aisi: 'C52100', din: 'CuSn8' },
+        aliases: ['CUSN8', '2.1030']
+    },
+
+    // === PLÁSTICOS TÉCNICOS ===
+    {
+        code: 'PA6',
+        name: 'Poliamida PA6 (Nylon)',
+        family: 'plastic',
+        density: 1.14,
+        standard: 'ISO 1874',
+        materialNumber: '',
+        equivalents: { en: 'PA6', aisi: '', din: 'PA6' },
+        aliases: ['NYLON', 'PA 6']
+    },
+    {
+        code: 'POM-C',
+        name: 'Poliacetal POM-C',
+        family: 'plastic',
+        density: 1.41,
+        standard: 'ISO 9988',
+        materialNumber: '',
+        equivalents: { en: 'POM-C', aisi: '', din: 'POM' },
+        aliases: ['POM', 'DELRIN']
+    },
+    {
+        code: 'PTFE',
+        name: 'PTFE (Teflon)',
+        family: 'plastic',
+        density: 2.20,
+        standard: 'ISO 13000',
+        materialNumber: '',
+        equivalents: { en: 'PTFE', aisi: '', din: 'PTFE' },
+        aliases: ['TEFLON']
+    },
+    {
+        code: 'PVC',
+        name: 'PVC rígido',
+        family: 'plastic',
+        density: 1.40,
+        standard: 'ISO 1163',
+        materialNumber: '',
+        equivalents: { en: 'PVC-U', aisi: '', din: 'PVC-U' },
+        aliases: ['PVC-U']
+    }
+];
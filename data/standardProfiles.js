@@ -0,0 +1,167 @@
+/**
+ * Tabelas de perfis normalizados (aço, 7.85 g/cm³)
+ *
+ * Valores nominais em mm; kg/m das tabelas dos fabricantes quando indicado.
+ * Séries sem kg/m (cantoneiras, tubos) são calculadas pelo metalMath a partir das dimensões.
+ */
+
+// IPE (EN 10365): [designação, h, b, tw, tf, r, kg/m]
+const IPE = [
+    [80, 80, 46, 3.8, 5.2, 5, 6.0],
+    [100, 100, 55, 4.1, 5.7, 7, 8.1],
+    [120, 120, 64, 4.4, 6.3, 7, 10.4],
+    [140, 140, 73, 4.7, 6.9, 7, 12.9],
+    [160, 160, 82, 5.0, 7.4, 9, 15.8],
+    [180, 180, 91, 5.3, 8.0, 9, 18.8],
+    [200, 200, 100, 5.6, 8.5, 12, 22.4],
+    [220, 220, 110, 5.9, 9.2, 12, 26.2],
+    [240, 240, 120, 6.2, 9.8, 15, 30.7],
+    [270, 270, 135, 6.6, 10.2, 15, 36.1],
+    [300, 300, 150, 7.1, 10.7, 15, 42.2],
+    [330, 330, 160, 7.5, 11.5, 18, 49.1],
+    [360, 360, 170, 8.0, 12.7, 18, 57.1],
+    [400, 400, 180, 8.6, 13.5, 21, 66.3],
+    [450, 450, 190, 9.4, 14.6, 21, 77.6],
+    [500, 500, 200, 10.2, 16.0, 21, 90.7],
+    [550, 550, 210, 11.1, 17.2, 24, 106],
+    [600, 600, 220, 12.0, 19.0, 24, 122]
+];
+
+// HEA (EN 10365): [designação, h, b, tw, tf, r, kg/m]
+const HEA = [
+    [100, 96, 100, 5.0, 8.0, 12, 16.7],
+    [120, 114, 120, 5.0, 8.0, 12, 19.9],
+    [140, 133, 140, 5.5, 8.5, 12, 24.7],
+    [160, 152, 160, 6.0, 9.0, 15, 30.4],
+    [180, 171, 180, 6.0, 9.5, 15, 35.5],
+    [200, 190, 200, 6.5, 10.0, 18, 42.3],
+    [220, 210, 220, 7.0, 11.0, 18, 50.5],
+    [240, 230, 240, 7.5, 12.0, 21, 60.3],
+    [260, 250, 260, 7.5, 12.5, 24, 68.2],
+    [280, 270, 280, 8.0, 13.0, 24, 76.4],
+    [300, 290, 300, 8.5, 14.0, 27, 88.3],
+    [320, 310, 300, 9.0, 15.5, 27, 97.6],
+    [340, 330, 300, 9.5, 16.5, 27, 105],
+    [360, 350, 300, 10.0, 17.5, 27, 112],
+    [400, 390, 300, 11.0, 19.0, 27, 125],
+    [450, 440, 300, 11.5, 21.0, 27, 140],
+    [500, 490, 300, 12.0, 23.0, 27, 155],
+    [600, 590, 300, 13.0, 25.0, 27, 178]
+];
+
+// HEB (EN 10365): [designação, h, b, tw, tf, r, kg/m]
+const HEB = [
+    [100, 100, 100, 6.0, 10.0, 12, 20.4],
+    [120, 120, 120, 6.5, 11.0, 12, 26.7],
+    [140, 140, 140, 7.0, 12.0, 12, 33.7],
+    [160, 160, 160, 8.0, 13.0, 15, 42.6],
+    [180, 180, 180, 8.5, 14.0, 15, 51.2],
+    [200, 200, 200, 9.0, 15.0, 18, 61.3],
+    [220, 220, 220, 9.5, 16.0, 18, 71.5],
+    [240, 240, 240, 10.0, 17.0, 21, 83.2],
+    [260, 260, 260, 10.0, 17.5, 24, 93.0],
+    [280, 280, 280, 10.5, 18.0, 24, 103],
+    [300, 300, 300, 11.0, 19.0, 27, 117],
+    [320, 320, 300, 11.5, 20.5, 27, 127],
+    [340, 340, 300, 12.0, 21.5, 27, 134],
+    [360, 360, 300, 12.5, 22.5, 27, 142],
+    [400, 400, 300, 13.5, 24.0, 27, 155],
+    [450, 450, 300, 14.0, 26.0, 27, 171],
+    [500, 500, 300, 14.5, 28.0, 27, 187],
+    [600, 600, 300, 15.5, 30.0, 27, 212]
+];
+
+// UPN (DIN 1026-1, banzos inclinados): [designação, h, b, tw, tf, r1, r2, kg/m]
+const UPN = [
+    [80, 80, 45, 6.0, 8.0, 8.0, 4.0, 8.64],
+    [100, 100, 50, 6.0, 8.5, 8.5, 4.5, 10.6],
+    [120, 120, 55, 7.0, 9.0, 9.0, 4.5, 13.4],
+    [140, 140, 60, 7.0, 10.0, 10.0, 5.0, 16.0],
+    [160, 160, 65, 7.5, 10.5, 10.5, 5.5, 18.8],
+    [180, 180, 70, 8.0, 11.0, 11.0, 5.5, 22.0],
+    [200, 200, 75, 8.5, 11.5, 11.5, 6.0, 25.3],
+    [220, 220, 80, 9.0, 12.5, 12.5, 6.5, 29.4],
+    [240, 240, 85, 9.5, 13.0, 13.0, 6.5, 33.2],
+    [260, 260, 90, 10.0, 14.0, 14.0, 7.0, 37.9],
+    [280, 280, 95, 10.0, 15.0, 15.0, 7.5, 41.8],
+    [300, 300, 100, 10.0, 16.0, 16.0, 8.0, 46.2]
+];
+
+// Cantoneiras de abas iguais (EN 10056-1): [a, t, r1, r2]
+const L_EQUAL = [
+    [20, 3, 3.5, 2.0],
+    [25, 3, 3.5, 2.0],
+    [25, 4, 3.5, 2.0],
+    [30, 3, 5.0, 2.5],
+    [30, 4, 5.0, 2.5],
+    [35, 4, 5.0, 2.5],
+    [40, 4, 6.0, 3.0],
+    [40, 5, 6.0, 3.0],
+    [45, 4.5, 7.0, 3.5],
+    [50, 5, 7.0, 3.5],
+    [50, 6, 7.0, 3.5],
+    [60, 6, 8.0, 4.0],
+    [60, 8, 8.0, 4.0],
+    [70, 7, 9.0, 4.5],
+    [80, 8, 10.0, 5.0],
+    [90, 9, 11.0, 5.5],
+    [100, 10, 12.0, 6.0],
+    [120, 12, 13.0, 6.5],
+    [150, 15, 16.0, 8.0]
+];
+
+// Cantoneiras de abas desiguais (EN 10056-1): [a, b, t, r1, r2]
+const L_UNEQUAL = [
+    [40, 20, 4, 4.0, 2.0],
+    [50, 30, 5, 5.0, 2.5],
+    [60, 40, 6, 6.0, 3.0],
+    [75, 50, 6, 7.0, 3.5],
+    [80, 40, 8, 7.0, 3.5],
+    [100, 50, 8, 8.0, 4.0],
+    [100, 65, 7, 10.0, 5.0],
+    [120, 80, 8, 11.0, 5.5],
+    [150, 100, 10, 12.0, 6.0]
+];
+
+// Tubos quadrados enformados a frio (EN 10219-2): [b, t]
+const SHS = [
+    [20, 2], [25, 2], [30, 2], [30, 3], [40, 2], [40, 3], [40, 4],
+    [50, 3], [50, 4], [60, 3], [60, 4], [70, 4], [80, 4], [80, 5],
+    [100, 4], [100, 5], [100, 6], [120, 5], [120, 6], [150, 6], [150, 8],
+    [200, 8], [200, 10]
+];
+
+// Tubos retangulares enformados a frio (EN 10219-2): [h, b, t]
+const RHS = [
+    [40, 20, 2], [50, 30, 3], [60, 40, 3], [80, 40, 3], [80, 40, 4],
+    [100, 50, 4], [100, 50, 5], [120, 60, 5], [120, 80, 5],
+    [150, 100, 6], [200, 100, 8]
+];
+
+// Tubos redondos (EN 10219-2 / EN 10220): [diâmetro exterior, paredes]
+const CHS = [
+    [21.3, [2.0, 2.6]],
+    [26.9, [2.0, 2.6]],
+    [33.7, [2.6, 3.2]],
+    [42.4, [2.6, 3.2]],
+    [48.3, [2.6, 3.2, 4.0]],
+    [60.3, [2.9, 3.6, 4.0]],
+    [76.1, [2.9, 3.6]],
+    [88.9, [3.2, 4.0]],
+    [114.3, [3.6, 4.0, 6.0]],
+    [139.7, [4.0, 5.0]],
+    [168.3, [4.5, 6.3]],
+    [219.1, [6.3]]
+];
+
+module.exports = {
+    IPE,
+    HEA,
+    HEB,
+    UPN,
+    L_EQUAL,
+    L_UNEQUAL,
+    SHS,
+    RHS,
+    CHS
+};
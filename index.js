@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { scheduleExpiredReservationRelease } = require('./services/reservationService');
 
 // Load environment variables
 dotenv.config();
@@ -31,13 +32,26 @@ app.get('/api/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
-// app.use('/api/products', require('./routes/productRoutes'));
-// app.use('/api/stock', require('./routes/stockRoutes'));
-// app.use('/api/movements', require('./routes/movementRoutes'));
+app.use('/api/products', require('./routes/productRoutes'));
+app.use('/api/profiles', require('./routes/profileRoutes'));
+app.use('/api/material-grades', require('./routes/materialGradeRoutes'));
+app.use('/api/stock', require('./routes/stockRoutes'));
+app.use('/api/locations', require('./routes/locationRoutes'));
+app.use('/api/stock-transfers', require('./routes/stockTransferRoutes'));
+app.use('/api/batches', require('./routes/batchRoutes'));
+app.use('/api/scrap', require('./routes/scrapRoutes'));
+app.use('/api/scan', require('./routes/scanRoutes'));
+app.use('/api/suppliers', require('./routes/supplierRoutes'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrderRoutes'));
+app.use('/api/movements', require('./routes/movementRoutes'));
+app.use('/api/cutting-plans', require('./routes/cuttingPlanRoutes'));
+app.use('/api/nesting-plans', require('./routes/nestingPlanRoutes'));
 app.use('/api/reports', require('./routes/reportRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/projects', require('./routes/projectRoutes'));
+app.use('/api/stocktakes', require('./routes/stocktakeRoutes'));
 app.use('/api/import', require('./routes/importRoutes'));
+app.use('/api/cron', require('./routes/cronRoutes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -55,6 +69,12 @@ if (process.env.NODE_ENV !== 'production') {
     app.listen(PORT, () => {
         console.log(`🏭 MetalStock Pro API running on port ${PORT}`);
     });
+
+    // Release expired reservations on a schedule (on Vercel the cron in vercel.json does it)
+    const releaseIntervalMinutes = Number(process.env.RESERVATION_RELEASE_INTERVAL_MINUTES ?? 15);
+    if (process.env.MONGODB_URI && releaseIntervalMinutes > 0) {
+        scheduleExpiredReservationRelease(releaseIntervalMinutes);
+    }
 }
 
 // Export for Vercel serverless
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -123,4 +124,26 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { protect, authorize, optionalAuth };
+/**
+ * Cron Secret Middleware
+ * Authenticates scheduled jobs (e.g. Vercel Cron) by the shared CRON_SECRET
+ * sent as a Bearer token, instead of a user JWT
+ *
+ * Usage: router.get('/job', cronSecret, handler)
+ */
+const cronSecret = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || '');
+
+    if (!secret || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Não autorizado'
+        });
+    }
+
+    next();
+};
+
+module.exports = { protect, authorize, optionalAuth, cronSecret };
@@ -19,21 +19,13 @@ dotenv.config();
 // Import models
 const Product = require('./models/Product');
 const StockItem = require('./models/StockItem');
+const MaterialGrade = require('./models/MaterialGrade');
+const { DENSITIES } = require('./utils/metalMath');
+const { findGradeInText } = require('./utils/gradeMatcher');
 
 // Caminho para o ficheiro Excel
 const EXCEL_PATH = path.join(__dirname, '..', 'Inventario2021.xlsx');
 
-// Densidades padrão por tipo de material (g/cm³)
-const DENSITIES = {
-    steel: 7.85,
-    stainless: 7.90,
-    aluminum: 2.70,
-    brass: 8.50,
-    bronze: 8.80,
-    plastic: 1.20,
-    other: 7.85
-};
-
 /**
  * Limpar e normalizar dados do Excel
  */
@@ -51,7 +43,7 @@ function cleanNumber(value) {
 /**
  * Processar uma linha do Excel
  */
-function processRow(row, headers) {
+function processRow(row, headers, grades) {
     // Mapear colunas (os headers têm quebras de linha)
     const data = {};
     headers.forEach((header, i) => {
@@ -68,8 +60,9 @@ function processRow(row, headers) {
     // Ignorar linhas sem código
     if (!code) return null;
 
-    // Detetar tipo de material a partir da descrição
-    const materialType = Product.detectMaterialType(description);
+    // Detetar qualidade e tipo de material a partir da descrição
+    const grade = findGradeInText(description, grades);
+    const materialType = grade ? grade.family : Product.detectMaterialType(description);
 
     // Detetar forma a partir do código/descrição
     const shape = Product.detectShape(code, description);
@@ -84,9 +77,10 @@ function processRow(row, headers) {
         unit: unit.toLowerCase() || 'kg',
         weightPerUnit,
         materialType,
+        grade: grade ? grade._id : undefined,
         shape,
         diameter,
-        density: DENSITIES[materialType] || DENSITIES.steel
+        density: grade ? grade.density : (DENSITIES[materialType] || DENSITIES.steel)
     };
 }
 
@@ -114,6 +108,11 @@ async function migrate() {
         const dataRows = rawData.slice(1);
         console.log(`   Encontradas ${dataRows.length} linhas`);
 
+        // Qualidades de material base
+        const { created: gradesCreated } = await MaterialGrade.seedDefaults();
+        const grades = await MaterialGrade.find({ active: true });
+        console.log(`\n🔩 ${grades.length} qualidades de material (${gradesCreated} novas)`);
+
         // Processar dados
         console.log('\n🔄 A processar dados...');
         const products = [];
@@ -121,7 +120,7 @@ async function migrate() {
 
         dataRows.forEach((row, index) => {
             try {
-                const processed = processRow(row, headers);
+                const processed = processRow(row, headers, grades);
                 if (processed) {
                     products.push(processed);
                 }
@@ -160,6 +159,7 @@ async function migrate() {
                     description: item.description,
                     category: 'raw_material',
                     materialType: item.materialType,
+                    grade: item.grade,
                     shape: item.shape,
                     dimensions: {
                         d: item.diameter,
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Batch (Lote / Corrida) Schema
+ *
+ * Corrida de aço (heat number) recebida de um fornecedor, com a qualidade e o
+ * certificado de inspeção EN 10204 (normalmente 3.1) emitido pela siderurgia.
+ * Os StockItems da corrida (e os retalhos cortados deles) referenciam o lote;
+ * os consumos em obra guardam-no em ProjectMaterial.consumedItems.
+ */
+const batchSchema = new mongoose.Schema({
+    // === IDENTIFICAÇÃO ===
+    heatNumber: {
+        type: String,
+        required: [true, 'Número de corrida é obrigatório'],
+        trim: true
+    },
+    // Lote do fornecedor (opcional; pode haver vários lotes por corrida)
+    batchNumber: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // === ORIGEM ===
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
+    // Siderurgia que produziu a corrida
+    manufacturer: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    grade: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialGrade'
+    },
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+
+    // === CERTIFICADO (EN 10204) ===
+    certificate: {
+        type: {
+            type: String,
+            enum: ['2.1', '2.2', '3.1', '3.2'],
+            default: '3.1'
+        },
+        number: { type: String, trim: true, default: '' },
+        issuedAt: Date,
+        // Ficheiro PDF guardado em disco (CERTIFICATES_DIR)
+        fileName: { type: String, default: '' },
+        originalName: { type: String, default: '' },
+        mimeType: { type: String, default: '' },
+        size: { type: Number, default: 0 },
+        uploadedAt: Date,
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    notes: {
+        type: String,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+// Uma corrida por fornecedor
+batchSchema.index({ heatNumber: 1, supplier: 1 }, { unique: true });
+
+const Batch = mongoose.model('Batch', batchSchema);
+
+module.exports = Batch;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * CostLayer (Camada de Custo) Schema
+ *
+ * Cada entrada com quantidade (receção, devolução de obra, ajuste positivo) abre uma camada
+ * com a quantidade e o custo unitário na unidade de stock do produto.
+ * As saídas (consumos, cortes, ajustes negativos) retiram das camadas mais antigas primeiro;
+ * em FIFO o custo da saída é o dessas camadas, em AVCO é o preço médio ponderado.
+ */
+const costLayerSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Produto é obrigatório']
+    },
+
+    // Movimento de entrada que abriu a camada
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+
+    // Data da entrada (ordem de saída em FIFO)
+    date: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Quantidade de entrada e ainda por consumir (unidade de stock do produto)
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    remainingQuantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Custo por unidade de stock
+    unitCost: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+costLayerSchema.index({ product: 1, remainingQuantity: 1, date: 1 });
+costLayerSchema.index({ movement: 1 });
+
+const CostLayer = mongoose.model('CostLayer', costLayerSchema);
+
+module.exports = CostLayer;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema - Contadores de numeração
+ *
+ * Um documento por sequência (ex: 'ENC-2026-'), incrementado de forma atómica
+ * para que pedidos simultâneos nunca recebam o mesmo número.
+ */
+const counterSchema = new mongoose.Schema({
+    // Nome da sequência
+    _id: {
+        type: String,
+        required: true
+    },
+
+    // Último número atribuído
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+/**
+ * Static: Próximo número de uma sequência
+ *
+ * Corre fora da transação em curso: a numeração não deve provocar conflitos
+ * entre transações (um número de uma transação desfeita fica por usar).
+ *
+ * @param {string} name - Nome da sequência
+ * @param {Function} [getInitial] - Último número já usado, para sequências que ainda não têm contador
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, getInitial) {
+    if (getInitial && !(await this.exists({ _id: name }).session(null))) {
+        const initial = await getInitial();
+        await this.updateOne({ _id: name }, { $max: { seq: initial } }, { upsert: true }).session(null);
+    }
+
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+    ).session(null);
+
+    return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
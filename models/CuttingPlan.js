@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * CuttingPlan Schema - Plano de Corte
+ *
+ * Resultado do otimizador de corte para uma lista de peças de um produto.
+ * Fica em rascunho até ser executado (cortes + associação à obra).
+ */
+const cuttingPlanSchema = new mongoose.Schema({
+    // Produto a cortar
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Produto é obrigatório'],
+        index: true
+    },
+
+    // Obra de destino (opcional até à execução)
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+
+    // Peças pedidas
+    pieces: [{
+        lengthMM: { type: Number, required: true, min: [1, 'Comprimento inválido'] },
+        quantity: { type: Number, required: true, min: [1, 'Quantidade inválida'] },
+        label: { type: String, default: '' }
+    }],
+
+    // Parâmetros de corte
+    kerfMM: { type: Number, default: 0 },
+    minOffcutLengthMM: { type: Number, default: 0 },
+
+    // Barras a cortar
+    bars: [{
+        stockItem: { type: mongoose.Schema.Types.ObjectId, ref: 'StockItem' },
+        sourceType: { type: String, enum: ['FULL_BAR', 'OFFCUT', 'PURCHASE'] },
+        lengthMM: Number,
+        cuts: [Number],
+        labels: [String],
+        usedLengthMM: Number,
+        kerfLossMM: Number,
+        remainderLengthMM: Number,
+        remainderAction: { type: String, enum: ['offcut', 'scrap'] },
+        remainderWeight: { type: Number, default: 0 },
+        scrapWeight: { type: Number, default: 0 }
+    }],
+
+    // Peças que não cabem em nenhuma barra
+    unplaced: [{
+        lengthMM: Number,
+        label: String
+    }],
+
+    // Resumo
+    summary: {
+        barsUsed: { type: Number, default: 0 },
+        offcutsUsed: { type: Number, default: 0 },
+        barsToPurchase: { type: Number, default: 0 },
+        requiredLengthMM: { type: Number, default: 0 },
+        stockLengthMM: { type: Number, default: 0 },
+        utilizationPercent: { type: Number, default: 0 },
+        remainderWeight: { type: Number, default: 0 },
+        scrapWeight: { type: Number, default: 0 }
+    },
+
+    // Estado
+    status: {
+        type: String,
+        enum: ['draft', 'committed', 'cancelled'],
+        default: 'draft'
+    },
+
+    // Movimentos gerados na execução
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+    committedAt: Date,
+    committedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+cuttingPlanSchema.index({ project: 1, createdAt: -1 });
+cuttingPlanSchema.index({ status: 1, createdAt: -1 });
+
+const CuttingPlan = mongoose.model('CuttingPlan', cuttingPlanSchema);
+
+module.exports = CuttingPlan;
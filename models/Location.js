@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Níveis da hierarquia (de cima para baixo); prateleiras e braços de cantilever são posições de arrumação
+const LOCATION_TYPES = ['warehouse', 'zone', 'rack', 'shelf', 'arm'];
+const SLOT_TYPES = ['shelf', 'arm'];
+
+/**
+ * Location Schema - Localizações do Armazém
+ *
+ * Hierarquia: armazém → zona → estante → prateleira / braço de cantilever.
+ * Cada posição pode limitar o comprimento máximo, o peso máximo e as formas aceites.
+ * O StockItem guarda a referência (locationRef) e o código (location) para filtros rápidos.
+ */
+const locationSchema = new mongoose.Schema({
+    // Código único (ex: 'A-E02-P3')
+    code: {
+        type: String,
+        required: [true, 'Código é obrigatório'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    type: {
+        type: String,
+        enum: LOCATION_TYPES,
+        required: [true, 'Tipo é obrigatório']
+    },
+
+    // Nível acima (vazio apenas para armazéns)
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
+
+    // === CAPACIDADE (0 = sem limite) ===
+    capacity: {
+        maxLengthMM: {
+            type: Number,
+            default: 0,
+            min: [0, 'Comprimento máximo não pode ser negativo']
+        },
+        maxWeightKg: {
+            type: Number,
+            default: 0,
+            min: [0, 'Peso máximo não pode ser negativo']
+        }
+    },
+
+    // Formas aceites (vazio = todas)
+    allowedShapes: [{
+        type: String,
+        enum: ['round', 'hex', 'tube', 'plate', 'box', 'flat', 'angle', 'channel', 'beam', 'rhs', 'shs', 'other']
+    }],
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Pre-validate: Um armazém não tem pai; os restantes níveis ficam abaixo de um nível superior
+ */
+locationSchema.pre('validate', async function () {
+    if (!this.isNew && !this.isModified('parent') && !this.isModified('type')) return;
+
+    if (this.type === 'warehouse') {
+        if (this.parent) this.invalidate('parent', 'Um armazém não pode ter localização pai');
+        return;
+    }
+
+    const parent = this.parent ? await this.constructor.findById(this.parent) : null;
+    if (!parent || SLOT_TYPES.includes(parent.type)
+        || LOCATION_TYPES.indexOf(parent.type) >= LOCATION_TYPES.indexOf(this.type)) {
+        this.invalidate('parent', 'Localização pai inválida para este nível');
+    }
+});
+
+/**
+ * Verificar se a localização é uma posição de arrumação (prateleira / braço)
+ */
+locationSchema.methods.isSlot = function () {
+    return SLOT_TYPES.includes(this.type);
+};
+
+/**
+ * Static: Posições de arrumação ativas
+ */
+locationSchema.statics.findSlots = function (filter = {}) {
+    return this.find({ ...filter, type: { $in: SLOT_TYPES }, active: true });
+};
+
+const Location = mongoose.model('Location', locationSchema);
+
+module.exports = Location;
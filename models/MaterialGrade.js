@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const DEFAULT_GRADES = require('../data/materialGrades');
+const { findGradeInText } = require('../utils/gradeMatcher');
+
+/**
+ * MaterialGrade Schema - Qualidades de Material
+ *
+ * Qualidade concreta (S235JR, AISI 304, 6082-T6...) com densidade, norma e
+ * equivalências entre normas. Os produtos referenciam a qualidade e herdam a densidade.
+ */
+const materialGradeSchema = new mongoose.Schema({
+    // Identificação
+    code: {
+        type: String,
+        required: [true, 'Código da qualidade é obrigatório'],
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // Família (corresponde a Product.materialType)
+    family: {
+        type: String,
+        enum: ['steel', 'stainless', 'aluminum', 'brass', 'bronze', 'plastic', 'other'],
+        required: [true, 'Família é obrigatória']
+    },
+
+    // Propriedades Físicas
+    density: {
+        type: Number,
+        required: [true, 'Densidade é obrigatória'],
+        min: [0.1, 'Densidade inválida']
+    },
+
+    // Normalização
+    standard: {
+        type: String,
+        trim: true,
+        default: ''  // Ex: "EN 10025-2"
+    },
+    materialNumber: {
+        type: String,
+        trim: true,
+        default: ''  // Número de material (Werkstoffnummer), ex: "1.0038"
+    },
+
+    // Referências cruzadas entre normas
+    equivalents: {
+        en: { type: String, trim: true, default: '' },
+        aisi: { type: String, trim: true, default: '' },   // AISI / ASTM / UNS
+        din: { type: String, trim: true, default: '' }
+    },
+
+    // Designações alternativas usadas nas descrições (ex: "ST37", "V2A")
+    aliases: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }],
+
+    // Metadata
+    active: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+materialGradeSchema.index({ family: 1, code: 1 });
+materialGradeSchema.index({ aliases: 1 });
+
+/**
+ * Static: Detetar a qualidade mencionada num código/descrição
+ */
+materialGradeSchema.statics.detect = async function (text) {
+    const grades = await this.find({ active: true }).select('code materialNumber aliases family density');
+    return findGradeInText(text, grades);
+};
+
+/**
+ * Static: Criar as qualidades base que ainda não existem
+ */
+materialGradeSchema.statics.seedDefaults = async function () {
+    let created = 0;
+
+    for (const grade of DEFAULT_GRADES) {
+        const result = await this.updateOne(
+            { code: grade.code },
+            { $setOnInsert: grade },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) created++;
+    }
+
+    return { created, total: DEFAULT_GRADES.length };
+};
+
+const MaterialGrade = mongoose.model('MaterialGrade', materialGradeSchema);
+
+module.exports = MaterialGrade;
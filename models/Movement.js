@@ -1,16 +1,18 @@
 const mongoose = require('mongoose');
+const { UNITS } = require('../utils/unitConverter');
+const { COSTING_METHODS } = require('../config/costing');
 
 /**
  * Movement Schema - Histórico de Movimentos
  * 
- * Regista todas as entradas, saídas, cortes e ajustes de stock.
+ * Regista todas as entradas, saídas, cortes, ajustes e transferências de stock.
  * Fundamental para rastreabilidade e cálculo de custos por obra.
  */
 const movementSchema = new mongoose.Schema({
     // Tipo de movimento
     type: {
         type: String,
-        enum: ['IN', 'OUT', 'CUT', 'ADJUST'],
+        enum: ['IN', 'OUT', 'CUT', 'ADJUST', 'TRANSFER'],
         required: [true, 'Tipo de movimento é obrigatório']
     },
 
@@ -28,6 +30,13 @@ const movementSchema = new mongoose.Schema({
         ref: 'StockItem'
     },
 
+    // Armazém onde o movimento ocorreu
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
+
     // Utilizador que realizou o movimento
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -35,7 +44,7 @@ const movementSchema = new mongoose.Schema({
         required: [true, 'Utilizador é obrigatório']
     },
 
-    // Quantidade (positivo para IN, negativo para OUT)
+    // Quantidade (positivo para IN, negativo para OUT; TRANSFER: negativo no armazém de origem, positivo no de destino)
     quantityDelta: {
         type: Number,
         required: [true, 'Quantidade é obrigatória']
@@ -44,7 +53,7 @@ const movementSchema = new mongoose.Schema({
     // Unidade do movimento
     unit: {
         type: String,
-        enum: ['kg', 'un', 'mm', 'm'],
+        enum: UNITS,
         default: 'kg'
     },
 
@@ -75,6 +84,20 @@ const movementSchema = new mongoose.Schema({
         default: 0
     },
 
+    // Método de custeio em vigor no movimento
+    costingMethod: {
+        type: String,
+        enum: COSTING_METHODS
+    },
+
+    // Saídas: camadas de custo consumidas (quantidade e custo na unidade de stock do produto)
+    costLayers: [{
+        _id: false,
+        layer: { type: mongoose.Schema.Types.ObjectId, ref: 'CostLayer' },
+        quantity: { type: Number, default: 0 },
+        unitCost: { type: Number, default: 0 }
+    }],
+
     // Notas/Observações
     notes: {
         type: String,
@@ -89,7 +112,15 @@ const movementSchema = new mongoose.Schema({
         remainderAction: {
             type: String,
             enum: ['offcut', 'scrap', 'returned']
-        }
+        },
+        // Peso que saiu do stock (o quantityDelta vem na unidade de stock do produto)
+        consumedWeightKg: Number
+    },
+
+    // Para transferências: localização/armazém de origem e destino (códigos)
+    transferDetails: {
+        fromLocation: String,
+        toLocation: String
     }
 }, {
     timestamps: true
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * NestingPlan Schema - Plano de Corte de Chapa
+ *
+ * Resultado do nesting 2D (guilhotina) de peças retangulares sobre chapas e retalhos de chapa.
+ * Fica em rascunho até ser executado; na execução os sobrantes passam a OFFCUT.
+ */
+const nestingPlanSchema = new mongoose.Schema({
+    // Produto (chapa) a cortar
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Produto é obrigatório'],
+        index: true
+    },
+
+    // Obra de destino (opcional até à execução)
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+
+    // Peças pedidas
+    parts: [{
+        widthMM: { type: Number, required: true, min: [1, 'Largura inválida'] },
+        lengthMM: { type: Number, required: true, min: [1, 'Comprimento inválido'] },
+        quantity: { type: Number, required: true, min: [1, 'Quantidade inválida'] },
+        label: { type: String, default: '' },
+        allowRotate: { type: Boolean, default: true }
+    }],
+
+    // Parâmetros de corte
+    kerfMM: { type: Number, default: 0 },
+    minOffcutSideMM: { type: Number, default: 0 },
+
+    // Chapas a cortar
+    plates: [{
+        stockItem: { type: mongoose.Schema.Types.ObjectId, ref: 'StockItem' },
+        sourceType: { type: String, enum: ['FULL_BAR', 'OFFCUT'] },
+        widthMM: Number,
+        lengthMM: Number,
+        placements: [new mongoose.Schema({
+            x: Number,
+            y: Number,
+            widthMM: Number,
+            lengthMM: Number,
+            rotated: Boolean,
+            label: String
+        }, { _id: false })],
+        leftovers: [new mongoose.Schema({
+            x: Number,
+            y: Number,
+            widthMM: Number,
+            lengthMM: Number,
+            action: { type: String, enum: ['offcut', 'scrap'] }
+        }, { _id: false })],
+        usedAreaMM2: Number,
+        utilizationPercent: Number,
+        offcutWeight: { type: Number, default: 0 },
+        scrapWeight: { type: Number, default: 0 }
+    }],
+
+    // Peças que não cabem em nenhuma chapa
+    unplaced: [{
+        widthMM: Number,
+        lengthMM: Number,
+        label: String
+    }],
+
+    // Resumo
+    summary: {
+        platesUsed: { type: Number, default: 0 },
+        offcutsUsed: { type: Number, default: 0 },
+        utilizationPercent: { type: Number, default: 0 },
+        offcutWeight: { type: Number, default: 0 },
+        scrapWeight: { type: Number, default: 0 }
+    },
+
+    // Estado
+    status: {
+        type: String,
+        enum: ['draft', 'committed', 'cancelled'],
+        default: 'draft'
+    },
+
+    // Movimentos e retalhos gerados na execução
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+    createdOffcuts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockItem'
+    }],
+    committedAt: Date,
+    committedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+nestingPlanSchema.index({ project: 1, createdAt: -1 });
+nestingPlanSchema.index({ status: 1, createdAt: -1 });
+
+const NestingPlan = mongoose.model('NestingPlan', nestingPlanSchema);
+
+module.exports = NestingPlan;
@@ -12,7 +12,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['STOCK_CRITICAL', 'STOCK_WARNING', 'MOVEMENT', 'SYSTEM'],
+        enum: ['STOCK_CRITICAL', 'STOCK_WARNING', 'MOVEMENT', 'RESERVATION', 'SYSTEM'],
         required: true
     },
     title: {
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const MaterialGrade = require('./MaterialGrade');
+const DEFAULT_GRADES = require('../data/materialGrades');
+const { DENSITIES, PROFILE_SHAPES, getWeightPerMeter } = require('../utils/metalMath');
+const { lookupProfile } = require('../utils/profileCatalog');
+const { UNITS } = require('../utils/unitConverter');
+const { findGradeInText } = require('../utils/gradeMatcher');
 
 /**
  * Product Schema - O Catálogo de Materiais
@@ -33,18 +39,35 @@ const productSchema = new mongoose.Schema({
         enum: ['steel', 'stainless', 'aluminum', 'brass', 'bronze', 'plastic', 'other'],
         default: 'steel'
     },
+    // Qualidade do material (define densidade e família)
+    grade: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialGrade',
+        index: true
+    },
     shape: {
         type: String,
-        enum: ['round', 'hex', 'tube', 'plate', 'box', 'other'],
+        enum: ['round', 'hex', 'tube', 'plate', 'box', 'flat', 'angle', 'channel', 'beam', 'rhs', 'shs', 'other'],
         default: 'round'
     },
 
+    // Designação normalizada do catálogo de perfis (ex: 'IPE 200', 'CHS 48.3x3.2')
+    designation: {
+        type: String,
+        default: '',
+        trim: true
+    },
+
     // Dimensões (em mm)
     dimensions: {
         d: { type: Number, default: 0 },      // Diâmetro (para barras redondas/hex)
-        w: { type: Number, default: 0 },      // Largura (para chapas/caixas)
+        w: { type: Number, default: 0 },      // Largura (chapas/caixas; aba de cantoneiras; banzo de perfis U/I/H)
         h: { type: Number, default: 0 },      // Altura/Espessura
-        wall: { type: Number, default: 0 }    // Parede (para tubos)
+        wall: { type: Number, default: 0 },   // Parede (tubos, cantoneiras, tubos retangulares)
+        tw: { type: Number, default: 0 },     // Espessura da alma (perfis U/I/H)
+        tf: { type: Number, default: 0 },     // Espessura do banzo (perfis U/I/H)
+        r: { type: Number, default: 0 },      // Raio de concordância (ou raio exterior em RHS/SHS)
+        r2: { type: Number, default: 0 }      // Raio da extremidade da aba (cantoneiras/perfis U)
     },
 
     // Propriedades Físicas (CRÍTICO para conversão Kg <-> Metros)
@@ -54,7 +77,7 @@ const productSchema = new mongoose.Schema({
         min: [0.1, 'Densidade inválida']
     },
 
-    // Peso unitário por metro (kg/m) - vem do Excel
+    // Peso unitário por metro (kg/m) - vem do Excel; calculado automaticamente para perfis
     weightPerMeter: {
         type: Number,
         default: 0
@@ -64,23 +87,38 @@ const productSchema = new mongoose.Schema({
     stockConfig: {
         minStock: { type: Number, default: 0 },       // Semáforo Vermelho
         safetyStock: { type: Number, default: 0 },    // Semáforo Amarelo
+        reorderQuantity: { type: Number, default: 0 }, // Quantidade mínima de encomenda
         unit: {
             type: String,
-            enum: ['kg', 'un', 'm', 'unid', 'lt'],  // Aceita mais formatos do Excel
+            enum: [...UNITS, 'unid', 'lt'],  // Aceita mais formatos do Excel (unid/lt = un)
             default: 'kg'
         }
     },
 
+    // Contador de reservas por quantidade: cada reserva incrementa-o na sua transação,
+    // para que duas reservas simultâneas do mesmo produto entrem em conflito
+    reservationSeq: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+
     // Financeiro
     financial: {
         lastPrice: { type: Number, default: 0 },      // Último preço de compra
         averagePrice: { type: Number, default: 0 }    // Preço Médio Ponderado
     },
 
-    // Fornecedores
+    // Fornecedores (preço e código do produto em cada fornecedor)
     suppliers: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Supplier'
+        supplier: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Supplier',
+            required: true
+        },
+        price: { type: Number, default: 0, min: 0 },
+        supplierCode: { type: String, default: '', trim: true },
+        preferred: { type: Boolean, default: false }
     }],
 
     // Metadata
@@ -99,6 +137,42 @@ const productSchema = new mongoose.Schema({
 // Índices para pesquisa rápida
 productSchema.index({ description: 'text' });
 productSchema.index({ category: 1, materialType: 1 });
+productSchema.index({ 'suppliers.supplier': 1 });
+
+/**
+ * Pre-save: Sincronizar densidade com a qualidade e calcular o peso por metro dos perfis
+ */
+productSchema.pre('save', async function () {
+    // Densidade e família vêm da qualidade do material
+    if (this.grade && (this.isNew || this.isModified('grade'))) {
+        const grade = await MaterialGrade.findById(this.grade);
+        if (grade) {
+            this.density = grade.density;
+            this.materialType = grade.family;
+        }
+    }
+
+    // Perfis do catálogo: kg/m das tabelas (aço) ajustado à densidade
+    if (this.designation) {
+        const profile = lookupProfile(this.designation);
+        if (profile) {
+            this.weightPerMeter = Math.round((profile.weightPerMeter * this.density / profile.density) * 100) / 100;
+        }
+        return;
+    }
+
+    // Restantes perfis: kg/m pela área da secção
+    if (!PROFILE_SHAPES.includes(this.shape)) return;
+    if (this.constructor.validateDimensions(this).length > 0) return;
+
+    const weightPerMeter = getWeightPerMeter({
+        shape: this.shape,
+        dimensions: this.dimensions,
+        density: this.density,
+        materialType: this.materialType
+    });
+    if (weightPerMeter > 0) this.weightPerMeter = weightPerMeter;
+});
 
 /**
  * Virtual para calcular stock total a partir dos StockItems
@@ -111,8 +185,14 @@ productSchema.virtual('stockItems', {
 
 /**
  * Método para detetar tipo de material a partir da descrição
+ * Uma qualidade reconhecida (S355, 42CrMo4, AISI 316L, 6082...) define a família
  */
 productSchema.statics.detectMaterialType = function (description) {
+    const grade = findGradeInText(description, DEFAULT_GRADES);
+    if (grade) {
+        return grade.family;
+    }
+
     const desc = description.toLowerCase();
 
     if (desc.includes('inox') || desc.includes('304') || desc.includes('316')) {
@@ -157,6 +237,80 @@ productSchema.statics.detectShape = function (code, description) {
     return 'round';
 };
 
+/**
+ * Dimensões obrigatórias por forma (em mm)
+ */
+const REQUIRED_DIMENSIONS = {
+    round: ['d'],
+    hex: ['d'],
+    tube: ['d', 'wall'],
+    plate: ['w', 'h'],
+    box: ['w', 'h'],
+    flat: ['w', 'h'],
+    angle: ['w', 'h', 'wall'],
+    channel: ['h', 'w', 'tw', 'tf'],
+    beam: ['h', 'w', 'tw', 'tf'],
+    rhs: ['w', 'h', 'wall'],
+    shs: ['w', 'wall']
+};
+
+/**
+ * Método para validar dimensões e densidade de acordo com a forma
+ * Devolve uma lista de erros (vazia se válido)
+ */
+productSchema.statics.validateDimensions = function ({ shape, dimensions = {}, density }) {
+    const errors = [];
+    const required = REQUIRED_DIMENSIONS[shape] || [];
+
+    required.forEach((key) => {
+        if (!(Number(dimensions[key]) > 0)) {
+            errors.push(`Dimensão '${key}' é obrigatória para a forma '${shape}'`);
+        }
+    });
+
+    if (shape === 'tube' && dimensions.wall > 0 && dimensions.d > 0 && dimensions.wall * 2 >= dimensions.d) {
+        errors.push('Parede do tubo deve ser inferior a metade do diâmetro');
+    }
+
+    if (shape === 'angle' && dimensions.wall > 0 && dimensions.w > 0 && dimensions.h > 0
+        && dimensions.wall >= Math.min(dimensions.w, dimensions.h)) {
+        errors.push('Espessura da cantoneira deve ser inferior às abas');
+    }
+
+    if (['channel', 'beam'].includes(shape) && dimensions.h > 0 && dimensions.w > 0
+        && (dimensions.tf * 2 >= dimensions.h || dimensions.tw >= dimensions.w)) {
+        errors.push('Espessuras de alma/banzo incompatíveis com a altura/largura do perfil');
+    }
+
+    if (['rhs', 'shs'].includes(shape) && dimensions.wall > 0
+        && dimensions.wall * 2 >= Math.min(dimensions.w, shape === 'shs' ? dimensions.w : dimensions.h)) {
+        errors.push('Parede do tubo retangular deve ser inferior a metade do lado');
+    }
+
+    if (required.length > 0 && density !== undefined && !(Number(density) > 0)) {
+        errors.push(`Densidade é obrigatória para a forma '${shape}'`);
+    }
+
+    return errors;
+};
+
+/**
+ * Preencher forma, dimensões, peso por metro e densidade a partir do catálogo de perfis
+ * O kg/m das tabelas (aço) é ajustado à densidade do material do produto
+ * (com qualidade definida, a densidade é a da qualidade)
+ */
+productSchema.methods.applyStandardProfile = function (profile) {
+    if (!this.grade) {
+        this.density = DENSITIES[this.materialType] || profile.density;
+    }
+
+    this.designation = profile.designation;
+    this.shape = profile.shape;
+    this.dimensions = { ...profile.dimensions };
+    this.weightPerMeter = Math.round((profile.weightPerMeter * this.density / profile.density) * 100) / 100;
+    return this;
+};
+
 /**
  * Método para extrair diâmetro do código (ex: AC4R050 -> 50mm)
  */
@@ -63,6 +63,8 @@ const projectSchema = new mongoose.Schema({
         materials: { type: Number, default: 0 },
         labor: { type: Number, default: 0 },
         other: { type: Number, default: 0 },
+        // Crédito da venda da sucata gerada pela obra (abate ao total)
+        scrapCredit: { type: Number, default: 0 },
         total: { type: Number, default: 0 }
     },
 
@@ -89,6 +91,12 @@ const projectSchema = new mongoose.Schema({
         amount: { type: Number, required: true }
     }],
 
+    // === ARMAZÉM (material consumido, reservado e cortado sai daqui; vazio = todos) ===
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+
     // === REFERÊNCIAS ===
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -138,7 +146,8 @@ projectSchema.pre('save', function () {
     }
 
     // Calcular custo total
-    this.costs.total = (this.costs.materials || 0) + (this.costs.labor || 0) + (this.costs.other || 0);
+    this.costs.total = (this.costs.materials || 0) + (this.costs.labor || 0) + (this.costs.other || 0)
+        - (this.costs.scrapCredit || 0);
 
     // Calcular orçamento total
     this.budget.total = (this.budget.materials || 0) + (this.budget.labor || 0) + (this.budget.other || 0);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { UNITS } = require('../utils/unitConverter');
 
 /**
  * ProjectMaterial Schema - Materiais associados a uma Obra
@@ -38,10 +39,31 @@ const projectMaterialSchema = new mongoose.Schema({
     // Unidade
     unit: {
         type: String,
-        enum: ['kg', 'mm', 'm', 'un'],
+        enum: UNITS,
         default: 'kg'
     },
 
+    // Quantidade já devolvida ao stock (na mesma unidade)
+    returnedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Itens de stock de onde saiu o material (para devolver exatamente o que foi consumido)
+    // e a corrida de cada um. Em cortes as barras/chapas de origem ficam só para
+    // rastreabilidade (stockQuantity 0: a devolução cria um retalho novo).
+    consumedItems: [{
+        _id: false,
+        stockItem: { type: mongoose.Schema.Types.ObjectId, ref: 'StockItem' },
+        quantity: { type: Number, default: 0 },        // Peças retiradas
+        weight: { type: Number, default: 0 },          // kg retirados
+        stockQuantity: { type: Number, default: 0 },   // Na unidade de stock do produto
+        returnedStockQuantity: { type: Number, default: 0 },
+        batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+        heatNumber: { type: String, default: '' }
+    }],
+
     // Custos
     unitCost: {
         type: Number,
@@ -82,12 +104,14 @@ const projectMaterialSchema = new mongoose.Schema({
 // Índices
 projectMaterialSchema.index({ project: 1, product: 1 });
 projectMaterialSchema.index({ addedAt: -1 });
+projectMaterialSchema.index({ 'consumedItems.heatNumber': 1 });
+projectMaterialSchema.index({ 'consumedItems.batch': 1 });
 
 /**
- * Pre-save: Calcular custo total
+ * Pre-save: Calcular custo total (descontando o que foi devolvido)
  */
 projectMaterialSchema.pre('save', function () {
-    this.totalCost = Math.round(this.quantity * this.unitCost * 100) / 100;
+    this.totalCost = Math.round((this.quantity - this.returnedQuantity) * this.unitCost * 100) / 100;
 });
 
 /**
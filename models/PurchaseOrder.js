@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { UNITS } = require('../utils/unitConverter');
+
+/**
+ * PurchaseOrder (Encomenda a Fornecedor) Schema
+ *
+ * Ciclo de vida: draft → sent → partially_received → received
+ * (cancelled a partir de draft ou sent)
+ */
+
+// Transições de estado permitidas
+const STATUS_TRANSITIONS = {
+    draft: ['sent', 'cancelled'],
+    sent: ['partially_received', 'received', 'cancelled'],
+    partially_received: ['received'],
+    received: [],
+    cancelled: []
+};
+
+const purchaseOrderSchema = new mongoose.Schema({
+    // === IDENTIFICAÇÃO ===
+    reference: {
+        type: String,
+        unique: true,
+        required: true,
+        trim: true,
+        match: [/^ENC-\d{4}-\d{3}$/, 'Referência deve seguir formato ENC-YYYY-NNN']
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Fornecedor é obrigatório'],
+        index: true
+    },
+
+    // === ESTADO ===
+    status: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        default: 'draft'
+    },
+
+    // === LINHAS ===
+    lines: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: [true, 'Produto é obrigatório']
+        },
+        description: { type: String, default: '' },
+        supplierCode: { type: String, default: '' },
+        quantity: { type: Number, required: true, min: [0.001, 'Quantidade deve ser positiva'] },
+        unit: {
+            type: String,
+            enum: UNITS,
+            default: 'kg'
+        },
+        unitPrice: { type: Number, default: 0, min: 0 },
+        totalPrice: { type: Number, default: 0 },
+        receivedQuantity: { type: Number, default: 0, min: 0 }
+    }],
+
+    // === TOTAIS ===
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // === DATAS ===
+    orderDate: {
+        type: Date,
+        default: Date.now
+    },
+    expectedDate: {
+        type: Date
+    },
+    sentAt: Date,
+    receivedAt: Date,
+    cancelledAt: Date,
+
+    // === REFERÊNCIAS ===
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // === NOTAS ===
+    notes: {
+        type: String,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+// Índices
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'lines.product': 1, status: 1 });
+
+/**
+ * Pre-save: Calcular totais das linhas e da encomenda
+ */
+purchaseOrderSchema.pre('save', function () {
+    this.totalAmount = this.lines.reduce((sum, line) => {
+        line.totalPrice = Math.round(line.quantity * line.unitPrice * 100) / 100;
+        return sum + line.totalPrice;
+    }, 0);
+    this.totalAmount = Math.round(this.totalAmount * 100) / 100;
+});
+
+/**
+ * Static: Gerar próxima referência
+ */
+purchaseOrderSchema.statics.generateReference = async function () {
+    const currentYear = new Date().getFullYear();
+    const prefix = `ENC-${currentYear}-`;
+
+    // Primeira encomenda com contador neste ano: continuar a partir da maior referência existente
+    const sequence = await Counter.next(prefix, async () => {
+        const [last] = await this.aggregate([
+            { $match: { reference: { $regex: `^${prefix}\\d+$` } } },
+            { $group: { _id: null, sequence: { $max: { $toInt: { $substrCP: ['$reference', prefix.length, 10] } } } } }
+        ]);
+        return last ? last.sequence : 0;
+    });
+
+    return `${prefix}${String(sequence).padStart(3, '0')}`;
+};
+
+/**
+ * Static: Quantidade ainda por receber por produto (encomendas em aberto)
+ */
+purchaseOrderSchema.statics.getOpenQuantities = async function (productIds) {
+    const result = await this.aggregate([
+        { $match: { status: { $in: ['draft', 'sent', 'partially_received'] } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.product': { $in: productIds } } },
+        {
+            $group: {
+                _id: '$lines.product',
+                // Linhas recebidas a mais não descontam o que falta noutras encomendas
+                openQuantity: { $sum: { $max: [0, { $subtract: ['$lines.quantity', '$lines.receivedQuantity'] }] } }
+            }
+        }
+    ]);
+
+    return result.reduce((acc, r) => {
+        acc[r._id.toString()] = r.openQuantity;
+        return acc;
+    }, {});
+};
+
+/**
+ * Verificar se a transição de estado é permitida
+ */
+purchaseOrderSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
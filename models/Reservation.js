@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { UNITS } = require('../utils/unitConverter');
+
+/**
+ * Reservation (Reserva de Stock) Schema
+ *
+ * Reserva para uma obra:
+ * - itens concretos (barras/retalhos), que passam a status 'reserved'; ou
+ * - uma quantidade de um produto, descontada do stock disponível.
+ *
+ * Ciclo de vida: active → consumed (materiais da obra) | released (manual) | expired (automático)
+ */
+const reservationSchema = new mongoose.Schema({
+    // Obra e produto
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: [true, 'Obra é obrigatória'],
+        index: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Produto é obrigatório'],
+        index: true
+    },
+
+    // Armazém da obra (reservas por quantidade descontam só o stock deste armazém)
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+
+    // Itens reservados (vazio = reserva por quantidade)
+    stockItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockItem'
+    }],
+
+    // Quantidade reservada (na unidade pedida)
+    quantity: {
+        type: Number,
+        required: [true, 'Quantidade é obrigatória'],
+        min: [0.001, 'Quantidade deve ser positiva']
+    },
+    unit: {
+        type: String,
+        enum: UNITS,
+        default: 'kg'
+    },
+    // Mesma quantidade na unidade de stock do produto (para os totais disponíveis)
+    stockQuantity: {
+        type: Number,
+        default: 0
+    },
+
+    // Validade
+    expiresAt: {
+        type: Date,
+        required: [true, 'Data de validade é obrigatória'],
+        index: true
+    },
+
+    // Estado
+    status: {
+        type: String,
+        enum: ['active', 'consumed', 'released', 'expired'],
+        default: 'active',
+        index: true
+    },
+    closedAt: {
+        type: Date
+    },
+
+    // Material da obra criado ao consumir a reserva
+    projectMaterial: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProjectMaterial'
+    },
+
+    // Rastreabilidade
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    notes: {
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ stockItems: 1, status: 1 });
+
+/**
+ * Static: Quantidade reservada por quantidade (não por itens), por produto
+ * Na unidade de stock de cada produto
+ *
+ * @param {ObjectId[]} [productIds] - Limitar a estes produtos
+ * @param {ObjectId} [warehouseId] - Só reservas de obras deste armazém (e de obras sem armazém)
+ * @returns {Promise<Map<string, number>>} productId → quantidade reservada
+ */
+reservationSchema.statics.getReservedQuantities = async function (productIds, warehouseId) {
+    const match = {
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+        'stockItems.0': { $exists: false }
+    };
+    if (productIds) match.product = { $in: productIds };
+    // Reservas de obras sem armazém podem sair de qualquer armazém: contam em todos
+    if (warehouseId) match.warehouse = { $in: [new mongoose.Types.ObjectId(String(warehouseId)), null] };
+
+    const result = await this.aggregate([
+        { $match: match },
+        { $group: { _id: '$product', reserved: { $sum: '$stockQuantity' } } }
+    ]);
+
+    return new Map(result.map(r => [r._id.toString(), r.reserved]));
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
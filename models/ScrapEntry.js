@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScrapEntry (Razão de Sucata) Schema
+ *
+ * Cada entrada soma (+) ou retira (-) kg de sucata de uma família de material:
+ * - cut: sobrante de corte abaixo do comprimento útil (movimento CUT com remainderAction 'scrap')
+ * - adjustment: item de stock abatido para sucata ou acerto de peso do contentor
+ * - sale: venda a um sucateiro (kg negativos, com preço por kg)
+ *
+ * As vendas retiram kg proporcionalmente a todas as entradas em aberto (soldWeightKg)
+ * e creditam o valor às obras que originaram a sucata (allocations).
+ */
+const scrapEntrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['cut', 'adjustment', 'sale'],
+        required: [true, 'Tipo de entrada é obrigatório'],
+        index: true
+    },
+
+    // Família de material (Product.materialType)
+    materialType: {
+        type: String,
+        enum: ['steel', 'stainless', 'aluminum', 'brass', 'bronze', 'plastic', 'other'],
+        required: [true, 'Família de material é obrigatória']
+    },
+
+    // kg: positivo entra no contentor, negativo sai (vendas e acertos)
+    weightKg: {
+        type: Number,
+        required: [true, 'Peso é obrigatório']
+    },
+    // kg desta entrada já retirados por vendas/acertos (só entradas positivas)
+    soldWeightKg: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // === ORIGEM ===
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    stockItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockItem'
+    },
+    movement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        index: true
+    },
+    projectRef: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: ''
+    },
+
+    // === VENDA ===
+    sale: {
+        recycler: { type: String, trim: true, default: '' },
+        documentRef: { type: String, trim: true, default: '' },
+        pricePerKg: { type: Number, min: 0, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+    // Crédito de cada obra pela venda (proporcional à sucata que originou)
+    allocations: [{
+        _id: false,
+        project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+        projectRef: { type: String, default: '' },
+        weightKg: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    }],
+
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+scrapEntrySchema.index({ materialType: 1, date: -1 });
+scrapEntrySchema.index({ product: 1, date: -1 });
+
+const ScrapEntry = mongoose.model('ScrapEntry', scrapEntrySchema);
+
+module.exports = ScrapEntry;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getPlateWeight } = require('../utils/metalMath');
 
 /**
  * StockItem Schema - O Inventário Físico
@@ -37,30 +38,63 @@ const stockItemSchema = new mongoose.Schema({
         min: [0, 'Comprimento não pode ser negativo']
     },
 
+    // Largura em mm (apenas chapas: o item é um retângulo largura × comprimento)
+    widthMM: {
+        type: Number,
+        default: 0,
+        min: [0, 'Largura não pode ser negativa']
+    },
+
     // Peso calculado automaticamente (kg)
     calculatedWeight: {
         type: Number,
         default: 0
     },
 
-    // Localização física no armazém
+    // Localização física no armazém (código; texto livre em itens anteriores às localizações)
     location: {
         type: String,
         default: '',
         trim: true
     },
+    locationRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
+    // Armazém (nível de topo da localização; também definido para itens sem posição)
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
 
-    // Rastreabilidade
+    // Rastreabilidade (batch = corrida com certificado; batchId/heatNumber copiados para filtros)
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Batch',
+        index: true
+    },
     batchId: {
         type: String,
         default: '',
         trim: true
     },
+    heatNumber: {
+        type: String,
+        default: '',
+        trim: true,
+        index: true
+    },
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
 
-    // Estado do item
+    // Estado do item ('in_transit' durante uma transferência entre armazéns)
     status: {
         type: String,
-        enum: ['available', 'reserved', 'consumed'],
+        enum: ['available', 'reserved', 'consumed', 'in_transit'],
         default: 'available'
     },
 
@@ -70,7 +104,9 @@ const stockItemSchema = new mongoose.Schema({
         default: ''
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Versão verificada em cada save: dois pedidos não consomem o mesmo item (VersionError → 409)
+    optimisticConcurrency: true
 });
 
 // Índices compostos
@@ -81,7 +117,7 @@ stockItemSchema.index({ product: 1, status: 1 });
  * Pre-save: Calcular peso automaticamente
  */
 stockItemSchema.pre('save', async function () {
-    if (this.isModified('quantity') || this.isModified('lengthMM') || this.isNew) {
+    if (this.isModified('quantity') || this.isModified('lengthMM') || this.isModified('widthMM') || this.isNew) {
         await this.calculateWeight();
     }
 });
@@ -91,9 +127,20 @@ stockItemSchema.pre('save', async function () {
  */
 stockItemSchema.methods.calculateWeight = async function () {
     try {
-        await this.populate('product');
-
-        if (this.product && this.product.weightPerMeter > 0) {
+        await this.populate({ path: 'product', populate: { path: 'grade', select: 'density' } });
+
+        if (this.product && this.product.shape === 'plate' && this.widthMM > 0) {
+            // Chapa: peso pela área (largura × comprimento × espessura)
+            const pieceWeight = getPlateWeight({
+                widthMm: this.widthMM,
+                lengthMm: this.lengthMM,
+                thicknessMm: this.product.dimensions.h,
+                grade: this.product.grade,
+                density: this.product.density,
+                materialType: this.product.materialType
+            });
+            this.calculatedWeight = Math.round(pieceWeight * this.quantity * 100) / 100;
+        } else if (this.product && this.product.weightPerMeter > 0) {
             // Peso = (comprimento em metros) × peso por metro × quantidade
             const lengthMeters = this.lengthMM / 1000;
             this.calculatedWeight = lengthMeters * this.product.weightPerMeter * this.quantity;
@@ -105,11 +152,14 @@ stockItemSchema.methods.calculateWeight = async function () {
 };
 
 /**
- * Static: Obter stock total de um produto
+ * Static: Obter stock total de um produto (opcionalmente só de um armazém)
  */
-stockItemSchema.statics.getTotalStock = async function (productId) {
+stockItemSchema.statics.getTotalStock = async function (productId, warehouseId) {
+    const match = { product: productId, status: 'available' };
+    if (warehouseId) match.warehouse = new mongoose.Types.ObjectId(String(warehouseId));
+
     const result = await this.aggregate([
-        { $match: { product: productId, status: 'available' } },
+        { $match: match },
         {
             $group: {
                 _id: '$product',
@@ -124,15 +174,20 @@ stockItemSchema.statics.getTotalStock = async function (productId) {
 };
 
 /**
- * Static: Encontrar retalhos disponíveis para um comprimento mínimo
+ * Static: Encontrar retalhos disponíveis para um comprimento mínimo (opcionalmente num armazém)
+ * productId pode ser uma lista de produtos compatíveis
  */
-stockItemSchema.statics.findOffcuts = async function (productId, minLengthMM) {
-    return this.find({
-        product: productId,
+stockItemSchema.statics.findOffcuts = async function (productId, minLengthMM, warehouseId) {
+    const query = {
+        product: Array.isArray(productId) ? { $in: productId } : productId,
         type: 'OFFCUT',
         status: 'available',
+        quantity: { $gte: 1 },
         lengthMM: { $gte: minLengthMM }
-    }).sort({ lengthMM: 1 }); // Menor primeiro (usar o mais ajustado)
+    };
+    if (warehouseId) query.warehouse = warehouseId;
+
+    return this.find(query).sort({ lengthMM: 1 }); // Menor primeiro (usar o mais ajustado)
 };
 
 const StockItem = mongoose.model('StockItem', stockItemSchema);
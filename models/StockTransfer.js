@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * StockTransfer (Transferência entre Armazéns) Schema
+ *
+ * Guia de transferência de itens de stock entre armazéns (ex: oficina → contentor de obra).
+ * Ao enviar, os itens saem do armazém de origem (status 'in_transit'); ao receber entram
+ * no armazém de destino. Cada lado regista um movimento TRANSFER.
+ *
+ * Ciclo de vida: requested → in_transit → received | requested → cancelled
+ */
+const stockTransferSchema = new mongoose.Schema({
+    // === IDENTIFICAÇÃO ===
+    reference: {
+        type: String,
+        unique: true,
+        required: true,
+        trim: true,
+        match: [/^TRF-\d{4}-\d{3}$/, 'Referência deve seguir formato TRF-YYYY-NNN']
+    },
+
+    // === ARMAZÉNS ===
+    fromWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: [true, 'Armazém de origem é obrigatório'],
+        index: true
+    },
+    toWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: [true, 'Armazém de destino é obrigatório'],
+        index: true
+    },
+    // Posição de arrumação no destino (definida na receção)
+    toLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+
+    // === ESTADO ===
+    status: {
+        type: String,
+        enum: ['requested', 'in_transit', 'received', 'cancelled'],
+        default: 'requested',
+        index: true
+    },
+
+    // === LINHAS ===
+    lines: [{
+        stockItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockItem',
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        // Peças a transferir (menos do que as do item = o item é dividido ao enviar)
+        quantity: {
+            type: Number,
+            required: true,
+            min: [0.001, 'Quantidade deve ser positiva']
+        }
+    }],
+
+    // === DATAS / RESPONSÁVEIS ===
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    shippedAt: Date,
+    shippedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: Date,
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+
+    notes: {
+        type: String,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+stockTransferSchema.index({ 'lines.stockItem': 1, status: 1 });
+
+/**
+ * Static: Gerar próxima referência
+ */
+stockTransferSchema.statics.generateReference = async function () {
+    const currentYear = new Date().getFullYear();
+    const prefix = `TRF-${currentYear}-`;
+
+    // Buscar última transferência deste ano
+    const last = await this.findOne({
+        reference: { $regex: `^${prefix}` }
+    }).sort({ reference: -1 });
+
+    let sequence = 1;
+    if (last) {
+        const lastNumber = parseInt(last.reference.split('-')[2], 10);
+        sequence = lastNumber + 1;
+    }
+
+    return `${prefix}${String(sequence).padStart(3, '0')}`;
+};
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+
+module.exports = StockTransfer;
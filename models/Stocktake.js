@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { UNITS } = require('../utils/unitConverter');
+
+/**
+ * Stocktake (Inventário / Contagem) Schema
+ *
+ * Sessão de contagem para um conjunto de localizações e/ou produtos.
+ * As quantidades esperadas são congeladas na abertura (uma linha por StockItem);
+ * os operadores registam as quantidades contadas e um gestor aprova, gerando movimentos ADJUST.
+ *
+ * Ciclo de vida: counting → approved | cancelled
+ */
+const stocktakeSchema = new mongoose.Schema({
+    // === IDENTIFICAÇÃO ===
+    reference: {
+        type: String,
+        unique: true,
+        required: true,
+        trim: true,
+        match: [/^INV-\d{4}-\d{3}$/, 'Referência deve seguir formato INV-YYYY-NNN']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: ''
+    },
+
+    // === ÂMBITO (vazio = todo o stock) ===
+    scope: {
+        warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+        locations: [{ type: String, trim: true }],
+        products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+    },
+
+    // === ESTADO ===
+    status: {
+        type: String,
+        enum: ['counting', 'approved', 'cancelled'],
+        default: 'counting',
+        index: true
+    },
+
+    // === LINHAS (quantidades esperadas congeladas na abertura) ===
+    lines: [{
+        stockItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockItem',
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        code: { type: String, default: '' },
+        description: { type: String, default: '' },
+        location: { type: String, default: '' },
+        type: { type: String, default: '' },
+        lengthMM: { type: Number, default: 0 },
+        widthMM: { type: Number, default: 0 },
+        batchId: { type: String, default: '' },
+
+        // Esperado: peças do item e a mesma quantidade na unidade de stock do produto
+        expectedQuantity: { type: Number, required: true },
+        expectedWeight: { type: Number, default: 0 },
+        expectedStockQuantity: { type: Number, default: 0 },
+        unit: { type: String, enum: UNITS, default: 'kg' },
+        averagePrice: { type: Number, default: 0 },  // PMP na abertura (€/unidade de stock)
+
+        // Contado (null = ainda não contado)
+        countedQuantity: { type: Number, default: null, min: [0, 'Quantidade contada não pode ser negativa'] },
+        countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        countedAt: Date
+    }],
+
+    // === DATAS / APROVAÇÃO ===
+    approvedAt: Date,
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    movements: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Movement'
+    }],
+
+    // === REFERÊNCIAS ===
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    notes: {
+        type: String,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+stocktakeSchema.index({ 'lines.stockItem': 1, status: 1 });
+
+/**
+ * Static: Gerar próxima referência
+ */
+stocktakeSchema.statics.generateReference = async function () {
+    const currentYear = new Date().getFullYear();
+    const prefix = `INV-${currentYear}-`;
+
+    // Buscar último inventário deste ano
+    const last = await this.findOne({
+        reference: { $regex: `^${prefix}` }
+    }).sort({ reference: -1 });
+
+    let sequence = 1;
+    if (last) {
+        const lastNumber = parseInt(last.reference.split('-')[2], 10);
+        sequence = lastNumber + 1;
+    }
+
+    return `${prefix}${String(sequence).padStart(3, '0')}`;
+};
+
+const Stocktake = mongoose.model('Stocktake', stocktakeSchema);
+
+module.exports = Stocktake;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier Schema - Fornecedores
+ *
+ * Fornecedores de material. A ligação a produtos (preço e código do fornecedor)
+ * fica em Product.suppliers.
+ */
+const supplierSchema = new mongoose.Schema({
+    // Identificação
+    name: {
+        type: String,
+        required: [true, 'Nome do fornecedor é obrigatório'],
+        trim: true,
+        maxlength: 200
+    },
+    vatNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: ''
+    },
+
+    // Contactos
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    contacts: [{
+        name: { type: String, required: true, trim: true },
+        role: { type: String, default: '', trim: true },
+        email: { type: String, default: '', trim: true, lowercase: true },
+        phone: { type: String, default: '', trim: true }
+    }],
+
+    // Condições comerciais
+    leadTimeDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Prazo de entrega inválido']
+    },
+    paymentTerms: {
+        type: String,
+        trim: true,
+        default: ''  // Ex: "30 dias", "Pronto pagamento"
+    },
+
+    // Materiais fornecidos
+    materialTypes: [{
+        type: String,
+        enum: ['steel', 'stainless', 'aluminum', 'brass', 'bronze', 'plastic', 'other']
+    }],
+    categories: [{
+        type: String,
+        enum: ['raw_material', 'consumable', 'tool', 'misc']
+    }],
+
+    // Metadata
+    active: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// NIF único (quando preenchido)
+supplierSchema.index(
+    { vatNumber: 1 },
+    { unique: true, partialFilterExpression: { vatNumber: { $gt: '' } } }
+);
+supplierSchema.index({ name: 'text' });
+
+/**
+ * Virtual: Produtos fornecidos
+ */
+supplierSchema.virtual('products', {
+    ref: 'Product',
+    localField: '_id',
+    foreignField: 'suppliers.supplier'
+});
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
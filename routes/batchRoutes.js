@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+    certificateUpload,
+    getBatches,
+    getBatch,
+    createBatch,
+    updateBatch,
+    deleteBatch,
+    uploadCertificate,
+    downloadCertificate
+} = require('../controllers/batchController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getBatches)
+    .post(createBatch);
+
+router.route('/:id')
+    .get(getBatch)
+    .put(authorize('admin', 'manager'), updateBatch)
+    .delete(authorize('admin', 'manager'), deleteBatch);
+
+// Mill certificate (EN 10204) PDF stored on disk
+router.route('/:id/certificate')
+    .get(downloadCertificate)
+    .post(authorize('admin', 'manager'), certificateUpload.single('file'), uploadCertificate);
+
+module.exports = router;
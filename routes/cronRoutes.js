@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { releaseExpired } = require('../controllers/reservationController');
+const { cronSecret } = require('../middleware/authMiddleware');
+
+// Scheduled jobs: authenticated by CRON_SECRET, not by a user token
+router.use(cronSecret);
+
+// GET /api/cron/release-expired-reservations - Release expired reservations (Vercel Cron)
+router.get('/release-expired-reservations', releaseExpired);
+
+module.exports = router;
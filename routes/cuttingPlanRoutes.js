@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createCuttingPlan,
+    getCuttingPlans,
+    getCuttingPlan,
+    commitPlan,
+    cancelCuttingPlan
+} = require('../controllers/cuttingPlanController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getCuttingPlans)
+    .post(createCuttingPlan);
+
+router.route('/:id')
+    .get(getCuttingPlan)
+    .delete(cancelCuttingPlan);
+
+// Execute cuts and attach material to the project
+router.post('/:id/commit', commitPlan);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getLocations,
+    getPutAwaySuggestions,
+    getLocation,
+    createLocation,
+    updateLocation,
+    deleteLocation
+} = require('../controllers/locationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getLocations)
+    .post(authorize('admin', 'manager'), createLocation);
+
+// Where to store incoming material (must be before /:id route)
+router.get('/put-away', getPutAwaySuggestions);
+
+router.route('/:id')
+    .get(getLocation)
+    .put(authorize('admin', 'manager'), updateLocation)
+    .delete(authorize('admin', 'manager'), deleteLocation);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMaterialGrades,
+    detectMaterialGrade,
+    getMaterialGrade,
+    createMaterialGrade,
+    updateMaterialGrade
+} = require('../controllers/materialGradeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getMaterialGrades)
+    .post(authorize('admin', 'manager'), createMaterialGrade);
+
+// Grade mentioned in a code/description (must be before /:id route)
+router.get('/detect', detectMaterialGrade);
+
+router.route('/:id')
+    .get(getMaterialGrade)
+    .put(authorize('admin', 'manager'), updateMaterialGrade);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getMovements, getMovement, exportMovements } = require('../controllers/movementController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Ledger is for reconciliation: Admin and Manager only
+router.use(protect, authorize('admin', 'manager'));
+
+// GET /api/movements?type=&product=&user=&projectRef=&from=&to=&cursor=&limit=
+router.get('/', getMovements);
+
+// GET /api/movements/export - Same filters, streamed as CSV (must be before /:id route)
+router.get('/export', exportMovements);
+
+router.get('/:id', getMovement);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createNestingPlan,
+    getNestingPlans,
+    getNestingPlan,
+    commitNesting,
+    cancelNestingPlan
+} = require('../controllers/nestingPlanController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getNestingPlans)
+    .post(createNestingPlan);
+
+router.route('/:id')
+    .get(getNestingPlan)
+    .delete(cancelNestingPlan);
+
+// Cut plates, save leftovers as offcuts and attach material to the project
+router.post('/:id/commit', commitNesting);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    deactivateProduct,
+    reactivateProduct
+} = require('../controllers/productController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Product catalog
+router.route('/')
+    .get(getProducts)
+    .post(authorize('admin', 'manager'), createProduct);
+
+router.route('/:id')
+    .get(getProduct)
+    .put(authorize('admin', 'manager'), updateProduct)
+    .delete(authorize('admin', 'manager'), deactivateProduct);
+
+// Reactivate a soft-deleted product
+router.put('/:id/reactivate', authorize('admin', 'manager'), reactivateProduct);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getProfiles,
+    lookupDesignation
+} = require('../controllers/profileController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Catalogue search (autocomplete)
+router.get('/', getProfiles);
+
+// Designation -> shape, dimensions, kg/m
+router.get('/lookup', lookupDesignation);
+
+module.exports = router;
@@ -9,10 +9,17 @@ const {
     deleteProject,
     addMaterial,
     removeMaterial,
+    returnMaterial,
     addLabor,
     removeLabor,
     getProjectStats
 } = require('../controllers/projectController');
+const {
+    getProjectReservations,
+    createProjectReservation,
+    releaseProjectReservation,
+    releaseExpired
+} = require('../controllers/reservationController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // All routes require authentication
@@ -23,6 +30,9 @@ router.use(protect);
 // Get next available reference (must be before /:id route)
 router.get('/next-reference', getNextReference);
 
+// Release expired reservations (scheduled job; must be before /:id route)
+router.post('/reservations/release-expired', authorize('admin', 'manager'), releaseExpired);
+
 // Project CRUD
 router.route('/')
     .get(getProjects)
@@ -41,6 +51,14 @@ router.route('/:id/materials')
     .post(addMaterial);
 
 router.delete('/:id/materials/:materialId', removeMaterial);
+router.post('/:id/materials/:materialId/return', returnMaterial);
+
+// === RESERVAS ===
+router.route('/:id/reservations')
+    .get(getProjectReservations)
+    .post(createProjectReservation);
+
+router.delete('/:id/reservations/:reservationId', releaseProjectReservation);
 
 // === MÃO DE OBRA ===
 router.route('/:id/labor')
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPurchaseOrders,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    createFromShoppingList,
+    updatePurchaseOrder,
+    updatePurchaseOrderStatus,
+    receivePurchaseOrderLines
+} = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Purchasing is for Admin and Manager
+router.use(protect, authorize('admin', 'manager'));
+
+// Generate drafts from the shopping list (must be before /:id route)
+router.post('/from-shopping-list', createFromShoppingList);
+
+router.route('/')
+    .get(getPurchaseOrders)
+    .post(createPurchaseOrder);
+
+router.route('/:id')
+    .get(getPurchaseOrder)
+    .put(updatePurchaseOrder);
+
+// Send / cancel
+router.put('/:id/status', updatePurchaseOrderStatus);
+
+// Goods receipt: creates stock items and IN movements, updates average price
+router.post('/:id/receive', receivePurchaseOrderLines);
+
+module.exports = router;
@@ -1,6 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { getShoppingList, getInventoryValuation, getProjectCost, checkStockAlerts, getProductsWithStock } = require('../controllers/reportController');
+const {
+    getShoppingList,
+    getInventoryValuation,
+    getProjectCost,
+    checkStockAlerts,
+    getProductsWithStock,
+    getHeatTraceability,
+    getProjectTraceability,
+    getScrapRate,
+    getAgedOffcuts
+} = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // All report routes are protected
@@ -25,4 +35,15 @@ router.post('/check-stock-alerts', authorize('admin', 'manager'), checkStockAler
 // Get products with available stock for project material selection
 router.get('/products-stock', getProductsWithStock);
 
+// GET /api/reports/traceability/heat/:heatNumber - which projects used heat X
+// GET /api/reports/traceability/project/:projectRef - which heats went into project Y
+router.get('/traceability/heat/:heatNumber', getHeatTraceability);
+router.get('/traceability/project/:projectRef', getProjectTraceability);
+
+// GET /api/reports/scrap-rate?from=&to=
+router.get('/scrap-rate', authorize('admin', 'manager'), getScrapRate);
+
+// GET /api/reports/aged-offcuts?months=6&warehouse=
+router.get('/aged-offcuts', authorize('admin', 'manager'), getAgedOffcuts);
+
 module.exports = router;
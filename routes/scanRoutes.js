@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { scan, consume } = require('../controllers/scanController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Resolve a scanned code (shop-floor tablets)
+router.route('/')
+    .get(scan)
+    .post(scan);
+
+// Scan a bar, then a project: book the consumption without typing
+router.post('/consume', consume);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getBalances,
+    getEntries,
+    createAdjustment,
+    createSale
+} = require('../controllers/scrapController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Balance per material family and ledger entries
+router.get('/', getBalances);
+router.get('/entries', getEntries);
+
+// Items scrapped from stock / weighing corrections
+router.post('/adjustments', createAdjustment);
+
+// Sales to recyclers (credited to the originating projects)
+router.post('/sales', authorize('admin', 'manager'), createSale);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getStockItems,
+    searchOffcuts,
+    getProductStock,
+    getStockItem,
+    receiveStock,
+    updateStockItem,
+    updateStockStatus,
+    transferStock,
+    cutStock,
+    getLabels
+} = require('../controllers/stockController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Warehouse-wide listing
+router.get('/', getStockItems);
+
+// Offcut catalogue: "at least X mm long", same or compatible products
+router.get('/offcuts', searchOffcuts);
+
+// Labels with QR code (ZPL for Zebra printers or A4 PDF sheet)
+router.route('/labels')
+    .get(getLabels)
+    .post(getLabels);
+
+// Receive new bars/boxes (must be before /:id route)
+router.post('/receive', receiveStock);
+
+// Cut a bar: picks best-fitting offcut or full bar, keeps remainder as offcut
+router.post('/cut', cutStock);
+
+// Stock items of a product
+router.get('/product/:productId', getProductStock);
+
+router.route('/:id')
+    .get(getStockItem)
+    .put(updateStockItem);
+
+router.get('/:id/label', getLabels);
+
+// Move to another location (TRANSFER movement)
+router.post('/:id/transfer', transferStock);
+
+// Status changes are adjustments
+router.put('/:id/status', authorize('admin', 'manager'), updateStockStatus);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getTransfers,
+    getTransfer,
+    createTransfer,
+    shipTransfer,
+    receiveTransfer,
+    cancelTransfer
+} = require('../controllers/stockTransferController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getTransfers)
+    .post(createTransfer);
+
+router.route('/:id')
+    .get(getTransfer)
+    .delete(authorize('admin', 'manager'), cancelTransfer);
+
+// requested → in_transit → received (TRANSFER movements on both sides)
+router.post('/:id/ship', shipTransfer);
+router.post('/:id/receive', receiveTransfer);
+
+module.exports = router;
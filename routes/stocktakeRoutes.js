@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getStocktakes,
+    getStocktake,
+    createStocktake,
+    recordCounts,
+    exportStocktake,
+    importCounts,
+    approveStocktake,
+    cancelStocktake
+} = require('../controllers/stocktakeController');
+const { upload } = require('../controllers/importController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+    .get(getStocktakes)
+    .post(authorize('admin', 'manager'), createStocktake);
+
+router.route('/:id')
+    .get(getStocktake)
+    .delete(authorize('admin', 'manager'), cancelStocktake);
+
+// Counting (operators)
+router.put('/:id/counts', recordCounts);
+router.get('/:id/export', exportStocktake);
+router.post('/:id/import', upload.single('file'), importCounts);
+
+// Apply variances as ADJUST movements
+router.post('/:id/approve', authorize('admin', 'manager'), approveStocktake);
+
+module.exports = router;
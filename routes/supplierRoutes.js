@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getSuppliers,
+    getSupplier,
+    createSupplier,
+    updateSupplier,
+    setSupplierActive,
+    linkProduct,
+    unlinkProduct
+} = require('../controllers/supplierController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Supplier CRUD
+router.route('/')
+    .get(getSuppliers)
+    .post(authorize('admin', 'manager'), createSupplier);
+
+router.route('/:id')
+    .get(getSupplier)
+    .put(authorize('admin', 'manager'), updateSupplier);
+
+// Soft-delete / reactivate
+router.put('/:id/active', authorize('admin', 'manager'), setSupplierActive);
+
+// Product links (price and supplier product code)
+router.route('/:id/products/:productId')
+    .put(authorize('admin', 'manager'), linkProduct)
+    .delete(authorize('admin', 'manager'), unlinkProduct);
+
+module.exports = router;
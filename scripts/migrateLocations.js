@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateFreeTextLocations } = require('../services/locationService');
+
+/**
+ * Migrar as localizações em texto livre dos itens de stock para o modelo Location
+ * Cada texto distinto passa a ser uma prateleira do armazém indicado (por defeito 'ARM');
+ * itens sem localização ficam nesse armazém.
+ * Pode ser executado várias vezes: itens já ligados a uma localização são ignorados.
+ *
+ * Execute: node scripts/migrateLocations.js [CODIGO_ARMAZEM]
+ */
+const migrateLocations = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ MongoDB Connected\n");
+
+        const warehouseCode = process.argv[2];
+        const { created, linked, assigned } = await migrateFreeTextLocations(warehouseCode ? { warehouseCode } : undefined);
+
+        console.log(`✅ ${created} localizações criadas, ${linked} itens de stock associados`);
+        console.log(`✅ ${assigned} itens de stock atribuídos a um armazém`);
+
+        process.exit();
+    } catch (error) {
+        console.error("❌ Erro ao migrar localizações:", error);
+        process.exit(1);
+    }
+};
+
+migrateLocations();
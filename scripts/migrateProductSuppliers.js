@@ -0,0 +1,48 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+/**
+ * Migrar Product.suppliers de lista de ids para ligações fornecedor-produto
+ * Cada id antigo passa a { supplier, price: 0, supplierCode: '', preferred: false }.
+ * Escreve diretamente na coleção (os documentos antigos não validam com o schema novo).
+ * Pode ser executado várias vezes: ligações já migradas são mantidas.
+ *
+ * Execute: node scripts/migrateProductSuppliers.js
+ */
+const migrateProductSuppliers = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ MongoDB Connected\n");
+
+        const cursor = Product.collection.find(
+            { suppliers: { $elemMatch: { $type: 'objectId' } } },
+            { projection: { code: 1, suppliers: 1 } }
+        );
+
+        let migrated = 0;
+        for await (const product of cursor) {
+            const suppliers = product.suppliers.map(entry => (entry instanceof mongoose.Types.ObjectId
+                ? {
+                    _id: new mongoose.Types.ObjectId(),
+                    supplier: entry,
+                    price: 0,
+                    supplierCode: '',
+                    preferred: false
+                }
+                : entry));
+
+            await Product.collection.updateOne({ _id: product._id }, { $set: { suppliers } });
+            migrated++;
+        }
+
+        console.log(`✅ ${migrated} produtos com fornecedores migrados`);
+
+        process.exit();
+    } catch (error) {
+        console.error("❌ Erro ao migrar fornecedores dos produtos:", error);
+        process.exit(1);
+    }
+};
+
+migrateProductSuppliers();
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MaterialGrade = require('../models/MaterialGrade');
+
+/**
+ * Criar as qualidades de material base (data/materialGrades.js)
+ * Qualidades já existentes (mesmo código) não são alteradas.
+ *
+ * Execute: node scripts/seedMaterialGrades.js
+ */
+const seedMaterialGrades = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log("✅ MongoDB Connected\n");
+
+        const { created, total } = await MaterialGrade.seedDefaults();
+
+        console.log(`✅ ${created} qualidades criadas (${total - created} já existiam)`);
+
+        process.exit();
+    } catch (error) {
+        console.error("❌ Erro ao criar qualidades de material:", error);
+        process.exit(1);
+    }
+};
+
+seedMaterialGrades();
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const StockItem = require('../models/StockItem');
+const ProjectMaterial = require('../models/ProjectMaterial');
+const { httpError } = require('../utils/httpError');
+
+// Pasta dos certificados PDF (relativa à raiz do backend)
+const CERTIFICATES_DIR = path.resolve(__dirname, '..', process.env.CERTIFICATES_DIR || 'uploads/certificates');
+
+/**
+ * Caminho em disco do certificado de um lote (null se não tiver)
+ */
+const getCertificatePath = (batch) => (
+    batch.certificate?.fileName ? path.join(CERTIFICATES_DIR, batch.certificate.fileName) : null
+);
+
+/**
+ * Apagar o ficheiro do certificado (ignora ficheiros já inexistentes)
+ */
+const removeCertificateFile = async (fileName) => {
+    if (!fileName) return;
+    try {
+        await fs.promises.unlink(path.join(CERTIFICATES_DIR, fileName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+/**
+ * Obter lote por id (404 se não existir)
+ */
+const resolveBatch = async (id) => {
+    const batch = mongoose.isValidObjectId(id) ? await Batch.findById(id) : null;
+    if (!batch) {
+        throw httpError('Lote não encontrado', 404);
+    }
+    return batch;
+};
+
+/**
+ * Encontrar a corrida do fornecedor ou criá-la (sem corrida devolve null)
+ * Sem fornecedor usa qualquer lote com o mesmo número de corrida.
+ *
+ * @param {Object} params
+ * @param {string} params.heatNumber - Número de corrida
+ * @param {string} [params.batchNumber] - Lote do fornecedor
+ * @param {ObjectId} [params.supplier] - Fornecedor
+ * @param {Object} [params.product] - Product document (a qualidade vem do produto)
+ * @param {ObjectId} [params.purchaseOrder] - Encomenda de origem
+ * @returns {Promise<Object|null>} Batch
+ */
+const findOrCreateBatch = async ({ heatNumber, batchNumber, supplier, product, purchaseOrder }) => {
+    const heat = String(heatNumber || '').trim();
+    if (!heat) return null;
+
+    let batch = await Batch.findOne(supplier ? { heatNumber: heat, supplier } : { heatNumber: heat });
+
+    if (!batch) {
+        return Batch.create({
+            heatNumber: heat,
+            batchNumber: batchNumber || '',
+            supplier,
+            grade: product?.grade,
+            products: product ? [product._id] : [],
+            purchaseOrder
+        });
+    }
+
+    if (product && !batch.products.some(p => p.equals(product._id))) {
+        batch.products.push(product._id);
+        if (!batch.grade && product.grade) batch.grade = product.grade;
+        batch = await batch.save();
+    }
+
+    return batch;
+};
+
+/**
+ * Lote de uma receção: o indicado (batch) ou o da corrida (heatNumber)
+ *
+ * @returns {Promise<Object|null>} Batch
+ */
+const linkBatch = async ({ batch, heatNumber, batchId, supplier, product, purchaseOrder }) => {
+    if (batch) {
+        const found = await resolveBatch(batch);
+        if (heatNumber && heatNumber.trim() !== found.heatNumber) {
+            throw httpError(`O lote indicado é da corrida ${found.heatNumber}, não ${heatNumber}`);
+        }
+        return found;
+    }
+
+    return findOrCreateBatch({ heatNumber, batchNumber: batchId, supplier, product, purchaseOrder });
+};
+
+/**
+ * Resumo de um lote para os relatórios
+ */
+const summarizeBatch = (batch) => ({
+    _id: batch._id,
+    heatNumber: batch.heatNumber,
+    batchNumber: batch.batchNumber,
+    supplier: batch.supplier,
+    manufacturer: batch.manufacturer,
+    grade: batch.grade,
+    certificate: {
+        type: batch.certificate?.type,
+        number: batch.certificate?.number,
+        hasFile: Boolean(batch.certificate?.fileName)
+    }
+});
+
+/**
+ * Ids dos itens consumidos nos materiais que pertencem ao armazém (null = todos os armazéns)
+ */
+const getWarehouseItemIds = async (materials, warehouse) => {
+    if (!warehouse) return null;
+
+    const ids = materials.flatMap(m => m.consumedItems.map(e => e.stockItem)).filter(Boolean);
+    const items = await StockItem.find({ _id: { $in: ids }, warehouse }).select('_id');
+    return new Set(items.map(i => i._id.toString()));
+};
+
+const isFromWarehouse = (itemIds, entry) => !itemIds
+    || Boolean(entry.stockItem && itemIds.has(entry.stockItem.toString()));
+
+/**
+ * Rastreabilidade por corrida: obras que usaram material da corrida e stock que ainda resta
+ *
+ * @param {string} heatNumber - Número de corrida
+ * @param {ObjectId} [warehouse] - Só material consumido e stock deste armazém
+ * @returns {Promise<{heatNumber, batches: Array, projects: Array, stock: Array}>}
+ */
+const getHeatTraceability = async (heatNumber, warehouse) => {
+    const heat = String(heatNumber || '').trim();
+
+    const batches = await Batch.find({ heatNumber: heat })
+        .populate('supplier', 'name')
+        .populate('grade', 'code');
+    const batchIds = batches.map(b => b._id);
+
+    const matchesHeat = (entry) => entry.heatNumber === heat
+        || (entry.batch && batchIds.some(id => id.equals(entry.batch)));
+
+    const [materials, stock] = await Promise.all([
+        ProjectMaterial.find({
+            $or: [
+                { 'consumedItems.heatNumber': heat },
+                { 'consumedItems.batch': { $in: batchIds } }
+            ]
+        })
+            .populate('project', 'reference name client status')
+            .populate('product', 'code description')
+            .sort({ addedAt: 1 }),
+        StockItem.find({
+            $or: [{ heatNumber: heat }, { batch: { $in: batchIds } }],
+            status: { $ne: 'consumed' },
+            ...(warehouse ? { warehouse } : {})
+        })
+            .populate('product', 'code description')
+            .populate('warehouse', 'code name')
+    ]);
+
+    const warehouseItemIds = await getWarehouseItemIds(materials, warehouse);
+
+    // Agrupar por obra
+    const projects = new Map();
+    for (const material of materials) {
+        if (!material.project) continue;
+
+        const entries = material.consumedItems.filter(e => matchesHeat(e) && isFromWarehouse(warehouseItemIds, e));
+        if (entries.length === 0) continue;
+
+        const key = material.project._id.toString();
+        if (!projects.has(key)) {
+            projects.set(key, { project: material.project, weightKg: 0, materials: [] });
+        }
+
+        const weight = entries.reduce((sum, e) => sum + (e.weight || 0), 0);
+        const group = projects.get(key);
+        group.weightKg = Math.round((group.weightKg + weight) * 100) / 100;
+        group.materials.push({
+            _id: material._id,
+            product: material.product,
+            quantity: material.quantity,
+            unit: material.unit,
+            returnedQuantity: material.returnedQuantity,
+            weightKg: Math.round(weight * 100) / 100,
+            stockItems: entries.map(e => e.stockItem),
+            addedAt: material.addedAt
+        });
+    }
+
+    return {
+        heatNumber: heat,
+        batches: batches.map(summarizeBatch),
+        projects: [...projects.values()],
+        stock
+    };
+};
+
+/**
+ * Rastreabilidade por obra: corridas que entraram na obra e material sem corrida registada
+ *
+ * @param {Object} project - Project document
+ * @param {ObjectId} [warehouse] - Só material consumido deste armazém
+ * @returns {Promise<{heats: Array, untraced: Array}>}
+ */
+const getProjectTraceability = async (project, warehouse) => {
+    const allMaterials = await ProjectMaterial.find({ project: project._id })
+        .populate('product', 'code description')
+        .sort({ addedAt: 1 });
+
+    const warehouseItemIds = await getWarehouseItemIds(allMaterials, warehouse);
+    const materials = allMaterials.filter(m => !warehouseItemIds
+        || m.consumedItems.some(e => isFromWarehouse(warehouseItemIds, e)));
+
+    const heats = new Map();
+    const untraced = [];
+
+    for (const material of materials) {
+        const traced = material.consumedItems
+            .filter(e => (e.heatNumber || e.batch) && isFromWarehouse(warehouseItemIds, e));
+
+        if (traced.length === 0) {
+            untraced.push({
+                _id: material._id,
+                product: material.product,
+                quantity: material.quantity,
+                unit: material.unit,
+                addedAt: material.addedAt
+            });
+            continue;
+        }
+
+        for (const entry of traced) {
+            const key = entry.batch ? entry.batch.toString() : `heat:${entry.heatNumber}`;
+            if (!heats.has(key)) {
+                heats.set(key, { heatNumber: entry.heatNumber, batch: entry.batch || null, weightKg: 0, products: new Map() });
+            }
+
+            const group = heats.get(key);
+            group.weightKg = Math.round((group.weightKg + (entry.weight || 0)) * 100) / 100;
+            if (material.product) {
+                group.products.set(material.product._id.toString(), material.product);
+            }
+        }
+    }
+
+    const batchIds = [...heats.values()].filter(h => h.batch).map(h => h.batch);
+    const batches = await Batch.find({ _id: { $in: batchIds } })
+        .populate('supplier', 'name')
+        .populate('grade', 'code');
+
+    return {
+        heats: [...heats.values()].map((group) => {
+            const batch = group.batch ? batches.find(b => b._id.equals(group.batch)) : null;
+            return {
+                heatNumber: batch ? batch.heatNumber : group.heatNumber,
+                batch: batch ? summarizeBatch(batch) : null,
+                weightKg: group.weightKg,
+                products: [...group.products.values()]
+            };
+        }),
+        untraced
+    };
+};
+
+module.exports = {
+    CERTIFICATES_DIR,
+    getCertificatePath,
+    removeCertificateFile,
+    resolveBatch,
+    findOrCreateBatch,
+    linkBatch,
+    getHeatTraceability,
+    getProjectTraceability
+};
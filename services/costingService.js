@@ -0,0 +1,358 @@
+const Movement = require('../models/Movement');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const CostLayer = require('../models/CostLayer');
+const { COSTING_METHOD, COSTING_METHODS } = require('../config/costing');
+const { getStockUnit, convertQuantity, convertUnitCost, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Método de custeio da empresa (config/costing)
+ */
+const getCostingMethod = () => COSTING_METHOD;
+
+/**
+ * Validar um método de custeio pedido (por defeito o da empresa)
+ */
+const resolveCostingMethod = (method) => {
+    if (!method) return COSTING_METHOD;
+
+    const normalized = String(method).toLowerCase();
+    if (!COSTING_METHODS.includes(normalized)) {
+        throw httpError(`Método de custeio inválido. Use: ${COSTING_METHODS.join(', ')}`);
+    }
+    return normalized;
+};
+
+/**
+ * Quantidade na unidade de stock do produto (null se o produto não permite a conversão)
+ */
+const toStockQuantity = (product, quantity, unit) => {
+    try {
+        return convertQuantity(product, quantity, unit, getStockUnit(product));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Converter um custo unitário entre a unidade do movimento e a de stock (sem geometria fica igual)
+ */
+const convertCost = (product, unitCost, fromUnit, toUnit) => {
+    try {
+        return convertUnitCost(product, unitCost, fromUnit, toUnit);
+    } catch (error) {
+        return unitCost;
+    }
+};
+
+/**
+ * Preço Médio Ponderado do produto (último preço enquanto não há PMP)
+ */
+const getAverageCost = (product) => product.financial?.averagePrice || product.financial?.lastPrice || 0;
+
+/**
+ * Totais das camadas em aberto por produto: Map id → { quantity, value }
+ */
+const getOpenLayerTotals = async (productIds) => {
+    const totals = await CostLayer.aggregate([
+        { $match: { product: { $in: productIds }, remainingQuantity: { $gt: 0 } } },
+        {
+            $group: {
+                _id: '$product',
+                quantity: { $sum: '$remainingQuantity' },
+                value: { $sum: { $multiply: ['$remainingQuantity', '$unitCost'] } }
+            }
+        }
+    ]);
+
+    return new Map(totals.map(t => [t._id.toString(), { quantity: t.quantity, value: t.value }]));
+};
+
+/**
+ * Custo atual por unidade de stock segundo o método
+ * FIFO: custo médio das camadas em aberto; AVCO (ou sem camadas): PMP
+ */
+const getCurrentUnitCost = async (product, method = COSTING_METHOD) => {
+    if (method === 'fifo') {
+        const open = (await getOpenLayerTotals([product._id])).get(product._id.toString());
+        if (open && open.quantity > 0) return round4(open.value / open.quantity);
+    }
+    return getAverageCost(product);
+};
+
+/**
+ * Valor de uma quantidade em stock a partir das camadas em aberto (FIFO)
+ * Stock sem camada (anterior à introdução das camadas) é valorizado ao PMP.
+ *
+ * @param {number} quantity - Quantidade em stock (unidade de stock)
+ * @param {{quantity: number, value: number}} [open] - Camadas em aberto do produto
+ * @param {number} averageCost - PMP
+ */
+const valueOnHand = (quantity, open, averageCost) => {
+    if (!(quantity > 0)) return 0;
+    if (!open || !(open.quantity > 0)) return round2(quantity * averageCost);
+    if (open.quantity >= quantity) return round2(quantity * open.value / open.quantity);
+    return round2(open.value + (quantity - open.quantity) * averageCost);
+};
+
+/**
+ * Retirar uma quantidade das camadas em aberto, das mais antigas para as mais recentes
+ *
+ * @returns {Promise<{taken: Array, uncovered: number}>} Camadas usadas e quantidade sem camada
+ */
+const takeFromLayers = async (product, quantity) => {
+    const layers = await CostLayer.find({ product: product._id, remainingQuantity: { $gt: 0 } })
+        .sort({ date: 1, _id: 1 });
+
+    let remaining = quantity;
+    const taken = [];
+
+    for (const layer of layers) {
+        if (remaining <= 0) break;
+
+        const amount = round4(Math.min(remaining, layer.remainingQuantity));
+        layer.remainingQuantity = round4(layer.remainingQuantity - amount);
+        await layer.save();
+
+        taken.push({ layer: layer._id, quantity: amount, unitCost: layer.unitCost });
+        remaining = round4(remaining - amount);
+    }
+
+    return { taken, uncovered: Math.max(remaining, 0) };
+};
+
+/**
+ * Custo de um movimento de stock segundo o método de custeio
+ *
+ * - Saídas (quantidade negativa): retiram das camadas mais antigas; em FIFO o custo é o dessas
+ *   camadas, em AVCO o PMP. Quantidade sem camada (stock anterior às camadas) custa o PMP.
+ * - Entradas: custo indicado (receções, devoluções) ou o custo atual do método (ajustes);
+ *   abrem uma camada com esse custo.
+ * - Transferências e movimentos sem quantidade não mexem nas camadas.
+ *
+ * O custo indicado só se aplica a entradas e está na unidade do movimento.
+ * Correr dentro de runInTransaction.
+ *
+ * @returns {Promise<{method: string, unitCost: number, costLayers: Array, layer: Object|null}>}
+ *          unitCost na unidade do movimento; layer = camada a abrir ({ quantity, unitCost } em unidade de stock)
+ */
+const costMovement = async ({ type, product, quantityDelta, unit, unitCost }) => {
+    const method = COSTING_METHOD;
+    const stockUnit = getStockUnit(product);
+    const stockQuantity = quantityDelta ? toStockQuantity(product, Math.abs(quantityDelta), unit) : 0;
+
+    // Sem efeito no valor do inventário
+    if (type === 'TRANSFER' || !(stockQuantity > 0)) {
+        const cost = unitCost !== undefined
+            ? Number(unitCost) || 0
+            : convertCost(product, await getCurrentUnitCost(product, method), stockUnit, unit);
+        return { method, unitCost: cost, costLayers: [], layer: null };
+    }
+
+    if (quantityDelta > 0) {
+        const layerCost = unitCost !== undefined
+            ? convertCost(product, Number(unitCost) || 0, unit, stockUnit)
+            : await getCurrentUnitCost(product, method);
+
+        return {
+            method,
+            unitCost: convertCost(product, layerCost, stockUnit, unit),
+            costLayers: [],
+            layer: { quantity: stockQuantity, unitCost: layerCost }
+        };
+    }
+
+    // Em AVCO as camadas também baixam, para a quantidade em camadas acompanhar o stock
+    const { taken, uncovered } = await takeFromLayers(product, stockQuantity);
+    const averageCost = getAverageCost(product);
+
+    let stockUnitCost = averageCost;
+    if (method === 'fifo') {
+        const value = taken.reduce((sum, t) => sum + t.quantity * t.unitCost, 0) + uncovered * averageCost;
+        stockUnitCost = value / stockQuantity;
+    }
+
+    return {
+        method,
+        unitCost: round4(convertCost(product, stockUnitCost, stockUnit, unit)),
+        costLayers: taken,
+        layer: null
+    };
+};
+
+/**
+ * Abrir a camada de custo de um movimento de entrada (ver costMovement)
+ */
+const openCostLayer = (product, movement, layer) => CostLayer.create({
+    product: product._id,
+    movement: movement._id,
+    date: movement.date,
+    quantity: layer.quantity,
+    remainingQuantity: layer.quantity,
+    unitCost: layer.unitCost
+});
+
+/**
+ * Valor do inventário numa data, recalculado a partir do histórico de movimentos
+ *
+ * Repete por ordem cronológica as entradas (ao custo registado no movimento) e as saídas
+ * (FIFO: das entradas mais antigas; AVCO: ao custo médio do momento).
+ * Sem armazém as transferências entre armazéns anulam-se e são ignoradas; com armazém
+ * contam como entradas/saídas desse armazém.
+ *
+ * @param {Object} params
+ * @param {Date} params.date - Data da valorização (inclusive)
+ * @param {string} [params.method] - 'avco' ou 'fifo' (por defeito o da empresa)
+ * @param {ObjectId} [params.warehouse]
+ * @returns {Promise<{date: Date, method: string, totalValue: number, items: Array}>}
+ */
+const getInventoryValueAt = async ({ date, method, warehouse } = {}) => {
+    const costingMethod = resolveCostingMethod(method);
+
+    const match = { date: { $lte: date }, quantityDelta: { $ne: 0 } };
+    if (warehouse) {
+        match.warehouse = warehouse;
+    } else {
+        match.type = { $ne: 'TRANSFER' };
+    }
+
+    const productIds = await Movement.distinct('product', match);
+    const products = new Map((await Product.find({ _id: { $in: productIds } }))
+        .map(p => [p._id.toString(), p]));
+
+    const states = new Map();
+
+    const cursor = Movement.find(match)
+        .sort({ date: 1, _id: 1 })
+        .select('product quantityDelta unit costSnapshot')
+        .lean()
+        .cursor();
+
+    for await (const movement of cursor) {
+        const product = products.get(movement.product.toString());
+        if (!product) continue;
+
+        const quantity = toStockQuantity(product, Math.abs(movement.quantityDelta), movement.unit);
+        if (!(quantity > 0)) continue;
+
+        const key = product._id.toString();
+        const state = states.get(key) || { product, quantity: 0, value: 0, layers: [] };
+        states.set(key, state);
+
+        if (movement.quantityDelta > 0) {
+            const unitCost = convertCost(product, movement.costSnapshot || 0, movement.unit, getStockUnit(product));
+            state.quantity += quantity;
+            state.value += quantity * unitCost;
+            if (costingMethod === 'fifo') state.layers.push({ quantity, unitCost });
+            continue;
+        }
+
+        // Saída: nunca abaixo de zero (histórico anterior ao primeiro movimento)
+        const issued = Math.min(quantity, state.quantity);
+        if (costingMethod === 'fifo') {
+            let remaining = issued;
+            while (remaining > 0 && state.layers.length > 0) {
+                const layer = state.layers[0];
+                const amount = Math.min(remaining, layer.quantity);
+                layer.quantity -= amount;
+                state.value -= amount * layer.unitCost;
+                remaining -= amount;
+                if (layer.quantity <= 1e-9) state.layers.shift();
+            }
+        } else if (state.quantity > 0) {
+            state.value -= issued * (state.value / state.quantity);
+        }
+        state.quantity -= issued;
+    }
+
+    const items = [...states.values()]
+        .filter(s => round4(s.quantity) > 0)
+        .map(s => ({
+            product: { _id: s.product._id, code: s.product.code, description: s.product.description },
+            unit: getStockUnit(s.product),
+            quantity: round4(s.quantity),
+            unitCost: round4(Math.max(s.value, 0) / s.quantity),
+            value: round2(Math.max(s.value, 0))
+        }))
+        .sort((a, b) => a.product.code.localeCompare(b.product.code));
+
+    return {
+        date,
+        method: costingMethod,
+        totalValue: round2(items.reduce((sum, i) => sum + i.value, 0)),
+        items
+    };
+};
+
+/**
+ * Valorização atual do stock físico (disponível, reservado e em trânsito)
+ * AVCO: quantidade × PMP; FIFO: camadas em aberto (stock sem camada ao PMP)
+ *
+ * @param {Object} params
+ * @param {string} [params.method] - avco | fifo (por defeito o da empresa)
+ * @param {ObjectId} [params.warehouse] - Só os itens deste armazém
+ * @returns {Promise<{method: string, totalValue: number, items: Array}>}
+ */
+const getInventoryValue = async ({ method, warehouse } = {}) => {
+    const costingMethod = resolveCostingMethod(method);
+
+    const match = { status: { $ne: 'consumed' }, quantity: { $gt: 0 } };
+    if (warehouse) match.warehouse = warehouse;
+
+    const stockItems = await StockItem.find(match)
+        .select('product quantity lengthMM widthMM calculatedWeight')
+        .lean();
+    const products = await Product.find({ _id: { $in: [...new Set(stockItems.map(i => i.product.toString()))] } });
+
+    const totals = new Map(products.map(p => [p._id.toString(), { product: p, weight: 0, pieces: 0, quantity: 0 }]));
+    stockItems.forEach((item) => {
+        const total = totals.get(item.product.toString());
+        if (!total) return;
+        total.weight += item.calculatedWeight || 0;
+        total.pieces += item.quantity;
+        total.quantity += getItemQuantityIn(item, getStockUnit(total.product), total.product);
+    });
+
+    const openLayers = costingMethod === 'fifo' ? await getOpenLayerTotals(products.map(p => p._id)) : new Map();
+
+    const items = [...totals.values()]
+        .map(({ product, weight, pieces, quantity }) => ({
+            _id: product._id,
+            code: product.code,
+            description: product.description,
+            totalWeight: round2(weight),
+            totalQuantity: pieces,
+            financial: {
+                averagePrice: product.financial?.averagePrice || 0,
+                lastPrice: product.financial?.lastPrice || 0
+            },
+            unit: getStockUnit(product),
+            stockQuantity: round4(quantity),
+            valuation: costingMethod === 'fifo'
+                ? valueOnHand(quantity, openLayers.get(product._id.toString()), getAverageCost(product))
+                : round2(quantity * (product.financial?.averagePrice || 0))
+        }))
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+    return {
+        method: costingMethod,
+        totalValue: round2(items.reduce((sum, i) => sum + i.valuation, 0)),
+        items
+    };
+};
+
+module.exports = {
+    getCostingMethod,
+    resolveCostingMethod,
+    getCurrentUnitCost,
+    getOpenLayerTotals,
+    valueOnHand,
+    costMovement,
+    openCostLayer,
+    getInventoryValue,
+    getInventoryValueAt
+};
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const StockItem = require('../models/StockItem');
+const Project = require('../models/Project');
+const ProjectMaterial = require('../models/ProjectMaterial');
+const { optimizeCuts } = require('../utils/cuttingOptimizer');
+const { getPieceWeight, assertCutSetting, performCut } = require('./cuttingService');
+const { STANDARD_BAR_LENGTH_MM, MIN_OFFCUT_LENGTH_MM, SAW_KERF_MM } = require('../config/cutting');
+const { httpError } = require('../utils/httpError');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Helper: Obter obra válida para receber material
+ * Devolve null se não indicada; lança erro com status se inválida
+ */
+const findOpenProject = async (projectId) => {
+    if (!projectId) return null;
+
+    const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+    if (!project) {
+        throw httpError('Obra não encontrada', 404);
+    }
+
+    if (['completed', 'cancelled'].includes(project.status)) {
+        throw httpError('Não é possível adicionar materiais a uma obra concluída ou cancelada');
+    }
+
+    return project;
+};
+
+/**
+ * Calcular um plano de corte para um produto a partir do stock disponível
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {Array} params.pieces - [{ lengthMM, quantity, label }]
+ * @param {ObjectId} [params.warehouse] - Só stock deste armazém (o da obra)
+ * @param {number} [params.kerfMM]
+ * @param {number} [params.minOffcutLengthMM]
+ * @returns {Promise<Object>} Dados do plano (bars, unplaced, summary)
+ */
+const buildCuttingPlan = async ({
+    product,
+    pieces,
+    warehouse,
+    kerfMM: kerfInput,
+    minOffcutLengthMM: minOffcutInput
+}) => {
+    if (product.shape === 'plate') {
+        throw httpError('Para chapas use o plano de nesting');
+    }
+    const kerfMM = assertCutSetting(kerfInput, SAW_KERF_MM, 'Espessura de corte (kerfMM)');
+    const minOffcutLengthMM = assertCutSetting(minOffcutInput, MIN_OFFCUT_LENGTH_MM, 'Comprimento mínimo de retalho (minOffcutLengthMM)');
+    if (!Array.isArray(pieces) || pieces.length === 0) {
+        throw httpError('Lista de peças é obrigatória');
+    }
+    if (pieces.some(p => !(Number(p.lengthMM) > 0) || !(Number(p.quantity || 1) >= 1))) {
+        throw httpError('Cada peça deve ter comprimento e quantidade positivos');
+    }
+
+    const normalizedPieces = pieces.map(p => ({
+        lengthMM: Number(p.lengthMM),
+        quantity: Math.floor(Number(p.quantity || 1)),
+        label: p.label || ''
+    }));
+    const shortest = Math.min(...normalizedPieces.map(p => p.lengthMM));
+
+    // Retalhos que sirvam pelo menos a peça mais curta + barras inteiras
+    const offcuts = await StockItem.findOffcuts(product._id, shortest, warehouse);
+    const fullBars = await StockItem.find({
+        product: product._id,
+        type: 'FULL_BAR',
+        status: 'available',
+        quantity: { $gte: 1 },
+        ...(warehouse ? { warehouse } : {})
+    });
+
+    const stock = [...offcuts, ...fullBars].map(item => ({
+        id: item._id,
+        type: item.type,
+        lengthMM: item.lengthMM || STANDARD_BAR_LENGTH_MM,
+        quantity: item.quantity
+    }));
+
+    const { bars, unplaced } = optimizeCuts({
+        pieces: normalizedPieces,
+        stock,
+        kerfMM,
+        standardLengthMM: STANDARD_BAR_LENGTH_MM,
+        minOffcutLengthMM
+    });
+
+    // Pesos esperados de sobrantes e sucata
+    bars.forEach((bar) => {
+        const remainderWeight = getPieceWeight(product, bar.remainderLengthMM);
+        bar.remainderWeight = bar.remainderAction === 'offcut' ? remainderWeight : 0;
+        bar.scrapWeight = round2(getPieceWeight(product, bar.kerfLossMM) +
+            (bar.remainderAction === 'scrap' ? remainderWeight : 0));
+    });
+
+    const requiredLengthMM = bars.reduce((sum, b) => sum + b.cuts.reduce((s, c) => s + c, 0), 0);
+    const stockLengthMM = bars.reduce((sum, b) => sum + b.lengthMM, 0);
+
+    return {
+        pieces: normalizedPieces,
+        kerfMM,
+        minOffcutLengthMM,
+        bars,
+        unplaced,
+        summary: {
+            barsUsed: bars.filter(b => b.sourceType === 'FULL_BAR').length,
+            offcutsUsed: bars.filter(b => b.sourceType === 'OFFCUT').length,
+            barsToPurchase: bars.filter(b => b.sourceType === 'PURCHASE').length,
+            requiredLengthMM,
+            stockLengthMM,
+            utilizationPercent: stockLengthMM > 0 ? Math.round((requiredLengthMM / stockLengthMM) * 1000) / 10 : 0,
+            remainderWeight: round2(bars.reduce((sum, b) => sum + b.remainderWeight, 0)),
+            scrapWeight: round2(bars.reduce((sum, b) => sum + b.scrapWeight, 0))
+        }
+    };
+};
+
+/**
+ * Verificar que o stock previsto num plano continua disponível
+ *
+ * @param {Array<{stockItem: ObjectId, sourceType: string}>} sources - Barras/chapas do plano
+ * @param {Array} unplaced - Peças sem lugar no plano
+ */
+const assertPlanStockAvailable = async (sources, unplaced = []) => {
+    if (unplaced.length > 0 || sources.some(s => s.sourceType === 'PURCHASE')) {
+        throw httpError('O plano precisa de material que não existe em stock', 409);
+    }
+
+    // Barras/chapas inteiras da mesma pilha podem aparecer várias vezes no plano
+    const usage = sources.reduce((acc, source) => {
+        const id = source.stockItem.toString();
+        acc[id] = (acc[id] || 0) + 1;
+        return acc;
+    }, {});
+
+    const items = await StockItem.find({ _id: { $in: Object.keys(usage) } });
+
+    for (const [id, count] of Object.entries(usage)) {
+        const item = items.find(i => i._id.toString() === id);
+        if (!item || item.status !== 'available' || item.quantity < count) {
+            throw httpError('O stock mudou desde que o plano foi calculado. Recalcule o plano.', 409);
+        }
+    }
+};
+
+/**
+ * Garantir que as barras/chapas de um plano estão no armazém de uma obra
+ * (planos calculados sem obra usam stock de todos os armazéns)
+ *
+ * @param {Array<{stockItem: ObjectId}>} sources - Barras/chapas do plano
+ * @param {ObjectId} [warehouse] - Armazém da obra
+ */
+const assertPlanInWarehouse = async (sources, warehouse) => {
+    if (!warehouse) return;
+
+    const ids = sources.filter(s => s.stockItem).map(s => s.stockItem);
+    const elsewhere = await StockItem.exists({ _id: { $in: ids }, warehouse: { $ne: warehouse } });
+    if (elsewhere) {
+        throw httpError('O plano usa stock de outro armazém; calcule um novo plano para esta obra');
+    }
+};
+
+/**
+ * Barra/chapa de origem de um corte, para rastreabilidade da corrida em ProjectMaterial
+ * (stockQuantity 0: não é reposta numa devolução)
+ */
+const cutSourceEntry = (source, weight) => ({
+    stockItem: source._id,
+    quantity: 1,
+    weight,
+    batch: source.batch,
+    heatNumber: source.heatNumber
+});
+
+/**
+ * Associar o material cortado (kg) a uma obra e atualizar o custo de materiais
+ * O custo por kg é o dos movimentos CUT (método de custeio). Devolve null quando não há obra ou peso a associar
+ */
+const attachCutMaterial = async ({ project, product, consumedWeight, consumedItems = [], user, movements = [], notes }) => {
+    if (!project || !(consumedWeight > 0)) return null;
+
+    const totalCost = movements.reduce((sum, m) => sum + (m.totalCost || 0), 0);
+    const unitCost = Math.round((totalCost / consumedWeight) * 10000) / 10000;
+
+    const projectMaterial = await ProjectMaterial.create({
+        project: project._id,
+        product: product._id,
+        quantity: consumedWeight,
+        unit: 'kg',
+        unitCost,
+        consumedItems,
+        addedBy: user,
+        movement: movements[0]?._id,
+        notes
+    });
+
+    const materialTotals = await ProjectMaterial.getProjectTotals(project._id);
+    project.costs.materials = materialTotals.totalCost;
+    await project.save();
+
+    return projectMaterial;
+};
+
+/**
+ * Executar um plano de corte: cortar cada barra e associar o material à obra
+ *
+ * @param {Object} params
+ * @param {Object} params.plan - CuttingPlan document
+ * @param {Object} params.product - Product document
+ * @param {Object} [params.project] - Project document
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<{movements: Array, offcuts: Array, consumedWeight: number, projectMaterial: Object|null}>}
+ */
+const commitCuttingPlan = async ({ plan, product, project, user }) => {
+    await assertPlanStockAvailable(plan.bars, plan.unplaced);
+
+    const projectRef = project ? project.reference : '';
+    const movements = [];
+    const offcuts = [];
+    const consumedItems = [];
+
+    for (const bar of plan.bars) {
+        let stockItemId = bar.stockItem;
+
+        for (let i = 0; i < bar.cuts.length; i++) {
+            const isLast = i === bar.cuts.length - 1;
+
+            // Sobrantes intermédios ficam como retalho para o corte seguinte
+            const result = await performCut({
+                product,
+                lengthMM: bar.cuts[i],
+                stockItemId,
+                user,
+                projectRef,
+                kerfMM: plan.kerfMM,
+                minOffcutLengthMM: isLast ? plan.minOffcutLengthMM : 0,
+                notes: `Plano de corte ${plan._id}${bar.labels[i] ? ` - ${bar.labels[i]}` : ''}`
+            });
+
+            movements.push(result.movement);
+            consumedItems.push(cutSourceEntry(result.source, result.consumedWeight));
+            if (!isLast) stockItemId = result.offcut._id;
+            else if (result.offcut) offcuts.push(result.offcut);
+        }
+    }
+
+    // Os movimentos estão na unidade de stock do produto; o material do projeto é sempre em kg
+    const consumedWeight = round2(consumedItems.reduce((sum, item) => sum + item.weight, 0));
+
+    const projectMaterial = await attachCutMaterial({
+        project,
+        product,
+        consumedWeight,
+        consumedItems,
+        user,
+        movements,
+        notes: `Plano de corte ${plan._id}`
+    });
+
+    return { movements, offcuts, consumedWeight, projectMaterial };
+};
+
+module.exports = {
+    findOpenProject,
+    cutSourceEntry,
+    attachCutMaterial,
+    assertPlanStockAvailable,
+    assertPlanInWarehouse,
+    buildCuttingPlan,
+    commitCuttingPlan
+};
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const StockItem = require('../models/StockItem');
+const { getWeight } = require('../utils/metalMath');
+const { recordStockMovement, filterUnreservedItems } = require('./stockService');
+const { recordCutScrap } = require('./scrapService');
+const { MIN_OFFCUT_LENGTH_MM, SAW_KERF_MM } = require('../config/cutting');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+// Formas que podem ser cortadas em comprimento
+const BAR_SHAPES = ['round', 'hex', 'tube', 'box', 'flat', 'angle', 'channel', 'beam', 'rhs', 'shs', 'other'];
+
+/**
+ * Peso (kg) de um troço de barra
+ * Usa o metalMath quando a forma/dimensões o permitem, senão o peso por metro do produto
+ */
+const getPieceWeight = (product, lengthMM) => {
+    if (lengthMM <= 0) return 0;
+
+    try {
+        const weight = getWeight({
+            shape: product.shape,
+            dimensions: product.dimensions,
+            lengthMm: lengthMM,
+            grade: product.grade,
+            density: product.density,
+            materialType: product.materialType
+        });
+        if (weight > 0) return weight;
+    } catch (error) {
+        // Forma desconhecida: usar peso por metro
+    }
+
+    return Math.round((lengthMM / 1000) * (product.weightPerMeter || 0) * 100) / 100;
+};
+
+/**
+ * Validar um parâmetro de corte (espessura de corte, comprimento mínimo de retalho)
+ * Tem de ser um número finito >= 0; sem valor usa o de config/cutting
+ */
+const assertCutSetting = (value, fallback, label) => {
+    if (value === undefined) return fallback;
+
+    const num = value === null || value === '' ? NaN : Number(value);
+    if (!Number.isFinite(num) || num < 0) {
+        throw httpError(`${label} deve ser um número maior ou igual a zero`);
+    }
+    return num;
+};
+
+/**
+ * Escolher a barra a cortar: o retalho mais ajustado, senão a barra inteira mais curta que sirva
+ * Só itens que não tocam nas reservas por quantidade ativas. Com warehouse escolhe só entre os itens desse armazém
+ */
+const pickSourceItem = async (product, requiredLengthMM, warehouse) => {
+    const offcuts = await filterUnreservedItems(
+        await StockItem.findOffcuts(product._id, requiredLengthMM, warehouse),
+        product,
+        warehouse
+    );
+    if (offcuts.length > 0) {
+        return offcuts[0];
+    }
+
+    const query = {
+        product: product._id,
+        type: 'FULL_BAR',
+        status: 'available',
+        quantity: { $gte: 1 },
+        lengthMM: { $gte: requiredLengthMM }
+    };
+    if (warehouse) query.warehouse = warehouse;
+
+    const fullBars = await filterUnreservedItems(await StockItem.find(query).sort({ lengthMM: 1 }), product, warehouse);
+    return fullBars[0] || null;
+};
+
+/**
+ * Executar um corte de barra
+ *
+ * Retira uma peça da barra (inteira ou retalho), cria um OFFCUT para o sobrante
+ * (ou regista-o como sucata abaixo do comprimento mínimo) e escreve o movimento CUT.
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {number} params.lengthMM - Comprimento pretendido (mm)
+ * @param {string} [params.stockItemId] - Barra/retalho a cortar (opcional)
+ * @param {ObjectId} [params.warehouse] - Armazém de onde escolher a barra (sem stockItemId)
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.projectRef] - Referência da obra
+ * @param {number} [params.kerfMM] - Espessura de corte
+ * @param {number} [params.minOffcutLengthMM] - Comprimento mínimo para guardar retalho
+ * @param {string} [params.notes]
+ */
+const performCut = async ({
+    product,
+    lengthMM,
+    stockItemId,
+    warehouse,
+    user,
+    projectRef,
+    kerfMM,
+    minOffcutLengthMM,
+    notes
+}) => {
+    const cutLength = Number(lengthMM);
+
+    if (!(cutLength > 0)) {
+        throw httpError('Comprimento de corte deve ser positivo');
+    }
+
+    const kerf = assertCutSetting(kerfMM, SAW_KERF_MM, 'Espessura de corte (kerfMM)');
+    const minOffcutLength = assertCutSetting(minOffcutLengthMM, MIN_OFFCUT_LENGTH_MM, 'Comprimento mínimo de retalho (minOffcutLengthMM)');
+
+    if (!BAR_SHAPES.includes(product.shape)) {
+        throw httpError(`Produtos com forma '${product.shape}' não podem ser cortados em comprimento`);
+    }
+
+    let source;
+    if (stockItemId) {
+        source = mongoose.isValidObjectId(stockItemId) ? await StockItem.findById(stockItemId) : null;
+        if (!source || source.product.toString() !== product._id.toString()) {
+            throw httpError('Item de stock não encontrado para este produto', 404);
+        }
+        if (source.status !== 'available' || source.type === 'BOX' || source.quantity < 1) {
+            throw httpError('Item de stock não está disponível para corte');
+        }
+        if (source.lengthMM < cutLength) {
+            throw httpError(`Item de stock demasiado curto (${source.lengthMM} mm)`);
+        }
+        // Uma barra escolhida à mão também não pode tirar stock às reservas por quantidade
+        if ((await filterUnreservedItems([source], product, source.warehouse)).length === 0) {
+            throw httpError('Item de stock necessário para reservas ativas do produto', 409);
+        }
+    } else {
+        source = await pickSourceItem(product, cutLength, warehouse);
+        if (!source) {
+            throw httpError(`Sem barras ou retalhos com pelo menos ${cutLength} mm`, 409);
+        }
+    }
+
+    const originalLength = source.lengthMM;
+
+    // O corte da serra só se perde se sobrar material
+    const leftover = originalLength - cutLength;
+    const remainderLength = leftover > kerf ? leftover - kerf : 0;
+    const keepOffcut = remainderLength > 0 && remainderLength >= minOffcutLength;
+
+    // Retirar uma barra da pilha
+    if (source.quantity > 1) {
+        source.quantity -= 1;
+    } else {
+        source.quantity = 0;
+        source.status = 'consumed';
+    }
+    await source.save();
+
+    let offcut = null;
+    if (keepOffcut) {
+        offcut = await StockItem.create({
+            product: product._id,
+            type: 'OFFCUT',
+            quantity: 1,
+            lengthMM: remainderLength,
+            location: source.location,
+            locationRef: source.locationRef,
+            warehouse: source.warehouse,
+            batch: source.batch,
+            batchId: source.batchId,
+            heatNumber: source.heatNumber,
+            status: 'available',
+            notes: `Retalho de corte (${originalLength} mm → ${cutLength} mm)`
+        });
+    }
+
+    const cutWeight = getPieceWeight(product, cutLength);
+    const originalWeight = getPieceWeight(product, originalLength);
+    const offcutWeight = keepOffcut ? getPieceWeight(product, remainderLength) : 0;
+    const scrapWeight = Math.max(0, Math.round((originalWeight - cutWeight - offcutWeight) * 100) / 100);
+
+    // Sai do stock tudo o que não volta como retalho (peça + corte + sucata)
+    const consumedWeight = Math.round((originalWeight - offcutWeight) * 100) / 100;
+
+    // Movimento na unidade de stock do produto: a barra cortada menos o retalho que volta
+    const unit = getStockUnit(product);
+    const consumedQuantity = unit === 'kg'
+        ? consumedWeight
+        : getItemQuantityIn({ quantity: 1, lengthMM: originalLength, calculatedWeight: originalWeight }, unit, product)
+            - (keepOffcut ? getItemQuantityIn({ quantity: 1, lengthMM: remainderLength, calculatedWeight: offcutWeight }, unit, product) : 0);
+
+    const movement = await recordStockMovement({
+        type: 'CUT',
+        stockItem: source,
+        product,
+        user,
+        quantityDelta: -Math.round(consumedQuantity * 10000) / 10000,
+        unit,
+        projectRef,
+        notes: notes || `Corte de ${cutLength} mm`,
+        cutDetails: {
+            originalLengthMM: originalLength,
+            cutLengthMM: cutLength,
+            remainderLengthMM: remainderLength,
+            remainderAction: keepOffcut ? 'offcut' : 'scrap',
+            consumedWeightKg: consumedWeight
+        }
+    });
+
+    // Sobrante abaixo do comprimento útil vai para o contentor de sucata
+    if (!keepOffcut) {
+        await recordCutScrap({ product, weightKg: scrapWeight, movement, stockItem: source, projectRef, user });
+    }
+
+    return {
+        source,
+        offcut,
+        movement,
+        cutWeight,
+        consumedWeight,
+        scrapWeight
+    };
+};
+
+module.exports = {
+    getPieceWeight,
+    assertCutSetting,
+    pickSourceItem,
+    performCut
+};
@@ -1,6 +1,9 @@
 const XLSX = require('xlsx');
 const Product = require('../models/Product');
 const StockItem = require('../models/StockItem');
+const MaterialGrade = require('../models/MaterialGrade');
+const { lookupProfile } = require('../utils/profileCatalog');
+const { findGradeInText } = require('../utils/gradeMatcher');
 
 /**
  * Parse Excel file and import products/stock
@@ -55,6 +58,9 @@ const importProducts = async (data, columnMapping, userId) => {
         return 'kg'; // default
     };
 
+    // Qualidades de material para deteção nas descrições (carregadas uma vez)
+    const grades = await MaterialGrade.find({ active: true }).select('code materialNumber aliases family');
+
     for (let i = 0; i < data.length; i++) {
         const row = data[i];
         const rowNumber = i + 2; // +2 because Excel is 1-indexed and has header
@@ -77,10 +83,13 @@ const importProducts = async (data, columnMapping, userId) => {
             const lastPrice = parseFloat(row[columnMapping.price]) || 0;
             const unit = normalizeUnit(row[columnMapping.unit]);
 
-            // Detect material type and shape from description
-            const materialType = Product.detectMaterialType(description || code);
+            // Detect material grade, type and shape from description
+            const grade = findGradeInText(description, grades) || findGradeInText(code, grades);
+            const materialType = grade ? grade.family : Product.detectMaterialType(description || code);
             const shape = Product.detectShape(code, description || code);
-            const diameter = Product.extractDiameter(code);
+
+            // Perfil normalizado na descrição/código (ex: 'IPE 200', 'Tubo 48,3x3,2')
+            const profile = lookupProfile(description) || lookupProfile(code);
 
             // Check if product exists
             let product = await Product.findOne({ code });
@@ -88,7 +97,12 @@ const importProducts = async (data, columnMapping, userId) => {
             if (product) {
                 // Update existing product
                 if (description) product.description = description;
-                if (weightPerMeter > 0) product.weightPerMeter = weightPerMeter;
+                if (grade && !product.grade) product.grade = grade._id;
+                if (profile && !product.designation) {
+                    product.applyStandardProfile(profile);
+                } else if (weightPerMeter > 0 && !product.designation) {
+                    product.weightPerMeter = weightPerMeter;
+                }
                 if (minStock > 0) product.stockConfig.minStock = minStock;
                 if (safetyStock > 0) product.stockConfig.safetyStock = safetyStock;
                 product.stockConfig.unit = unit;
@@ -99,12 +113,13 @@ const importProducts = async (data, columnMapping, userId) => {
                 results.updated++;
             } else {
                 // Create new product
-                product = await Product.create({
+                product = new Product({
                     code,
                     description: description || code,
                     materialType,
+                    grade: grade ? grade._id : undefined,
                     shape,
-                    dimensions: { d: diameter },
+                    dimensions: { d: Product.extractDiameter(code) },
                     weightPerMeter,
                     stockConfig: {
                         minStock,
@@ -116,6 +131,11 @@ const importProducts = async (data, columnMapping, userId) => {
                         averagePrice: lastPrice
                     }
                 });
+
+                // Catálogo substitui a forma/diâmetro adivinhados pelo código
+                if (profile) product.applyStandardProfile(profile);
+
+                await product.save();
                 results.created++;
             }
 
@@ -0,0 +1,261 @@
+const net = require('net');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const StockItem = require('../models/StockItem');
+const labels = require('../config/labels');
+const { httpError } = require('../utils/httpError');
+
+const MM_TO_PT = 72 / 25.4;
+
+const TYPE_NAMES = {
+    FULL_BAR: 'Barra',
+    OFFCUT: 'Retalho',
+    BOX: 'Caixa'
+};
+
+/**
+ * Carregar os itens a etiquetar, pela ordem pedida
+ */
+const loadLabelItems = async (ids) => {
+    const list = (Array.isArray(ids) ? ids : String(ids || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    if (list.length === 0 || list.some(id => !mongoose.isValidObjectId(id))) {
+        throw httpError('Indique itens de stock válidos');
+    }
+
+    const items = await StockItem.find({ _id: { $in: list } })
+        .populate('product', 'code description shape');
+    if (items.length === 0) {
+        throw httpError('Itens de stock não encontrados', 404);
+    }
+
+    const byId = new Map(items.map(i => [i._id.toString(), i]));
+    return [...new Set(list)].map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Conteúdo de uma etiqueta (textos já formatados)
+ */
+const buildLabel = (item) => {
+    const product = item.product || {};
+
+    let size = '';
+    if (item.widthMM > 0 && item.lengthMM > 0) {
+        size = `${item.widthMM} × ${item.lengthMM} mm`;
+    } else if (item.lengthMM > 0) {
+        size = `${item.lengthMM} mm`;
+    }
+
+    const pieces = item.quantity !== 1 ? `${item.quantity} un` : '';
+
+    return {
+        id: item._id.toString(),
+        code: product.code || '',
+        description: product.description || '',
+        type: TYPE_NAMES[item.type] || item.type,
+        size: [size, pieces].filter(Boolean).join(' · '),
+        weight: `${Math.round((item.calculatedWeight || 0) * 100) / 100} kg`,
+        batch: [
+            item.heatNumber ? `Corrida ${item.heatNumber}` : '',
+            item.batchId ? `Lote ${item.batchId}` : ''
+        ].filter(Boolean).join(' · '),
+        location: item.location || ''
+    };
+};
+
+/**
+ * Texto seguro para ZPL (^ e ~ são caracteres de comando)
+ */
+const zplText = (text) => String(text).replace(/[\^~]/g, ' ');
+
+/**
+ * Etiquetas em ZPL (uma por item) para impressoras Zebra
+ *
+ * @param {Array} items - StockItems com product populado
+ * @returns {string}
+ */
+const renderZpl = (items) => {
+    const dpmm = labels.ZPL_DPI / 25.4;
+    const dots = (mm) => Math.round(mm * dpmm);
+
+    const width = dots(labels.ZPL_LABEL_WIDTH_MM);
+    const height = dots(labels.ZPL_LABEL_HEIGHT_MM);
+    const margin = dots(3);
+    const qrMagnification = Math.max(2, Math.round(dpmm * 0.6));
+    const qrSize = 27 * qrMagnification; // Versão 2 (25 módulos) + margem
+    const textWidth = width - qrSize - margin * 3;
+    const big = dots(6);
+    const small = dots(3.5);
+    const line = dots(5);
+
+    return items.map((item) => {
+        const label = buildLabel(item);
+        let y = margin;
+
+        const fields = [
+            `^FO${margin},${y}^A0N,${big},${big}^FB${textWidth},1,0,L^FD${zplText(label.code)}^FS`
+        ];
+        y += big + dots(1.5);
+        fields.push(`^FO${margin},${y}^A0N,${small},${small}^FB${textWidth},2,0,L^FD${zplText(label.description)}^FS`);
+        y += line * 2;
+
+        [
+            `${label.type}${label.size ? ` ${label.size}` : ''}`,
+            label.weight,
+            label.batch,
+            label.location ? `Loc. ${label.location}` : ''
+        ].filter(Boolean).forEach((text) => {
+            if (y + small > height - margin) return;
+            fields.push(`^FO${margin},${y}^A0N,${small},${small}^FB${textWidth},1,0,L^FD${zplText(text)}^FS`);
+            y += line;
+        });
+
+        return [
+            '^XA',
+            '^CI28',
+            `^PW${width}`,
+            `^LL${height}`,
+            ...fields,
+            `^FO${width - qrSize - margin},${margin}^BQN,2,${qrMagnification}^FDMA,${label.id}^FS`,
+            '^XZ'
+        ].join('\n');
+    }).join('\n');
+};
+
+/**
+ * Folha A4 de etiquetas em PDF (grelha configurável em config/labels)
+ *
+ * @param {Array} items - StockItems com product populado
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = async (items) => {
+    const pt = (mm) => mm * MM_TO_PT;
+    const perPage = labels.SHEET_COLUMNS * labels.SHEET_ROWS;
+    const labelWidth = pt(labels.SHEET_LABEL_WIDTH_MM);
+    const labelHeight = pt(labels.SHEET_LABEL_HEIGHT_MM);
+    const padding = pt(3);
+    const qrSize = labelHeight - padding * 2;
+    const textWidth = labelWidth - qrSize - padding * 3;
+
+    const qrImages = await Promise.all(items.map(item => QRCode.toBuffer(item._id.toString(), {
+        errorCorrectionLevel: 'M',
+        margin: 0,
+        width: 256
+    })));
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    items.forEach((item, index) => {
+        const slot = index % perPage;
+        if (slot === 0) doc.addPage();
+
+        const column = slot % labels.SHEET_COLUMNS;
+        const row = Math.floor(slot / labels.SHEET_COLUMNS);
+        const x = pt(labels.SHEET_MARGIN_LEFT_MM) + column * (labelWidth + pt(labels.SHEET_GAP_X_MM));
+        const y = pt(labels.SHEET_MARGIN_TOP_MM) + row * (labelHeight + pt(labels.SHEET_GAP_Y_MM));
+        const label = buildLabel(item);
+
+        doc.image(qrImages[index], x + labelWidth - padding - qrSize, y + padding, { width: qrSize, height: qrSize });
+
+        const textX = x + padding;
+        doc.font('Helvetica-Bold').fontSize(12)
+            .text(label.code, textX, y + padding, { width: textWidth, height: 14, ellipsis: true, lineBreak: false });
+        doc.font('Helvetica').fontSize(7)
+            .text(label.description, textX, y + padding + 16, { width: textWidth, height: 17, ellipsis: true });
+
+        let lineY = y + padding + 35;
+        [
+            `${label.type}${label.size ? ` ${label.size}` : ''} · ${label.weight}`,
+            label.batch,
+            label.location ? `Loc. ${label.location}` : ''
+        ].filter(Boolean).forEach((text) => {
+            doc.fontSize(8).text(text, textX, lineY, { width: textWidth, height: 10, ellipsis: true, lineBreak: false });
+            lineY += 10;
+        });
+    });
+
+    doc.end();
+    return done;
+};
+
+/**
+ * Enviar ZPL para a impressora Zebra em rede (porta RAW)
+ * Sem impressora configurada não faz nada.
+ *
+ * @returns {Promise<boolean>} true se enviado
+ */
+const printZpl = (zpl) => {
+    if (!labels.ZEBRA_PRINTER_HOST || !zpl) return Promise.resolve(false);
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: labels.ZEBRA_PRINTER_HOST, port: labels.ZEBRA_PRINTER_PORT });
+        socket.setTimeout(5000);
+        socket.on('connect', () => socket.end(zpl, 'utf8'));
+        socket.on('close', hadError => !hadError && resolve(true));
+        socket.on('timeout', () => socket.destroy(new Error('Impressora de etiquetas não responde')));
+        socket.on('error', reject);
+    });
+};
+
+/**
+ * Etiquetas de itens acabados de criar (receções e cortes)
+ * Devolve o ZPL e o link da folha PDF; o envio para a Zebra (quando configurada) corre
+ * em segundo plano e não atrasa a resposta.
+ * Chamar depois da transação (os itens têm de estar gravados).
+ *
+ * @param {Array} items - StockItems criados
+ * @returns {Promise<{stockItemIds: Array, zpl: string, pdf: string, printing: boolean}|null>}
+ */
+const generateLabels = async (items) => {
+    const created = items.filter(Boolean);
+    if (created.length === 0) return null;
+
+    const list = await loadLabelItems(created.map(i => i._id.toString()));
+    const ids = list.map(i => i._id.toString());
+    const zpl = renderZpl(list);
+
+    // A impressora não pode bloquear a receção/corte
+    const printing = Boolean(labels.ZEBRA_PRINTER_HOST);
+    if (printing) {
+        printZpl(zpl).catch(error => console.error('Label printer error:', error.message));
+    }
+
+    return {
+        stockItemIds: ids,
+        zpl,
+        pdf: `/api/stock/labels?ids=${ids.join(',')}&format=pdf`,
+        printing
+    };
+};
+
+/**
+ * Etiquetas para a resposta de uma operação já gravada
+ * Uma falha nas etiquetas não pode transformar a operação num erro (o cliente repetiria-a):
+ * devolve { labels } ou { labels: null, labelsError }.
+ */
+const labelsForResponse = async (items) => {
+    try {
+        return { labels: await generateLabels(items) };
+    } catch (error) {
+        console.error('Label generation error:', error);
+        return { labels: null, labelsError: error.status ? error.message : 'Erro ao gerar etiquetas' };
+    }
+};
+
+module.exports = {
+    loadLabelItems,
+    renderZpl,
+    renderPdf,
+    printZpl,
+    generateLabels,
+    labelsForResponse
+};
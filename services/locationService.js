@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const StockItem = require('../models/StockItem');
+const { recordStockMovement, splitStockItem } = require('./stockService');
+const { getStockUnit } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+const DEFAULT_WAREHOUSE_CODE = 'ARM';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Obter localização ativa por id ou código
+ *
+ * @param {string} value - ObjectId ou código (ex: 'A-E02-P3')
+ * @returns {Promise<Object>} Location
+ */
+const resolveLocation = async (value) => {
+    const location = mongoose.isValidObjectId(value)
+        ? await Location.findById(value)
+        : await Location.findOne({ code: String(value).trim().toUpperCase() });
+
+    if (!location) {
+        throw httpError(`Localização não encontrada: ${value}`, 404);
+    }
+    if (!location.active) {
+        throw httpError(`Localização inativa: ${location.code}`);
+    }
+
+    return location;
+};
+
+/**
+ * Obter armazém ativo por id ou código (erro se não for um armazém)
+ *
+ * @param {string} value - ObjectId ou código
+ * @returns {Promise<Object>} Location do tipo 'warehouse'
+ */
+const resolveWarehouse = async (value) => {
+    const location = await resolveLocation(value);
+    if (location.type !== 'warehouse') {
+        throw httpError(`${location.code} não é um armazém`);
+    }
+    return location;
+};
+
+/**
+ * Armazém a que pertence uma localização (a própria, se for um armazém)
+ *
+ * @param {Object} location - Location
+ * @returns {Promise<ObjectId>}
+ */
+const getWarehouseId = async (location) => {
+    let current = location;
+    while (current && current.type !== 'warehouse') {
+        current = current.parent ? await Location.findById(current.parent) : null;
+    }
+    return current ? current._id : undefined;
+};
+
+/**
+ * Ids de uma localização e de todos os níveis abaixo
+ *
+ * @param {ObjectId} locationId
+ * @returns {Promise<ObjectId[]>}
+ */
+const getDescendantIds = async (locationId) => {
+    const ids = [new mongoose.Types.ObjectId(String(locationId))];
+    let level = ids;
+
+    while (level.length > 0) {
+        const children = await Location.find({ parent: { $in: level } }).select('_id');
+        level = children.map(c => c._id);
+        ids.push(...level);
+    }
+
+    return ids;
+};
+
+/**
+ * Ocupação atual das localizações (itens não consumidos)
+ *
+ * @param {ObjectId[]} locationIds
+ * @param {ObjectId} [excludeItemId] - Item a ignorar (o que está a ser arrumado)
+ * @returns {Promise<Map>} locationId → { weightKg, items, products: string[] }
+ */
+const getLocationLoads = async (locationIds, excludeItemId) => {
+    const match = { locationRef: { $in: locationIds }, status: { $ne: 'consumed' } };
+    if (excludeItemId) match._id = { $ne: excludeItemId };
+
+    const result = await StockItem.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$locationRef',
+                weightKg: { $sum: '$calculatedWeight' },
+                items: { $sum: 1 },
+                products: { $addToSet: '$product' }
+            }
+        }
+    ]);
+
+    return new Map(result.map(r => [r._id.toString(), {
+        weightKg: round2(r.weightKg),
+        items: r.items,
+        products: r.products.map(p => p.toString())
+    }]));
+};
+
+/**
+ * Peso estimado de um item ainda não criado (mesmo cálculo do StockItem)
+ *
+ * @param {Object} product
+ * @param {Object} dims - { lengthMM, widthMM, quantity }
+ * @returns {Promise<number>} kg
+ */
+const estimateWeight = async (product, { lengthMM = 0, widthMM = 0, quantity = 1 }) => {
+    const draft = new StockItem({ product: product._id, lengthMM, widthMM, quantity });
+    await draft.calculateWeight();
+    return draft.calculatedWeight || 0;
+};
+
+/**
+ * Verificar se um item cabe na localização (forma, comprimento e peso máximo)
+ *
+ * @param {Object} location - Location
+ * @param {Object} params
+ * @param {Object} params.product
+ * @param {number} params.lengthMM
+ * @param {number} params.weightKg
+ * @param {ObjectId} [params.excludeItemId] - Item já criado/guardado que não conta para a ocupação
+ */
+const checkCapacity = async (location, { product, lengthMM, weightKg, excludeItemId }) => {
+    if (!location.active) {
+        throw httpError(`Localização inativa: ${location.code}`);
+    }
+
+    if (location.allowedShapes.length > 0 && !location.allowedShapes.includes(product.shape)) {
+        throw httpError(`A localização ${location.code} não aceita a forma '${product.shape}'`);
+    }
+
+    const { maxLengthMM, maxWeightKg } = location.capacity;
+
+    if (maxLengthMM > 0 && lengthMM > maxLengthMM) {
+        throw httpError(`Comprimento ${lengthMM} mm excede o máximo da localização ${location.code} (${maxLengthMM} mm)`);
+    }
+
+    if (maxWeightKg > 0) {
+        const loads = await getLocationLoads([location._id], excludeItemId);
+        const load = loads.get(location._id.toString())?.weightKg || 0;
+        if (load + weightKg > maxWeightKg) {
+            throw httpError(`Peso excede a capacidade da localização ${location.code} (ocupado ${load} kg de ${maxWeightKg} kg)`);
+        }
+    }
+};
+
+/**
+ * Sugerir posições para arrumar material
+ * Primeiro as posições onde o mesmo produto já está, depois as com mais capacidade livre.
+ * Excluem-se as que não aceitam a forma, o comprimento ou o peso.
+ *
+ * @param {Object} params
+ * @param {Object} params.product
+ * @param {number} [params.lengthMM]
+ * @param {number} [params.weightKg]
+ * @param {ObjectId} [params.warehouse] - Só posições deste armazém
+ * @param {number} [params.limit]
+ * @returns {Promise<Array>} [{ location, sameProduct, loadKg, freeWeightKg }]
+ */
+const suggestPutAway = async ({ product, lengthMM = 0, weightKg = 0, warehouse, limit = 5 }) => {
+    const slots = await Location.findSlots(warehouse ? { _id: { $in: await getDescendantIds(warehouse) } } : {});
+    const loads = await getLocationLoads(slots.map(s => s._id));
+    const productId = product._id.toString();
+
+    const candidates = slots
+        .filter(slot => slot.allowedShapes.length === 0 || slot.allowedShapes.includes(product.shape))
+        .filter(slot => !(slot.capacity.maxLengthMM > 0) || lengthMM <= slot.capacity.maxLengthMM)
+        .map((slot) => {
+            const load = loads.get(slot._id.toString());
+            const loadKg = load?.weightKg || 0;
+            const freeWeightKg = slot.capacity.maxWeightKg > 0
+                ? round2(slot.capacity.maxWeightKg - loadKg)
+                : null;  // sem limite
+
+            return {
+                location: {
+                    _id: slot._id,
+                    code: slot.code,
+                    name: slot.name,
+                    type: slot.type
+                },
+                sameProduct: Boolean(load?.products.includes(productId)),
+                loadKg,
+                freeWeightKg
+            };
+        })
+        .filter(c => c.freeWeightKg === null || c.freeWeightKg >= weightKg);
+
+    candidates.sort((a, b) => {
+        if (a.sameProduct !== b.sameProduct) return a.sameProduct ? -1 : 1;
+        const freeA = a.freeWeightKg === null ? Infinity : a.freeWeightKg;
+        const freeB = b.freeWeightKg === null ? Infinity : b.freeWeightKg;
+        return freeB - freeA;
+    });
+
+    return candidates.slice(0, limit);
+};
+
+/**
+ * Transferir um item (ou parte das peças) para outra localização com movimento TRANSFER
+ * Uma transferência parcial separa as peças num novo item. Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.item - StockItem (com product populado)
+ * @param {Object} params.location - Location de destino
+ * @param {number} [params.quantity] - Peças a transferir (por defeito todas)
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<{stockItem, source, movement}>} source só em transferências parciais
+ */
+const transferStockItem = async ({ item, location, quantity, user, notes }) => {
+    if (item.status === 'consumed') {
+        throw httpError('Não é possível transferir um item consumido');
+    }
+    if (item.locationRef && item.locationRef.toString() === location._id.toString()) {
+        throw httpError(`O item já está em ${location.code}`);
+    }
+
+    const moveQuantity = quantity !== undefined ? Number(quantity) : item.quantity;
+    if (!(moveQuantity > 0) || moveQuantity > item.quantity) {
+        throw httpError(`Quantidade a transferir deve estar entre 0 e ${item.quantity}`);
+    }
+
+    const partial = moveQuantity < item.quantity;
+    if (partial && item.status === 'reserved') {
+        throw httpError('Itens reservados só podem ser transferidos por inteiro');
+    }
+
+    // Entre armazéns usa-se uma transferência entre armazéns (com trânsito)
+    const warehouse = await getWarehouseId(location);
+    if (item.warehouse && warehouse && item.warehouse.toString() !== warehouse.toString()) {
+        throw httpError('A localização é de outro armazém. Use uma transferência entre armazéns.');
+    }
+
+    const weightKg = round2((item.calculatedWeight || 0) * moveQuantity / item.quantity);
+    await checkCapacity(location, {
+        product: item.product,
+        lengthMM: item.lengthMM,
+        weightKg,
+        excludeItemId: partial ? undefined : item._id
+    });
+
+    const fromLocation = item.location;
+    const placement = { location: location.code, locationRef: location._id, warehouse };
+    let moved = item;
+    let source = null;
+
+    if (partial) {
+        moved = await splitStockItem(item, moveQuantity, placement);
+        source = item;
+    } else {
+        Object.assign(item, placement);
+        await item.save();
+    }
+
+    const movement = await recordStockMovement({
+        type: 'TRANSFER',
+        stockItem: moved,
+        product: item.product,
+        user,
+        quantityDelta: 0,
+        unit: getStockUnit(item.product),
+        transferDetails: { fromLocation, toLocation: location.code },
+        notes: `Transferência '${fromLocation || '-'}' → '${location.code}'`
+            + `${partial ? ` (${moveQuantity} peça(s))` : ''}${notes ? `: ${notes}` : ''}`
+    });
+
+    return { stockItem: moved, source, movement };
+};
+
+/**
+ * Construir árvore a partir de uma lista de localizações
+ *
+ * @param {Array} locations - Localizações (objetos simples)
+ * @returns {Array} Raízes com `children`
+ */
+const buildLocationTree = (locations) => {
+    const nodes = new Map(locations.map(l => [l._id.toString(), { ...l, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+};
+
+/**
+ * Migrar localizações em texto livre dos StockItems para o modelo Location
+ * Cada texto distinto passa a ser uma prateleira (sem limites) no armazém indicado,
+ * com o texto original como nome. A reorganização em zonas/estantes faz-se depois.
+ * Itens sem armazém ficam no armazém da sua localização ou, sem localização, no indicado.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.warehouseCode]
+ * @returns {Promise<{created: number, linked: number, assigned: number}>}
+ */
+const migrateFreeTextLocations = async ({ warehouseCode = DEFAULT_WAREHOUSE_CODE } = {}) => {
+    let warehouse = await Location.findOne({ code: warehouseCode.toUpperCase() });
+    if (!warehouse) {
+        warehouse = await Location.create({ code: warehouseCode, name: 'Armazém principal', type: 'warehouse' });
+    }
+
+    const texts = await StockItem.distinct('location', {
+        locationRef: { $exists: false },
+        location: { $nin: ['', null] }
+    });
+
+    let created = 0;
+    let linked = 0;
+
+    for (const text of texts) {
+        const code = text.trim().toUpperCase().replace(/\s+/g, '-');
+
+        let location = await Location.findOne({ code });
+        if (!location) {
+            location = await Location.create({
+                code,
+                name: text.trim(),
+                type: 'shelf',
+                parent: warehouse._id,
+                notes: 'Migrada de localização em texto livre'
+            });
+            created++;
+        }
+
+        const result = await StockItem.updateMany(
+            { location: text, locationRef: { $exists: false } },
+            { $set: { location: location.code, locationRef: location._id, warehouse: await getWarehouseId(location) } }
+        );
+        linked += result.modifiedCount;
+    }
+
+    let assigned = 0;
+    const placed = await StockItem.distinct('locationRef', {
+        warehouse: { $exists: false },
+        locationRef: { $exists: true }
+    });
+    for (const locationId of placed) {
+        const location = await Location.findById(locationId);
+        const result = await StockItem.updateMany(
+            { locationRef: locationId, warehouse: { $exists: false } },
+            { $set: { warehouse: (location && await getWarehouseId(location)) || warehouse._id } }
+        );
+        assigned += result.modifiedCount;
+    }
+
+    const unplaced = await StockItem.updateMany(
+        { warehouse: { $exists: false } },
+        { $set: { warehouse: warehouse._id } }
+    );
+    assigned += unplaced.modifiedCount;
+
+    return { created, linked, assigned };
+};
+
+module.exports = {
+    resolveLocation,
+    resolveWarehouse,
+    getWarehouseId,
+    getDescendantIds,
+    getLocationLoads,
+    estimateWeight,
+    checkCapacity,
+    suggestPutAway,
+    transferStockItem,
+    buildLocationTree,
+    migrateFreeTextLocations
+};
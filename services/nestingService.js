@@ -0,0 +1,216 @@
+const StockItem = require('../models/StockItem');
+const { getPlateWeight } = require('../utils/metalMath');
+const { optimizeNesting } = require('../utils/nestingOptimizer');
+const { recordStockMovement } = require('./stockService');
+const { assertCutSetting } = require('./cuttingService');
+const { recordCutScrap } = require('./scrapService');
+const { cutSourceEntry, attachCutMaterial, assertPlanStockAvailable } = require('./cuttingPlanService');
+const { PLATE_KERF_MM, PLATE_MIN_OFFCUT_SIDE_MM } = require('../config/cutting');
+const { httpError } = require('../utils/httpError');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Peso (kg) de um retângulo de chapa do produto
+ */
+const rectWeight = (product, widthMM, lengthMM) => getPlateWeight({
+    widthMm: widthMM,
+    lengthMm: lengthMM,
+    thicknessMm: product.dimensions.h,
+    grade: product.grade,
+    density: product.density,
+    materialType: product.materialType
+});
+
+/**
+ * Calcular um plano de nesting para um produto de chapa a partir do stock disponível
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product document (shape 'plate')
+ * @param {Array} params.parts - [{ widthMM, lengthMM, quantity, label, allowRotate }]
+ * @param {ObjectId} [params.warehouse] - Só stock deste armazém (o da obra)
+ * @param {number} [params.kerfMM]
+ * @param {number} [params.minOffcutSideMM]
+ * @returns {Promise<Object>} Dados do plano (plates, unplaced, summary)
+ */
+const buildNestingPlan = async ({
+    product,
+    parts,
+    warehouse,
+    kerfMM: kerfInput,
+    minOffcutSideMM: minOffcutInput
+}) => {
+    if (product.shape !== 'plate') {
+        throw httpError('O nesting só se aplica a produtos com forma \'plate\'');
+    }
+    const kerfMM = assertCutSetting(kerfInput, PLATE_KERF_MM, 'Espessura de corte (kerfMM)');
+    const minOffcutSideMM = assertCutSetting(minOffcutInput, PLATE_MIN_OFFCUT_SIDE_MM, 'Lado mínimo de retalho (minOffcutSideMM)');
+    if (!(product.dimensions.h > 0)) {
+        throw httpError('Espessura da chapa (dimensão \'h\') não definida');
+    }
+    if (!Array.isArray(parts) || parts.length === 0) {
+        throw httpError('Lista de peças é obrigatória');
+    }
+    if (parts.some(p => !(Number(p.widthMM) > 0) || !(Number(p.lengthMM) > 0) || !(Number(p.quantity || 1) >= 1))) {
+        throw httpError('Cada peça deve ter largura, comprimento e quantidade positivos');
+    }
+
+    const normalizedParts = parts.map(p => ({
+        widthMM: Number(p.widthMM),
+        lengthMM: Number(p.lengthMM),
+        quantity: Math.floor(Number(p.quantity || 1)),
+        label: p.label || '',
+        allowRotate: p.allowRotate !== false
+    }));
+
+    // Só chapas com área conhecida
+    const stock = await StockItem.find({
+        product: product._id,
+        type: { $in: ['FULL_BAR', 'OFFCUT'] },
+        status: 'available',
+        quantity: { $gte: 1 },
+        widthMM: { $gt: 0 },
+        lengthMM: { $gt: 0 },
+        ...(warehouse ? { warehouse } : {})
+    });
+
+    const { plates, unplaced } = optimizeNesting({
+        parts: normalizedParts,
+        plates: stock.map(item => ({
+            id: item._id,
+            type: item.type,
+            widthMM: item.widthMM,
+            lengthMM: item.lengthMM,
+            quantity: item.quantity
+        })),
+        kerfMM,
+        minOffcutSideMM
+    });
+
+    // Pesos esperados de retalhos e sucata
+    plates.forEach((plate) => {
+        const plateWeight = rectWeight(product, plate.widthMM, plate.lengthMM);
+        const partsWeight = plate.placements.reduce((sum, p) => sum + rectWeight(product, p.widthMM, p.lengthMM), 0);
+        plate.offcutWeight = round2(plate.leftovers
+            .filter(l => l.action === 'offcut')
+            .reduce((sum, l) => sum + rectWeight(product, l.widthMM, l.lengthMM), 0));
+        plate.scrapWeight = round2(Math.max(0, plateWeight - partsWeight - plate.offcutWeight));
+    });
+
+    const totalArea = plates.reduce((sum, p) => sum + p.widthMM * p.lengthMM, 0);
+    const usedArea = plates.reduce((sum, p) => sum + p.usedAreaMM2, 0);
+
+    return {
+        parts: normalizedParts,
+        kerfMM,
+        minOffcutSideMM,
+        plates,
+        unplaced,
+        summary: {
+            platesUsed: plates.filter(p => p.sourceType === 'FULL_BAR').length,
+            offcutsUsed: plates.filter(p => p.sourceType === 'OFFCUT').length,
+            utilizationPercent: totalArea > 0 ? Math.round((usedArea / totalArea) * 1000) / 10 : 0,
+            offcutWeight: round2(plates.reduce((sum, p) => sum + p.offcutWeight, 0)),
+            scrapWeight: round2(plates.reduce((sum, p) => sum + p.scrapWeight, 0))
+        }
+    };
+};
+
+/**
+ * Executar um plano de nesting: consumir as chapas, guardar os sobrantes como OFFCUT
+ * e registar um movimento CUT por chapa
+ *
+ * @param {Object} params
+ * @param {Object} params.plan - NestingPlan document
+ * @param {Object} params.product - Product document
+ * @param {Object} [params.project] - Project document
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<{movements: Array, offcuts: Array, consumedWeight: number, projectMaterial: Object|null}>}
+ */
+const commitNestingPlan = async ({ plan, product, project, user }) => {
+    await assertPlanStockAvailable(plan.plates, plan.unplaced);
+
+    const projectRef = project ? project.reference : '';
+    const movements = [];
+    const offcuts = [];
+    const consumedItems = [];
+
+    for (const plate of plan.plates) {
+        const source = await StockItem.findById(plate.stockItem);
+
+        // Retirar uma chapa da pilha
+        if (source.quantity > 1) {
+            source.quantity -= 1;
+        } else {
+            source.quantity = 0;
+            source.status = 'consumed';
+        }
+        await source.save();
+
+        let keptWeight = 0;
+        for (const leftover of plate.leftovers.filter(l => l.action === 'offcut')) {
+            const offcut = await StockItem.create({
+                product: product._id,
+                type: 'OFFCUT',
+                quantity: 1,
+                widthMM: leftover.widthMM,
+                lengthMM: leftover.lengthMM,
+                location: source.location,
+                locationRef: source.locationRef,
+                warehouse: source.warehouse,
+                batch: source.batch,
+                batchId: source.batchId,
+                heatNumber: source.heatNumber,
+                status: 'available',
+                notes: `Retalho de chapa (${plate.widthMM}×${plate.lengthMM} mm)`
+            });
+            keptWeight += offcut.calculatedWeight;
+            offcuts.push(offcut);
+        }
+
+        const plateWeight = rectWeight(product, plate.widthMM, plate.lengthMM);
+        const hasOffcuts = plate.leftovers.some(l => l.action === 'offcut');
+
+        const plateConsumedWeight = round2(plateWeight - keptWeight);
+
+        const movement = await recordStockMovement({
+            type: 'CUT',
+            stockItem: source,
+            product,
+            user,
+            quantityDelta: -plateConsumedWeight,
+            unit: 'kg',
+            projectRef,
+            notes: `Nesting ${plan._id}: ${plate.placements.length} peça(s) em chapa ${plate.widthMM}×${plate.lengthMM} mm (${plate.utilizationPercent}%)`,
+            cutDetails: {
+                originalLengthMM: plate.lengthMM,
+                remainderAction: hasOffcuts ? 'offcut' : 'scrap',
+                consumedWeightKg: plateConsumedWeight
+            }
+        });
+        movements.push(movement);
+        consumedItems.push(cutSourceEntry(source, plateConsumedWeight));
+
+        // Esqueleto da chapa e sobrantes pequenos vão para o contentor de sucata
+        await recordCutScrap({ product, weightKg: plate.scrapWeight, movement, stockItem: source, projectRef, user });
+    }
+
+    const consumedWeight = round2(movements.reduce((sum, m) => sum + Math.abs(m.quantityDelta), 0));
+
+    const projectMaterial = await attachCutMaterial({
+        project,
+        product,
+        consumedWeight,
+        consumedItems,
+        user,
+        movements,
+        notes: `Nesting ${plan._id}`
+    });
+
+    return { movements, offcuts, consumedWeight, projectMaterial };
+};
+
+module.exports = {
+    buildNestingPlan,
+    commitNestingPlan
+};
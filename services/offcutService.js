@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const { filterUnreservedItems } = require('./stockService');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+// Formas em que uma barra de diâmetro maior serve (maquinando)
+const DIAMETER_SHAPES = ['round', 'hex'];
+const DIMENSION_KEYS = ['d', 'w', 'h', 'wall', 'tw', 'tf'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Produtos cujos retalhos servem para a peça pretendida
+ *
+ * - Só o produto indicado, ou
+ * - com compatible: mesma qualidade e forma; redondos/sextavados com diâmetro >= ao do produto,
+ *   restantes formas com as mesmas dimensões. Sem qualidade definida, o material é o mesmo
+ *   tipo e densidade (também sem qualidade)
+ * - Sem produto: qualidade (grade), forma (shape) e diâmetro mínimo (minDiameterMM)
+ *
+ * @returns {Promise<{products: Array, requiredDiameterMM: number}>}
+ */
+const findCompatibleProducts = async ({ productId, compatible, grade, shape, minDiameterMM }) => {
+    if (productId) {
+        const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+        if (!product) {
+            throw httpError('Produto não encontrado', 404);
+        }
+        if (!compatible) {
+            return { products: [product], requiredDiameterMM: product.dimensions?.d || 0 };
+        }
+
+        // Produtos sem qualidade não são todos do mesmo material: comparar tipo e densidade
+        const material = product.grade
+            ? { grade: product.grade }
+            : { grade: null, materialType: product.materialType, density: product.density };
+        const query = { active: true, shape: product.shape, ...material };
+        if (DIAMETER_SHAPES.includes(product.shape)) {
+            query['dimensions.d'] = { $gte: product.dimensions?.d || 0 };
+        } else {
+            DIMENSION_KEYS.forEach((key) => {
+                query[`dimensions.${key}`] = product.dimensions?.[key] || 0;
+            });
+        }
+
+        const products = await Product.find(query);
+        // O próprio produto entra sempre
+        if (!products.some(p => p._id.equals(product._id))) products.unshift(product);
+
+        return { products, requiredDiameterMM: product.dimensions?.d || 0 };
+    }
+
+    if (!grade && !shape) {
+        throw httpError('Indique o produto ou os critérios de compatibilidade (qualidade e/ou forma)');
+    }
+
+    const query = { active: true };
+    if (grade) {
+        if (!mongoose.isValidObjectId(grade)) throw httpError('Qualidade inválida');
+        query.grade = grade;
+    }
+    if (shape) query.shape = shape;
+    if (Number(minDiameterMM) > 0) query['dimensions.d'] = { $gte: Number(minDiameterMM) };
+
+    return { products: await Product.find(query), requiredDiameterMM: Number(minDiameterMM) || 0 };
+};
+
+/**
+ * Pesquisar retalhos disponíveis para uma peça, ordenados pelo desperdício
+ *
+ * O desperdício é o peso do retalho que não fica na peça: comprimento a mais e, em barras
+ * de diâmetro maior, o material removido a maquinar ((1 - (d pretendido / d)²) da secção).
+ *
+ * @param {Object} params
+ * @param {Array} params.products - Produtos compatíveis
+ * @param {number} params.minLengthMM - Comprimento mínimo da peça
+ * @param {number} [params.minWidthMM] - Largura mínima (chapas)
+ * @param {number} [params.requiredDiameterMM] - Diâmetro pretendido
+ * @param {ObjectId} [params.warehouse] - Só retalhos deste armazém
+ * @param {number} [params.limit]
+ * @returns {Promise<Array>}
+ */
+const searchOffcuts = async ({ products, minLengthMM, minWidthMM = 0, requiredDiameterMM = 0, warehouse, limit = 50 }) => {
+    if (!(minLengthMM > 0)) {
+        throw httpError('Comprimento mínimo deve ser positivo');
+    }
+    if (products.length === 0) return [];
+
+    const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+    let offcuts = await StockItem.findOffcuts(products.map(p => p._id), minLengthMM, warehouse);
+    if (minWidthMM > 0) {
+        offcuts = offcuts.filter(item => item.widthMM >= minWidthMM);
+    }
+
+    // Sem os retalhos que comeriam stock de reservas por quantidade ativas
+    const free = await Promise.all(products.map(product => filterUnreservedItems(
+        offcuts.filter(item => item.product.equals(product._id)),
+        product,
+        warehouse
+    )));
+    const freeIds = new Set(free.flat().map(item => item._id.toString()));
+    offcuts = offcuts.filter(item => freeIds.has(item._id.toString()));
+
+    await StockItem.populate(offcuts, [
+        { path: 'locationRef', select: 'code name type' },
+        { path: 'warehouse', select: 'code name' }
+    ]);
+
+    return offcuts.map((item) => {
+        const product = productsById.get(item.product.toString());
+        const pieceWeight = item.quantity > 0 ? (item.calculatedWeight || 0) / item.quantity : 0;
+
+        let usedFraction = minLengthMM / item.lengthMM;
+        if (minWidthMM > 0 && item.widthMM > 0) usedFraction *= minWidthMM / item.widthMM;
+        const diameter = product.dimensions?.d || 0;
+        if (requiredDiameterMM > 0 && diameter > requiredDiameterMM) {
+            usedFraction *= (requiredDiameterMM / diameter) ** 2;
+        }
+
+        return {
+            _id: item._id,
+            product: {
+                _id: product._id,
+                code: product.code,
+                description: product.description,
+                shape: product.shape,
+                dimensions: product.dimensions
+            },
+            lengthMM: item.lengthMM,
+            widthMM: item.widthMM,
+            quantity: item.quantity,
+            weightKg: round2(pieceWeight),
+            location: item.locationRef || item.location,
+            warehouse: item.warehouse,
+            batchId: item.batchId,
+            heatNumber: item.heatNumber,
+            wasteMM: item.lengthMM - minLengthMM,
+            wasteKg: round2(pieceWeight * (1 - usedFraction)),
+            wastePercent: Math.round((1 - usedFraction) * 1000) / 10
+        };
+    })
+        .sort((a, b) => a.wasteKg - b.wasteKg || a.wasteMM - b.wasteMM)
+        .slice(0, limit);
+};
+
+/**
+ * Retalhos disponíveis há mais de N meses sem uso (a abater para sucata ou vender)
+ * A idade conta desde a criação do retalho.
+ *
+ * @param {Object} params
+ * @param {number} [params.months] - Meses sem uso (por defeito 6)
+ * @param {ObjectId} [params.warehouse]
+ * @returns {Promise<{cutoff: Date, items: Array, byMaterial: Array}>}
+ */
+const getAgedOffcuts = async ({ months = 6, warehouse } = {}) => {
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+
+    const offcuts = await StockItem.find({
+        type: 'OFFCUT',
+        status: 'available',
+        createdAt: { $lte: cutoff },
+        ...(warehouse ? { warehouse } : {})
+    })
+        .populate('product')
+        .populate('warehouse', 'code name')
+        .sort({ createdAt: 1 });
+
+    const now = Date.now();
+    const byMaterial = new Map();
+
+    const items = offcuts.filter(item => item.product).map((item) => {
+        const product = item.product;
+        const stockUnit = getStockUnit(product);
+        const unitPrice = product.financial?.averagePrice || product.financial?.lastPrice || 0;
+        const value = round2(getItemQuantityIn(item, stockUnit, product) * unitPrice);
+
+        const family = product.materialType || 'other';
+        const totals = byMaterial.get(family) || { materialType: family, count: 0, weightKg: 0, value: 0 };
+        totals.count += 1;
+        totals.weightKg = round2(totals.weightKg + (item.calculatedWeight || 0));
+        totals.value = round2(totals.value + value);
+        byMaterial.set(family, totals);
+
+        return {
+            _id: item._id,
+            product: { _id: product._id, code: product.code, description: product.description, materialType: family },
+            lengthMM: item.lengthMM,
+            widthMM: item.widthMM,
+            quantity: item.quantity,
+            weightKg: item.calculatedWeight,
+            value,
+            location: item.location,
+            warehouse: item.warehouse,
+            createdAt: item.createdAt,
+            ageDays: Math.floor((now - item.createdAt.getTime()) / (1000 * 60 * 60 * 24))
+        };
+    });
+
+    return { cutoff, items, byMaterial: [...byMaterial.values()] };
+};
+
+module.exports = {
+    findCompatibleProducts,
+    searchOffcuts,
+    getAgedOffcuts
+};
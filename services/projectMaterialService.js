@@ -0,0 +1,399 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectMaterial = require('../models/ProjectMaterial');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const Reservation = require('../models/Reservation');
+const { getAvailableQuantity, recordStockMovement } = require('./stockService');
+const { closeReservation } = require('./reservationService');
+const { normalizeUnit, getStockUnit, getKgPerMeter, convertQuantity, convertUnitCost, getItemQuantityIn } = require('../utils/unitConverter');
+const { STANDARD_BAR_LENGTH_MM } = require('../config/cutting');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Helper: Obter obra pelo id (erro 404 se não existir)
+ */
+const findProject = async (projectId) => {
+    const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+    if (!project) {
+        throw httpError('Obra não encontrada', 404);
+    }
+    return project;
+};
+
+/**
+ * Helper: Recalcular o custo de materiais da obra
+ */
+const updateMaterialCosts = async (project) => {
+    const materialTotals = await ProjectMaterial.getProjectTotals(project._id);
+    project.costs.materials = materialTotals.totalCost;
+    await project.save();
+};
+
+/**
+ * Retirar stock dos itens disponíveis (reservados para este consumo primeiro, depois retalhos)
+ * Quantidade na unidade de stock do produto. Cada save verifica a versão do item.
+ * Com warehouse só retira de itens desse armazém (o da obra).
+ * Com firstItemId (item lido no scanner) esse item é consumido antes de todos os outros.
+ *
+ * @returns {Promise<Array>} O que saiu de cada item: [{ stockItem, quantity, weight, stockQuantity, batch, heatNumber }]
+ */
+const decrementStock = async (product, quantity, reservedItemIds = [], warehouse, firstItemId) => {
+    const unit = getStockUnit(product);
+    const reservedIds = reservedItemIds.map(String);
+
+    const stockItems = await StockItem.find({
+        product: product._id,
+        quantity: { $gt: 0 },
+        ...(warehouse ? { warehouse } : {}),
+        $or: [
+            { status: 'available' },
+            { _id: { $in: reservedIds }, status: 'reserved' }
+        ]
+    }).sort({ type: -1, calculatedWeight: 1 }); // OFFCUT primeiro, depois por peso
+
+    // Reservados primeiro (sort estável mantém a ordem acima)
+    stockItems.sort((a, b) => reservedIds.includes(String(b._id)) - reservedIds.includes(String(a._id)));
+    if (firstItemId) {
+        stockItems.sort((a, b) => (String(b._id) === String(firstItemId)) - (String(a._id) === String(firstItemId)));
+    }
+
+    let remaining = quantity;
+    const consumed = [];
+
+    for (const item of stockItems) {
+        if (remaining <= 0) break;
+
+        const itemStock = getItemQuantityIn(item, unit, product);
+        if (itemStock <= 0) continue;
+
+        const toDeduct = Math.min(remaining, itemStock);
+
+        // Consumir a mesma fração de peças e de peso
+        const ratio = toDeduct / itemStock;
+        const pieces = item.quantity * ratio;
+        const weight = (item.calculatedWeight || 0) * ratio;
+
+        item.quantity = Math.max(0, item.quantity - pieces);
+        item.calculatedWeight = Math.max(0, (item.calculatedWeight || 0) - weight);
+
+        if (item.quantity <= 0) {
+            item.status = 'consumed';
+        }
+
+        await item.save();
+        remaining -= toDeduct;
+
+        consumed.push({
+            stockItem: item._id,
+            quantity: pieces,
+            weight,
+            stockQuantity: toDeduct,
+            batch: item.batch,
+            heatNumber: item.heatNumber
+        });
+    }
+
+    return consumed;
+};
+
+/**
+ * Repor nos itens de origem a quantidade devolvida (pela ordem inversa do consumo)
+ * Atualiza returnedStockQuantity em cada entrada de consumedItems.
+ *
+ * @returns {Promise<{items: Array, remaining: number}>} Itens repostos e quantidade sem item de origem
+ */
+const restoreConsumedItems = async (projectMaterial, stockQuantity) => {
+    let remaining = stockQuantity;
+    const items = [];
+
+    for (const entry of [...projectMaterial.consumedItems].reverse()) {
+        if (remaining <= 0) break;
+
+        const open = entry.stockQuantity - entry.returnedStockQuantity;
+        if (open <= 0) continue;
+
+        const item = await StockItem.findById(entry.stockItem);
+        if (!item) continue;
+
+        const amount = Math.min(remaining, open);
+        const ratio = amount / entry.stockQuantity;
+
+        item.quantity = Math.round((item.quantity + entry.quantity * ratio) * 10000) / 10000;
+        item.calculatedWeight = Math.round(((item.calculatedWeight || 0) + entry.weight * ratio) * 100) / 100;
+        if (item.status === 'consumed') {
+            item.status = 'available';
+        }
+        await item.save();
+
+        entry.returnedStockQuantity += amount;
+        remaining -= amount;
+        items.push(item);
+    }
+
+    return { items, remaining: Math.max(Math.round(remaining * 10000) / 10000, 0) };
+};
+
+/**
+ * Criar um item com a quantidade devolvida que não tem item de origem
+ * Peças voltam como barras/caixas; material ao comprimento como retalho desse comprimento;
+ * o resto como caixa com o peso devolvido. Fica no armazém da obra.
+ * Com trace ({ batch, heatNumber }) o item fica associado a essa corrida.
+ */
+const createReturnedItem = async (product, stockQuantity, warehouse, trace = {}) => {
+    const stockUnit = getStockUnit(product);
+    const base = { product: product._id, warehouse, ...trace, status: 'available', notes: 'Devolução de obra' };
+
+    if (stockUnit === 'un') {
+        const isBar = product.category === 'raw_material' && getKgPerMeter(product) > 0;
+        return StockItem.create({
+            ...base,
+            type: isBar ? 'FULL_BAR' : 'BOX',
+            quantity: stockQuantity,
+            lengthMM: isBar ? STANDARD_BAR_LENGTH_MM : 0
+        });
+    }
+
+    let lengthMM = 0;
+    if (product.shape !== 'plate') {
+        try {
+            lengthMM = Math.round(convertQuantity(product, stockQuantity, stockUnit, 'mm'));
+        } catch (error) {
+            // Sem geometria: não é material ao comprimento
+        }
+    }
+
+    if (lengthMM > 0) {
+        return StockItem.create({ ...base, type: 'OFFCUT', quantity: 1, lengthMM });
+    }
+
+    return StockItem.create({
+        ...base,
+        type: 'BOX',
+        quantity: 1,
+        lengthMM: 0,
+        calculatedWeight: convertQuantity(product, stockQuantity, stockUnit, 'kg')
+    });
+};
+
+/**
+ * Corrida do material consumido, quando todo ele veio da mesma ({} se misturado ou sem corrida)
+ */
+const getSingleHeat = (projectMaterial) => {
+    const heats = new Set(projectMaterial.consumedItems.map(e => e.heatNumber || ''));
+    if (heats.size !== 1 || heats.has('')) return {};
+
+    const entry = projectMaterial.consumedItems.find(e => e.batch) || projectMaterial.consumedItems[0];
+    return { batch: entry.batch, heatNumber: entry.heatNumber };
+};
+
+/**
+ * Consumir material numa obra: movimento OUT, baixa de stock e registo ProjectMaterial
+ * Correr dentro de runInTransaction: verificação de stock e escritas são atómicas.
+ *
+ * @param {Object} params
+ * @param {string} params.projectId - Obra
+ * @param {string} [params.productId] - Produto (por defeito o da reserva)
+ * @param {number} [params.quantity] - Quantidade (por defeito a da reserva)
+ * @param {string} [params.unit] - Unidade da quantidade (por defeito a de stock)
+ * @param {string} [params.reservationId] - Reserva da obra a converter em consumo
+ * @param {string} [params.stockItemId] - Item a consumir primeiro (lido no scanner); define o produto
+ * @param {string} [params.notes]
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<Object>} ProjectMaterial criado
+ */
+const addProjectMaterial = async ({ projectId, productId, quantity, unit, reservationId, stockItemId, notes, user }) => {
+    const project = await findProject(projectId);
+
+    if (['completed', 'cancelled'].includes(project.status)) {
+        throw httpError('Não é possível adicionar materiais a uma obra concluída ou cancelada');
+    }
+
+    // Reserva a consumir (por defeito o seu produto e quantidade)
+    let reservation = null;
+    if (reservationId) {
+        reservation = mongoose.isValidObjectId(reservationId)
+            ? await Reservation.findOne({ _id: reservationId, project: project._id })
+            : null;
+        if (!reservation) {
+            throw httpError('Reserva não encontrada nesta obra', 404);
+        }
+        if (reservation.status !== 'active') {
+            throw httpError('Reserva já não está ativa');
+        }
+    }
+
+    // Item concreto a consumir primeiro: disponível (ou reservado nesta reserva) e no armazém da obra
+    let stockItem = null;
+    if (stockItemId) {
+        stockItem = mongoose.isValidObjectId(stockItemId) ? await StockItem.findById(stockItemId) : null;
+        if (!stockItem) {
+            throw httpError('Item de stock não encontrado', 404);
+        }
+        const reservedHere = reservation && reservation.stockItems.some(id => id.equals(stockItem._id));
+        if (stockItem.status !== 'available' && !(stockItem.status === 'reserved' && reservedHere)) {
+            throw httpError('Item de stock não está disponível');
+        }
+        if (project.warehouse && !project.warehouse.equals(stockItem.warehouse)) {
+            throw httpError('Item de stock não está no armazém da obra');
+        }
+    }
+
+    const product = await Product.findById(productId || stockItem?.product || reservation?.product);
+    if (!product
+        || (reservation && !reservation.product.equals(product._id))
+        || (stockItem && !stockItem.product.equals(product._id))) {
+        throw httpError('Produto não encontrado', 404);
+    }
+
+    // Quantidade pedida na unidade de stock do produto
+    const stockUnit = getStockUnit(product);
+    const useReserved = reservation && quantity === undefined;
+    const materialQuantity = useReserved ? reservation.quantity : quantity;
+    const materialUnit = normalizeUnit(useReserved ? reservation.unit : (unit || stockUnit));
+    const stockQuantity = convertQuantity(product, Number(materialQuantity), materialUnit, stockUnit);
+
+    // Stock disponível no armazém da obra (tolerância de 5% para arredondamentos); o stock da própria reserva conta
+    const availableStock = await getAvailableQuantity(product, undefined, project.warehouse)
+        + (reservation ? reservation.stockQuantity : 0);
+    if (stockQuantity > availableStock * 1.05) {
+        const where = project.warehouse ? ' no armazém da obra' : '';
+        const error = httpError(`Stock insuficiente${where}. Disponível: ${availableStock.toFixed(2)} ${stockUnit}`);
+        error.availableStock = availableStock;
+        throw error;
+    }
+
+    const consumedItems = await decrementStock(
+        product,
+        stockQuantity,
+        reservation ? reservation.stockItems : [],
+        project.warehouse,
+        stockItem?._id
+    );
+
+    // Dentro da tolerância pode faltar um resto: movimento e material ficam só com o que saiu dos itens
+    const deducted = Math.round(consumedItems.reduce((sum, item) => sum + item.stockQuantity, 0) * 10000) / 10000;
+    if (!(deducted > 0)) {
+        throw httpError('O stock foi alterado entretanto. Tente novamente.', 409);
+    }
+    const shortfall = stockQuantity - deducted > 0.0001;
+    const usedQuantity = shortfall
+        ? Math.round(convertQuantity(product, deducted, stockUnit, materialUnit) * 10000) / 10000
+        : materialQuantity;
+
+    const movement = await recordStockMovement({
+        type: 'OUT',
+        product,
+        user,
+        quantityDelta: -(shortfall ? deducted : stockQuantity),
+        unit: stockUnit,
+        projectRef: project.reference,
+        warehouse: project.warehouse,
+        notes: `Material para obra ${project.reference}`
+    });
+
+    // Custo da saída pelo método de custeio (por unidade de stock), na unidade do material
+    const unitCost = convertUnitCost(product, movement.costSnapshot, stockUnit, materialUnit);
+
+    const projectMaterial = await ProjectMaterial.create({
+        project: project._id,
+        product: product._id,
+        quantity: usedQuantity,
+        unit: materialUnit,
+        unitCost,
+        consumedItems,
+        addedBy: user,
+        movement: movement._id,
+        notes
+    });
+
+    // Fechar a reserva; itens reservados não consumidos voltam a estar disponíveis
+    if (reservation) {
+        await closeReservation(reservation, 'consumed', { projectMaterial: projectMaterial._id });
+    }
+
+    await updateMaterialCosts(project);
+
+    return projectMaterial;
+};
+
+/**
+ * Devolver material de uma obra ao stock (total ou parcial)
+ * Repõe os itens de onde o material saiu; sem item de origem cria um retalho do comprimento devolvido.
+ * Devolvido na totalidade, o registo ProjectMaterial é removido. Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {string} params.projectId - Obra
+ * @param {string} params.materialId - ProjectMaterial
+ * @param {number} [params.quantity] - Quantidade a devolver (por defeito tudo o que falta devolver)
+ * @param {string} [params.unit] - Unidade da quantidade (por defeito a do material)
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<{projectMaterial: Object, returnedQuantity: number, stockItems: Array, removed: boolean}>}
+ */
+const returnProjectMaterial = async ({ projectId, materialId, quantity, unit, user }) => {
+    const project = await findProject(projectId);
+
+    if (project.status === 'completed') {
+        throw httpError('Não é possível remover materiais de uma obra concluída');
+    }
+
+    const projectMaterial = mongoose.isValidObjectId(materialId) ? await ProjectMaterial.findById(materialId) : null;
+    if (!projectMaterial || !projectMaterial.project.equals(project._id)) {
+        throw httpError('Material não encontrado nesta obra', 404);
+    }
+
+    const product = await Product.findById(projectMaterial.product);
+    const stockUnit = getStockUnit(product);
+
+    // Quantidade devolvida na unidade do material, limitada ao que ainda está na obra
+    const outstanding = Math.round((projectMaterial.quantity - projectMaterial.returnedQuantity) * 10000) / 10000;
+    const returnQuantity = quantity === undefined
+        ? outstanding
+        : convertQuantity(product, Number(quantity), unit || projectMaterial.unit, projectMaterial.unit);
+
+    if (!(returnQuantity > 0)) {
+        throw httpError('Quantidade a devolver deve ser positiva');
+    }
+    if (returnQuantity > outstanding + 0.0001) {
+        throw httpError(`Só pode devolver até ${outstanding} ${projectMaterial.unit}`);
+    }
+
+    // Quantidade e custo devolvidos na unidade de stock do produto
+    const stockQuantity = convertQuantity(product, returnQuantity, projectMaterial.unit, stockUnit);
+
+    const { items, remaining } = await restoreConsumedItems(projectMaterial, stockQuantity);
+    if (remaining > 0) {
+        items.push(await createReturnedItem(product, remaining, project.warehouse, getSingleHeat(projectMaterial)));
+    }
+
+    const partial = returnQuantity < outstanding - 0.0001;
+
+    await recordStockMovement({
+        type: 'IN',
+        stockItem: items.length === 1 ? items[0] : undefined,
+        product,
+        user,
+        quantityDelta: stockQuantity,
+        unit: stockUnit,
+        unitCost: convertUnitCost(product, projectMaterial.unitCost, projectMaterial.unit, stockUnit),
+        projectRef: project.reference,
+        warehouse: items.length === 1 ? items[0].warehouse : project.warehouse,
+        notes: `Devolução ${partial ? 'parcial ' : ''}de material da obra ${project.reference}`
+    });
+
+    if (partial) {
+        projectMaterial.returnedQuantity = Math.round((projectMaterial.returnedQuantity + returnQuantity) * 10000) / 10000;
+        await projectMaterial.save();
+    } else {
+        await projectMaterial.deleteOne();
+    }
+
+    await updateMaterialCosts(project);
+
+    return { projectMaterial, returnedQuantity: returnQuantity, stockItems: items, removed: !partial };
+};
+
+module.exports = {
+    addProjectMaterial,
+    returnProjectMaterial
+};
@@ -0,0 +1,267 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const { getShoppingListItems } = require('./shoppingListService');
+const { getItemQuantity, recordStockMovement, applyPurchaseCost } = require('./stockService');
+const { resolveLocation, resolveWarehouse, getWarehouseId, checkCapacity } = require('./locationService');
+const { linkBatch } = require('./batchService');
+const { normalizeUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { STANDARD_BAR_LENGTH_MM } = require('../config/cutting');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Quantidade sugerida para uma linha da lista de compras
+ * Repor até ao stock de segurança, com a quantidade de encomenda como mínimo
+ */
+const suggestQuantity = (item, openQuantity = 0) => {
+    const safetyStock = item.stockConfig?.safetyStock || 0;
+    const reorderQuantity = item.stockConfig?.reorderQuantity || 0;
+    const toSafety = safetyStock - (item.currentStock || 0);
+
+    let quantity = Math.max(toSafety, reorderQuantity) - openQuantity;
+    if (quantity <= 0) return 0;
+
+    // Unidades inteiras; restantes a 2 casas decimais
+    const unit = normalizeUnit(item.stockConfig?.unit);
+    return unit === 'un' ? Math.ceil(quantity) : Math.ceil(quantity * 100) / 100;
+};
+
+/**
+ * Criar encomendas em rascunho a partir da lista de compras (uma por fornecedor)
+ *
+ * @param {Object} params
+ * @param {string[]} [params.supplierIds] - Limitar a estes fornecedores
+ * @param {string[]} [params.productIds] - Limitar a estes produtos
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<{orders: Array, skipped: Array}>}
+ */
+const createOrdersFromShoppingList = async ({ supplierIds, productIds, user }) => {
+    let items = await getShoppingListItems();
+
+    if (Array.isArray(productIds) && productIds.length > 0) {
+        items = items.filter(i => productIds.includes(i._id.toString()));
+    }
+    if (Array.isArray(supplierIds) && supplierIds.length > 0) {
+        items = items.filter(i => i.supplier && supplierIds.includes(i.supplier._id.toString()));
+    }
+
+    // Não voltar a encomendar o que já está encomendado
+    const openQuantities = await PurchaseOrder.getOpenQuantities(items.map(i => i._id));
+
+    const skipped = [];
+    const groups = {};
+
+    items.forEach((item) => {
+        if (!item.supplier) {
+            skipped.push({ product: item._id, code: item.code, reason: 'Sem fornecedor definido' });
+            return;
+        }
+
+        const quantity = suggestQuantity(item, openQuantities[item._id.toString()] || 0);
+        if (quantity <= 0) {
+            skipped.push({ product: item._id, code: item.code, reason: 'Quantidade já encomendada ou nada a repor' });
+            return;
+        }
+
+        const supplierId = item.supplier._id.toString();
+        if (!groups[supplierId]) {
+            groups[supplierId] = { supplier: item.supplier, lines: [] };
+        }
+
+        groups[supplierId].lines.push({
+            product: item._id,
+            description: item.description,
+            supplierCode: item.supplierCode || '',
+            quantity,
+            unit: normalizeUnit(item.stockConfig?.unit),
+            unitPrice: item.financial?.lastPrice || item.supplierPrice || item.financial?.averagePrice || 0
+        });
+    });
+
+    const orders = [];
+    for (const { supplier, lines } of Object.values(groups)) {
+        const expectedDate = supplier.leadTimeDays > 0
+            ? new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000)
+            : undefined;
+
+        const order = await PurchaseOrder.create({
+            reference: await PurchaseOrder.generateReference(),
+            supplier: supplier._id,
+            lines,
+            expectedDate,
+            createdBy: user,
+            notes: 'Gerada a partir da lista de compras'
+        });
+        orders.push(order);
+    }
+
+    return { orders, skipped };
+};
+
+/**
+ * Receber material contra linhas de uma encomenda (total ou parcial)
+ *
+ * Cada receção cria um StockItem (com lote, corrida e localização), um movimento IN
+ * com o custo da linha e atualiza o Preço Médio Ponderado do produto.
+ * A quantidade recebida na unidade da linha é calculada a partir do item criado,
+ * salvo se indicada explicitamente (ex.: peso real da guia de remessa).
+ * A corrida fica associada ao lote (Batch) do fornecedor da encomenda, criado se ainda não existir.
+ * Receber mais do que o encomendado numa linha só é aceite com allowOverReceipt.
+ * Correr dentro de runInTransaction (uma receção recusada desfaz as anteriores).
+ *
+ * @param {Object} params
+ * @param {Object} params.order - PurchaseOrder (documento)
+ * @param {Array} params.receipts - [{ lineId, type, quantity, lengthMM, widthMM, warehouse, location, batch, batchId, heatNumber, receivedQuantity, notes }]
+ * @param {boolean} [params.allowOverReceipt] - Aceitar quantidades acima do encomendado
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<{order, stockItems: Array, movements: Array}>}
+ */
+const receivePurchaseOrder = async ({ order, receipts, allowOverReceipt = false, user }) => {
+    if (!['sent', 'partially_received'].includes(order.status)) {
+        throw httpError('Apenas encomendas enviadas podem ser recebidas');
+    }
+
+    if (!Array.isArray(receipts) || receipts.length === 0) {
+        throw httpError('Indique pelo menos uma receção');
+    }
+
+    // Validar tudo antes de criar qualquer item
+    const products = {};
+    const locations = {};
+    for (const receipt of receipts) {
+        const line = order.lines.id(receipt.lineId);
+        if (!line) {
+            throw httpError(`Linha não encontrada na encomenda: ${receipt.lineId}`);
+        }
+        if (line.receivedQuantity >= line.quantity) {
+            throw httpError(`Linha já recebida na totalidade: ${line.description}`);
+        }
+        if (!(Number(receipt.quantity) > 0)) {
+            throw httpError('Quantidade deve ser positiva');
+        }
+        if (receipt.receivedQuantity !== undefined && !(Number(receipt.receivedQuantity) > 0)) {
+            throw httpError('Quantidade recebida deve ser positiva');
+        }
+
+        const productId = line.product.toString();
+        if (!products[productId]) {
+            products[productId] = await Product.findById(line.product);
+        }
+        const product = products[productId];
+        if (!product) {
+            throw httpError(`Produto não encontrado: ${line.description}`, 404);
+        }
+
+        if (product.shape === 'plate' && receipt.type !== 'BOX'
+            && (!(Number(receipt.widthMM) > 0) || !(Number(receipt.lengthMM) > 0))) {
+            throw httpError('Chapas exigem largura e comprimento (widthMM × lengthMM)');
+        }
+
+        if (receipt.location && !locations[receipt.location]) {
+            locations[receipt.location] = await resolveLocation(receipt.location);
+        }
+        if (receipt.warehouse && !locations[receipt.warehouse]) {
+            locations[receipt.warehouse] = await resolveWarehouse(receipt.warehouse);
+        }
+    }
+
+    const stockItems = [];
+    const movements = [];
+
+    for (const receipt of receipts) {
+        const line = order.lines.id(receipt.lineId);
+        const product = products[line.product.toString()];
+        const type = receipt.type || 'FULL_BAR';
+        const location = receipt.location ? locations[receipt.location] : null;
+        const batch = await linkBatch({
+            batch: receipt.batch,
+            heatNumber: receipt.heatNumber,
+            batchId: receipt.batchId,
+            supplier: order.supplier,
+            product,
+            purchaseOrder: order._id
+        });
+
+        const stockItem = await StockItem.create({
+            product: product._id,
+            type,
+            quantity: receipt.quantity,
+            widthMM: product.shape === 'plate' ? receipt.widthMM : 0,
+            lengthMM: receipt.lengthMM !== undefined ? receipt.lengthMM : (type === 'BOX' ? 0 : STANDARD_BAR_LENGTH_MM),
+            location: location ? location.code : '',
+            locationRef: location ? location._id : undefined,
+            warehouse: location
+                ? await getWarehouseId(location)
+                : (receipt.warehouse ? locations[receipt.warehouse]._id : undefined),
+            batch: batch ? batch._id : undefined,
+            batchId: receipt.batchId || batch?.batchNumber || '',
+            heatNumber: batch ? batch.heatNumber : '',
+            purchaseOrder: order._id,
+            notes: receipt.notes || '',
+            status: 'available'
+        });
+
+        if (location) {
+            await checkCapacity(location, {
+                product,
+                lengthMM: stockItem.lengthMM,
+                weightKg: stockItem.calculatedWeight,
+                excludeItemId: stockItem._id
+            });
+        }
+
+        const receivedQuantity = receipt.receivedQuantity !== undefined
+            ? Number(receipt.receivedQuantity)
+            : getItemQuantityIn(stockItem, line.unit, product);
+
+        const totalReceived = Math.round((line.receivedQuantity + receivedQuantity) * 1000) / 1000;
+        if (totalReceived > line.quantity && !allowOverReceipt) {
+            const remaining = Math.max(Math.round((line.quantity - line.receivedQuantity) * 1000) / 1000, 0);
+            throw httpError(`Receção acima do encomendado em ${line.description}: faltam receber ${remaining} ${line.unit}, recebidos agora ${Math.round(receivedQuantity * 1000) / 1000} ${line.unit}. Confirme com allowOverReceipt para aceitar o excesso`);
+        }
+
+        // Custo por unidade de stock: valor recebido da linha / quantidade em stock
+        const { quantity: delta, unit } = getItemQuantity(stockItem, product);
+        const receivedValue = receivedQuantity * line.unitPrice;
+        const unitCost = delta > 0
+            ? Math.round((receivedValue / delta) * 10000) / 10000
+            : line.unitPrice;
+
+        await applyPurchaseCost(product, delta, unitCost);
+
+        const trace = [
+            stockItem.batchId ? `lote ${stockItem.batchId}` : '',
+            stockItem.heatNumber ? `corrida ${stockItem.heatNumber}` : ''
+        ].filter(Boolean).join(', ');
+
+        const movement = await recordStockMovement({
+            type: 'IN',
+            stockItem,
+            product,
+            user,
+            quantityDelta: delta,
+            unit,
+            unitCost,
+            notes: `Receção da encomenda ${order.reference}${trace ? ` (${trace})` : ''}`
+        });
+
+        line.receivedQuantity = totalReceived;
+
+        stockItems.push(stockItem);
+        movements.push(movement);
+    }
+
+    // Estado da encomenda pelas quantidades recebidas
+    const complete = order.lines.every(line => line.receivedQuantity >= line.quantity);
+    order.status = complete ? 'received' : 'partially_received';
+    if (complete) order.receivedAt = new Date();
+    await order.save();
+
+    return { order, stockItems, movements };
+};
+
+module.exports = {
+    suggestQuantity,
+    createOrdersFromShoppingList,
+    receivePurchaseOrder
+};
@@ -0,0 +1,228 @@
+const Reservation = require('../models/Reservation');
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+const { getAvailableQuantity } = require('./stockService');
+const { runInTransaction } = require('./transactionService');
+const { createNotification } = require('../controllers/notificationController');
+const { normalizeUnit, getStockUnit, convertQuantity, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+// Validade por defeito de uma reserva
+const DEFAULT_RESERVATION_DAYS = 7;
+
+/**
+ * Data de validade: a indicada (tem de ser futura) ou hoje + DEFAULT_RESERVATION_DAYS
+ */
+const resolveExpiry = (expiresAt) => {
+    if (!expiresAt) {
+        return new Date(Date.now() + DEFAULT_RESERVATION_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw httpError('Data de validade deve ser uma data futura');
+    }
+    return date;
+};
+
+/**
+ * Criar uma reserva de stock para uma obra
+ * Com stockItemIds reserva esses itens (status 'reserved'); sem eles reserva uma quantidade do produto
+ * Obras com armazém só reservam stock desse armazém
+ *
+ * @param {Object} params
+ * @param {Object} params.project - Obra
+ * @param {Object} params.product - Produto
+ * @param {string[]} [params.stockItemIds] - Barras/retalhos a reservar
+ * @param {number} [params.quantity] - Quantidade a reservar (sem itens)
+ * @param {string} [params.unit] - Unidade da quantidade (por defeito a de stock)
+ * @param {Date|string} [params.expiresAt] - Validade
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} Reserva criada
+ */
+const createReservation = async ({ project, product, stockItemIds, quantity, unit, expiresAt, user, notes }) => {
+    if (['completed', 'cancelled'].includes(project.status)) {
+        throw httpError('Não é possível reservar stock para uma obra concluída ou cancelada');
+    }
+
+    const stockUnit = getStockUnit(product);
+    const expiry = resolveExpiry(expiresAt);
+    const data = {
+        project: project._id,
+        product: product._id,
+        warehouse: project.warehouse,
+        expiresAt: expiry,
+        createdBy: user,
+        notes
+    };
+
+    if (Array.isArray(stockItemIds) && stockItemIds.length > 0) {
+        const ids = [...new Set(stockItemIds.map(String))];
+        const items = await StockItem.find({ _id: { $in: ids }, product: product._id, status: 'available' });
+
+        if (items.length !== ids.length) {
+            throw httpError('Alguns itens não existem, não são deste produto ou não estão disponíveis');
+        }
+        if (project.warehouse && items.some(item => String(item.warehouse) !== String(project.warehouse))) {
+            throw httpError('Alguns itens não estão no armazém da obra');
+        }
+
+        // Só reserva se ainda estiverem todos disponíveis (pedidos concorrentes; a transação desfaz o resto)
+        // A versão sobe para que saves concorrentes destes itens falhem (optimisticConcurrency)
+        const result = await StockItem.updateMany(
+            { _id: { $in: ids }, status: 'available' },
+            { $set: { status: 'reserved' }, $inc: { __v: 1 } }
+        );
+        if (result.modifiedCount !== ids.length) {
+            throw httpError('Os itens foram alterados entretanto. Tente novamente.', 409);
+        }
+
+        const total = items.reduce((sum, item) => sum + getItemQuantityIn(item, stockUnit, product), 0);
+        const rounded = Math.round(total * 10000) / 10000;
+
+        return Reservation.create({
+            ...data,
+            stockItems: ids,
+            quantity: rounded,
+            unit: stockUnit,
+            stockQuantity: rounded
+        });
+    }
+
+    const reservationUnit = normalizeUnit(unit || stockUnit);
+    const stockQuantity = convertQuantity(product, Number(quantity), reservationUnit, stockUnit);
+
+    if (!(stockQuantity > 0)) {
+        throw httpError('Indique os itens a reservar ou uma quantidade positiva');
+    }
+
+    // Serializar por produto: uma reserva concorrente escreve no mesmo documento e a sua transação falha (409)
+    await Product.updateOne({ _id: product._id }, { $inc: { reservationSeq: 1 } }, { timestamps: false });
+
+    const available = await getAvailableQuantity(product, undefined, project.warehouse);
+    if (stockQuantity > available) {
+        throw httpError(`Stock insuficiente. Disponível: ${available.toFixed(2)} ${stockUnit}`);
+    }
+
+    return Reservation.create({
+        ...data,
+        quantity: Number(quantity),
+        unit: reservationUnit,
+        stockQuantity
+    });
+};
+
+/**
+ * Fechar uma reserva ativa: os itens ainda reservados voltam a estar disponíveis
+ * O fecho é condicional (status 'active'): se outro pedido ou a libertação automática
+ * a fechou entretanto, dá erro 409 e nada é alterado.
+ *
+ * @param {Object} reservation - Reserva ativa
+ * @param {string} status - consumed | released | expired
+ * @param {Object} [extra] - Campos adicionais (ex: projectMaterial)
+ * @returns {Promise<Object>} Reserva atualizada
+ */
+const closeReservation = async (reservation, status, extra = {}) => {
+    if (reservation.status !== 'active') {
+        throw httpError('Reserva já não está ativa');
+    }
+
+    const closedAt = new Date();
+    const { modifiedCount } = await Reservation.updateOne(
+        { _id: reservation._id, status: 'active' },
+        { $set: { ...extra, status, closedAt } },
+        { runValidators: true }
+    );
+    if (modifiedCount === 0) {
+        throw httpError('Reserva já não está ativa', 409);
+    }
+
+    if (reservation.stockItems.length > 0) {
+        await StockItem.updateMany(
+            { _id: { $in: reservation.stockItems }, status: 'reserved' },
+            { $set: { status: 'available' }, $inc: { __v: 1 } }
+        );
+    }
+
+    Object.assign(reservation, extra, { status, closedAt });
+    return reservation;
+};
+
+/**
+ * Libertar todas as reservas ativas de uma obra (obra concluída, cancelada ou eliminada)
+ *
+ * @param {ObjectId} projectId
+ * @returns {Promise<number>} Número de reservas libertadas
+ */
+const releaseProjectReservations = async (projectId) => {
+    const reservations = await Reservation.find({ project: projectId, status: 'active' });
+
+    for (const reservation of reservations) {
+        await closeReservation(reservation, 'released');
+    }
+
+    return reservations.length;
+};
+
+/**
+ * Libertar as reservas expiradas e avisar quem as criou
+ *
+ * @returns {Promise<number>} Número de reservas libertadas
+ */
+const releaseExpiredReservations = async () => {
+    const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+        .populate('project', 'reference name')
+        .populate('product', 'code description');
+
+    let released = 0;
+    for (const reservation of expired) {
+        try {
+            await runInTransaction(() => closeReservation(reservation, 'expired'));
+        } catch (error) {
+            // Fechada entretanto (consumida, libertada ou por outra execução): sem aviso
+            if (error.status === 409) continue;
+            throw error;
+        }
+        released++;
+
+        await createNotification({
+            user: reservation.createdBy,
+            type: 'RESERVATION',
+            title: 'Reserva expirada',
+            message: `A reserva de ${reservation.quantity} ${reservation.unit} de ${reservation.product?.code || 'produto'} para a obra ${reservation.project?.reference || ''} expirou e o stock foi libertado`,
+            relatedProduct: reservation.product?._id,
+            priority: 'medium'
+        });
+    }
+
+    return released;
+};
+
+/**
+ * Libertar as reservas expiradas periodicamente (servidor em execução contínua)
+ * Em serverless não há processo a correr: agendar POST /api/projects/reservations/release-expired.
+ *
+ * @param {number} intervalMinutes - Intervalo entre execuções
+ * @returns {NodeJS.Timeout} Temporizador (não impede o processo de terminar)
+ */
+const scheduleExpiredReservationRelease = (intervalMinutes) => {
+    const timer = setInterval(() => {
+        releaseExpiredReservations()
+            .then((released) => {
+                if (released > 0) console.log(`⏰ ${released} reserva(s) expirada(s) libertada(s)`);
+            })
+            .catch(error => console.error('Release expired reservations error:', error));
+    }, intervalMinutes * 60 * 1000);
+
+    return timer.unref();
+};
+
+module.exports = {
+    DEFAULT_RESERVATION_DAYS,
+    createReservation,
+    closeReservation,
+    releaseProjectReservations,
+    releaseExpiredReservations,
+    scheduleExpiredReservationRelease
+};
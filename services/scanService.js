@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const StockItem = require('../models/StockItem');
+const Product = require('../models/Product');
+const Project = require('../models/Project');
+const Location = require('../models/Location');
+const Reservation = require('../models/Reservation');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+const PROJECT_REFERENCE = /^OBR-\d{4}-\d{3}$/i;
+const OBJECT_ID = /([0-9a-f]{24})$/i;
+
+const ALL_ROLES = ['admin', 'manager', 'worker'];
+const MANAGERS = ['admin', 'manager'];
+
+const isOpenProject = (project) => !['completed', 'cancelled'].includes(project.status);
+
+/**
+ * Ações possíveis por tipo de leitura, com os perfis exigidos pelas rotas correspondentes
+ * when: condição sobre a entidade (ex: item disponível, obra em curso)
+ */
+const ACTIONS = {
+    stockItem: [
+        { action: 'view', method: 'GET', endpoint: '/api/stock/:id', label: 'Ver item', roles: ALL_ROLES },
+        { action: 'consume', method: 'POST', endpoint: '/api/scan/consume', label: 'Consumir numa obra', roles: ALL_ROLES, when: e => ['available', 'reserved'].includes(e.status) },
+        { action: 'cut', method: 'POST', endpoint: '/api/stock/cut', label: 'Cortar', roles: ALL_ROLES, when: e => e.status === 'available' && e.lengthMM > 0 },
+        { action: 'transfer', method: 'POST', endpoint: '/api/stock/:id/transfer', label: 'Mudar de localização', roles: ALL_ROLES, when: e => e.status === 'available' },
+        { action: 'scrap', method: 'POST', endpoint: '/api/scrap/adjustments', label: 'Abater para sucata', roles: ALL_ROLES, when: e => e.status === 'available' },
+        { action: 'label', method: 'GET', endpoint: '/api/stock/:id/label', label: 'Reimprimir etiqueta', roles: ALL_ROLES },
+        { action: 'status', method: 'PUT', endpoint: '/api/stock/:id/status', label: 'Alterar estado', roles: MANAGERS }
+    ],
+    product: [
+        { action: 'view', method: 'GET', endpoint: '/api/products/:id', label: 'Ver produto', roles: ALL_ROLES },
+        { action: 'stock', method: 'GET', endpoint: '/api/stock/product/:id', label: 'Ver stock', roles: ALL_ROLES },
+        { action: 'offcuts', method: 'GET', endpoint: '/api/stock/offcuts?productId=:id', label: 'Procurar retalhos', roles: ALL_ROLES },
+        { action: 'receive', method: 'POST', endpoint: '/api/stock/receive', label: 'Receber material', roles: ALL_ROLES, when: e => e.active },
+        { action: 'edit', method: 'PUT', endpoint: '/api/products/:id', label: 'Editar produto', roles: MANAGERS }
+    ],
+    project: [
+        { action: 'view', method: 'GET', endpoint: '/api/projects/:id', label: 'Ver obra', roles: ALL_ROLES },
+        { action: 'consume', method: 'POST', endpoint: '/api/scan/consume', label: 'Consumir item lido', roles: ALL_ROLES, when: e => isOpenProject(e) },
+        { action: 'addMaterial', method: 'POST', endpoint: '/api/projects/:id/materials', label: 'Adicionar material', roles: ALL_ROLES, when: e => isOpenProject(e) },
+        { action: 'reservations', method: 'GET', endpoint: '/api/projects/:id/reservations', label: 'Ver reservas', roles: ALL_ROLES },
+        { action: 'labor', method: 'POST', endpoint: '/api/projects/:id/labor', label: 'Registar mão de obra', roles: ALL_ROLES, when: e => isOpenProject(e) }
+    ],
+    location: [
+        { action: 'view', method: 'GET', endpoint: '/api/locations/:id', label: 'Ver localização', roles: ALL_ROLES },
+        { action: 'items', method: 'GET', endpoint: '/api/stock?locationId=:id', label: 'Ver itens', roles: ALL_ROLES },
+        { action: 'edit', method: 'PUT', endpoint: '/api/locations/:id', label: 'Editar localização', roles: MANAGERS }
+    ]
+};
+
+/**
+ * Ações permitidas ao perfil do utilizador para a entidade lida
+ */
+const getAllowedActions = (type, entity, user) => ACTIONS[type]
+    .filter(a => a.roles.includes(user.role) && (!a.when || a.when(entity)))
+    .map(a => ({
+        action: a.action,
+        method: a.method,
+        endpoint: a.endpoint.replace(':id', entity._id.toString()),
+        label: a.label
+    }));
+
+/**
+ * Procurar a entidade correspondente ao texto lido
+ * @returns {Promise<{type: string, entity: Object}|null>}
+ */
+const findScannedEntity = async (code) => {
+    // QR das etiquetas: id do StockItem (sozinho ou no fim de um URL)
+    const idMatch = code.match(OBJECT_ID);
+    if (idMatch && mongoose.isValidObjectId(idMatch[1])) {
+        const item = await StockItem.findById(idMatch[1])
+            .populate('product')
+            .populate('warehouse', 'code name')
+            .populate('locationRef', 'code name type')
+            .populate('batch', 'heatNumber batchNumber certificate.type');
+        if (item) return { type: 'stockItem', entity: item };
+
+        const location = await Location.findById(idMatch[1]);
+        if (location) return { type: 'location', entity: location };
+    }
+
+    const upper = code.toUpperCase();
+
+    if (PROJECT_REFERENCE.test(code)) {
+        const project = await Project.findOne({ reference: upper }).populate('warehouse', 'code name');
+        return project ? { type: 'project', entity: project } : null;
+    }
+
+    const product = await Product.findOne({ code: upper });
+    if (product) return { type: 'product', entity: product };
+
+    const location = await Location.findOne({ code: upper });
+    if (location) return { type: 'location', entity: location };
+
+    return null;
+};
+
+/**
+ * Resolver um código lido no scanner (QR de item, código de produto, referência de obra ou localização)
+ *
+ * @param {string} raw - Texto lido
+ * @param {Object} user - Utilizador (o perfil define as ações devolvidas)
+ * @returns {Promise<{code: string, type: string, entity: Object, actions: Array}>}
+ */
+const resolveScan = async (raw, user) => {
+    const code = String(raw || '').trim();
+    if (!code) {
+        throw httpError('Indique o código lido');
+    }
+
+    const found = await findScannedEntity(code);
+    if (!found) {
+        throw httpError(`Código ${code} não reconhecido`, 404);
+    }
+
+    const result = {
+        code,
+        type: found.type,
+        entity: found.entity,
+        actions: getAllowedActions(found.type, found.entity, user)
+    };
+
+    // Item lido: quantidade na unidade de stock (para consumir sem escrever)
+    if (found.type === 'stockItem' && found.entity.product) {
+        const stockUnit = getStockUnit(found.entity.product);
+        result.stockQuantity = Math.round(getItemQuantityIn(found.entity, stockUnit, found.entity.product) * 10000) / 10000;
+        result.stockUnit = stockUnit;
+    }
+
+    return result;
+};
+
+/**
+ * Dados para consumir numa obra um item lido: item, obra e reserva ativa da obra que o reserva
+ * Os dois códigos podem vir por qualquer ordem. Sem quantidade consome-se o item inteiro.
+ *
+ * @returns {Promise<{stockItem: Object, project: Object, reservation: Object|null, stockQuantity: number, stockUnit: string}>}
+ */
+const resolveConsumption = async (firstCode, secondCode, user) => {
+    if (!firstCode || !secondCode) {
+        throw httpError('Leia o item de stock e a obra');
+    }
+
+    const scans = await Promise.all([resolveScan(firstCode, user), resolveScan(secondCode, user)]);
+    const itemScan = scans.find(s => s.type === 'stockItem');
+    const projectScan = scans.find(s => s.type === 'project');
+    if (!itemScan || !projectScan) {
+        throw httpError('Leia um item de stock (etiqueta QR) e uma referência de obra');
+    }
+
+    const reservation = await Reservation.findOne({
+        project: projectScan.entity._id,
+        status: 'active',
+        stockItems: itemScan.entity._id
+    });
+
+    // Consumir a reserva fecha-a: com outros itens reservados tem de ser consumida na obra
+    if (reservation && reservation.stockItems.length > 1) {
+        throw httpError(`Item faz parte de uma reserva de ${reservation.stockItems.length} itens da obra ${projectScan.entity.reference}; consuma a reserva na obra`);
+    }
+
+    return {
+        stockItem: itemScan.entity,
+        project: projectScan.entity,
+        reservation,
+        stockQuantity: itemScan.stockQuantity,
+        stockUnit: itemScan.stockUnit
+    };
+};
+
+module.exports = {
+    resolveScan,
+    resolveConsumption
+};
@@ -0,0 +1,366 @@
+const ScrapEntry = require('../models/ScrapEntry');
+const Project = require('../models/Project');
+const Product = require('../models/Product');
+const Movement = require('../models/Movement');
+const { recordStockMovement } = require('./stockService');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// Famílias de material (as do produto)
+const MATERIAL_TYPES = ScrapEntry.schema.path('materialType').enumValues;
+
+/**
+ * Registar a sucata de um corte (sobrante abaixo do comprimento útil)
+ * A obra é a da referência do movimento, quando existe. Devolve null sem peso.
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {number} params.weightKg - kg de sucata
+ * @param {Object} [params.movement] - Movimento CUT
+ * @param {Object} [params.stockItem] - Barra/chapa cortada
+ * @param {string} [params.projectRef] - Referência da obra
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<Object|null>} ScrapEntry
+ */
+const recordCutScrap = async ({ product, weightKg, movement, stockItem, projectRef, user, notes }) => {
+    if (!(weightKg > 0)) return null;
+
+    const project = projectRef ? await Project.findOne({ reference: projectRef.toUpperCase() }).select('_id') : null;
+
+    return ScrapEntry.create({
+        type: 'cut',
+        materialType: product.materialType || 'other',
+        weightKg: round2(weightKg),
+        product: product._id,
+        stockItem: stockItem ? stockItem._id : undefined,
+        movement: movement ? movement._id : undefined,
+        project: project ? project._id : undefined,
+        projectRef: projectRef || '',
+        user,
+        notes: notes || ''
+    });
+};
+
+/**
+ * Retirar kg do contentor de uma família, proporcionalmente a todas as entradas em aberto
+ *
+ * @returns {Promise<Array<{project, projectRef, weightKg}>>} kg retirados por obra de origem (project null = sem obra)
+ */
+const takeOpenScrap = async (materialType, weightKg) => {
+    if (!MATERIAL_TYPES.includes(materialType)) {
+        throw httpError(`Família de material inválida. Use: ${MATERIAL_TYPES.join(', ')}`);
+    }
+
+    const entries = await ScrapEntry.find({
+        materialType,
+        weightKg: { $gt: 0 },
+        $expr: { $lt: ['$soldWeightKg', '$weightKg'] }
+    });
+
+    const openTotal = entries.reduce((sum, e) => sum + (e.weightKg - e.soldWeightKg), 0);
+    if (weightKg > openTotal + 0.01) {
+        throw httpError(`Só existem ${round2(openTotal)} kg de sucata desta família`);
+    }
+
+    const ratio = Math.min(weightKg / openTotal, 1);
+    const byProject = new Map();
+
+    for (const entry of entries) {
+        const share = round4((entry.weightKg - entry.soldWeightKg) * ratio);
+        entry.soldWeightKg = Math.min(round4(entry.soldWeightKg + share), entry.weightKg);
+        await entry.save();
+
+        const key = entry.project ? entry.project.toString() : '';
+        if (!byProject.has(key)) {
+            byProject.set(key, { project: entry.project || null, projectRef: entry.projectRef, weightKg: 0 });
+        }
+        byProject.get(key).weightKg += share;
+    }
+
+    return [...byProject.values()].map(p => ({ ...p, weightKg: round4(p.weightKg) }));
+};
+
+/**
+ * Abater um item de stock (ou parte das peças) para sucata: movimento ADJUST e entrada no razão
+ * Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.item - StockItem com product populado
+ * @param {number} [params.quantity] - Peças a abater (por defeito todas)
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<{entry: Object, movement: Object}>}
+ */
+const scrapStockItem = async ({ item, quantity, user, notes }) => {
+    if (item.status !== 'available') {
+        throw httpError('Apenas itens disponíveis podem ser abatidos para sucata');
+    }
+
+    const pieces = quantity !== undefined ? Number(quantity) : item.quantity;
+    if (!(pieces > 0) || pieces > item.quantity) {
+        throw httpError(`Quantidade deve estar entre 0 e ${item.quantity}`);
+    }
+
+    const product = item.product;
+    const unit = getStockUnit(product);
+    const before = getItemQuantityIn(item, unit, product);
+    const weight = round2((item.calculatedWeight || 0) * pieces / item.quantity);
+
+    item.quantity = round4(item.quantity - pieces);
+    item.calculatedWeight = round2(Math.max(0, (item.calculatedWeight || 0) - weight));
+    if (item.quantity <= 0) {
+        item.quantity = 0;
+        item.status = 'consumed';
+    }
+    await item.save();
+
+    const description = notes || 'Abatido para sucata';
+
+    const movement = await recordStockMovement({
+        type: 'ADJUST',
+        stockItem: item,
+        product,
+        user,
+        quantityDelta: round4(getItemQuantityIn(item, unit, product) - before),
+        unit,
+        notes: `Sucata: ${description}`
+    });
+
+    const entry = await ScrapEntry.create({
+        type: 'adjustment',
+        materialType: product.materialType || 'other',
+        weightKg: weight,
+        product: product._id,
+        stockItem: item._id,
+        movement: movement._id,
+        user,
+        notes: description
+    });
+
+    return { entry, movement };
+};
+
+/**
+ * Acertar o peso do contentor de uma família (pesagem): kg positivos entram, negativos saem
+ * Correr dentro de runInTransaction.
+ */
+const adjustScrapWeight = async ({ materialType, weightKg, user, notes }) => {
+    const weight = Number(weightKg);
+    if (!weight) {
+        throw httpError('Indique o peso a acertar (kg positivos ou negativos)');
+    }
+
+    if (weight < 0) {
+        await takeOpenScrap(materialType, -weight);
+    }
+
+    return ScrapEntry.create({
+        type: 'adjustment',
+        materialType,
+        weightKg: round2(weight),
+        user,
+        notes: notes || 'Acerto de pesagem'
+    });
+};
+
+/**
+ * Registar uma venda de sucata a um sucateiro
+ * O valor é creditado às obras na proporção da sucata de cada uma (costs.scrapCredit).
+ * Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {string} params.materialType - Família de material
+ * @param {number} params.weightKg - kg vendidos
+ * @param {number} params.pricePerKg - €/kg
+ * @param {string} [params.recycler] - Sucateiro
+ * @param {string} [params.documentRef] - Guia/fatura
+ * @param {Date} [params.date]
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} ScrapEntry da venda
+ */
+const recordScrapSale = async ({ materialType, weightKg, pricePerKg, recycler, documentRef, date, user, notes }) => {
+    const weight = Number(weightKg);
+    const price = Number(pricePerKg);
+
+    if (!(weight > 0)) {
+        throw httpError('Peso vendido deve ser positivo');
+    }
+    if (!(price >= 0)) {
+        throw httpError('Preço por kg inválido');
+    }
+
+    const taken = await takeOpenScrap(materialType, weight);
+
+    const allocations = [];
+    for (const share of taken.filter(t => t.project)) {
+        const amount = round2(share.weightKg * price);
+        allocations.push({ ...share, amount });
+
+        const project = await Project.findById(share.project);
+        if (project && amount > 0) {
+            project.costs.scrapCredit = round2((project.costs.scrapCredit || 0) + amount);
+            await project.save();
+        }
+    }
+
+    return ScrapEntry.create({
+        type: 'sale',
+        materialType,
+        weightKg: -round2(weight),
+        sale: {
+            recycler: recycler || '',
+            documentRef: documentRef || '',
+            pricePerKg: price,
+            amount: round2(weight * price)
+        },
+        allocations,
+        date: date ? new Date(date) : new Date(),
+        user,
+        notes: notes || ''
+    });
+};
+
+/**
+ * Saldo de sucata por família: kg gerados, vendidos/acertados, em contentor e valor das vendas
+ */
+const getScrapBalances = async () => {
+    const rows = await ScrapEntry.aggregate([
+        {
+            $group: {
+                _id: '$materialType',
+                inKg: { $sum: { $cond: [{ $gt: ['$weightKg', 0] }, '$weightKg', 0] } },
+                outKg: { $sum: { $cond: [{ $lt: ['$weightKg', 0] }, { $multiply: ['$weightKg', -1] }, 0] } },
+                soldKg: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, { $multiply: ['$weightKg', -1] }, 0] } },
+                salesAmount: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$sale.amount', 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(r => ({
+        materialType: r._id,
+        inKg: round2(r.inKg),
+        outKg: round2(r.outKg),
+        soldKg: round2(r.soldKg),
+        balanceKg: round2(r.inKg - r.outKg),
+        salesAmount: round2(r.salesAmount),
+        averagePricePerKg: r.soldKg > 0 ? round4(r.salesAmount / r.soldKg) : 0
+    }));
+};
+
+/**
+ * Taxa de sucata (kg de sucata / kg cortados) por produto e por obra num período
+ *
+ * @param {Object} [params]
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {ObjectId} [params.warehouse] - Só cortes e sucata deste armazém (pelo movimento de origem)
+ * @returns {Promise<{byProduct: Array, byProject: Array}>}
+ */
+const getScrapRates = async ({ from, to, warehouse } = {}) => {
+    const dateMatch = {};
+    if (from) dateMatch.$gte = new Date(from);
+    if (to) dateMatch.$lte = new Date(to);
+    const inPeriod = Object.keys(dateMatch).length > 0 ? { date: dateMatch } : {};
+    const inWarehouse = warehouse ? { warehouse } : {};
+
+    // Sucata sem movimento de origem (acertos de pesagem) não pertence a nenhum armazém
+    const scrapInWarehouse = warehouse
+        ? [
+            { $lookup: { from: Movement.collection.name, localField: 'movement', foreignField: '_id', as: 'source' } },
+            { $match: { 'source.warehouse': warehouse } }
+        ]
+        : [];
+
+    const [cutsByProduct, cutsByProject, scrapByProduct, scrapByProject, credits] = await Promise.all([
+        Movement.aggregate([
+            { $match: { type: 'CUT', ...inPeriod, ...inWarehouse } },
+            { $group: { _id: '$product', cutKg: { $sum: { $ifNull: ['$cutDetails.consumedWeightKg', { $abs: '$quantityDelta' }] } } } }
+        ]),
+        Movement.aggregate([
+            { $match: { type: 'CUT', projectRef: { $nin: ['', null] }, ...inPeriod, ...inWarehouse } },
+            { $group: { _id: '$projectRef', cutKg: { $sum: { $ifNull: ['$cutDetails.consumedWeightKg', { $abs: '$quantityDelta' }] } } } }
+        ]),
+        ScrapEntry.aggregate([
+            { $match: { type: { $in: ['cut', 'adjustment'] }, product: { $ne: null }, ...inPeriod } },
+            ...scrapInWarehouse,
+            {
+                $group: {
+                    _id: '$product',
+                    scrapKg: { $sum: { $cond: [{ $eq: ['$type', 'cut'] }, '$weightKg', 0] } },
+                    adjustedKg: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, '$weightKg', 0] } }
+                }
+            }
+        ]),
+        ScrapEntry.aggregate([
+            { $match: { type: 'cut', projectRef: { $nin: ['', null] }, ...inPeriod } },
+            ...scrapInWarehouse,
+            { $group: { _id: '$projectRef', scrapKg: { $sum: '$weightKg' } } }
+        ]),
+        ScrapEntry.aggregate([
+            { $match: { type: 'sale', ...inPeriod } },
+            { $unwind: '$allocations' },
+            { $group: { _id: '$allocations.projectRef', creditAmount: { $sum: '$allocations.amount' } } }
+        ])
+    ]);
+
+    const rate = (scrapKg, cutKg) => (cutKg > 0 ? Math.round((scrapKg / cutKg) * 1000) / 10 : 0);
+
+    // Por produto
+    const productRows = new Map();
+    cutsByProduct.forEach(r => productRows.set(r._id.toString(), { cutKg: r.cutKg, scrapKg: 0, adjustedKg: 0 }));
+    scrapByProduct.forEach((r) => {
+        const row = productRows.get(r._id.toString()) || { cutKg: 0 };
+        productRows.set(r._id.toString(), { ...row, scrapKg: r.scrapKg, adjustedKg: r.adjustedKg });
+    });
+
+    const products = await Product.find({ _id: { $in: [...productRows.keys()] } })
+        .select('code description materialType');
+
+    const byProduct = products.map((product) => {
+        const row = productRows.get(product._id.toString());
+        return {
+            product,
+            cutKg: round2(row.cutKg),
+            scrapKg: round2(row.scrapKg),
+            adjustedKg: round2(row.adjustedKg),
+            scrapRatePercent: rate(row.scrapKg, row.cutKg)
+        };
+    }).sort((a, b) => b.scrapRatePercent - a.scrapRatePercent);
+
+    // Por obra
+    const projectRows = new Map();
+    const projectRow = (ref) => {
+        if (!projectRows.has(ref)) projectRows.set(ref, { projectRef: ref, cutKg: 0, scrapKg: 0, creditAmount: 0 });
+        return projectRows.get(ref);
+    };
+    cutsByProject.forEach(r => { projectRow(r._id).cutKg = r.cutKg; });
+    scrapByProject.forEach(r => { projectRow(r._id).scrapKg = r.scrapKg; });
+    // As vendas são do contentor (sem armazém): por armazém só se creditam obras com cortes nele
+    credits.filter(r => r._id && (!warehouse || projectRows.has(r._id)))
+        .forEach(r => { projectRow(r._id).creditAmount = r.creditAmount; });
+
+    const byProject = [...projectRows.values()].map(row => ({
+        projectRef: row.projectRef,
+        cutKg: round2(row.cutKg),
+        scrapKg: round2(row.scrapKg),
+        scrapRatePercent: rate(row.scrapKg, row.cutKg),
+        creditAmount: round2(row.creditAmount)
+    })).sort((a, b) => b.scrapRatePercent - a.scrapRatePercent);
+
+    return { byProduct, byProject };
+};
+
+module.exports = {
+    recordCutScrap,
+    scrapStockItem,
+    adjustScrapWeight,
+    recordScrapSale,
+    getScrapBalances,
+    getScrapRates
+};
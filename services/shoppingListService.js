@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+
+/**
+ * Get products at or below safety stock (shopping list)
+ * Each item carries its current stock and its primary (preferred) supplier
+ *
+ * @param {Object} [options]
+ * @param {string} [options.warehouse] - Only count stock (and reservations) of this warehouse
+ * @returns {Promise<Array>} Low-stock products with status CRITICAL/WARNING
+ */
+const getShoppingListItems = async ({ warehouse } = {}) => {
+    const warehouseId = warehouse ? new mongoose.Types.ObjectId(String(warehouse)) : null;
+
+    const products = await Product.aggregate([
+        // Discontinued products are never reordered
+        { $match: { active: true } },
+        {
+            $lookup: {
+                from: 'stockitems',
+                localField: '_id',
+                foreignField: 'product',
+                as: 'stockItems'
+            }
+        },
+        {
+            $addFields: {
+                // Filter only available items
+                stockItems: {
+                    $filter: {
+                        input: '$stockItems',
+                        as: 'item',
+                        cond: {
+                            $and: [
+                                { $ne: ['$$item.status', 'consumed'] },
+                                { $ne: ['$$item.status', 'reserved'] },
+                                ...(warehouseId ? [{ $eq: ['$$item.warehouse', warehouseId] }] : [])
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: 'suppliers',
+                localField: 'suppliers.supplier',
+                foreignField: '_id',
+                as: 'supplierDetails'
+            }
+        },
+        {
+            $addFields: {
+                // Preferred supplier link, or the first one
+                supplierLink: {
+                    $ifNull: [
+                        { $first: { $filter: { input: '$suppliers', as: 's', cond: '$$s.preferred' } } },
+                        { $first: '$suppliers' }
+                    ]
+                }
+            }
+        },
+        {
+            $project: {
+                _id: 1,
+                code: 1,
+                description: 1,
+                category: 1,
+                shape: 1,
+                dimensions: 1,
+                density: 1,
+                materialType: 1,
+                weightPerMeter: 1,
+                'stockItems.quantity': 1,
+                'stockItems.lengthMM': 1,
+                'stockItems.calculatedWeight': 1,
+                'stockConfig.minStock': 1,
+                'stockConfig.safetyStock': 1,
+                'stockConfig.unit': 1,
+                'stockConfig.reorderQuantity': 1,
+                'financial.lastPrice': 1,
+                'financial.averagePrice': 1,
+                supplier: {
+                    $first: {
+                        $filter: {
+                            input: '$supplierDetails',
+                            as: 'sup',
+                            cond: { $eq: ['$$sup._id', '$supplierLink.supplier'] }
+                        }
+                    }
+                },
+                supplierPrice: '$supplierLink.price',
+                supplierCode: '$supplierLink.supplierCode'
+            }
+        }
+    ]);
+
+    // Reservas por quantidade (as reservas de itens já estão excluídas pelo status)
+    const reserved = await Reservation.getReservedQuantities(undefined, warehouseId);
+
+    // Stock atual na unidade de stock do produto (mesma conversão dos movimentos)
+    return products.reduce((list, { stockItems, ...product }) => {
+        const unit = getStockUnit(product);
+        const itemStock = stockItems.reduce((sum, item) => sum + getItemQuantityIn(item, unit, product), 0);
+        const currentStock = Math.round((itemStock - (reserved.get(product._id.toString()) || 0)) * 100) / 100;
+
+        // Apenas Crítico ou Aviso
+        if (currentStock > (product.stockConfig.safetyStock || 0)) return list;
+
+        list.push({
+            ...product,
+            currentStock,
+            status: currentStock <= (product.stockConfig.minStock || 0) ? 'CRITICAL' : 'WARNING'
+        });
+        return list;
+    }, []);
+};
+
+module.exports = {
+    getShoppingListItems
+};
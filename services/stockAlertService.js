@@ -1,6 +1,8 @@
 const Product = require('../models/Product');
-const StockItem = require('../models/StockItem');
-const { createStockAlert, createNotification } = require('./notificationController');
+const { getAvailableQuantity } = require('./stockService');
+const { releaseExpiredReservations } = require('./reservationService');
+const { getStockUnit } = require('../utils/unitConverter');
+const { createStockAlert, createNotification } = require('../controllers/notificationController');
 
 /**
  * Check stock levels for all products and create alerts
@@ -8,6 +10,9 @@ const { createStockAlert, createNotification } = require('./notificationControll
  */
 const checkStockLevels = async () => {
     try {
+        // Expired reservations go back to available stock first
+        await releaseExpiredReservations();
+
         // Get all active products with stock configuration
         const products = await Product.find({
             active: true,
@@ -15,9 +20,8 @@ const checkStockLevels = async () => {
         });
 
         for (const product of products) {
-            // Calculate total stock for this product
-            const stockData = await StockItem.getTotalStock(product._id);
-            const totalStock = stockData.totalWeight || stockData.totalQuantity;
+            // Calculate total stock for this product (in its stock unit)
+            const totalStock = await getAvailableQuantity(product);
 
             const minStock = product.stockConfig.minStock;
             const safetyStock = product.stockConfig.safetyStock || minStock * 1.5;
@@ -74,8 +78,7 @@ const getLowStockProducts = async () => {
         const lowStockProducts = [];
 
         for (const product of products) {
-            const stockData = await StockItem.getTotalStock(product._id);
-            const totalStock = stockData.totalWeight || stockData.totalQuantity;
+            const totalStock = await getAvailableQuantity(product);
 
             const minStock = product.stockConfig.minStock;
             const safetyStock = product.stockConfig.safetyStock || minStock * 1.5;
@@ -92,7 +95,7 @@ const getLowStockProducts = async () => {
                     minStock,
                     safetyStock,
                     status: totalStock <= minStock ? 'critical' : 'warning',
-                    unit: product.stockConfig.unit
+                    unit: getStockUnit(product)
                 });
             }
         }
@@ -0,0 +1,170 @@
+const Movement = require('../models/Movement');
+const StockItem = require('../models/StockItem');
+const Reservation = require('../models/Reservation');
+const { costMovement, openCostLayer } = require('./costingService');
+const { normalizeUnit, getStockUnit, convertQuantity, getItemQuantityIn } = require('../utils/unitConverter');
+
+/**
+ * Quantidade de um StockItem expressa na unidade de stock do produto
+ */
+const getItemQuantity = (stockItem, product) => {
+    const unit = getStockUnit(product);
+    return { quantity: getItemQuantityIn(stockItem, unit, product), unit };
+};
+
+/**
+ * Soma dos itens de um produto com os estados indicados, na unidade de stock
+ * Com warehouse conta só os itens desse armazém
+ */
+const sumItemQuantities = async (product, statuses, warehouse) => {
+    const stockUnit = getStockUnit(product);
+    const query = { product: product._id, status: { $in: statuses } };
+    if (warehouse) query.warehouse = warehouse;
+    const items = await StockItem.find(query);
+
+    return items.reduce((sum, item) => sum + getItemQuantityIn(item, stockUnit, product), 0);
+};
+
+/**
+ * Stock físico de um produto (disponível + reservado + em trânsito), na unidade de stock
+ */
+const getOnHandQuantity = async (product) => {
+    const total = await sumItemQuantities(product, ['available', 'reserved', 'in_transit']);
+    return Math.round(total * 10000) / 10000;
+};
+
+/**
+ * Stock disponível de um produto (por defeito na sua unidade de stock)
+ * Exclui os itens reservados e as reservas por quantidade ativas
+ * Com warehouse conta só o stock e as reservas desse armazém
+ */
+const getAvailableQuantity = async (product, unit, warehouse) => {
+    const stockUnit = getStockUnit(product);
+    const total = await sumItemQuantities(product, ['available'], warehouse);
+    const reserved = (await Reservation.getReservedQuantities([product._id], warehouse)).get(product._id.toString()) || 0;
+    const rounded = Math.max(Math.round((total - reserved) * 10000) / 10000, 0);
+
+    return unit ? convertQuantity(product, rounded, stockUnit, unit) : rounded;
+};
+
+/**
+ * Itens de um produto que podem sair sem tocar nas reservas por quantidade ativas
+ * Uma peça só serve se o stock disponível (já descontadas as reservas) a cobre inteira.
+ * Com warehouse conta só o stock e as reservas desse armazém
+ */
+const filterUnreservedItems = async (items, product, warehouse) => {
+    if (items.length === 0) return items;
+
+    const unit = getStockUnit(product);
+    const available = await getAvailableQuantity(product, undefined, warehouse);
+
+    return items.filter((item) => {
+        const piece = item.quantity > 0 ? getItemQuantityIn(item, unit, product) / item.quantity : 0;
+        return piece > 0 && piece <= available + 0.0001;
+    });
+};
+
+/**
+ * Atualizar último preço e Preço Médio Ponderado após uma entrada
+ * Quantidade e custo na unidade de stock do produto.
+ * Chamar depois de criar os itens da entrada (já incluídos no stock físico)
+ *
+ * PMP = (stock × PMP atual + quantidade × custo) / (stock + quantidade)
+ */
+const applyPurchaseCost = async (product, quantity, unitCost) => {
+    if (!(quantity > 0) || !(unitCost >= 0)) return product;
+
+    const onHand = Math.max(await getOnHandQuantity(product) - quantity, 0);
+    const currentAverage = product.financial?.averagePrice || 0;
+
+    const averagePrice = onHand > 0 && currentAverage > 0
+        ? (onHand * currentAverage + quantity * unitCost) / (onHand + quantity)
+        : unitCost;
+
+    product.financial.averagePrice = Math.round(averagePrice * 10000) / 10000;
+    product.financial.lastPrice = unitCost;
+    await product.save();
+
+    return product;
+};
+
+/**
+ * Separar peças de um item num novo item (mesmo lote, corrida e medidas)
+ * O peso é repartido pela proporção de peças. Correr dentro de runInTransaction.
+ *
+ * @param {Object} item - StockItem de origem (com product populado)
+ * @param {number} quantity - Peças a separar (menos do que as do item)
+ * @param {Object} [overrides] - Campos do novo item (ex: localização)
+ * @returns {Promise<Object>} Novo StockItem
+ */
+const splitStockItem = async (item, quantity, overrides = {}) => {
+    const weight = Math.round((item.calculatedWeight || 0) * quantity / item.quantity * 100) / 100;
+
+    item.quantity = item.quantity - quantity;
+    item.calculatedWeight = Math.round(((item.calculatedWeight || 0) - weight) * 100) / 100;
+    await item.save();
+
+    return StockItem.create({
+        product: item.product._id || item.product,
+        type: item.type,
+        quantity,
+        lengthMM: item.lengthMM,
+        widthMM: item.widthMM,
+        calculatedWeight: weight,
+        location: item.location,
+        locationRef: item.locationRef,
+        warehouse: item.warehouse,
+        batch: item.batch,
+        batchId: item.batchId,
+        heatNumber: item.heatNumber,
+        purchaseOrder: item.purchaseOrder,
+        status: item.status,
+        notes: item.notes,
+        ...overrides
+    });
+};
+
+/**
+ * Registar movimento associado a um StockItem
+ * O custo vem do método de custeio (costingService): saídas ao custo das camadas (FIFO) ou ao PMP (AVCO);
+ * entradas ao custo indicado ou, por defeito, ao custo atual do produto, abrindo uma camada de custo.
+ * O armazém é o indicado ou, por defeito, o do item
+ */
+const recordStockMovement = async ({ type, stockItem, product, user, quantityDelta, unit, unitCost, projectRef, notes, cutDetails, transferDetails, warehouse }) => {
+    const movementUnit = unit ? normalizeUnit(unit) : getStockUnit(product);
+    const costing = await costMovement({ type, product, quantityDelta, unit: movementUnit, unitCost });
+
+    const movement = await Movement.create({
+        type,
+        product: product._id,
+        stockItem: stockItem ? stockItem._id : undefined,
+        warehouse: warehouse || stockItem?.warehouse,
+        user,
+        quantityDelta,
+        unit: movementUnit,
+        projectRef: projectRef || '',
+        date: new Date(),
+        costSnapshot: costing.unitCost,
+        costingMethod: costing.method,
+        costLayers: costing.costLayers,
+        notes: notes || '',
+        cutDetails,
+        transferDetails
+    });
+
+    if (costing.layer) {
+        await openCostLayer(product, movement, costing.layer);
+    }
+
+    return movement;
+};
+
+module.exports = {
+    getItemQuantity,
+    getOnHandQuantity,
+    getAvailableQuantity,
+    filterUnreservedItems,
+    applyPurchaseCost,
+    splitStockItem,
+    recordStockMovement
+};
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const StockItem = require('../models/StockItem');
+const Location = require('../models/Location');
+const { recordStockMovement, splitStockItem, getAvailableQuantity } = require('./stockService');
+const { getWarehouseId, checkCapacity } = require('./locationService');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Garantir que o que sai do armazém de origem não é stock reservado por quantidade para obras
+ * Por produto, o total a transferir tem de caber no disponível desse armazém (já descontadas as reservas)
+ *
+ * @param {Array<{item: Object, quantity: number}>} outgoing - Itens (com product populado) e peças a sair
+ * @param {ObjectId} warehouse - Armazém de origem
+ */
+const assertUnreservedStock = async (outgoing, warehouse) => {
+    const byProduct = new Map();
+    for (const { item, quantity } of outgoing) {
+        const product = item.product;
+        const amount = getItemQuantityIn(item, getStockUnit(product), product) * quantity / item.quantity;
+        const entry = byProduct.get(product._id.toString()) || { product, amount: 0 };
+        entry.amount += amount;
+        byProduct.set(product._id.toString(), entry);
+    }
+
+    for (const { product, amount } of byProduct.values()) {
+        const available = await getAvailableQuantity(product, undefined, warehouse);
+        if (amount > available + 0.0001) {
+            throw httpError(`Stock de ${product.code} reservado para obras no armazém de origem. Disponível: ${available} ${getStockUnit(product)}`, 409);
+        }
+    }
+};
+
+/**
+ * Pedir uma transferência de itens entre armazéns
+ *
+ * @param {Object} params
+ * @param {Object} params.fromWarehouse - Location (armazém de origem)
+ * @param {Object} params.toWarehouse - Location (armazém de destino)
+ * @param {Array<{stockItemId: string, quantity?: number}>} params.lines - Itens (por defeito todas as peças)
+ * @param {ObjectId} params.user - Utilizador
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} StockTransfer criada
+ */
+const createTransfer = async ({ fromWarehouse, toWarehouse, lines, user, notes }) => {
+    if (fromWarehouse._id.equals(toWarehouse._id)) {
+        throw httpError('Armazém de origem e destino têm de ser diferentes');
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw httpError('Indique pelo menos um item a transferir');
+    }
+
+    const ids = lines.map(l => String(l.stockItemId));
+    if (ids.some(id => !mongoose.isValidObjectId(id)) || new Set(ids).size !== ids.length) {
+        throw httpError('Itens inválidos ou repetidos');
+    }
+
+    const items = await StockItem.find({ _id: { $in: ids } }).populate('product');
+    const itemsById = new Map(items.map(i => [i._id.toString(), i]));
+
+    const transferLines = lines.map((line) => {
+        const item = itemsById.get(String(line.stockItemId));
+        if (!item || item.status !== 'available') {
+            throw httpError(`Item ${line.stockItemId} não existe ou não está disponível`);
+        }
+        if (String(item.warehouse) !== String(fromWarehouse._id)) {
+            throw httpError(`Item ${line.stockItemId} não está no armazém ${fromWarehouse.code}`);
+        }
+
+        const quantity = line.quantity !== undefined ? Number(line.quantity) : item.quantity;
+        if (!(quantity > 0) || quantity > item.quantity) {
+            throw httpError(`Quantidade do item ${line.stockItemId} deve estar entre 0 e ${item.quantity}`);
+        }
+
+        return { stockItem: item._id, product: item.product._id, quantity };
+    });
+
+    await assertUnreservedStock(
+        transferLines.map(line => ({ item: itemsById.get(line.stockItem.toString()), quantity: line.quantity })),
+        fromWarehouse._id
+    );
+
+    const open = await StockTransfer.findOne({
+        status: { $in: ['requested', 'in_transit'] },
+        'lines.stockItem': { $in: ids }
+    });
+    if (open) {
+        throw httpError(`Alguns itens já estão na transferência ${open.reference}`, 409);
+    }
+
+    return StockTransfer.create({
+        reference: await StockTransfer.generateReference(),
+        fromWarehouse: fromWarehouse._id,
+        toWarehouse: toWarehouse._id,
+        lines: transferLines,
+        requestedBy: user,
+        notes
+    });
+};
+
+/**
+ * Enviar: os itens saem do armazém de origem (status 'in_transit', sem posição)
+ * Movimento TRANSFER negativo no armazém de origem. Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.transfer - StockTransfer pedida
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<Object>} StockTransfer atualizada
+ */
+const shipTransfer = async ({ transfer, user }) => {
+    if (transfer.status !== 'requested') {
+        throw httpError('Apenas transferências pedidas podem ser enviadas');
+    }
+
+    const toWarehouse = await Location.findById(transfer.toWarehouse);
+
+    const items = await StockItem.find({ _id: { $in: transfer.lines.map(l => l.stockItem) } }).populate('product');
+    const itemsById = new Map(items.map(i => [i._id.toString(), i]));
+
+    for (const line of transfer.lines) {
+        const item = itemsById.get(line.stockItem.toString());
+        if (!item || item.status !== 'available' || String(item.warehouse) !== String(transfer.fromWarehouse)) {
+            throw httpError('Alguns itens foram alterados entretanto e já não estão disponíveis na origem', 409);
+        }
+        if (line.quantity > item.quantity) {
+            throw httpError(`O item ${item._id} só tem ${item.quantity} peça(s)`, 409);
+        }
+    }
+
+    // Reservas criadas depois do pedido também contam
+    await assertUnreservedStock(
+        transfer.lines.map(line => ({ item: itemsById.get(line.stockItem.toString()), quantity: line.quantity })),
+        transfer.fromWarehouse
+    );
+
+    for (const line of transfer.lines) {
+        let item = itemsById.get(line.stockItem.toString());
+
+        const fromLocation = item.location;
+
+        // Parte das peças: separar num novo item, que é o que viaja
+        if (line.quantity < item.quantity) {
+            const product = item.product;
+            item = await splitStockItem(item, line.quantity);
+            item.product = product;
+            line.stockItem = item._id;
+        }
+
+        item.status = 'in_transit';
+        item.location = '';
+        item.locationRef = undefined;
+        await item.save();
+
+        const unit = getStockUnit(item.product);
+
+        const movement = await recordStockMovement({
+            type: 'TRANSFER',
+            stockItem: item,
+            product: item.product,
+            user,
+            quantityDelta: -getItemQuantityIn(item, unit, item.product),
+            unit,
+            warehouse: transfer.fromWarehouse,
+            transferDetails: { fromLocation, toLocation: toWarehouse?.code },
+            notes: `Transferência ${transfer.reference}: saída para ${toWarehouse?.code || 'outro armazém'}`
+        });
+        transfer.movements.push(movement._id);
+    }
+
+    transfer.status = 'in_transit';
+    transfer.shippedAt = new Date();
+    transfer.shippedBy = user;
+    return transfer.save();
+};
+
+/**
+ * Receber: os itens entram no armazém de destino (opcionalmente numa posição)
+ * Movimento TRANSFER positivo no armazém de destino. Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.transfer - StockTransfer em trânsito
+ * @param {Object} [params.location] - Location de arrumação (do armazém de destino)
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<Object>} StockTransfer atualizada
+ */
+const receiveTransfer = async ({ transfer, location, user }) => {
+    if (transfer.status !== 'in_transit') {
+        throw httpError('Apenas transferências em trânsito podem ser recebidas');
+    }
+
+    if (location && String(await getWarehouseId(location)) !== String(transfer.toWarehouse)) {
+        throw httpError(`A localização ${location.code} não pertence ao armazém de destino`);
+    }
+
+    const fromWarehouse = await Location.findById(transfer.fromWarehouse);
+
+    for (const line of transfer.lines) {
+        const item = await StockItem.findById(line.stockItem).populate('product');
+        if (!item || item.status !== 'in_transit') {
+            throw httpError('Alguns itens da transferência já não estão em trânsito', 409);
+        }
+
+        item.status = 'available';
+        item.warehouse = transfer.toWarehouse;
+        item.location = location ? location.code : '';
+        item.locationRef = location ? location._id : undefined;
+        await item.save();
+
+        if (location) {
+            await checkCapacity(location, {
+                product: item.product,
+                lengthMM: item.lengthMM,
+                weightKg: item.calculatedWeight,
+                excludeItemId: item._id
+            });
+        }
+
+        const unit = getStockUnit(item.product);
+
+        const movement = await recordStockMovement({
+            type: 'TRANSFER',
+            stockItem: item,
+            product: item.product,
+            user,
+            quantityDelta: getItemQuantityIn(item, unit, item.product),
+            unit,
+            warehouse: transfer.toWarehouse,
+            transferDetails: { fromLocation: fromWarehouse?.code, toLocation: item.location },
+            notes: `Transferência ${transfer.reference}: entrada vinda de ${fromWarehouse?.code || 'outro armazém'}`
+        });
+        transfer.movements.push(movement._id);
+    }
+
+    transfer.status = 'received';
+    transfer.toLocation = location ? location._id : undefined;
+    transfer.receivedAt = new Date();
+    transfer.receivedBy = user;
+    return transfer.save();
+};
+
+module.exports = {
+    createTransfer,
+    shipTransfer,
+    receiveTransfer
+};
@@ -0,0 +1,302 @@
+const XLSX = require('xlsx');
+const Stocktake = require('../models/Stocktake');
+const StockItem = require('../models/StockItem');
+const { recordStockMovement } = require('./stockService');
+const { parseExcelFile } = require('./excelImportService');
+const { getStockUnit, getItemQuantityIn } = require('../utils/unitConverter');
+const { httpError } = require('../utils/httpError');
+
+// Colunas da folha de contagem (exportação e importação)
+const SHEET_COLUMNS = {
+    id: 'ID',
+    code: 'Código',
+    description: 'Descrição',
+    location: 'Localização',
+    type: 'Tipo',
+    lengthMM: 'Comprimento (mm)',
+    widthMM: 'Largura (mm)',
+    batchId: 'Lote',
+    expected: 'Esperado',
+    counted: 'Contado'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Abrir uma sessão de contagem: congela o stock físico (disponível + reservado) do âmbito
+ *
+ * @param {Object} params
+ * @param {string} [params.name]
+ * @param {ObjectId} [params.warehouse] - Armazém a contar (vazio = todos)
+ * @param {string[]} [params.locations] - Localizações a contar (vazio = todas)
+ * @param {string[]} [params.productIds] - Produtos a contar (vazio = todos)
+ * @param {string} [params.notes]
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<Object>} Stocktake criado
+ */
+const createStocktake = async ({ name, warehouse, locations = [], productIds = [], notes, user }) => {
+    const query = { status: { $in: ['available', 'reserved'] }, quantity: { $gt: 0 } };
+    if (warehouse) query.warehouse = warehouse;
+    if (locations.length > 0) query.location = { $in: locations };
+    if (productIds.length > 0) query.product = { $in: productIds };
+
+    const items = await StockItem.find(query)
+        .populate('product', 'code description category shape dimensions density materialType weightPerMeter stockConfig financial')
+        .sort({ location: 1, product: 1, lengthMM: -1 });
+
+    if (items.length === 0) {
+        throw httpError('Nenhum item de stock no âmbito indicado');
+    }
+
+    // Um item só pode estar numa contagem aberta (senão seria ajustado duas vezes)
+    const open = await Stocktake.findOne({ status: 'counting', 'lines.stockItem': { $in: items.map(i => i._id) } });
+    if (open) {
+        throw httpError(`Já existe um inventário aberto com estes itens (${open.reference})`, 409);
+    }
+
+    const lines = items.map((item) => {
+        const unit = getStockUnit(item.product);
+        return {
+            stockItem: item._id,
+            product: item.product._id,
+            code: item.product.code,
+            description: item.product.description,
+            location: item.location,
+            type: item.type,
+            lengthMM: item.lengthMM,
+            widthMM: item.widthMM,
+            batchId: item.batchId,
+            expectedQuantity: item.quantity,
+            expectedWeight: item.calculatedWeight || 0,
+            expectedStockQuantity: round4(getItemQuantityIn(item, unit, item.product)),
+            unit,
+            averagePrice: item.product.financial?.averagePrice || 0
+        };
+    });
+
+    return Stocktake.create({
+        reference: await Stocktake.generateReference(),
+        name,
+        scope: { warehouse: warehouse || null, locations, products: productIds },
+        lines,
+        createdBy: user,
+        notes
+    });
+};
+
+/**
+ * Diferença de uma linha (contado - esperado), em peças, na unidade de stock e em valor (PMP)
+ *
+ * @param {Object} line - Linha do inventário
+ * @returns {Object} { varianceQuantity, varianceStockQuantity, varianceValue } (null se não contada)
+ */
+const lineVariance = (line) => {
+    if (line.countedQuantity === null || line.countedQuantity === undefined) {
+        return { varianceQuantity: null, varianceStockQuantity: null, varianceValue: null };
+    }
+
+    const varianceQuantity = round4(line.countedQuantity - line.expectedQuantity);
+    const perPiece = line.expectedQuantity > 0 ? line.expectedStockQuantity / line.expectedQuantity : 0;
+    const varianceStockQuantity = round4(varianceQuantity * perPiece);
+
+    return {
+        varianceQuantity,
+        varianceStockQuantity,
+        varianceValue: round2(varianceStockQuantity * line.averagePrice)
+    };
+};
+
+/**
+ * Relatório de diferenças: linhas com diferença e totais de impacto em valor
+ *
+ * @param {Object} stocktake
+ * @returns {Object} { lines, summary }
+ */
+const buildVarianceReport = (stocktake) => {
+    const lines = stocktake.lines.map(line => ({ ...line.toObject(), ...lineVariance(line) }));
+    const counted = lines.filter(l => l.varianceQuantity !== null);
+    const withVariance = counted.filter(l => l.varianceQuantity !== 0);
+
+    return {
+        lines,
+        summary: {
+            totalLines: lines.length,
+            countedLines: counted.length,
+            linesWithVariance: withVariance.length,
+            gainValue: round2(withVariance.filter(l => l.varianceValue > 0).reduce((s, l) => s + l.varianceValue, 0)),
+            lossValue: round2(withVariance.filter(l => l.varianceValue < 0).reduce((s, l) => s + l.varianceValue, 0)),
+            varianceValue: round2(withVariance.reduce((s, l) => s + l.varianceValue, 0))
+        }
+    };
+};
+
+/**
+ * Registar quantidades contadas
+ *
+ * @param {Object} params
+ * @param {Object} params.stocktake - Inventário em contagem
+ * @param {Array<{stockItemId: string, countedQuantity: number}>} params.counts
+ * @param {ObjectId} params.user - Utilizador
+ * @returns {Promise<Object>} Stocktake atualizado
+ */
+const recordCounts = async ({ stocktake, counts, user }) => {
+    if (stocktake.status !== 'counting') {
+        throw httpError('Apenas inventários em contagem aceitam contagens');
+    }
+    if (!Array.isArray(counts) || counts.length === 0) {
+        throw httpError('Indique pelo menos uma contagem');
+    }
+
+    // Validar tudo antes de alterar
+    const updates = counts.map(({ stockItemId, countedQuantity }) => {
+        const line = stocktake.lines.find(l => l.stockItem.toString() === String(stockItemId));
+        if (!line) {
+            throw httpError(`Item ${stockItemId} não pertence a este inventário`);
+        }
+
+        const quantity = Number(countedQuantity);
+        if (countedQuantity === '' || countedQuantity === null || !(quantity >= 0)) {
+            throw httpError(`Quantidade contada inválida para o item ${stockItemId}`);
+        }
+
+        return { line, quantity };
+    });
+
+    const now = new Date();
+    updates.forEach(({ line, quantity }) => {
+        line.countedQuantity = quantity;
+        line.countedBy = user;
+        line.countedAt = now;
+    });
+
+    return stocktake.save();
+};
+
+/**
+ * Aprovar o inventário: aplicar as diferenças contadas aos itens com movimentos ADJUST
+ * A diferença (contado - esperado) é aplicada ao stock atual do item, para não anular
+ * movimentos feitos durante a contagem. Linhas não contadas ficam como estão.
+ * Correr dentro de runInTransaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.stocktake - Inventário em contagem
+ * @param {ObjectId} params.user - Utilizador (gestor)
+ * @returns {Promise<{stocktake: Object, movements: Array}>}
+ */
+const approveStocktake = async ({ stocktake, user }) => {
+    if (stocktake.status !== 'counting') {
+        throw httpError('Apenas inventários em contagem podem ser aprovados');
+    }
+
+    const movements = [];
+
+    for (const line of stocktake.lines) {
+        const { varianceQuantity } = lineVariance(line);
+        if (!varianceQuantity) continue;
+
+        const item = await StockItem.findById(line.stockItem).populate('product');
+        if (!item) continue;
+
+        const unit = getStockUnit(item.product);
+        const before = getItemQuantityIn(item, unit, item.product);
+        const previousQuantity = item.quantity;
+
+        item.quantity = Math.max(round4(item.quantity + varianceQuantity), 0);
+        // Peso proporcional (recalculado no save para produtos com kg/m)
+        item.calculatedWeight = previousQuantity > 0
+            ? round2((item.calculatedWeight || 0) * item.quantity / previousQuantity)
+            : round2(line.expectedQuantity > 0 ? line.expectedWeight * item.quantity / line.expectedQuantity : 0);
+
+        if (item.quantity <= 0) {
+            item.status = 'consumed';
+        } else if (item.status === 'consumed') {
+            item.status = 'available';
+        }
+
+        await item.save();
+
+        const after = getItemQuantityIn(item, unit, item.product);
+
+        movements.push(await recordStockMovement({
+            type: 'ADJUST',
+            stockItem: item,
+            product: item.product,
+            user,
+            quantityDelta: round4(after - before),
+            unit,
+            notes: `Inventário ${stocktake.reference}: esperado ${line.expectedQuantity}, contado ${line.countedQuantity}`
+        }));
+    }
+
+    stocktake.status = 'approved';
+    stocktake.approvedAt = new Date();
+    stocktake.approvedBy = user;
+    stocktake.movements = movements.map(m => m._id);
+    await stocktake.save();
+
+    return { stocktake, movements };
+};
+
+/**
+ * Exportar a folha de contagem para Excel (coluna "Contado" para preencher)
+ *
+ * @param {Object} stocktake
+ * @returns {Buffer} Ficheiro .xlsx
+ */
+const exportStocktake = (stocktake) => {
+    const rows = stocktake.lines.map(line => ({
+        [SHEET_COLUMNS.id]: line.stockItem.toString(),
+        [SHEET_COLUMNS.code]: line.code,
+        [SHEET_COLUMNS.description]: line.description,
+        [SHEET_COLUMNS.location]: line.location,
+        [SHEET_COLUMNS.type]: line.type,
+        [SHEET_COLUMNS.lengthMM]: line.lengthMM,
+        [SHEET_COLUMNS.widthMM]: line.widthMM,
+        [SHEET_COLUMNS.batchId]: line.batchId,
+        [SHEET_COLUMNS.expected]: line.expectedQuantity,
+        [SHEET_COLUMNS.counted]: line.countedQuantity ?? ''
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(rows, { header: Object.values(SHEET_COLUMNS) });
+    XLSX.utils.book_append_sheet(workbook, worksheet, stocktake.reference);
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Ler contagens de uma folha exportada (linhas com "Contado" em branco são ignoradas)
+ *
+ * @param {Buffer} buffer - Ficheiro .xlsx/.xls/.csv
+ * @returns {Promise<Array<{stockItemId: string, countedQuantity: number}>>}
+ */
+const parseCountSheet = async (buffer) => {
+    const { data, headers } = await parseExcelFile(buffer);
+
+    if (!headers.includes(SHEET_COLUMNS.id) || !headers.includes(SHEET_COLUMNS.counted)) {
+        throw httpError(`A folha deve ter as colunas "${SHEET_COLUMNS.id}" e "${SHEET_COLUMNS.counted}"`);
+    }
+
+    // Número da linha na folha antes de filtrar (o XLSX indica-o em __rowNum__, contando linhas em branco)
+    return data
+        .map((row, index) => ({ row, sheetRow: (row.__rowNum__ ?? index + 1) + 1 }))
+        .filter(({ row }) => String(row[SHEET_COLUMNS.counted]).trim() !== '')
+        .map(({ row, sheetRow }) => {
+            const countedQuantity = Number(String(row[SHEET_COLUMNS.counted]).replace(',', '.'));
+            if (!Number.isFinite(countedQuantity) || countedQuantity < 0) {
+                throw httpError(`Quantidade contada inválida na linha ${sheetRow}`);
+            }
+            return { stockItemId: String(row[SHEET_COLUMNS.id]).trim(), countedQuantity };
+        });
+};
+
+module.exports = {
+    createStocktake,
+    lineVariance,
+    buildVarianceReport,
+    recordCounts,
+    approveStocktake,
+    exportStocktake,
+    parseCountSheet
+};
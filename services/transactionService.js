@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { httpError } = require('../utils/httpError');
+
+// Queries dentro de connection.transaction() usam a sessão sem a passar explicitamente
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// WriteConflict do MongoDB (dois pedidos a escrever o mesmo documento)
+const WRITE_CONFLICT_CODE = 112;
+
+/**
+ * Conflito de concorrência (409)
+ */
+const conflictError = (message = 'O stock foi alterado por outro pedido. Atualize e tente novamente.') => httpError(message, 409);
+
+/**
+ * Conflito de concorrência: versão do StockItem desatualizada ou escrita concorrente
+ */
+const isConflict = (error) => error.name === 'VersionError'
+    || error.code === WRITE_CONFLICT_CODE
+    || (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+
+/**
+ * Executar operações de stock numa transação
+ * Todas as queries/saves dentro de `work` usam a sessão automaticamente (transactionAsyncLocalStorage).
+ * Concorrência otimista: se outro pedido escreveu os mesmos documentos, `work` não é repetido
+ * e o pedido que perde dá logo erro 409 (o cliente atualiza e tenta de novo).
+ * Só erros transitórios no commit são repetidos pelo driver.
+ *
+ * @param {Function} work - async (session) => resultado
+ * @returns {Promise<*>} Resultado de `work`
+ */
+const runInTransaction = async (work) => {
+    try {
+        return await mongoose.connection.transaction(async (session) => {
+            try {
+                return await work(session);
+            } catch (error) {
+                // Sem a etiqueta TransientTransactionError o driver aborta em vez de repetir
+                if (isConflict(error)) throw conflictError();
+                throw error;
+            }
+        });
+    } catch (error) {
+        if (isConflict(error)) throw conflictError();
+        throw error;
+    }
+};
+
+module.exports = {
+    conflictError,
+    runInTransaction
+};
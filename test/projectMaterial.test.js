@@ -0,0 +1,199 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Barrier for the race test: StockItem saves wait here until every racing request has read the item.
+// Registered before the models are compiled so the hook is part of the StockItem schema.
+let barrier = null;
+mongoose.plugin((schema) => {
+    schema.pre('save', async function () {
+        if (barrier && !this.isNew && this.constructor.modelName === 'StockItem') {
+            await barrier.arrive();
+        }
+    });
+});
+
+const Product = require('../models/Product');
+const Project = require('../models/Project');
+const ProjectMaterial = require('../models/ProjectMaterial');
+const StockItem = require('../models/StockItem');
+const Movement = require('../models/Movement');
+const { addMaterial, removeMaterial } = require('../controllers/projectController');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'worker' };
+
+let replSet;
+
+/**
+ * Let `parties` callers through together (or after a timeout, so a request
+ * that fails before reaching the save never blocks the others)
+ */
+const createBarrier = (parties, timeoutMs = 2000) => {
+    let arrived = 0;
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const timer = setTimeout(release, timeoutMs);
+
+    return {
+        arrive() {
+            arrived++;
+            if (arrived >= parties) {
+                clearTimeout(timer);
+                release();
+            }
+            return gate;
+        }
+    };
+};
+
+/**
+ * Call an Express handler with a minimal req/res and resolve with { status, body }
+ */
+const callController = (handler, req) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+            return this;
+        }
+    };
+    handler({ params: {}, query: {}, body: {}, user, ...req }, res);
+});
+
+const createFixture = async (quantity) => {
+    const product = await Product.create({
+        code: `TST-${new mongoose.Types.ObjectId().toString().slice(-6)}`,
+        description: 'Parafuso M12',
+        category: 'consumable',
+        stockConfig: { unit: 'un' },
+        financial: { averagePrice: 2, lastPrice: 2 }
+    });
+
+    const stockItem = await StockItem.create({
+        product: product._id,
+        type: 'BOX',
+        quantity,
+        lengthMM: 0,
+        status: 'available'
+    });
+
+    const project = await Project.create({
+        reference: await Project.generateReference(),
+        name: 'Obra de teste',
+        client: 'Cliente',
+        startDate: new Date(),
+        endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        createdBy: user._id
+    });
+
+    return { product, stockItem, project };
+};
+
+before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    // Collections must exist before they are written inside a transaction
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+});
+
+after(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+});
+
+beforeEach(() => {
+    barrier = null;
+});
+
+test('addMaterial and removeMaterial racing on the same stock item: one wins, the other gets 409', async () => {
+    const { product, stockItem, project } = await createFixture(10);
+
+    const first = await callController(addMaterial, {
+        params: { id: project._id.toString() },
+        body: { productId: product._id.toString(), quantity: 4 }
+    });
+    assert.equal(first.status, 201);
+    const materialId = first.body.data._id.toString();
+
+    barrier = createBarrier(2);
+    const [added, removed] = await Promise.all([
+        callController(addMaterial, {
+            params: { id: project._id.toString() },
+            body: { productId: product._id.toString(), quantity: 6 }
+        }),
+        callController(removeMaterial, {
+            params: { id: project._id.toString(), materialId }
+        })
+    ]);
+    barrier = null;
+
+    const statuses = [added.status, removed.status];
+    assert.equal(statuses.filter(s => s === 409).length, 1, `statuses: ${statuses.join(', ')}`);
+
+    const item = await StockItem.findById(stockItem._id);
+    const materials = await ProjectMaterial.find({ project: project._id });
+    const movements = await Movement.find({ product: product._id });
+    const onProject = materials.reduce((sum, m) => sum + m.quantity - m.returnedQuantity, 0);
+    const movedOut = movements.reduce((sum, m) => sum + m.quantityDelta, 0);
+
+    assert.ok(item.quantity >= 0);
+    assert.equal(item.quantity + onProject, 10);
+    assert.equal(item.quantity, 10 + movedOut);
+
+    if (added.status === 201) {
+        assert.equal(item.quantity, 0);
+        assert.equal(item.status, 'consumed');
+        assert.equal(materials.length, 2);
+    } else {
+        assert.equal(removed.status, 200);
+        assert.equal(item.quantity, 10);
+        assert.equal(materials.length, 0);
+    }
+});
+
+test('concurrent addMaterial requests never consume more than the stock', async () => {
+    const { product, stockItem, project } = await createFixture(10);
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => callController(addMaterial, {
+        params: { id: project._id.toString() },
+        body: { productId: product._id.toString(), quantity: 3 }
+    })));
+
+    const statuses = responses.map(r => r.status);
+    assert.ok(statuses.every(s => [201, 400, 409].includes(s)), `statuses: ${statuses.join(', ')}`);
+    assert.ok(statuses.includes(201));
+
+    const consumed = statuses.filter(s => s === 201).length * 3;
+    const item = await StockItem.findById(stockItem._id);
+    const movements = await Movement.find({ product: product._id });
+
+    assert.ok(consumed <= 10);
+    assert.equal(item.quantity, 10 - consumed);
+    assert.equal(movements.reduce((sum, m) => sum + m.quantityDelta, 0), -consumed);
+    assert.equal(await ProjectMaterial.countDocuments({ project: project._id }), consumed / 3);
+});
+
+test('addMaterial within the stock tolerance records only what left the stock items', async () => {
+    const { product, stockItem, project } = await createFixture(100);
+
+    const response = await callController(addMaterial, {
+        params: { id: project._id.toString() },
+        body: { productId: product._id.toString(), quantity: 103 }
+    });
+
+    assert.equal(response.status, 201);
+
+    const item = await StockItem.findById(stockItem._id);
+    const movements = await Movement.find({ product: product._id });
+    const material = await ProjectMaterial.findOne({ project: project._id });
+
+    assert.equal(item.quantity, 0);
+    assert.equal(movements.reduce((sum, m) => sum + m.quantityDelta, 0), -100);
+    assert.equal(material.quantity, 100);
+});
@@ -0,0 +1,174 @@
+/**
+ * Cutting Optimizer - Corte de barras (1D cutting stock)
+ * Plans which offcuts and full bars to cut so that the required pieces are produced with minimal waste.
+ *
+ * Heuristic: Best-Fit Decreasing over the available stock (shortest fitting bar first, so offcuts
+ * are naturally preferred), followed by a re-sourcing pass that moves each bar's cuts to the
+ * shortest unused bar that still fits them.
+ *
+ * IMPORTANT: All lengths are in MILLIMETERS (mm).
+ */
+
+/**
+ * Expand piece list (length × quantity) into individual pieces, longest first
+ *
+ * @param {Array<{lengthMM: number, quantity: number, label?: string}>} pieces
+ * @returns {Array<{lengthMM: number, label: string}>}
+ */
+const expandPieces = (pieces) => {
+    const expanded = [];
+
+    pieces.forEach((piece) => {
+        const quantity = Math.max(0, Math.floor(piece.quantity || 1));
+        for (let i = 0; i < quantity; i++) {
+            expanded.push({ lengthMM: piece.lengthMM, label: piece.label || '' });
+        }
+    });
+
+    return expanded.sort((a, b) => b.lengthMM - a.lengthMM);
+};
+
+/**
+ * Length consumed by a set of cuts, with a kerf between consecutive pieces
+ *
+ * @param {number[]} cuts - Cut lengths in mm
+ * @param {number} kerfMM - Saw kerf in mm
+ * @returns {number} Used length in mm
+ */
+const usedLength = (cuts, kerfMM) => {
+    if (cuts.length === 0) return 0;
+    return cuts.reduce((sum, c) => sum + c, 0) + kerfMM * (cuts.length - 1);
+};
+
+/**
+ * Remainder of a bar after its cuts (the final kerf is only lost if material is left over)
+ *
+ * @param {number} barLengthMM - Bar length in mm
+ * @param {number[]} cuts - Cut lengths in mm
+ * @param {number} kerfMM - Saw kerf in mm
+ * @returns {{remainderLengthMM: number, kerfLossMM: number}}
+ */
+const barRemainder = (barLengthMM, cuts, kerfMM) => {
+    const rest = barLengthMM - usedLength(cuts, kerfMM);
+    const kerfBetween = kerfMM * Math.max(0, cuts.length - 1);
+
+    if (rest > kerfMM) {
+        return { remainderLengthMM: rest - kerfMM, kerfLossMM: kerfBetween + kerfMM };
+    }
+    return { remainderLengthMM: 0, kerfLossMM: kerfBetween + rest };
+};
+
+/**
+ * Optimize a 1D cutting plan
+ *
+ * @param {Object} params - Parameters object
+ * @param {Array} params.pieces - Required pieces [{ lengthMM, quantity, label }]
+ * @param {Array} params.stock - Available bars [{ id, type, lengthMM, quantity }]
+ * @param {number} params.kerfMM - Saw kerf in mm
+ * @param {number} params.standardLengthMM - Length of bars to purchase when stock runs out
+ * @param {number} params.minOffcutLengthMM - Remainders below this are scrap
+ * @param {boolean} params.allowPurchase - Plan new bars when stock is insufficient
+ * @returns {{bars: Array, unplaced: Array}}
+ */
+const optimizeCuts = ({
+    pieces,
+    stock = [],
+    kerfMM = 0,
+    standardLengthMM = 6000,
+    minOffcutLengthMM = 0,
+    allowPurchase = true
+}) => {
+    // Cada barra física é uma fonte (pilhas de barras inteiras são expandidas)
+    const sources = [];
+    stock.forEach((item) => {
+        const units = item.type === 'OFFCUT' ? 1 : Math.floor(item.quantity || 0);
+        for (let i = 0; i < units; i++) {
+            sources.push({ id: item.id, type: item.type, lengthMM: item.lengthMM });
+        }
+    });
+    sources.sort((a, b) => a.lengthMM - b.lengthMM);
+
+    const bars = [];
+    const unplaced = [];
+
+    const takeSource = (minLength) => {
+        const index = sources.findIndex(s => s.lengthMM >= minLength);
+        return index === -1 ? null : sources.splice(index, 1)[0];
+    };
+
+    // 1. Best-Fit Decreasing
+    expandPieces(pieces).forEach((piece) => {
+        let best = null;
+        let bestRest = Infinity;
+
+        bars.forEach((bar) => {
+            const needed = usedLength([...bar.cuts, piece.lengthMM], kerfMM);
+            const rest = bar.lengthMM - needed;
+            if (rest >= 0 && rest < bestRest) {
+                best = bar;
+                bestRest = rest;
+            }
+        });
+
+        if (!best) {
+            const source = takeSource(piece.lengthMM);
+            if (source) {
+                best = { source, lengthMM: source.lengthMM, cuts: [], labels: [] };
+            } else if (allowPurchase && piece.lengthMM <= standardLengthMM) {
+                best = { source: null, lengthMM: standardLengthMM, cuts: [], labels: [] };
+            } else {
+                unplaced.push(piece);
+                return;
+            }
+            bars.push(best);
+        }
+
+        best.cuts.push(piece.lengthMM);
+        best.labels.push(piece.label);
+    });
+
+    // 2. Re-sourcing: passar cada barra para a fonte mais curta que ainda sirva
+    bars
+        .slice()
+        .sort((a, b) => usedLength(b.cuts, kerfMM) - usedLength(a.cuts, kerfMM))
+        .forEach((bar) => {
+            const needed = usedLength(bar.cuts, kerfMM);
+            const index = sources.findIndex(s => s.lengthMM >= needed);
+            if (index === -1 || sources[index].lengthMM >= bar.lengthMM) return;
+
+            const [shorter] = sources.splice(index, 1);
+            if (bar.source) {
+                sources.push(bar.source);
+                sources.sort((a, b) => a.lengthMM - b.lengthMM);
+            }
+            bar.source = shorter;
+            bar.lengthMM = shorter.lengthMM;
+        });
+
+    return {
+        bars: bars.map((bar) => {
+            const { remainderLengthMM, kerfLossMM } = barRemainder(bar.lengthMM, bar.cuts, kerfMM);
+            const keepOffcut = remainderLengthMM > 0 && remainderLengthMM >= minOffcutLengthMM;
+
+            return {
+                stockItem: bar.source ? bar.source.id : null,
+                sourceType: bar.source ? bar.source.type : 'PURCHASE',
+                lengthMM: bar.lengthMM,
+                cuts: bar.cuts,
+                labels: bar.labels,
+                usedLengthMM: usedLength(bar.cuts, kerfMM),
+                kerfLossMM,
+                remainderLengthMM,
+                remainderAction: keepOffcut ? 'offcut' : 'scrap'
+            };
+        }),
+        unplaced
+    };
+};
+
+module.exports = {
+    expandPieces,
+    usedLength,
+    barRemainder,
+    optimizeCuts
+};
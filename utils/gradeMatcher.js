@@ -0,0 +1,58 @@
+/**
+ * Grade Matcher - Deteção de qualidades de material em texto livre
+ * Finds a material grade (S235JR, AISI 304, 6082...) inside a product code or description.
+ *
+ * Matching is case-insensitive on the grade code, material number and aliases; a term only
+ * matches as a whole token, so "304" does not match "304L" and the longest term wins.
+ */
+
+/**
+ * Escape a term for use inside a RegExp
+ *
+ * @param {string} term
+ * @returns {string}
+ */
+const escapeRegex = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search terms of a grade: code, material number and aliases, uppercased
+ *
+ * @param {Object} grade - { code, materialNumber, aliases }
+ * @returns {string[]}
+ */
+const gradeTerms = (grade) => [grade.code, grade.materialNumber, ...(grade.aliases || [])]
+    .filter(Boolean)
+    .map(term => String(term).toUpperCase().trim());
+
+/**
+ * Find the grade mentioned in a text
+ *
+ * @param {string} text - Code or description
+ * @param {Array<Object>} grades - Grades with code, materialNumber and aliases
+ * @returns {Object|null} Matching grade (longest term wins), or null
+ */
+const findGradeInText = (text, grades) => {
+    const normalized = String(text || '').toUpperCase().replace(/\s+/g, ' ');
+    if (!normalized) return null;
+
+    const candidates = [];
+    grades.forEach((grade) => {
+        gradeTerms(grade).forEach((term) => candidates.push({ term, grade }));
+    });
+
+    // Termos mais longos primeiro: "316L" antes de "316"
+    candidates.sort((a, b) => b.term.length - a.term.length);
+
+    for (const { term, grade } of candidates) {
+        const pattern = escapeRegex(term).replace(/ /g, '\\s*');
+        const regex = new RegExp(`(^|[^A-Z0-9.])${pattern}(?![A-Z0-9])`);
+        if (regex.test(normalized)) return grade;
+    }
+
+    return null;
+};
+
+module.exports = {
+    gradeTerms,
+    findGradeInText
+};
@@ -0,0 +1,15 @@
+/**
+ * Business error with an HTTP status
+ * Controllers answer with error.status and error.message (status < 500)
+ *
+ * @param {string} message - User-facing message
+ * @param {number} [status=400]
+ * @returns {Error}
+ */
+const httpError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = { httpError };
@@ -16,6 +16,20 @@ const DENSITIES = {
     plastic: 1.20,    // Plástico (média)
 };
 
+/**
+ * Resolve the density to use for a product
+ * Priority: material grade (when populated) > explicit density > material family > steel
+ *
+ * @param {Object} params - Parameters object
+ * @param {Object} params.grade - MaterialGrade (or any object with density)
+ * @param {number} params.density - Density in g/cm³
+ * @param {string} params.materialType - Material family
+ * @returns {number} Density in g/cm³
+ */
+const resolveDensity = ({ grade, density, materialType }) => {
+    return (grade && grade.density) || density || DENSITIES[materialType] || DENSITIES.steel;
+};
+
 /**
  * Convert millimeters to centimeters
  * @param {number} mm - Value in millimeters
@@ -89,6 +103,160 @@ const volumeHex = (flatToFlatMm, lengthMm) => {
     return area * lengthCm;
 };
 
+/**
+ * Cross-section area of a flat bar (rectangle)
+ *
+ * @param {number} widthMm - Width in mm
+ * @param {number} thicknessMm - Thickness in mm
+ * @returns {number} Area in mm²
+ */
+const areaFlat = (widthMm, thicknessMm) => widthMm * thicknessMm;
+
+/**
+ * Cross-section area of an L angle (EN 10056-1)
+ * A = t × (a + b − t) + (1 − π/4) × (r1² − 2 × r2²)
+ * The root radius adds material in the inside corner, toe radii remove it at the leg tips
+ *
+ * @param {number} legAMm - Leg a in mm
+ * @param {number} legBMm - Leg b in mm (equal angles: same as a)
+ * @param {number} thicknessMm - Thickness t in mm
+ * @param {number} rootRadiusMm - Root radius r1 in mm (0 if unknown)
+ * @param {number} toeRadiusMm - Toe radius r2 in mm (0 if unknown)
+ * @returns {number} Area in mm²
+ */
+const areaAngle = (legAMm, legBMm, thicknessMm, rootRadiusMm = 0, toeRadiusMm = 0) => {
+    const fillets = (1 - Math.PI / 4) * (Math.pow(rootRadiusMm, 2) - 2 * Math.pow(toeRadiusMm, 2));
+    return thicknessMm * (legAMm + legBMm - thicknessMm) + fillets;
+};
+
+/**
+ * Cross-section area of a U channel (parallel flanges, UPE; UPN with mean flange thickness)
+ * A = 2 × b × tf + (h − 2 × tf) × tw + 2 × (1 − π/4) × (r1² − r2²)
+ *
+ * @param {number} heightMm - Height h in mm
+ * @param {number} flangeWidthMm - Flange width b in mm
+ * @param {number} webMm - Web thickness tw in mm
+ * @param {number} flangeMm - Flange thickness tf in mm
+ * @param {number} rootRadiusMm - Root radius r1 in mm (0 if unknown)
+ * @param {number} toeRadiusMm - Flange toe radius r2 in mm (0 if unknown)
+ * @returns {number} Area in mm²
+ */
+const areaChannel = (heightMm, flangeWidthMm, webMm, flangeMm, rootRadiusMm = 0, toeRadiusMm = 0) => {
+    const fillets = 2 * (1 - Math.PI / 4) * (Math.pow(rootRadiusMm, 2) - Math.pow(toeRadiusMm, 2));
+    return 2 * flangeWidthMm * flangeMm + (heightMm - 2 * flangeMm) * webMm + fillets;
+};
+
+/**
+ * Cross-section area of an I/H beam (IPE, HEA, HEB)
+ * A = 2 × b × tf + (h − 2 × tf) × tw + (4 − π) × r²
+ *
+ * @param {number} heightMm - Height h in mm
+ * @param {number} flangeWidthMm - Flange width b in mm
+ * @param {number} webMm - Web thickness tw in mm
+ * @param {number} flangeMm - Flange thickness tf in mm
+ * @param {number} rootRadiusMm - Root radius r in mm (0 if unknown)
+ * @returns {number} Area in mm²
+ */
+const areaBeam = (heightMm, flangeWidthMm, webMm, flangeMm, rootRadiusMm = 0) => {
+    return 2 * flangeWidthMm * flangeMm + (heightMm - 2 * flangeMm) * webMm
+        + (4 - Math.PI) * Math.pow(rootRadiusMm, 2);
+};
+
+/**
+ * Corner radii of a cold-formed hollow section (EN 10219-2)
+ * t ≤ 6: ro = 2t, ri = t | 6 < t ≤ 10: ro = 2.5t, ri = 1.5t | t > 10: ro = 3t, ri = 2t
+ *
+ * @param {number} thicknessMm - Wall thickness in mm
+ * @returns {{outer: number, inner: number}} Radii in mm
+ */
+const hollowSectionRadii = (thicknessMm) => {
+    if (thicknessMm <= 6) return { outer: 2 * thicknessMm, inner: thicknessMm };
+    if (thicknessMm <= 10) return { outer: 2.5 * thicknessMm, inner: 1.5 * thicknessMm };
+    return { outer: 3 * thicknessMm, inner: 2 * thicknessMm };
+};
+
+/**
+ * Cross-section area of a rectangular/square hollow section (RHS/SHS)
+ * A = 2t × (b + h − 2t) − (4 − π) × (ro² − ri²)
+ *
+ * @param {number} widthMm - Width b in mm
+ * @param {number} heightMm - Height h in mm (SHS: same as width)
+ * @param {number} thicknessMm - Wall thickness t in mm
+ * @param {number} outerRadiusMm - Outer corner radius in mm (default: EN 10219)
+ * @returns {number} Area in mm²
+ */
+const areaHollowRect = (widthMm, heightMm, thicknessMm, outerRadiusMm) => {
+    const radii = hollowSectionRadii(thicknessMm);
+    const outer = outerRadiusMm > 0 ? outerRadiusMm : radii.outer;
+    const inner = Math.max(outer - thicknessMm, 0);
+    return 2 * thicknessMm * (widthMm + heightMm - 2 * thicknessMm)
+        - (4 - Math.PI) * (Math.pow(outer, 2) - Math.pow(inner, 2));
+};
+
+// Structural profiles whose weight comes from the cross-section area
+const PROFILE_SHAPES = ['flat', 'angle', 'channel', 'beam', 'rhs', 'shs'];
+
+/**
+ * Cross-section area of a structural profile
+ *
+ * Dimension keys (mm):
+ * - flat: w (width), h (thickness)
+ * - angle: w, h (legs), wall (thickness), r (root radius), r2 (toe radius)
+ * - channel / beam: h (height), w (flange width), tw, tf, r (root radius), r2 (toe radius, channel)
+ * - rhs: w, h, wall, r (outer corner radius, optional)
+ * - shs: w, wall, r (optional)
+ *
+ * @param {string} shape - One of PROFILE_SHAPES
+ * @param {Object} dimensions - Dimensions object
+ * @returns {number} Area in mm²
+ */
+const profileSectionArea = (shape, dimensions) => {
+    const { w = 0, h = 0, wall = 0, tw = 0, tf = 0, r = 0, r2 = 0 } = dimensions;
+
+    switch (shape) {
+        case 'flat':
+            return areaFlat(w, h);
+        case 'angle':
+            return areaAngle(w, h || w, wall, r, r2);
+        case 'channel':
+            return areaChannel(h, w, tw, tf, r, r2);
+        case 'beam':
+            return areaBeam(h, w, tw, tf, r);
+        case 'rhs':
+            return areaHollowRect(w, h, wall, r);
+        case 'shs':
+            return areaHollowRect(w, w, wall, r);
+        default:
+            throw new Error(`Unknown profile shape: ${shape}`);
+    }
+};
+
+/**
+ * Cross-section area of any bar-like shape (anything sold by length)
+ * Plates use width × thickness, i.e. a strip of the full product width
+ *
+ * @param {string} shape - Shape type
+ * @param {Object} dimensions - Dimensions object
+ * @returns {number} Area in mm²
+ */
+const sectionArea = (shape, dimensions) => {
+    const { d = 0, w = 0, h = 0, wall = 0 } = dimensions;
+
+    switch (shape) {
+        case 'round':
+            return Math.PI * Math.pow(d, 2) / 4;
+        case 'hex':
+            return (Math.sqrt(3) / 2) * Math.pow(d, 2);
+        case 'tube':
+            return (Math.PI / 4) * (Math.pow(d, 2) - Math.pow(d - 2 * wall, 2));
+        case 'plate':
+        case 'box':
+            return w * h;
+        default:
+            return profileSectionArea(shape, dimensions);
+    }
+};
+
 /**
  * Calculate weight from volume and density
  * Weight (kg) = Volume (cm³) × Density (g/cm³) / 1000
@@ -119,21 +287,42 @@ const lengthFromWeight = (weightKg, diameterMm, densityGCm3) => {
     return Math.round(lengthCm * 10); // Convert back to mm
 };
 
+/**
+ * Calculate length from weight for any bar-like shape (generalised lengthFromWeight)
+ * "How many millimeters of this profile are X kg?"
+ *
+ * @param {Object} params - Parameters object
+ * @param {number} params.weightKg - Weight in kg
+ * @param {string} params.shape - Shape type
+ * @param {Object} params.dimensions - Dimensions object
+ * @param {Object} params.grade - Material grade; its density takes precedence
+ * @param {number} params.density - Density in g/cm³ (or provide materialType)
+ * @param {string} params.materialType - Material type if density not provided
+ * @returns {number} Length in mm (0 if the section has no area)
+ */
+const getLengthFromWeight = ({ weightKg, shape, dimensions, grade, density, materialType }) => {
+    const areaCm2 = sectionArea(shape, dimensions) / 100;
+    if (!(areaCm2 > 0)) return 0;
+
+    const volumeCm3 = (weightKg * 1000) / resolveDensity({ grade, density, materialType });
+    return Math.round((volumeCm3 / areaCm2) * 10); // cm -> mm
+};
+
 /**
  * Get weight of a stock item based on shape and dimensions
  * Main function to be used by the application
  * 
  * @param {Object} params - Parameters object
- * @param {string} params.shape - Shape type: 'round', 'hex', 'tube', 'plate', 'box'
- * @param {Object} params.dimensions - Dimensions object with d, w, h, wall as applicable
+ * @param {string} params.shape - Shape type: 'round', 'hex', 'tube', 'plate', 'box' or a profile (see PROFILE_SHAPES)
+ * @param {Object} params.dimensions - Dimensions object with d, w, h, wall, tw, tf, r, r2 as applicable
  * @param {number} params.lengthMm - Length in mm
+ * @param {Object} params.grade - Material grade; its density takes precedence
  * @param {number} params.density - Density in g/cm³ (or provide materialType)
  * @param {string} params.materialType - Material type if density not provided
  * @returns {number} Weight in kg
  */
-const getWeight = ({ shape, dimensions, lengthMm, density, materialType }) => {
-    // Get density from materialType if not provided directly
-    const effectiveDensity = density || DENSITIES[materialType] || DENSITIES.steel;
+const getWeight = ({ shape, dimensions, lengthMm, grade, density, materialType }) => {
+    const effectiveDensity = resolveDensity({ grade, density, materialType });
 
     let volume;
 
@@ -151,6 +340,15 @@ const getWeight = ({ shape, dimensions, lengthMm, density, materialType }) => {
         case 'box':
             volume = volumeRectangular(dimensions.w, dimensions.h, lengthMm);
             break;
+        case 'flat':
+        case 'angle':
+        case 'channel':
+        case 'beam':
+        case 'rhs':
+        case 'shs':
+            // mm² × mm → cm³
+            volume = (profileSectionArea(shape, dimensions) * lengthMm) / 1000;
+            break;
         default:
             throw new Error(`Unknown shape: ${shape}`);
     }
@@ -158,6 +356,39 @@ const getWeight = ({ shape, dimensions, lengthMm, density, materialType }) => {
     return calculateWeight(volume, effectiveDensity);
 };
 
+/**
+ * Get weight of a rectangular plate piece
+ * Thickness comes from the product (dimensions.h), width × length from the piece itself
+ *
+ * @param {Object} params - Parameters object
+ * @param {number} params.widthMm - Piece width in mm
+ * @param {number} params.lengthMm - Piece length in mm
+ * @param {number} params.thicknessMm - Plate thickness in mm
+ * @param {Object} params.grade - Material grade; its density takes precedence
+ * @param {number} params.density - Density in g/cm³ (or provide materialType)
+ * @param {string} params.materialType - Material type if density not provided
+ * @returns {number} Weight in kg
+ */
+const getPlateWeight = ({ widthMm, lengthMm, thicknessMm, grade, density, materialType }) => {
+    const effectiveDensity = resolveDensity({ grade, density, materialType });
+    return calculateWeight(volumeRectangular(widthMm, thicknessMm, lengthMm), effectiveDensity);
+};
+
+/**
+ * Get weight per meter (kg/m) of a product from its shape and dimensions
+ *
+ * @param {Object} params - Parameters object
+ * @param {string} params.shape - Shape type
+ * @param {Object} params.dimensions - Dimensions object
+ * @param {Object} params.grade - Material grade; its density takes precedence
+ * @param {number} params.density - Density in g/cm³ (or provide materialType)
+ * @param {string} params.materialType - Material type if density not provided
+ * @returns {number} Weight in kg/m
+ */
+const getWeightPerMeter = ({ shape, dimensions, grade, density, materialType }) => {
+    return getWeight({ shape, dimensions, lengthMm: 1000, grade, density, materialType });
+};
+
 /**
  * Convert weight to meters for round bars
  * Useful for dual display (Kg AND Meters)
@@ -174,13 +405,26 @@ const weightToMeters = (weightKg, diameterMm, density = DENSITIES.steel) => {
 
 module.exports = {
     DENSITIES,
+    resolveDensity,
     volumeRoundBar,
     volumeRectangular,
     volumeTube,
     volumeHex,
+    sectionArea,
+    areaFlat,
+    areaAngle,
+    areaChannel,
+    areaBeam,
+    hollowSectionRadii,
+    areaHollowRect,
+    PROFILE_SHAPES,
+    profileSectionArea,
     calculateWeight,
     lengthFromWeight,
+    getLengthFromWeight,
     getWeight,
+    getPlateWeight,
+    getWeightPerMeter,
     weightToMeters,
     mmToCm,
 };
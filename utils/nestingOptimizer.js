@@ -0,0 +1,236 @@
+/**
+ * Nesting Optimizer - Corte de chapas (2D guillotine nesting)
+ * Fits rectangular parts onto available plates and plate offcuts, entirely locally.
+ *
+ * Heuristic: parts are placed largest first; each part goes to the free rectangle with the best
+ * area fit (across all open plates), and free rectangles are split with the "shorter leftover
+ * axis" rule so every remaining area stays a guillotine-cuttable rectangle. When no open plate
+ * fits, the smallest unused plate that can hold the part is opened (offcuts first by nature).
+ *
+ * Coordinates: x runs along the plate width, y along the plate length.
+ * IMPORTANT: All dimensions are in MILLIMETERS (mm).
+ */
+
+/**
+ * Expand part list (width × length × quantity) into individual parts, largest area first
+ *
+ * @param {Array<{widthMM: number, lengthMM: number, quantity: number, label?: string, allowRotate?: boolean}>} parts
+ * @returns {Array}
+ */
+const expandParts = (parts) => {
+    const expanded = [];
+
+    parts.forEach((part) => {
+        const quantity = Math.max(0, Math.floor(part.quantity || 1));
+        for (let i = 0; i < quantity; i++) {
+            expanded.push({
+                widthMM: part.widthMM,
+                lengthMM: part.lengthMM,
+                label: part.label || '',
+                allowRotate: part.allowRotate !== false
+            });
+        }
+    });
+
+    return expanded.sort((a, b) =>
+        (b.widthMM * b.lengthMM) - (a.widthMM * a.lengthMM) ||
+        Math.max(b.widthMM, b.lengthMM) - Math.max(a.widthMM, a.lengthMM));
+};
+
+/**
+ * Orientations of a part that fit inside a rectangle
+ */
+const fittingOrientations = (part, rect) => {
+    const options = [];
+    if (part.widthMM <= rect.w && part.lengthMM <= rect.l) {
+        options.push({ w: part.widthMM, l: part.lengthMM, rotated: false });
+    }
+    if (part.allowRotate && part.widthMM !== part.lengthMM &&
+        part.lengthMM <= rect.w && part.widthMM <= rect.l) {
+        options.push({ w: part.lengthMM, l: part.widthMM, rotated: true });
+    }
+    return options;
+};
+
+/**
+ * Find best free rectangle on a plate for a part (best area fit)
+ */
+const findBestFit = (plate, part) => {
+    let best = null;
+
+    plate.freeRects.forEach((rect, index) => {
+        fittingOrientations(part, rect).forEach((orientation) => {
+            const score = rect.w * rect.l - orientation.w * orientation.l;
+            if (!best || score < best.score) {
+                best = { index, rect, orientation, score };
+            }
+        });
+    });
+
+    return best;
+};
+
+/**
+ * Place a part in a free rectangle and split the remaining area (shorter leftover axis)
+ */
+const placePart = (plate, fit, part, kerfMM) => {
+    const { rect, orientation } = fit;
+
+    // A largura de corte só ocupa espaço se ainda houver material a seguir
+    const footW = Math.min(orientation.w + kerfMM, rect.w);
+    const footL = Math.min(orientation.l + kerfMM, rect.l);
+    const leftoverW = rect.w - footW;
+    const leftoverL = rect.l - footL;
+
+    plate.placements.push({
+        x: rect.x,
+        y: rect.y,
+        widthMM: orientation.w,
+        lengthMM: orientation.l,
+        rotated: orientation.rotated,
+        label: part.label
+    });
+
+    plate.freeRects.splice(fit.index, 1);
+
+    let right;
+    let below;
+    if (leftoverW < leftoverL) {
+        // Corte horizontal: faixa inferior com toda a largura
+        right = { x: rect.x + footW, y: rect.y, w: leftoverW, l: footL };
+        below = { x: rect.x, y: rect.y + footL, w: rect.w, l: leftoverL };
+    } else {
+        // Corte vertical: faixa lateral com todo o comprimento
+        right = { x: rect.x + footW, y: rect.y, w: leftoverW, l: rect.l };
+        below = { x: rect.x, y: rect.y + footL, w: footW, l: leftoverL };
+    }
+
+    [right, below].forEach((r) => {
+        if (r.w > 0 && r.l > 0) plate.freeRects.push(r);
+    });
+};
+
+/**
+ * Merge free rectangles that share a full edge (keeps leftovers as large as possible)
+ */
+const mergeFreeRects = (rects) => {
+    let merged = true;
+
+    while (merged) {
+        merged = false;
+        outer:
+        for (let i = 0; i < rects.length; i++) {
+            for (let j = i + 1; j < rects.length; j++) {
+                const a = rects[i];
+                const b = rects[j];
+                let union = null;
+
+                if (a.x === b.x && a.w === b.w && (a.y + a.l === b.y || b.y + b.l === a.y)) {
+                    union = { x: a.x, y: Math.min(a.y, b.y), w: a.w, l: a.l + b.l };
+                } else if (a.y === b.y && a.l === b.l && (a.x + a.w === b.x || b.x + b.w === a.x)) {
+                    union = { x: Math.min(a.x, b.x), y: a.y, w: a.w + b.w, l: a.l };
+                }
+
+                if (union) {
+                    rects.splice(j, 1);
+                    rects[i] = union;
+                    merged = true;
+                    break outer;
+                }
+            }
+        }
+    }
+
+    return rects;
+};
+
+/**
+ * Optimize a 2D nesting plan
+ *
+ * @param {Object} params - Parameters object
+ * @param {Array} params.parts - Required parts [{ widthMM, lengthMM, quantity, label, allowRotate }]
+ * @param {Array} params.plates - Available plates [{ id, type, widthMM, lengthMM, quantity }]
+ * @param {number} params.kerfMM - Cutting kerf in mm
+ * @param {number} params.minOffcutSideMM - Leftovers with a shorter side below this are scrap
+ * @returns {{plates: Array, unplaced: Array}}
+ */
+const optimizeNesting = ({ parts, plates = [], kerfMM = 0, minOffcutSideMM = 0 }) => {
+    // Cada chapa física é uma fonte (pilhas de chapas são expandidas)
+    const sources = [];
+    plates.forEach((plate) => {
+        const units = plate.type === 'OFFCUT' ? 1 : Math.floor(plate.quantity || 0);
+        for (let i = 0; i < units; i++) {
+            sources.push({ id: plate.id, type: plate.type, widthMM: plate.widthMM, lengthMM: plate.lengthMM });
+        }
+    });
+    sources.sort((a, b) => a.widthMM * a.lengthMM - b.widthMM * b.lengthMM);
+
+    const opened = [];
+    const unplaced = [];
+
+    expandParts(parts).forEach((part) => {
+        let bestPlate = null;
+        let bestFit = null;
+
+        opened.forEach((plate) => {
+            const fit = findBestFit(plate, part);
+            if (fit && (!bestFit || fit.score < bestFit.score)) {
+                bestPlate = plate;
+                bestFit = fit;
+            }
+        });
+
+        if (!bestFit) {
+            const index = sources.findIndex(s =>
+                fittingOrientations(part, { w: s.widthMM, l: s.lengthMM }).length > 0);
+
+            if (index === -1) {
+                unplaced.push(part);
+                return;
+            }
+
+            const [source] = sources.splice(index, 1);
+            bestPlate = {
+                source,
+                placements: [],
+                freeRects: [{ x: 0, y: 0, w: source.widthMM, l: source.lengthMM }]
+            };
+            opened.push(bestPlate);
+            bestFit = findBestFit(bestPlate, part);
+        }
+
+        placePart(bestPlate, bestFit, part, kerfMM);
+    });
+
+    return {
+        plates: opened.map((plate) => {
+            const plateArea = plate.source.widthMM * plate.source.lengthMM;
+            const usedArea = plate.placements.reduce((sum, p) => sum + p.widthMM * p.lengthMM, 0);
+            const leftovers = mergeFreeRects(plate.freeRects).map(r => ({
+                x: r.x,
+                y: r.y,
+                widthMM: r.w,
+                lengthMM: r.l,
+                action: Math.min(r.w, r.l) >= minOffcutSideMM ? 'offcut' : 'scrap'
+            }));
+
+            return {
+                stockItem: plate.source.id,
+                sourceType: plate.source.type,
+                widthMM: plate.source.widthMM,
+                lengthMM: plate.source.lengthMM,
+                placements: plate.placements,
+                leftovers,
+                usedAreaMM2: usedArea,
+                utilizationPercent: Math.round((usedArea / plateArea) * 1000) / 10
+            };
+        }),
+        unplaced
+    };
+};
+
+module.exports = {
+    expandParts,
+    mergeFreeRects,
+    optimizeNesting
+};
@@ -0,0 +1,243 @@
+/**
+ * Profile Catalog - Biblioteca de perfis normalizados
+ * Builds the standard sections catalogue (IPE, HEA, HEB, UPN, L, SHS/RHS, CHS) from the bundled
+ * tables and resolves free-text designations such as "IPE 200", "HE 200 B", "L 60x40x6"
+ * or "Tubo 48,3x3,2" to a catalogue entry.
+ *
+ * IMPORTANT: All dimensions are in MILLIMETERS (mm); weights in kg/m.
+ */
+
+const tables = require('../data/standardProfiles');
+const { DENSITIES, getWeightPerMeter } = require('./metalMath');
+
+const SERIES = ['IPE', 'HEA', 'HEB', 'UPN', 'L', 'SHS', 'RHS', 'CHS'];
+
+/**
+ * Format a dimension for a designation (48.30 -> "48.3", 50.0 -> "50")
+ *
+ * @param {number} value - Dimension in mm
+ * @returns {string}
+ */
+const formatDim = (value) => String(Number(value));
+
+/**
+ * Build a catalogue entry; weight per meter is computed when the table does not carry it
+ *
+ * @param {Object} params
+ * @returns {Object} Catalogue entry
+ */
+const buildEntry = ({ designation, series, shape, standard, dimensions, weightPerMeter }) => ({
+    designation,
+    series,
+    shape,
+    standard,
+    dimensions,
+    density: DENSITIES.steel,
+    weightPerMeter: weightPerMeter || getWeightPerMeter({ shape, dimensions, density: DENSITIES.steel })
+});
+
+/**
+ * Build the full catalogue from the bundled tables
+ *
+ * @returns {Array<Object>} Entries in table order
+ */
+const buildCatalogue = () => {
+    const entries = [];
+
+    [['IPE', tables.IPE], ['HEA', tables.HEA], ['HEB', tables.HEB]].forEach(([series, rows]) => {
+        rows.forEach(([size, h, w, tw, tf, r, kgm]) => {
+            entries.push(buildEntry({
+                designation: `${series} ${size}`,
+                series,
+                shape: 'beam',
+                standard: 'EN 10365',
+                dimensions: { h, w, tw, tf, r },
+                weightPerMeter: kgm
+            }));
+        });
+    });
+
+    tables.UPN.forEach(([size, h, w, tw, tf, r, r2, kgm]) => {
+        entries.push(buildEntry({
+            designation: `UPN ${size}`,
+            series: 'UPN',
+            shape: 'channel',
+            standard: 'DIN 1026-1',
+            dimensions: { h, w, tw, tf, r, r2 },
+            weightPerMeter: kgm
+        }));
+    });
+
+    tables.L_EQUAL.forEach(([a, t, r, r2]) => {
+        entries.push(buildEntry({
+            designation: `L ${formatDim(a)}x${formatDim(t)}`,
+            series: 'L',
+            shape: 'angle',
+            standard: 'EN 10056-1',
+            dimensions: { w: a, h: a, wall: t, r, r2 }
+        }));
+    });
+
+    tables.L_UNEQUAL.forEach(([a, b, t, r, r2]) => {
+        entries.push(buildEntry({
+            designation: `L ${formatDim(a)}x${formatDim(b)}x${formatDim(t)}`,
+            series: 'L',
+            shape: 'angle',
+            standard: 'EN 10056-1',
+            dimensions: { w: a, h: b, wall: t, r, r2 }
+        }));
+    });
+
+    tables.SHS.forEach(([b, t]) => {
+        entries.push(buildEntry({
+            designation: `SHS ${formatDim(b)}x${formatDim(t)}`,
+            series: 'SHS',
+            shape: 'shs',
+            standard: 'EN 10219-2',
+            dimensions: { w: b, h: b, wall: t }
+        }));
+    });
+
+    tables.RHS.forEach(([h, b, t]) => {
+        entries.push(buildEntry({
+            designation: `RHS ${formatDim(h)}x${formatDim(b)}x${formatDim(t)}`,
+            series: 'RHS',
+            shape: 'rhs',
+            standard: 'EN 10219-2',
+            dimensions: { w: h, h: b, wall: t }
+        }));
+    });
+
+    tables.CHS.forEach(([d, walls]) => {
+        walls.forEach((wall) => {
+            entries.push(buildEntry({
+                designation: `CHS ${formatDim(d)}x${formatDim(wall)}`,
+                series: 'CHS',
+                shape: 'tube',
+                standard: 'EN 10219-2',
+                dimensions: { d, wall }
+            }));
+        });
+    });
+
+    return entries;
+};
+
+const CATALOGUE = buildCatalogue();
+const BY_DESIGNATION = new Map(CATALOGUE.map(entry => [entry.designation, entry]));
+
+/**
+ * Normalize free text for matching: uppercase, decimal comma to dot, × and * to X
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeDesignation = (text) => String(text || '')
+    .toUpperCase()
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[×*]/g, 'X')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const SEP = '\\s*X\\s*';
+
+// Order matters: hollow sections before round tubes ("TUBO QUADRADO" vs "TUBO")
+const PATTERNS = [
+    {
+        regex: /\b(IPE|HEA|HEB|UPN|UNP)\s*(\d{2,3})\b/,
+        build: m => `${m[1] === 'UNP' ? 'UPN' : m[1]} ${Number(m[2])}`
+    },
+    {
+        regex: /\bHE\s*(\d{3})\s*([AB])\b/,
+        build: m => `HE${m[2]} ${Number(m[1])}`
+    },
+    {
+        regex: new RegExp(`\\b(?:CANTONEIRA(?:\\s+L)?|L)\\s*${NUM}${SEP}${NUM}(?:${SEP}${NUM})?\\b`),
+        build: (m) => {
+            if (m[3] === undefined) return `L ${formatDim(m[1])}x${formatDim(m[2])}`;
+            const [a, b] = [Number(m[1]), Number(m[2])].sort((x, y) => y - x);
+            return a === b
+                ? `L ${formatDim(a)}x${formatDim(m[3])}`
+                : `L ${formatDim(a)}x${formatDim(b)}x${formatDim(m[3])}`;
+        }
+    },
+    {
+        regex: new RegExp(`\\b(?:SHS|RHS|TUBO\\s+(?:QUADRADO|RETANGULAR|RECTANGULAR)|TQ|TR)\\s*${NUM}${SEP}${NUM}(?:${SEP}${NUM})?\\b`),
+        build: (m) => {
+            if (m[3] === undefined) return `SHS ${formatDim(m[1])}x${formatDim(m[2])}`;
+            const [h, b] = [Number(m[1]), Number(m[2])].sort((x, y) => y - x);
+            return h === b
+                ? `SHS ${formatDim(h)}x${formatDim(m[3])}`
+                : `RHS ${formatDim(h)}x${formatDim(b)}x${formatDim(m[3])}`;
+        }
+    },
+    {
+        regex: new RegExp(`(?:\\bCHS|\\bTUBO(?:\\s+REDONDO)?|Ø)\\s*${NUM}${SEP}${NUM}\\b`),
+        build: m => `CHS ${formatDim(m[1])}x${formatDim(m[2])}`
+    }
+];
+
+/**
+ * Parse a designation (anywhere in the text) into its canonical catalogue form
+ * "Viga HE 200 B S275" -> "HEB 200", "Tubo 48,3x3,2" -> "CHS 48.3x3.2"
+ *
+ * @param {string} text - Designation, code or description
+ * @returns {string|null} Canonical designation, or null if none recognised
+ */
+const parseDesignation = (text) => {
+    const normalized = normalizeDesignation(text);
+
+    for (const { regex, build } of PATTERNS) {
+        const match = normalized.match(regex);
+        if (match) return build(match);
+    }
+
+    return null;
+};
+
+/**
+ * Look up a standard profile by designation
+ *
+ * @param {string} text - Designation, code or description
+ * @returns {Object|null} Catalogue entry, or null if not a catalogue section
+ */
+const lookupProfile = (text) => {
+    const designation = parseDesignation(text);
+    return designation ? BY_DESIGNATION.get(designation) || null : null;
+};
+
+/**
+ * Search the catalogue (autocomplete)
+ * An exact designation match comes first, then designations containing the query
+ *
+ * @param {Object} params
+ * @param {string} [params.search] - Partial designation ("IPE 2", "48,3")
+ * @param {string} [params.series] - Restrict to one series (IPE, HEA, ...)
+ * @param {number} [params.limit=20] - Maximum results
+ * @returns {Array<Object>} Catalogue entries
+ */
+const searchProfiles = ({ search, series, limit = 20 } = {}) => {
+    let entries = series ? CATALOGUE.filter(entry => entry.series === series.toUpperCase()) : CATALOGUE;
+
+    if (search) {
+        const exact = lookupProfile(search);
+        const compact = normalizeDesignation(search).replace(/\s/g, '');
+
+        const matches = entries.filter(entry => entry !== exact
+            && entry.designation.toUpperCase().replace(/\s/g, '').includes(compact));
+
+        entries = exact && entries.includes(exact) ? [exact, ...matches] : matches;
+    }
+
+    return entries.slice(0, limit);
+};
+
+module.exports = {
+    SERIES,
+    CATALOGUE,
+    normalizeDesignation,
+    parseDesignation,
+    lookupProfile,
+    searchProfiles
+};
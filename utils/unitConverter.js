@@ -0,0 +1,184 @@
+/**
+ * Unit Converter - Conversão de unidades por produto (kg ↔ m ↔ mm ↔ un)
+ * Converts quantities and unit costs between the stock units of a product using its
+ * weight per meter (from the product, or computed by metalMath from shape and dimensions).
+ *
+ * Pieces ('un') of raw material are bars: one piece is the standard bar length unless a
+ * piece length is given. Products without geometry (consumables, tools) only convert
+ * between identical units.
+ */
+
+const { getWeightPerMeter } = require('./metalMath');
+const { STANDARD_BAR_LENGTH_MM } = require('../config/cutting');
+const { httpError } = require('./httpError');
+
+// Unidades de movimento/consumo
+const UNITS = ['kg', 'm', 'mm', 'un'];
+
+// Formatos do Excel aceites em Product.stockConfig.unit
+const LEGACY_UNITS = {
+    unid: 'un',
+    lt: 'un'
+};
+
+/**
+ * Normalize a unit to one of UNITS ('unid' and 'lt' come from Excel)
+ *
+ * @param {string} unit
+ * @returns {string} Normalized unit (default 'kg')
+ */
+const normalizeUnit = (unit) => {
+    const normalized = String(unit || 'kg').toLowerCase().trim();
+    const mapped = LEGACY_UNITS[normalized] || normalized;
+
+    if (!UNITS.includes(mapped)) {
+        throw httpError(`Unidade desconhecida: ${unit}. Use: ${UNITS.join(', ')}`);
+    }
+
+    return mapped;
+};
+
+/**
+ * Stock unit of a product, normalized
+ *
+ * @param {Object} product
+ * @returns {string}
+ */
+const getStockUnit = (product) => normalizeUnit(product.stockConfig && product.stockConfig.unit);
+
+/**
+ * Weight per meter of a product (kg/m): stored value, else computed from the geometry
+ *
+ * @param {Object} product
+ * @returns {number} kg/m (0 if unknown)
+ */
+const getKgPerMeter = (product) => {
+    if (product.weightPerMeter > 0) return product.weightPerMeter;
+
+    try {
+        return getWeightPerMeter({
+            shape: product.shape,
+            dimensions: product.dimensions || {},
+            grade: product.grade,
+            density: product.density,
+            materialType: product.materialType
+        }) || 0;
+    } catch (error) {
+        return 0;
+    }
+};
+
+/**
+ * Meters represented by one unit of the given unit, for this product
+ *
+ * @param {Object} product
+ * @param {string} unit - Normalized unit
+ * @param {Object} [options]
+ * @param {number} [options.pieceLengthMM] - Length of one piece
+ * @returns {number|null} Meters per unit, or null if not convertible
+ */
+const metersPerUnit = (product, unit, { pieceLengthMM } = {}) => {
+    const kgPerMeter = getKgPerMeter(product);
+
+    switch (unit) {
+        case 'm':
+            return 1;
+        case 'mm':
+            return 0.001;
+        case 'kg':
+            return kgPerMeter > 0 ? 1 / kgPerMeter : null;
+        case 'un': {
+            const isBar = product.category === 'raw_material' && kgPerMeter > 0;
+            const length = pieceLengthMM > 0 ? pieceLengthMM : (isBar ? STANDARD_BAR_LENGTH_MM : 0);
+            return length > 0 ? length / 1000 : null;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Convert a quantity between units for a product
+ *
+ * @param {Object} product - Product (weightPerMeter, shape, dimensions, density, category)
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} [options]
+ * @param {number} [options.pieceLengthMM] - Length of one piece (default: standard bar)
+ * @returns {number} Quantity in toUnit (4 decimal places)
+ * @throws {Error} status 400 if the product has no geometry for this conversion
+ */
+const convertQuantity = (product, quantity, fromUnit, toUnit, options = {}) => {
+    const from = normalizeUnit(fromUnit);
+    const to = normalizeUnit(toUnit);
+
+    if (from === to) return quantity;
+
+    const fromMeters = metersPerUnit(product, from, options);
+    const toMeters = metersPerUnit(product, to, options);
+
+    if (fromMeters === null || toMeters === null) {
+        throw httpError(`Não é possível converter ${from} em ${to} para o produto ${product.code || ''}`.trim());
+    }
+
+    return Math.round((quantity * fromMeters / toMeters) * 10000) / 10000;
+};
+
+/**
+ * Convert a unit cost (€/fromUnit) to another unit (€/toUnit)
+ *
+ * @param {Object} product
+ * @param {number} unitCost - Cost per fromUnit
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} [options] - See convertQuantity
+ * @returns {number} Cost per toUnit (4 decimal places)
+ */
+const convertUnitCost = (product, unitCost, fromUnit, toUnit, options = {}) => {
+    if (normalizeUnit(fromUnit) === normalizeUnit(toUnit)) return unitCost;
+
+    // Custo de 1 toUnit = custo × (fromUnits em 1 toUnit)
+    const perUnit = convertQuantity(product, 1, toUnit, fromUnit, options);
+    return Math.round(unitCost * perUnit * 10000) / 10000;
+};
+
+/**
+ * Quantity of a stock item in a unit
+ * - un: number of pieces
+ * - m / mm: total length (from weight when the item has no length, e.g. BOX)
+ * - kg: calculated weight (from length when the weight is unknown)
+ *
+ * @param {Object} stockItem - { quantity, lengthMM, calculatedWeight }
+ * @param {string} unit
+ * @param {Object} [product] - Needed to convert items without weight/length
+ * @returns {number}
+ */
+const getItemQuantityIn = (stockItem, unit, product) => {
+    const target = normalizeUnit(unit);
+    const lengthMeters = (stockItem.lengthMM * stockItem.quantity) / 1000;
+
+    if (target === 'un') return stockItem.quantity;
+
+    if (target === 'kg') {
+        if (stockItem.calculatedWeight > 0 || !product) return stockItem.calculatedWeight || 0;
+        return lengthMeters > 0 ? convertQuantity(product, lengthMeters, 'm', 'kg') : 0;
+    }
+
+    // Comprimento
+    if (lengthMeters > 0) return target === 'm' ? lengthMeters : lengthMeters * 1000;
+    if (product && stockItem.calculatedWeight > 0) {
+        return convertQuantity(product, stockItem.calculatedWeight, 'kg', target);
+    }
+    return 0;
+};
+
+module.exports = {
+    UNITS,
+    normalizeUnit,
+    getStockUnit,
+    getKgPerMeter,
+    convertQuantity,
+    convertUnitCost,
+    getItemQuantityIn
+};